@@ -1,12 +1,35 @@
+/*
+ * Atlas.js, a lightweight JavaScript library for interactive maps.
+ * https://github.com/ElWali/AtlasV1
+ *
+ * Distributed as a UMD module: CommonJS and AMD loaders get the exports object,
+ * and a plain <script> tag puts every export on the global object. The ES module
+ * build in dist/ is generated from this file by scripts/build.js.
+ */
+(function (global, factory) {
+  typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports) :
+  typeof define === 'function' && define.amd ? define(['exports'], factory) :
+  (global = typeof globalThis !== 'undefined' ? globalThis : global || self, factory(global));
+})(this, (function (exports) { 'use strict';
+
     // --- Constants ---
     const EARTH_RADIUS = 6378137;
     const EARTH_CIRCUMFERENCE = 2 * Math.PI * EARTH_RADIUS;
+    const MEAN_EARTH_RADIUS = 6371008.8;
     const MAX_LATITUDE = 85.05112878;
     const MIN_LATITUDE = -85.05112878;
     const TILE_SIZE = 256;
     const TILE_BUFFER = 3;
     const TILE_TTL = 1000 * 60 * 60 * 24; // 24 hours
     const TILE_LOAD_TIMEOUT_MS = 10000; // 10 seconds timeout for tile loading
+    const TILE_FADE_DURATION = 200;
+    // The globalCompositeOperation values of the 2D canvas, which layers can blend with.
+    const BLEND_MODES = [
+      'source-over', 'source-in', 'source-out', 'source-atop', 'destination-over', 'destination-in',
+      'destination-out', 'destination-atop', 'lighter', 'copy', 'xor', 'multiply', 'screen', 'overlay',
+      'darken', 'lighten', 'color-dodge', 'color-burn', 'hard-light', 'soft-light', 'difference',
+      'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+    ];
     const SCALE_BAR_TARGET_PX = 120;
     const INERTIA_DECEL = 0.0025;
     const INERTIA_STOP_SPEED = 0.02;
@@ -21,6 +44,9 @@
     const TAP_ZOOM_DURATION = 280;
     const SNAP_DURATION = 300;
     const FLYTO_DURATION = 800;
+    const CLICK_TOLERANCE_PX = 3;
+    const GEODESIC_SEGMENT_LENGTH = 100000; // meters between the points of geodesic lines
+    const MAP_POINTER_EVENTS = ['click', 'dblclick', 'mousedown', 'mouseup', 'mousemove', 'mouseout', 'contextmenu'];
 
     // --- Layer Configuration ---
     const LAYERS = {
@@ -52,7 +78,17 @@
       defaultCenter: { lon: 0, lat: 0 },
       defaultZoom: 3,
       retina: "auto",
-      retinaSuffix: "@2x"
+      retinaSuffix: "@2x",
+      crs: "EPSG:3857", // a code from PROJECTIONS, or a Projection/CRS instance; `projection` is an alias
+      minZoom: null, // null falls back to the base layer's minZoom
+      maxZoom: null, // null falls back to the base layer's maxZoom
+      maxBounds: null,
+      maxBoundsViscosity: 1.0,
+      rotationEnabled: true,
+      minBearing: null, // radians
+      maxBearing: null, // radians
+      wrapFeatures: false, // draw vector layers, markers and popups on the world copy nearest the center; `worldCopyJump` is an alias
+      maxConcurrentLoads: 12 // tiles loaded at once by all the tile layers of a map
     };
 
     // --- Easing Functions ---
@@ -78,10 +114,31 @@
     // --- NEW: Projection System ---
     /**
      * Base class for projections. Defines the interface for transforming between
-     * geographical coordinates (latitude, longitude) and projected coordinates (x, y).
+     * geographical coordinates (latitude, longitude) and projected coordinates (x, y),
+     * and the tile grid laid over the projected plane.
+     *
+     * The grid starts at the top-left corner of `bounds` (or at `origin`), and at each
+     * zoom level `scale(zoom)` gives the number of pixels per projected unit. Subclasses
+     * implement project() and unproject(), set `bounds`, and override scale() when
+     * zoom level 0 is not one tile wide.
      * @class Projection
      */
     class Projection {
+      /**
+       * Creates an instance of Projection.
+       * @param {object} [options={}] - The projection options.
+       * @param {string} [options.code] - The CRS code, e.g. "EPSG:3857", used by services such as WMS.
+       * @param {object} [options.bounds] - The projected extent of the tile grid, as `{ min: { x, y }, max: { x, y } }`.
+       * @param {object} [options.origin] - The projected top-left corner of the tile grid. Defaults to the top-left of `bounds`.
+       * @param {boolean} [options.wrapLongitude=false] - Whether the grid repeats around the world.
+       */
+      constructor(options = {}) {
+        this.code = options.code || null;
+        this.bounds = options.bounds || null;
+        this.origin = options.origin || null;
+        this.wrapLongitude = options.wrapLongitude || false;
+      }
+
       /**
        * Transforms a geographical coordinate (lat, lon) into a 2D point (x, y)
        * in the projection's coordinate space.
@@ -107,6 +164,120 @@
       unproject(point) {
         throw new Error('unproject() must be implemented by subclass');
       }
+
+      _getOrigin() {
+        return this.origin || { x: this.bounds.min.x, y: this.bounds.max.y };
+      }
+
+      /**
+       * Gets the number of pixels per projected unit at a zoom level. By default,
+       * zoom level 0 is one tile wide and each zoom level doubles the scale.
+       * @param {number} zoom - The zoom level, which may be fractional.
+       * @returns {number} The scale.
+       */
+      scale(zoom) {
+        return TILE_SIZE * Math.pow(2, zoom) / (this.bounds.max.x - this.bounds.min.x);
+      }
+
+      /**
+       * Gets the zoom level at which the projection has a given scale; the inverse of scale().
+       * @param {number} scale - The number of pixels per projected unit.
+       * @returns {number} The zoom level.
+       */
+      zoom(scale) {
+        return Math.log2(scale / this.scale(0));
+      }
+
+      /**
+       * Converts a geographical coordinate to a pixel position in the tile grid.
+       * @param {object} latlng - The geographical coordinate.
+       * @param {number} zoom - The zoom level.
+       * @returns {object} The pixel position, from the top-left of the grid.
+       */
+      latLngToPoint(latlng, zoom) {
+        const p = this.project(latlng);
+        const origin = this._getOrigin();
+        const scale = this.scale(zoom);
+        return { x: (p.x - origin.x) * scale, y: (origin.y - p.y) * scale };
+      }
+
+      /**
+       * Converts a pixel position in the tile grid to a geographical coordinate.
+       * @param {object} point - The pixel position, from the top-left of the grid.
+       * @param {number} zoom - The zoom level.
+       * @returns {object} The geographical coordinate.
+       */
+      pointToLatLng(point, zoom) {
+        const origin = this._getOrigin();
+        const scale = this.scale(zoom);
+        return this.unproject({ x: origin.x + point.x / scale, y: origin.y - point.y / scale });
+      }
+
+      /**
+       * Converts a LatLng object to a Tile coordinate at a specific zoom level.
+       * @param {object} latlng - The geographical coordinate.
+       * @param {number} latlng.lat - The latitude.
+       * @param {number} latlng.lon - The longitude.
+       * @param {number} zoom - The zoom level.
+       * @returns {object} The tile coordinate.
+       */
+      latLngToTile(latlng, zoom) {
+        const p = this.latLngToPoint(latlng, zoom);
+        return { x: p.x / TILE_SIZE, y: p.y / TILE_SIZE };
+      }
+
+      /**
+       * Converts a Tile coordinate at a specific zoom level back to a LatLng object.
+       * @param {number} x - The x-coordinate of the tile.
+       * @param {number} y - The y-coordinate of the tile.
+       * @param {number} zoom - The zoom level.
+       * @returns {object} The geographical coordinate.
+       */
+      tileToLatLng(x, y, zoom) {
+        return this.pointToLatLng({ x: x * TILE_SIZE, y: y * TILE_SIZE }, zoom);
+      }
+
+      /**
+       * Gets the tiles that cover the grid's bounds at an integer zoom level.
+       * @param {number} zoom - The zoom level.
+       * @returns {object} The tile indices as `{ minX, minY, maxX, maxY }`, where the
+       *   maxima are exclusive.
+       */
+      getTileRange(zoom) {
+        if (!this.bounds) {
+          return { minX: -Infinity, minY: -Infinity, maxX: Infinity, maxY: Infinity };
+        }
+        const origin = this._getOrigin();
+        const size = TILE_SIZE / this.scale(zoom);
+        // Allow for rounding errors, so a grid edge on a tile edge does not add a tile.
+        const eps = 1e-9;
+        return {
+          minX: Math.floor((this.bounds.min.x - origin.x) / size + eps),
+          minY: Math.floor((origin.y - this.bounds.max.y) / size + eps),
+          maxX: Math.ceil((this.bounds.max.x - origin.x) / size - eps),
+          maxY: Math.ceil((origin.y - this.bounds.min.y) / size - eps)
+        };
+      }
+
+      /**
+       * Clamps a latitude to the range the projection can show.
+       * @param {number} lat - The latitude.
+       * @returns {number} The clamped latitude.
+       */
+      clampLatitude(lat) {
+        return Math.max(-90, Math.min(90, lat));
+      }
+
+      /**
+       * Gets the size of a pixel on the ground, e.g. for the scale bar. The default
+       * assumes projected units are meters.
+       * @param {number} lat - The latitude.
+       * @param {number} zoom - The zoom level.
+       * @returns {number} The resolution in meters per pixel.
+       */
+      getMetersPerPixel(lat, zoom) {
+        return 1 / this.scale(zoom);
+      }
     }
 
     /**
@@ -119,7 +290,12 @@
        * Creates an instance of WebMercatorProjection.
        */
       constructor() {
-        super();
+        const extent = Math.PI * EARTH_RADIUS;
+        super({
+          code: 'EPSG:3857',
+          bounds: { min: { x: -extent, y: -extent }, max: { x: extent, y: extent } },
+          wrapLongitude: true
+        });
       }
 
       /**
@@ -155,45 +331,554 @@
         };
       }
 
-      /**
-       * Converts a LatLng object to a Tile coordinate at a specific zoom level.
-       * This is a convenience method that chains project() and the scale calculation.
-       * @param {object} latlng - The geographical coordinate.
-       * @param {number} latlng.lat - The latitude.
-       * @param {number} latlng.lon - The longitude.
-       * @param {number} zoom - The zoom level.
-       * @returns {object} The tile coordinate.
-       */
-      latLngToTile(latlng, zoom) {
-        const scale = Math.pow(2, zoom);
-        const projected = this.project(latlng);
-        return {
-          x: (projected.x + Math.PI * EARTH_RADIUS) / (2 * Math.PI * EARTH_RADIUS) * scale,
-          y: (Math.PI * EARTH_RADIUS - projected.y) / (2 * Math.PI * EARTH_RADIUS) * scale
-        };
+      clampLatitude(lat) {
+        return Math.max(MIN_LATITUDE, Math.min(MAX_LATITUDE, lat));
       }
 
+      getMetersPerPixel(lat, zoom) {
+        // Mercator meters are true to scale only at the equator.
+        return Math.cos(lat * DEG2RAD) / this.scale(zoom);
+      }
+    }
+
+    /**
+     * Implements the Equirectangular (plate carrée) projection, EPSG:4326, in which
+     * longitude and latitude are used as x and y. Zoom level 0 is two tiles wide and
+     * one tile high, as in the common global-geodetic tile grids and WMS layers.
+     * @class EquirectangularProjection
+     * @extends Projection
+     */
+    class EquirectangularProjection extends Projection {
       /**
-       * Converts a Tile coordinate at a specific zoom level back to a LatLng object.
-       * This is a convenience method that chains the scale calculation and unproject().
-       * @param {number} x - The x-coordinate of the tile.
-       * @param {number} y - The y-coordinate of the tile.
-       * @param {number} zoom - The zoom level.
-       * @returns {object} The geographical coordinate.
+       * Creates an instance of EquirectangularProjection.
        */
-      tileToLatLng(x, y, zoom) {
-        const scale = Math.pow(2, zoom);
-        const projected = {
-          x: x / scale * 2 * Math.PI * EARTH_RADIUS - Math.PI * EARTH_RADIUS,
-          y: Math.PI * EARTH_RADIUS - y / scale * 2 * Math.PI * EARTH_RADIUS
-        };
-        return this.unproject(projected);
+      constructor() {
+        super({
+          code: 'EPSG:4326',
+          bounds: { min: { x: -180, y: -90 }, max: { x: 180, y: 90 } },
+          wrapLongitude: true
+        });
+      }
+
+      project(latlng) {
+        return { x: latlng.lon, y: latlng.lat };
+      }
+
+      unproject(point) {
+        return { lon: point.x, lat: point.y };
+      }
+
+      scale(zoom) {
+        return TILE_SIZE * Math.pow(2, zoom) / 180;
+      }
+
+      getMetersPerPixel(lat, zoom) {
+        return (EARTH_CIRCUMFERENCE / 360) * Math.cos(lat * DEG2RAD) / this.scale(zoom);
+      }
+    }
+
+    /**
+     * A coordinate reference system defined by a projection and a tile grid with
+     * explicit resolutions, as used by national grids and most WMTS services.
+     *
+     * ```js
+     * const crs = new CRS('EPSG:26191', Proj.get('EPSG:26191'), {
+     *   origin: [-5000000, 5000000],
+     *   resolutions: [4096, 2048, 1024, 512, 256, 128, 64, 32, 16, 8, 4, 2, 1],
+     *   bounds: [[0, 0], [1200000, 800000]]
+     * });
+     * ```
+     *
+     * Between two zoom levels the map scales the tiles of the lower level, so the
+     * resolutions should halve from one level to the next.
+     * @class CRS
+     * @extends Projection
+     */
+    class CRS extends Projection {
+      /**
+       * Creates an instance of CRS.
+       * @param {string} code - The CRS code, e.g. "EPSG:26191".
+       * @param {object} projection - An object with project(latlng) and unproject(point) methods, e.g. a Projection.
+       * @param {object} options - The tile grid.
+       * @param {number[]} options.origin - The projected top-left corner of the grid, as `[x, y]`.
+       * @param {number[]} options.resolutions - The projected units per pixel at each zoom level, from zoom 0.
+       * @param {Array} [options.bounds] - The projected extent of the grid, as `[[minX, minY], [maxX, maxY]]`.
+       *   Tiles outside of it are not requested.
+       */
+      constructor(code, projection, options = {}) {
+        if (!projection || typeof projection.project !== 'function' || typeof projection.unproject !== 'function') {
+          throw new Error(`[Atlas] CRS ${code} needs a projection with project() and unproject() methods.`);
+        }
+        const { origin, resolutions, bounds } = options;
+        if (!Array.isArray(origin) || !Array.isArray(resolutions) || resolutions.length === 0) {
+          throw new Error(`[Atlas] CRS ${code} needs an origin and a list of resolutions.`);
+        }
+        super({
+          code,
+          origin: { x: origin[0], y: origin[1] },
+          bounds: bounds ? { min: { x: bounds[0][0], y: bounds[0][1] }, max: { x: bounds[1][0], y: bounds[1][1] } } : null
+        });
+        this.projection = projection;
+        this.resolutions = resolutions;
+      }
+
+      project(latlng) {
+        return this.projection.project(latlng);
+      }
+
+      unproject(point) {
+        return this.projection.unproject(point);
+      }
+
+      scale(zoom) {
+        // Past the listed levels, and between them, each zoom level doubles the scale.
+        const last = this.resolutions.length - 1;
+        const z = Math.max(0, Math.min(last, Math.floor(zoom)));
+        return Math.pow(2, zoom - z) / this.resolutions[z];
+      }
+
+      zoom(scale) {
+        const resolution = 1 / scale;
+        let z = 0;
+        while (z < this.resolutions.length - 1 && this.resolutions[z + 1] >= resolution) z++;
+        return z + Math.log2(this.resolutions[z] / resolution);
       }
     }
 
     // Create a global instance of the default projection.
     const DEFAULT_PROJECTION = new WebMercatorProjection();
 
+    // The projections the `crs` map option accepts by code.
+    const WEB_MERCATOR_CODES = ['EPSG:3857', 'EPSG:900913', 'EPSG:102100', 'EPSG:102113', 'OSGEO:41001'];
+
+    const PROJECTIONS = {
+      'EPSG:3857': DEFAULT_PROJECTION,
+      'EPSG:900913': DEFAULT_PROJECTION,
+      'EPSG:4326': new EquirectangularProjection()
+    };
+
+    // --- Coordinate Transformations ---
+    // Ellipsoids as [semi-major axis, inverse flattening], by their proj4 names.
+    const ELLIPSOIDS = {
+      WGS84: [6378137, 298.257223563],
+      GRS80: [6378137, 298.257222101],
+      clrk80: [6378249.145, 293.4663],
+      clrk80ign: [6378249.2, 293.4660212936269],
+      clrk66: [6378206.4, 294.9786982138982],
+      intl: [6378388, 297],
+      bessel: [6377397.155, 299.1528128],
+      krass: [6378245, 298.3],
+      airy: [6377563.396, 299.3249646],
+      sphere: [6370997, Infinity]
+    };
+
+    const DATUMS = {
+      WGS84: { ellps: 'WGS84', towgs84: '0,0,0' },
+      NAD83: { ellps: 'GRS80', towgs84: '0,0,0' },
+      ETRS89: { ellps: 'GRS80', towgs84: '0,0,0' }
+    };
+
+    const UNITS = { m: 1, km: 1000, ft: 0.3048, 'us-ft': 1200 / 3937 };
+
+    // Definitions for Proj.get(), in proj4 syntax. Proj.define() adds more.
+    const PROJ_DEFS = {
+      'EPSG:4326': '+proj=longlat +datum=WGS84 +no_defs',
+      'EPSG:3857': '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +no_defs',
+      'EPSG:900913': '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +no_defs',
+      'EPSG:4261': '+proj=longlat +a=6378249.2 +b=6356515 +towgs84=31,146,47,0,0,0,0 +no_defs',
+      'EPSG:26191': '+proj=lcc +lat_1=33.3 +lat_0=33.3 +lon_0=-5.4 +k_0=0.999625769 +x_0=500000 +y_0=300000 +a=6378249.2 +b=6356515 +towgs84=31,146,47,0,0,0,0 +units=m +no_defs',
+      'EPSG:26192': '+proj=lcc +lat_1=29.7 +lat_0=29.7 +lon_0=-5.4 +k_0=0.9996155960000001 +x_0=500000 +y_0=300000 +a=6378249.2 +b=6356515 +towgs84=31,146,47,0,0,0,0 +units=m +no_defs',
+      'EPSG:32628': '+proj=utm +zone=28 +datum=WGS84 +units=m +no_defs',
+      'EPSG:32629': '+proj=utm +zone=29 +datum=WGS84 +units=m +no_defs',
+      'EPSG:32630': '+proj=utm +zone=30 +datum=WGS84 +units=m +no_defs'
+    };
+
+    const projInstances = new Map();
+
+    // Wraps a longitude difference in radians to [-π, π].
+    const adjustLon = lon => Math.abs(lon) <= Math.PI ? lon : lon - Math.sign(lon) * 2 * Math.PI * Math.round(Math.abs(lon) / (2 * Math.PI));
+
+    /**
+     * A coordinate reference system defined by a proj4-style string, for data in
+     * projected or non-WGS84 coordinates. It converts between WGS84 `{ lat, lon }`
+     * and its own `{ x, y }` (in degrees for `+proj=longlat`), without any dependency.
+     *
+     * Supported: `+proj=longlat`, `tmerc`, `utm` (`+zone`, `+south`), `lcc` (one or two
+     * standard parallels) and `merc`; the parameters `+lat_0`, `+lon_0`, `+lat_1`, `+lat_2`,
+     * `+lat_ts`, `+k`/`+k_0`, `+x_0`, `+y_0`, `+units`/`+to_meter`, the ellipsoid as `+ellps`,
+     * `+datum` or `+a` with `+b` or `+rf`, and datum shifts as 3 or 7 `+towgs84` Helmert
+     * parameters (meters, arc-seconds and parts per million). Other parameters are ignored.
+     *
+     * ```js
+     * const merchich = Proj.get('EPSG:26191');
+     * merchich.unproject({ x: 500000, y: 300000 }); // { lat: 33.297..., lon: -5.398... } in WGS84
+     * ```
+     *
+     * A Proj has project() and unproject(), so it can also be the projection of a CRS.
+     * @class Proj
+     */
+    class Proj {
+      /**
+       * Creates an instance of Proj.
+       * @param {string} definition - The proj4-style definition, e.g. "+proj=utm +zone=29 +datum=WGS84".
+       * @param {string} [code] - The code of the system, e.g. "EPSG:32629".
+       */
+      constructor(definition, code) {
+        this.code = code || null;
+        this.definition = definition;
+        const params = Proj._parse(definition);
+        const name = `${code || definition}`;
+
+        const datum = params.datum !== undefined ? DATUMS[params.datum] : null;
+        if (params.datum !== undefined && !datum) {
+          throw new Error(`[Atlas] Unknown datum "${params.datum}" in ${name}.`);
+        }
+        const ellps = params.ellps !== undefined ? params.ellps : (datum ? datum.ellps : 'WGS84');
+        if (!ELLIPSOIDS[ellps]) {
+          throw new Error(`[Atlas] Unknown ellipsoid "${ellps}" in ${name}.`);
+        }
+        let [a, rf] = ELLIPSOIDS[ellps];
+        if (params.a !== undefined) {
+          a = Number(params.a);
+          rf = params.b !== undefined ? a / (a - Number(params.b)) : (params.rf !== undefined ? Number(params.rf) : Infinity);
+        }
+        this.a = a;
+        this.es = rf === Infinity ? 0 : (2 - 1 / rf) / rf;
+        this.e = Math.sqrt(this.es);
+
+        const towgs84 = (params.towgs84 !== undefined ? params.towgs84 : (datum ? datum.towgs84 : '0,0,0')).split(',').map(Number);
+        if ((towgs84.length !== 3 && towgs84.length !== 7) || towgs84.some(v => !Number.isFinite(v))) {
+          throw new Error(`[Atlas] +towgs84 in ${name} needs 3 or 7 numbers.`);
+        }
+        // Without a shift, the data is taken to be on WGS84 already, as in proj4.
+        this._helmert = towgs84.some(v => v !== 0) ? [
+          towgs84[0], towgs84[1], towgs84[2],
+          (towgs84[3] || 0) / 3600 * DEG2RAD, (towgs84[4] || 0) / 3600 * DEG2RAD, (towgs84[5] || 0) / 3600 * DEG2RAD,
+          1 + (towgs84[6] || 0) * 1e-6
+        ] : null;
+
+        const deg = (key, fallback = 0) => params[key] !== undefined ? Number(params[key]) * DEG2RAD : fallback;
+        this.proj = params.proj;
+        this.lat0 = deg('lat_0');
+        this.lon0 = deg('lon_0');
+        this.k0 = Number(params.k_0 !== undefined ? params.k_0 : (params.k !== undefined ? params.k : 1));
+        this.x0 = Number(params.x_0 || 0);
+        this.y0 = Number(params.y_0 || 0);
+        if (params.units !== undefined && !UNITS[params.units]) {
+          throw new Error(`[Atlas] Unknown units "${params.units}" in ${name}.`);
+        }
+        this.toMeter = params.to_meter !== undefined ? Number(params.to_meter) : UNITS[params.units || 'm'];
+
+        switch (params.proj) {
+          case 'longlat': case 'latlong': case 'lonlat': case 'latlon':
+            this.proj = 'longlat';
+            break;
+          case 'utm': {
+            const zone = Number(params.zone);
+            if (!Number.isInteger(zone) || zone < 1 || zone > 60) {
+              throw new Error(`[Atlas] +proj=utm in ${name} needs a +zone from 1 to 60.`);
+            }
+            this.proj = 'tmerc';
+            this.lat0 = 0;
+            this.lon0 = (zone * 6 - 183) * DEG2RAD;
+            this.k0 = 0.9996;
+            this.x0 = 500000;
+            this.y0 = params.south !== undefined ? 10000000 : 0;
+            this._initTransverseMercator();
+            break;
+          }
+          case 'tmerc':
+            this._initTransverseMercator();
+            break;
+          case 'lcc':
+            this._initLambertConformalConic(deg('lat_1', this.lat0), deg('lat_2', NaN));
+            break;
+          case 'merc':
+            if (params.lat_ts !== undefined) {
+              const sin = Math.sin(deg('lat_ts'));
+              this.k0 = Math.cos(deg('lat_ts')) / Math.sqrt(1 - this.es * sin * sin);
+            }
+            break;
+          default:
+            throw new Error(`[Atlas] Unsupported projection "+proj=${params.proj}" in ${name}. Use longlat, tmerc, utm, lcc or merc.`);
+        }
+      }
+
+      /**
+       * Registers a definition for Proj.get(), or gets a registered one.
+       * @param {string} code - The code, e.g. "EPSG:26191".
+       * @param {string} [definition] - The proj4-style definition.
+       * @returns {string|undefined} The definition, when called with a code only.
+       */
+      static define(code, definition) {
+        if (definition === undefined) {
+          return PROJ_DEFS[Proj._normalizeCode(code)];
+        }
+        code = Proj._normalizeCode(code);
+        PROJ_DEFS[code] = definition;
+        projInstances.delete(code);
+      }
+
+      /**
+       * Gets the Proj for a registered code (also as "urn:ogc:def:crs:EPSG::26191"),
+       * a proj4-style definition, or a Proj, which is returned as is.
+       * @param {string|Proj} crs - The coordinate reference system.
+       * @returns {Proj} The Proj.
+       */
+      static get(crs) {
+        if (crs instanceof Proj) return crs;
+        if (typeof crs !== 'string') {
+          throw new Error(`[Atlas] Invalid CRS ${JSON.stringify(crs)}: expected a code such as "EPSG:26191", a proj4 string or a Proj.`);
+        }
+        if (crs.trim().startsWith('+')) {
+          return new Proj(crs);
+        }
+        const code = Proj._normalizeCode(crs);
+        if (!projInstances.has(code)) {
+          if (!PROJ_DEFS[code]) {
+            throw new Error(`[Atlas] Unknown CRS "${crs}". Register it with Proj.define("${code}", "+proj=...").`);
+          }
+          projInstances.set(code, new Proj(PROJ_DEFS[code], code));
+        }
+        return projInstances.get(code);
+      }
+
+      /**
+       * Converts a point from one coordinate reference system to another.
+       * @param {string|Proj} from - The source system.
+       * @param {string|Proj} to - The target system.
+       * @param {Array|object} point - The point as `[x, y]` or `{ x, y }`; `x` is the
+       *   easting or longitude.
+       * @returns {object} The converted point as `{ x, y }`.
+       */
+      static transform(from, to, point) {
+        const [x, y] = Array.isArray(point) ? point : [point.x, point.y];
+        return Proj.get(to).project(Proj.get(from).unproject({ x, y }));
+      }
+
+      static _normalizeCode(code) {
+        const urn = /^urn:ogc:def:crs:(\w+):[\d.]*:(\w+)$/i.exec(code);
+        if (urn) code = `${urn[1]}:${urn[2]}`;
+        code = code.toUpperCase();
+        return code === 'OGC:CRS84' ? 'EPSG:4326' : code;
+      }
+
+      static _parse(definition) {
+        const params = {};
+        for (const token of `${definition}`.trim().split(/\s+/)) {
+          const match = /^\+(\w+)(?:=(.*))?$/.exec(token);
+          if (!match) {
+            throw new Error(`[Atlas] Invalid proj4 definition "${definition}": unexpected "${token}".`);
+          }
+          params[match[1]] = match[2] !== undefined ? match[2] : true;
+        }
+        if (!params.proj) {
+          throw new Error(`[Atlas] Invalid proj4 definition "${definition}": missing +proj.`);
+        }
+        return params;
+      }
+
+      /**
+       * Converts a WGS84 coordinate to this system.
+       * @param {object} latlng - The WGS84 coordinate, as `{ lat, lon }`.
+       * @returns {object} The point as `{ x, y }`, in the system's units or degrees.
+       */
+      project(latlng) {
+        let lat = latlng.lat * DEG2RAD;
+        let lon = (latlng.lon !== undefined ? latlng.lon : latlng.lng) * DEG2RAD;
+        if (this._helmert) {
+          ({ lat, lon } = this._fromWGS84(lat, lon));
+        }
+        if (this.proj === 'longlat') {
+          return { x: lon * RAD2DEG, y: lat * RAD2DEG };
+        }
+        const p = this[`_${this.proj}Forward`](lat, adjustLon(lon - this.lon0));
+        return { x: (p.x * this.a + this.x0) / this.toMeter, y: (p.y * this.a + this.y0) / this.toMeter };
+      }
+
+      /**
+       * Converts a point in this system to WGS84.
+       * @param {object} point - The point as `{ x, y }`, in the system's units or degrees.
+       * @returns {object} The WGS84 coordinate, as `{ lat, lon }`.
+       */
+      unproject(point) {
+        let lat, lon;
+        if (this.proj === 'longlat') {
+          lat = point.y * DEG2RAD;
+          lon = point.x * DEG2RAD;
+        } else {
+          const x = (point.x * this.toMeter - this.x0) / this.a;
+          const y = (point.y * this.toMeter - this.y0) / this.a;
+          ({ lat, lon } = this[`_${this.proj}Inverse`](x, y));
+          lon = adjustLon(lon + this.lon0);
+        }
+        if (this._helmert) {
+          ({ lat, lon } = this._toWGS84(lat, lon));
+        }
+        return { lat: lat * RAD2DEG, lon: lon * RAD2DEG };
+      }
+
+      // Datum shifts go through geocentric coordinates, with the position vector
+      // convention of proj4's +towgs84. Heights are taken as 0.
+      _toWGS84(lat, lon) {
+        const [dx, dy, dz, rx, ry, rz, m] = this._helmert;
+        const { x, y, z } = Proj._toGeocentric(lat, lon, this.a, this.es);
+        return Proj._fromGeocentric(
+          dx + m * (x - rz * y + ry * z),
+          dy + m * (rz * x + y - rx * z),
+          dz + m * (-ry * x + rx * y + z),
+          ELLIPSOIDS.WGS84[0], this._wgs84Es()
+        );
+      }
+
+      _fromWGS84(lat, lon) {
+        const [dx, dy, dz, rx, ry, rz, m] = this._helmert;
+        const p = Proj._toGeocentric(lat, lon, ELLIPSOIDS.WGS84[0], this._wgs84Es());
+        const x = (p.x - dx) / m;
+        const y = (p.y - dy) / m;
+        const z = (p.z - dz) / m;
+        // The rotation is small, so its inverse is its transpose.
+        return Proj._fromGeocentric(x + rz * y - ry * z, -rz * x + y + rx * z, ry * x - rx * y + z, this.a, this.es);
+      }
+
+      _wgs84Es() {
+        const f = 1 / ELLIPSOIDS.WGS84[1];
+        return (2 - f) * f;
+      }
+
+      static _toGeocentric(lat, lon, a, es) {
+        const sin = Math.sin(lat);
+        const n = a / Math.sqrt(1 - es * sin * sin);
+        return {
+          x: n * Math.cos(lat) * Math.cos(lon),
+          y: n * Math.cos(lat) * Math.sin(lon),
+          z: n * (1 - es) * sin
+        };
+      }
+
+      static _fromGeocentric(x, y, z, a, es) {
+        const p = Math.sqrt(x * x + y * y);
+        let lat = Math.atan2(z, p * (1 - es));
+        for (let i = 0; i < 10; i++) {
+          const sin = Math.sin(lat);
+          const n = a / Math.sqrt(1 - es * sin * sin);
+          const h = p / Math.cos(lat) - n;
+          const next = Math.atan2(z, p * (1 - es * n / (n + h)));
+          if (Math.abs(next - lat) < 1e-12) {
+            lat = next;
+            break;
+          }
+          lat = next;
+        }
+        return { lat, lon: Math.atan2(y, x) };
+      }
+
+      // The conformal "t" of Snyder's formulas, and its inverse by iteration.
+      _tsfn(lat) {
+        const esin = this.e * Math.sin(lat);
+        return Math.tan(Math.PI / 4 - lat / 2) / Math.pow((1 - esin) / (1 + esin), this.e / 2);
+      }
+
+      _phi2(ts) {
+        let lat = Math.PI / 2 - 2 * Math.atan(ts);
+        for (let i = 0; i < 15; i++) {
+          const esin = this.e * Math.sin(lat);
+          const next = Math.PI / 2 - 2 * Math.atan(ts * Math.pow((1 - esin) / (1 + esin), this.e / 2));
+          if (Math.abs(next - lat) < 1e-12) return next;
+          lat = next;
+        }
+        return lat;
+      }
+
+      // Transverse Mercator with Krüger's series, accurate to a millimeter within a few
+      // thousand kilometers of the central meridian. Coordinates are in units of `a`.
+      _initTransverseMercator() {
+        const f = this.es / (1 + Math.sqrt(1 - this.es));
+        const n = f / (2 - f);
+        const n2 = n * n;
+        const n3 = n2 * n;
+        this._tmA = (1 + n2 / 4 + n2 * n2 / 64) / (1 + n);
+        this._tmAlpha = [n / 2 - 2 * n2 / 3 + 5 * n3 / 16, 13 * n2 / 48 - 3 * n3 / 5, 61 * n3 / 240];
+        this._tmBeta = [n / 2 - 2 * n2 / 3 + 37 * n3 / 96, n2 / 48 + n3 / 15, 17 * n3 / 480];
+        this._tmDelta = [2 * n - 2 * n2 / 3 - 2 * n3, 7 * n2 / 3 - 8 * n3 / 5, 56 * n3 / 15];
+        this._tmY0 = this._tmercForward(this.lat0, 0).y;
+      }
+
+      _tmercForward(lat, dlon) {
+        const sin = Math.sin(lat);
+        const t = Math.sinh(Math.atanh(sin) - this.e * Math.atanh(this.e * sin));
+        const xi = Math.atan2(t, Math.cos(dlon));
+        const eta = Math.atanh(Math.sin(dlon) / Math.sqrt(1 + t * t));
+        let x = eta;
+        let y = xi;
+        this._tmAlpha.forEach((alpha, i) => {
+          const j = 2 * (i + 1);
+          x += alpha * Math.cos(j * xi) * Math.sinh(j * eta);
+          y += alpha * Math.sin(j * xi) * Math.cosh(j * eta);
+        });
+        const k = this.k0 * this._tmA;
+        return { x: k * x, y: k * y - (this._tmY0 || 0) };
+      }
+
+      _tmercInverse(x, y) {
+        const k = this.k0 * this._tmA;
+        const xi = (y + this._tmY0) / k;
+        const eta = x / k;
+        let xiP = xi;
+        let etaP = eta;
+        this._tmBeta.forEach((beta, i) => {
+          const j = 2 * (i + 1);
+          xiP -= beta * Math.sin(j * xi) * Math.cosh(j * eta);
+          etaP -= beta * Math.cos(j * xi) * Math.sinh(j * eta);
+        });
+        const chi = Math.asin(Math.sin(xiP) / Math.cosh(etaP));
+        let lat = chi;
+        this._tmDelta.forEach((delta, i) => {
+          lat += delta * Math.sin(2 * (i + 1) * chi);
+        });
+        return { lat, lon: Math.atan2(Math.sinh(etaP), Math.cos(xiP)) };
+      }
+
+      // Lambert Conformal Conic, after Snyder's "Map Projections: A Working Manual".
+      _initLambertConformalConic(lat1, lat2) {
+        const m = lat => Math.cos(lat) / Math.sqrt(1 - this.es * Math.sin(lat) * Math.sin(lat));
+        if (Number.isNaN(lat2) || Math.abs(lat1 - lat2) < 1e-10) {
+          this._lccN = Math.sin(lat1);
+        } else {
+          this._lccN = (Math.log(m(lat1)) - Math.log(m(lat2))) / (Math.log(this._tsfn(lat1)) - Math.log(this._tsfn(lat2)));
+        }
+        this._lccF = m(lat1) / (this._lccN * Math.pow(this._tsfn(lat1), this._lccN));
+        this._lccRho0 = this.k0 * this._lccF * Math.pow(this._tsfn(this.lat0), this._lccN);
+      }
+
+      _lccForward(lat, dlon) {
+        const rho = Math.abs(Math.abs(lat) - Math.PI / 2) < 1e-10 && lat * this._lccN > 0
+          ? 0
+          : this.k0 * this._lccF * Math.pow(this._tsfn(lat), this._lccN);
+        const theta = this._lccN * dlon;
+        return { x: rho * Math.sin(theta), y: this._lccRho0 - rho * Math.cos(theta) };
+      }
+
+      _lccInverse(x, y) {
+        const n = this._lccN;
+        const dy = this._lccRho0 - y;
+        const rho = Math.sign(n) * Math.sqrt(x * x + dy * dy);
+        if (rho === 0) {
+          return { lat: Math.sign(n) * Math.PI / 2, lon: 0 };
+        }
+        const theta = Math.atan2(Math.sign(n) * x, Math.sign(n) * dy);
+        return { lat: this._phi2(Math.pow(rho / (this.k0 * this._lccF), 1 / n)), lon: theta / n };
+      }
+
+      _mercForward(lat, dlon) {
+        return { x: this.k0 * dlon, y: -this.k0 * Math.log(this._tsfn(lat)) };
+      }
+
+      _mercInverse(x, y) {
+        return { lat: this._phi2(Math.exp(-y / this.k0)), lon: x / this.k0 };
+      }
+    }
+
     /**
      * A utility class for Geographical Information System (GIS) functions.
      * @class GISUtils
@@ -237,10 +922,11 @@
        * Calculates the map resolution in meters per pixel.
        * @param {number} lat - The latitude.
        * @param {number} z - The zoom level.
+       * @param {Projection} [projection=DEFAULT_PROJECTION] - The map's projection.
        * @returns {number} The resolution.
        */
-      static getResolution(lat, z) {
-        return (EARTH_CIRCUMFERENCE * Math.cos(this.toRadians(lat))) / (Math.pow(2, z) * TILE_SIZE);
+      static getResolution(lat, z, projection = DEFAULT_PROJECTION) {
+        return projection.getMetersPerPixel(lat, z);
       }
 
       /**
@@ -253,891 +939,5713 @@
       }
 
       /**
-       * This method is now a wrapper around the projection's method for backward compatibility.
-       * @param {number} x - The x-coordinate of the tile.
-       * @param {number} y - The y-coordinate of the tile.
-       * @param {number} z - The zoom level.
-       * @returns {object} The geographical coordinate.
-       * @deprecated
-       */
-      static tileToLonLat(x, y, z) {
-        return DEFAULT_PROJECTION.tileToLatLng(x, y, z);
+       * Calculates the great-circle distance between two coordinates on a sphere, with
+       * the haversine formula. Faster than vincentyDistance() but up to 0.5% off.
+       * @param {LatLng|Array|object} from - The first coordinate.
+       * @param {LatLng|Array|object} to - The second coordinate.
+       * @param {number} [radius=6371008.8] - The radius of the sphere in meters, by default the Earth's mean radius.
+       * @returns {number} The distance in meters.
+       */
+      static haversineDistance(from, to, radius = MEAN_EARTH_RADIUS) {
+        from = LatLng.from(from);
+        to = LatLng.from(to);
+        const lat1 = from.lat * DEG2RAD, lat2 = to.lat * DEG2RAD;
+        const sinDLat = Math.sin((lat2 - lat1) / 2);
+        const sinDLon = Math.sin((to.lon - from.lon) * DEG2RAD / 2);
+        const a = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLon * sinDLon;
+        return 2 * radius * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+      }
+
+      /**
+       * Calculates the geodesic distance between two coordinates on the WGS84 ellipsoid,
+       * with Vincenty's formulae, to within a millimeter. For nearly antipodal points,
+       * where the formulae do not converge, it falls back to haversineDistance().
+       * @param {LatLng|Array|object} from - The first coordinate.
+       * @param {LatLng|Array|object} to - The second coordinate.
+       * @returns {number} The distance in meters.
+       */
+      static vincentyDistance(from, to) {
+        const inverse = GISUtils._vincentyInverse(LatLng.from(from), LatLng.from(to));
+        return inverse ? inverse.distance : GISUtils.haversineDistance(from, to);
+      }
+
+      /**
+       * Calculates the initial bearing of the geodesic from one coordinate to another.
+       * @param {LatLng|Array|object} from - The start.
+       * @param {LatLng|Array|object} to - The end.
+       * @returns {number} The bearing in degrees clockwise from north, in [0, 360).
+       */
+      static initialBearing(from, to) {
+        from = LatLng.from(from);
+        to = LatLng.from(to);
+        const inverse = GISUtils._vincentyInverse(from, to);
+        return GISUtils._normalizeBearing(inverse ? inverse.initialBearing * RAD2DEG : GISUtils._sphericalBearing(from, to));
+      }
+
+      /**
+       * Calculates the bearing at which the geodesic from one coordinate arrives at another.
+       * @param {LatLng|Array|object} from - The start.
+       * @param {LatLng|Array|object} to - The end.
+       * @returns {number} The bearing in degrees clockwise from north, in [0, 360).
+       */
+      static finalBearing(from, to) {
+        from = LatLng.from(from);
+        to = LatLng.from(to);
+        const inverse = GISUtils._vincentyInverse(from, to);
+        return GISUtils._normalizeBearing(inverse ? inverse.finalBearing * RAD2DEG : GISUtils._sphericalBearing(to, from) + 180);
+      }
+
+      /**
+       * Calculates the coordinate reached by following a geodesic on the WGS84 ellipsoid.
+       * @param {LatLng|Array|object} start - The start.
+       * @param {number} distance - The distance in meters.
+       * @param {number} bearing - The initial bearing in degrees clockwise from north.
+       * @returns {LatLng} The destination, with its longitude in [-180, 180].
+       */
+      static destination(start, distance, bearing) {
+        start = LatLng.from(start);
+        const [a, invF] = ELLIPSOIDS.WGS84;
+        const f = 1 / invF;
+        const b = a * (1 - f);
+        const alpha1 = bearing * DEG2RAD;
+        const sinAlpha1 = Math.sin(alpha1), cosAlpha1 = Math.cos(alpha1);
+        const tanU1 = (1 - f) * Math.tan(start.lat * DEG2RAD);
+        const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1), sinU1 = tanU1 * cosU1;
+        const sigma1 = Math.atan2(tanU1, cosAlpha1);
+        const sinAlpha = cosU1 * sinAlpha1;
+        const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+        const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+        const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+        const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+
+        let sigma = distance / (b * A);
+        let sinSigma, cosSigma, cos2SigmaM;
+        for (let i = 0; i < 200; i++) {
+          cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+          sinSigma = Math.sin(sigma);
+          cosSigma = Math.cos(sigma);
+          const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+            B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+          const next = distance / (b * A) + deltaSigma;
+          const done = Math.abs(next - sigma) < 1e-12;
+          sigma = next;
+          if (done) break;
+        }
+        sinSigma = Math.sin(sigma);
+        cosSigma = Math.cos(sigma);
+        cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+
+        const x = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+        const lat = Math.atan2(sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1, (1 - f) * Math.sqrt(sinAlpha * sinAlpha + x * x));
+        const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+        const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+        const L = lambda - (1 - C) * f * sinAlpha *
+          (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+        return new LatLng(lat * RAD2DEG, GISUtils.wrapLongitude(start.lon + L * RAD2DEG), start.alt);
+      }
+
+      /**
+       * Calculates the point halfway along the geodesic between two coordinates.
+       * @param {LatLng|Array|object} from - The first coordinate.
+       * @param {LatLng|Array|object} to - The second coordinate.
+       * @returns {LatLng} The midpoint.
+       */
+      static midpoint(from, to) {
+        return GISUtils.intermediatePoint(from, to, 0.5);
+      }
+
+      /**
+       * Calculates a point at a fraction of the way along the geodesic between two coordinates.
+       * @param {LatLng|Array|object} from - The start.
+       * @param {LatLng|Array|object} to - The end.
+       * @param {number} fraction - 0 at the start, 1 at the end.
+       * @returns {LatLng} The point.
+       */
+      static intermediatePoint(from, to, fraction) {
+        return GISUtils._geodesicPoints(LatLng.from(from), LatLng.from(to), [fraction])[0];
+      }
+
+      /**
+       * Divides the geodesic between two coordinates into segments of equal length, e.g. to
+       * draw it as a line.
+       * @param {LatLng|Array|object} from - The start.
+       * @param {LatLng|Array|object} to - The end.
+       * @param {number} segments - The number of segments.
+       * @returns {LatLng[]} The `segments + 1` points from the start to the end, with longitudes in [-180, 180].
+       */
+      static intermediatePoints(from, to, segments) {
+        from = LatLng.from(from);
+        to = LatLng.from(to);
+        const fractions = [];
+        for (let i = 1; i < segments; i++) fractions.push(i / segments);
+        return [from.wrap(), ...GISUtils._geodesicPoints(from, to, fractions), to.wrap()];
+      }
+
+      /**
+       * Calculates the area of a polygon on the WGS84 ellipsoid. Edges are taken to be
+       * geodesics, which is exact to within 0.1% for edges shorter than a few hundred
+       * kilometers.
+       * @param {Array} latlngs - The ring as an array of coordinates, or an array of rings
+       *   where the first is the outline and the others are holes. Rings may be closed or not.
+       * @returns {number} The area in square meters.
+       */
+      static geodesicArea(latlngs) {
+        const rings = GISUtils._toRings(latlngs);
+        const [a, invF] = ELLIPSOIDS.WGS84;
+        const f = 1 / invF;
+        const e = Math.sqrt((2 - f) * f);
+        // Project the latitudes onto the sphere of the same surface (the authalic sphere),
+        // and sum the spherical excess of the triangles each edge makes with the pole.
+        const q = sin => (1 - e * e) * (sin / (1 - e * e * sin * sin) - Math.log((1 - e * sin) / (1 + e * sin)) / (2 * e));
+        const qp = q(1);
+        const radius = a * Math.sqrt(qp / 2);
+        const ringArea = (ring) => {
+          let excess = 0;
+          for (let i = 0; i < ring.length; i++) {
+            const p1 = ring[i], p2 = ring[(i + 1) % ring.length];
+            const t1 = Math.tan(Math.asin(q(Math.sin(p1.lat * DEG2RAD)) / qp) / 2);
+            const t2 = Math.tan(Math.asin(q(Math.sin(p2.lat * DEG2RAD)) / qp) / 2);
+            const dLon = wrapDeltaLon(p2.lon - p1.lon) * DEG2RAD;
+            excess += 2 * Math.atan2(Math.tan(dLon / 2) * (t1 + t2), 1 + t1 * t2);
+          }
+          return Math.abs(excess) * radius * radius;
+        };
+        return rings.reduce((area, ring, i) => area + (i === 0 ? 1 : -1) * ringArea(ring), 0);
       }
-    }
 
-    /**
-     * Base class for all layer types.
-     * @class Layer
-     */
-    class Layer {
       /**
-       * Creates an instance of Layer.
-       * @param {object} [options={}] - The layer options.
+       * Calculates the perimeter of a polygon on the WGS84 ellipsoid, including any holes.
+       * @param {Array} latlngs - The ring or rings, as for geodesicArea().
+       * @returns {number} The perimeter in meters.
        */
-      constructor(options = {}) {
-        this.options = options;
-        this._map = null;
-        this._events = {};
+      static geodesicPerimeter(latlngs) {
+        let perimeter = 0;
+        for (const ring of GISUtils._toRings(latlngs)) {
+          for (let i = 0; i < ring.length; i++) {
+            perimeter += GISUtils.vincentyDistance(ring[i], ring[(i + 1) % ring.length]);
+          }
+        }
+        return perimeter;
+      }
+
+      static _toRings(latlngs) {
+        const isRing = latlngs.length === 0 || !Array.isArray(latlngs[0]) || typeof latlngs[0][0] === 'number';
+        return (isRing ? [latlngs] : latlngs).map(ring => {
+          const points = ring.map(LatLng.from);
+          // Drop the closing point, which the loops over the edges add back.
+          if (points.length > 1 && points[0].equals(points[points.length - 1])) points.pop();
+          return points;
+        });
+      }
+
+      static _normalizeBearing(deg) {
+        return ((deg % 360) + 360) % 360;
+      }
+
+      static _sphericalBearing(from, to) {
+        const lat1 = from.lat * DEG2RAD, lat2 = to.lat * DEG2RAD;
+        const dLon = (to.lon - from.lon) * DEG2RAD;
+        const y = Math.sin(dLon) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+        return Math.atan2(y, x) * RAD2DEG;
+      }
+
+      static _geodesicPoints(from, to, fractions) {
+        const inverse = GISUtils._vincentyInverse(from, to);
+        if (!inverse) {
+          return GISUtils._sphericalPoints(from, to, fractions);
+        }
+        return fractions.map(fraction => GISUtils.destination(from, inverse.distance * fraction, inverse.initialBearing * RAD2DEG));
+      }
+
+      static _sphericalPoints(from, to, fractions) {
+        const lat1 = from.lat * DEG2RAD, lon1 = from.lon * DEG2RAD;
+        const lat2 = to.lat * DEG2RAD, lon2 = to.lon * DEG2RAD;
+        const delta = GISUtils.haversineDistance(from, to, 1);
+        return fractions.map(fraction => {
+          const A = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+          const B = Math.sin(fraction * delta) / Math.sin(delta);
+          const x = A * Math.cos(lat1) * Math.cos(lon1) + B * Math.cos(lat2) * Math.cos(lon2);
+          const y = A * Math.cos(lat1) * Math.sin(lon1) + B * Math.cos(lat2) * Math.sin(lon2);
+          const z = A * Math.sin(lat1) + B * Math.sin(lat2);
+          return new LatLng(Math.atan2(z, Math.sqrt(x * x + y * y)) * RAD2DEG, Math.atan2(y, x) * RAD2DEG);
+        });
+      }
+
+      // Vincenty's inverse formula on WGS84. Returns the distance in meters and the
+      // bearings in radians, or null if it does not converge (nearly antipodal points).
+      static _vincentyInverse(from, to) {
+        const [a, invF] = ELLIPSOIDS.WGS84;
+        const f = 1 / invF;
+        const b = a * (1 - f);
+        const L = wrapDeltaLon(to.lon - from.lon) * DEG2RAD;
+        const U1 = Math.atan((1 - f) * Math.tan(from.lat * DEG2RAD));
+        const U2 = Math.atan((1 - f) * Math.tan(to.lat * DEG2RAD));
+        const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+        let lambda = L;
+        let sinLambda, cosLambda, sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+        let converged = false;
+        for (let i = 0; i < 200; i++) {
+          sinLambda = Math.sin(lambda);
+          cosLambda = Math.cos(lambda);
+          const t = cosU1 * sinU2 - sinU1 * cosU2 * cosLambda;
+          sinSigma = Math.sqrt((cosU2 * sinLambda) * (cosU2 * sinLambda) + t * t);
+          if (sinSigma === 0) {
+            return { distance: 0, initialBearing: 0, finalBearing: 0 };
+          }
+          cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+          sigma = Math.atan2(sinSigma, cosSigma);
+          const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+          cosSqAlpha = 1 - sinAlpha * sinAlpha;
+          // On the equator, cosSqAlpha is 0.
+          cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+          const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+          const next = L + (1 - C) * f * sinAlpha *
+            (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+          if (Math.abs(next - lambda) < 1e-12) {
+            lambda = next;
+            converged = true;
+            break;
+          }
+          lambda = next;
+        }
+        if (!converged || Math.abs(lambda) > Math.PI) return null;
+
+        const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+        const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+        const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+        const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+          B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+        sinLambda = Math.sin(lambda);
+        cosLambda = Math.cos(lambda);
+        return {
+          distance: b * A * (sigma - deltaSigma),
+          initialBearing: Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda),
+          finalBearing: Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda)
+        };
       }
 
       /**
-       * Adds the layer to the given map.
-       * @param {Atlas} map - The map instance.
-       * @returns {Layer} The current layer instance.
+       * This method is now a wrapper around the projection's method for backward compatibility.
+       * @param {number} x - The x-coordinate of the tile.
+       * @param {number} y - The y-coordinate of the tile.
+       * @param {number} z - The zoom level.
+       * @returns {object} The geographical coordinate.
+       * @deprecated
        */
-      addTo(map) {
-        if (this._map) {
-          this._map.removeLayer(this);
-        }
-        this._map = map;
-        map.addLayer(this);
-        return this;
+      static tileToLonLat(x, y, z) {
+        return DEFAULT_PROJECTION.tileToLatLng(x, y, z);
       }
+    }
 
+    /**
+     * A geographical coordinate. Every method of the API that takes a coordinate also
+     * accepts `[lat, lon]` arrays and `{ lat, lon }` or `{ lat, lng }` objects, which
+     * are converted with LatLng.from().
+     * @class LatLng
+     */
+    class LatLng {
       /**
-       * Removes the layer from the map.
-       * @returns {Layer} The current layer instance.
+       * Creates an instance of LatLng.
+       * @param {number} lat - The latitude in degrees.
+       * @param {number} lon - The longitude in degrees.
+       * @param {number} [alt] - The altitude in meters.
+       * @throws {Error} If the latitude or longitude is not a finite number.
        */
-      remove() {
-        if (this._map) {
-          this._map.removeLayer(this);
-          this._map = null;
+      constructor(lat, lon, alt) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+          throw new Error(`[Atlas] Invalid LatLng: latitude and longitude must be finite numbers, got (${lat}, ${lon}).`);
+        }
+        this.lat = lat;
+        this.lon = lon;
+        if (alt !== undefined) {
+          this.alt = alt;
         }
-        return this;
       }
 
       /**
-       * Adds an event listener to the layer.
-       * @param {string} type - The event type.
-       * @param {Function} fn - The event listener function.
-       * @returns {Layer} The current layer instance.
+       * The longitude, under the name used by GeoJSON tools and other map libraries.
+       * @type {number}
        */
-      on(type, fn) {
-        if (!this._events[type]) {
-          this._events[type] = [];
-        }
-        this._events[type].push(fn);
-        return this;
+      get lng() {
+        return this.lon;
       }
 
       /**
-       * Removes an event listener from the layer.
-       * @param {string} type - The event type.
-       * @param {Function} [fn] - The event listener function. If not provided, all listeners for the type are removed.
-       * @returns {Layer} The current layer instance.
+       * Converts a LatLng, a `[lat, lon]` or `[lat, lon, alt]` array, or an object with
+       * `lat` and `lon` (or `lng`) to a LatLng.
+       * @param {LatLng|Array|object} value - The coordinate.
+       * @returns {LatLng} The LatLng.
+       * @throws {Error} If the value is not a valid coordinate.
        */
-      off(type, fn) {
-        if (!this._events[type]) return this;
-        if (!fn) {
-          this._events[type] = [];
-        } else {
-          this._events[type] = this._events[type].filter(cb => cb !== fn);
+      static from(value) {
+        if (value instanceof LatLng) return value;
+        if (Array.isArray(value) && (value.length === 2 || value.length === 3)) {
+          return new LatLng(value[0], value[1], value[2]);
         }
-        return this;
+        if (value && typeof value === 'object' && 'lat' in value && ('lon' in value || 'lng' in value)) {
+          return new LatLng(value.lat, 'lon' in value ? value.lon : value.lng, value.alt);
+        }
+        throw new Error(`[Atlas] Invalid LatLng: expected [lat, lon], { lat, lon } or { lat, lng }, got ${JSON.stringify(value)}.`);
       }
 
       /**
-       * Fires an event on the layer.
-       * @param {string} type - The event type.
-       * @param {object} [data={}] - The event data.
+       * Checks whether another coordinate is the same, within a margin.
+       * @param {LatLng|Array|object} other - The other coordinate.
+       * @param {number} [maxMargin=1e-9] - The largest difference in degrees considered equal.
+       * @returns {boolean} True if the coordinates are equal.
        */
-      fire(type, data = {}) {
-        if (!this._events[type]) return;
-        data.type = type;
-        data.target = this;
-        this._events[type].forEach(fn => fn(data));
+      equals(other, maxMargin = 1e-9) {
+        other = LatLng.from(other);
+        return Math.max(Math.abs(this.lat - other.lat), Math.abs(this.lon - other.lon)) <= maxMargin;
       }
 
       /**
-       * Called when the layer is added to the map.
+       * Calculates the geodesic distance to another coordinate on the WGS84 ellipsoid.
+       * @param {LatLng|Array|object} other - The other coordinate.
+       * @returns {number} The distance in meters.
        */
-      onAdd() { }
+      distanceTo(other) {
+        return GISUtils.vincentyDistance(this, other);
+      }
 
       /**
-       * Called when the layer is removed from the map.
+       * Calculates the initial bearing of the geodesic to another coordinate.
+       * @param {LatLng|Array|object} other - The other coordinate.
+       * @returns {number} The bearing in degrees clockwise from north, in [0, 360).
        */
-      onRemove() { }
+      bearingTo(other) {
+        return GISUtils.initialBearing(this, other);
+      }
 
       /**
-       * Renders the layer on the map.
+       * Calculates the coordinate reached by following a geodesic from this one.
+       * @param {number} distance - The distance in meters.
+       * @param {number} bearing - The initial bearing in degrees clockwise from north.
+       * @returns {LatLng} The destination.
        */
-      render() { }
+      destination(distance, bearing) {
+        return GISUtils.destination(this, distance, bearing);
+      }
+
+      /**
+       * Calculates the point halfway along the geodesic to another coordinate.
+       * @param {LatLng|Array|object} other - The other coordinate.
+       * @returns {LatLng} The midpoint.
+       */
+      midpointTo(other) {
+        return GISUtils.midpoint(this, other);
+      }
+
+      /**
+       * Calculates a point at a fraction of the way along the geodesic to another coordinate.
+       * @param {LatLng|Array|object} other - The other coordinate.
+       * @param {number} fraction - 0 at this coordinate, 1 at the other.
+       * @returns {LatLng} The point.
+       */
+      intermediatePointTo(other, fraction) {
+        return GISUtils.intermediatePoint(this, other, fraction);
+      }
+
+      /**
+       * Returns a copy with the longitude wrapped to [-180, 180].
+       * @returns {LatLng} The wrapped coordinate.
+       */
+      wrap() {
+        return new LatLng(this.lat, GISUtils.wrapLongitude(this.lon), this.alt);
+      }
+
+      /**
+       * Gets a string representation of the coordinate.
+       * @param {number} [precision=6] - The number of decimals.
+       * @returns {string} The string, e.g. "LatLng(34.020882, -6.841650)".
+       */
+      toString(precision = 6) {
+        return `LatLng(${this.lat.toFixed(precision)}, ${this.lon.toFixed(precision)})`;
+      }
     }
 
     /**
-     * A layer for displaying tiled map data.
-     * @class TileLayer
-     * @extends Layer
+     * A rectangle in geographical coordinates. Like LatLng, methods that take bounds
+     * also accept `[[south, west], [north, east]]` arrays (or any array of coordinates
+     * to enclose), `{ south, west, north, east }` objects and layers with a getBounds()
+     * method, which are converted with LatLngBounds.from().
+     * @class LatLngBounds
      */
-    class TileLayer extends Layer {
+    class LatLngBounds {
       /**
-       * Creates an instance of TileLayer.
-       * @param {string} urlTemplate - The URL template for the tiles.
-       * @param {object} [options={}] - The tile layer options.
+       * Creates an instance of LatLngBounds. Without arguments the bounds are empty
+       * until extend() is called.
+       * @param {LatLng|Array|object} [corner1] - A corner of the bounds.
+       * @param {LatLng|Array|object} [corner2] - The opposite corner.
        */
-      constructor(urlTemplate, options = {}) {
-        super(options);
-        this.urlTemplate = urlTemplate;
-        this.options = {
-          minZoom: options.minZoom || 0,
-          maxZoom: options.maxZoom || 18,
-          attribution: options.attribution || '',
-          background: options.background || '#ffffff',
-          supportsRetina: options.supportsRetina || false,
-          maxCacheSize: options.maxCacheSize || 500,
-          ...options
-        };
-        this.tileCache = new Map();
-        this.loadingTiles = new Set();
-        this.loadingControllers = new Map();
-        this._retinaAvailable = true;
+      constructor(corner1, corner2) {
+        if (corner1) this.extend(corner1);
+        if (corner2) this.extend(corner2);
       }
 
-      _getTileUrl(x, y, z) {
-        const scale = Math.pow(2, z);
-        // Robustly wrap the X coordinate to [0, scale)
-        let wrappedX = ((x % scale) + scale) % scale;
-        const intX = Math.floor(wrappedX);
-        const intY = Math.max(0, Math.min(scale - 1, Math.floor(y)));
-        let url = this.urlTemplate.replace('{z}', z).replace('{x}', intX).replace('{y}', intY);
-        if (this.options.supportsRetina && this._shouldRequestRetina()) {
-          url += CONFIG.retinaSuffix;
+      /**
+       * Converts LatLngBounds, an array of coordinates, a `{ south, west, north, east }`
+       * object or a layer with a getBounds() method to LatLngBounds.
+       * @param {LatLngBounds|Array|object} value - The bounds.
+       * @returns {LatLngBounds} The bounds.
+       * @throws {Error} If the value is not valid bounds.
+       */
+      static from(value) {
+        if (value instanceof LatLngBounds) return value;
+        if (value && typeof value.getBounds === 'function') {
+          return LatLngBounds.from(value.getBounds());
+        }
+        let bounds = null;
+        if (Array.isArray(value) && value.length > 0 && typeof value[0] !== 'number') {
+          bounds = new LatLngBounds();
+          value.forEach(latlng => bounds.extend(latlng));
+        } else if (value && typeof value === 'object' && ['south', 'west', 'north', 'east'].every(k => Number.isFinite(value[k]))) {
+          bounds = new LatLngBounds([value.south, value.west], [value.north, value.east]);
         }
-        return url;
+        if (!bounds || !bounds.isValid()) {
+          throw new Error(`[Atlas] Invalid LatLngBounds: expected [[south, west], [north, east]] or { south, west, north, east }, got ${JSON.stringify(value)}.`);
+        }
+        return bounds;
       }
 
-      _shouldRequestRetina() {
-        const mode = CONFIG.retina;
-        const want = (mode === true) || (mode === "auto" && (window.devicePixelRatio || 1) > 1.5);
-        return want && this._retinaAvailable;
+      /**
+       * Extends the bounds to contain a coordinate or other bounds.
+       * @param {LatLng|LatLngBounds|Array|object} obj - The coordinate or bounds.
+       * @returns {LatLngBounds} The current bounds.
+       */
+      extend(obj) {
+        let sw, ne;
+        if (obj instanceof LatLngBounds || (obj && typeof obj === 'object' && 'south' in obj)) {
+          const other = LatLngBounds.from(obj);
+          if (!other.isValid()) return this;
+          sw = other.getSouthWest();
+          ne = other.getNorthEast();
+        } else {
+          sw = ne = LatLng.from(obj);
+        }
+        if (!this.isValid()) {
+          this.south = sw.lat;
+          this.west = sw.lon;
+          this.north = ne.lat;
+          this.east = ne.lon;
+        } else {
+          this.south = Math.min(this.south, sw.lat);
+          this.west = Math.min(this.west, sw.lon);
+          this.north = Math.max(this.north, ne.lat);
+          this.east = Math.max(this.east, ne.lon);
+        }
+        return this;
       }
 
-      async _loadTile(key, url) {
-        if (this.tileCache.has(key)) return this.tileCache.get(key);
-        const controller = new AbortController();
-        const signal = controller.signal;
-        this.loadingControllers.set(key, controller);
-        const img = new Image();
-        img.crossOrigin = "anonymous";
-        const tile = { img, loaded: false, loadedAt: Date.now(), lastUsed: Date.now(), controller };
-        this.tileCache.set(key, tile);
-        this.loadingTiles.add(key);
-
-        const start = performance.now();
-        let timeoutId;
-        const timeoutPromise = new Promise((_, reject) => {
-          timeoutId = setTimeout(() => {
-            if (this.loadingTiles.has(key)) {
-              controller.abort();
-              console.warn(`[Atlas] Tile load timeout for: ${url}`);
-              this.loadingTiles.delete(key);
-              this.loadingControllers.delete(key);
-              if (this.tileCache.has(key)) {
-                this.tileCache.delete(key);
-              }
-              this.fire('tileerror', { tile: key, url, error: new Error('Timeout') });
-              reject(new Error(`Timeout loading tile: ${url}`));
-            }
-          }, TILE_LOAD_TIMEOUT_MS);
-        });
+      /**
+       * Checks whether the bounds have been given a position.
+       * @returns {boolean} True unless the bounds are empty.
+       */
+      isValid() {
+        return this.south !== undefined;
+      }
 
-        const loadPromise = new Promise((resolve, reject) => {
-          img.onload = () => {
-            clearTimeout(timeoutId);
-            const loadTime = performance.now() - start;
-            console.log(`[Atlas] Tile ${key} loaded in ${loadTime.toFixed(2)}ms`);
-            tile.loaded = true;
-            tile.loadedAt = Date.now();
-            this.loadingTiles.delete(key);
-            this.loadingControllers.delete(key);
-            if (this._map) {
-              this._map.scheduleRender();
-            }
-            this.fire('tileload', { tile: key, url });
-            resolve(tile);
-          };
+      /**
+       * Gets the south-west corner.
+       * @returns {LatLng} The corner.
+       */
+      getSouthWest() {
+        return new LatLng(this.south, this.west);
+      }
 
-          img.onerror = (e) => {
-            clearTimeout(timeoutId);
-            if (signal.aborted) return;
-            console.warn(`[Atlas] Failed to load tile: ${url}`, e);
-            if (this.options.supportsRetina && url.includes(CONFIG.retinaSuffix)) {
-              this._retinaAvailable = false;
-              const nonRetinaUrl = url.replace(CONFIG.retinaSuffix, "");
-              img.src = nonRetinaUrl;
-              return;
-            }
-            this.loadingTiles.delete(key);
-            this.loadingControllers.delete(key);
-            this.fire('tileerror', { tile: key, url, error: e });
-            reject(e);
-          };
+      /**
+       * Gets the north-east corner.
+       * @returns {LatLng} The corner.
+       */
+      getNorthEast() {
+        return new LatLng(this.north, this.east);
+      }
 
-          img.src = url;
-        });
+      /**
+       * Gets the center of the bounds.
+       * @returns {LatLng} The center.
+       */
+      getCenter() {
+        return new LatLng((this.south + this.north) / 2, (this.west + this.east) / 2);
+      }
 
-        try {
-          await Promise.race([loadPromise, timeoutPromise]);
-        } catch (error) {
-          if (!signal.aborted) {
-            console.error("[Atlas] Tile loading failed or timed out:", error.message);
-          }
-          throw error;
+      /**
+       * Checks whether the bounds contain a coordinate, or other bounds entirely.
+       * @param {LatLng|LatLngBounds|Array|object} obj - The coordinate or bounds.
+       * @returns {boolean} True if obj is inside the bounds.
+       */
+      contains(obj) {
+        if (obj instanceof LatLngBounds || (obj && typeof obj === 'object' && 'south' in obj) ||
+            (Array.isArray(obj) && typeof obj[0] !== 'number')) {
+          const other = LatLngBounds.from(obj);
+          return other.south >= this.south && other.north <= this.north &&
+            other.west >= this.west && other.east <= this.east;
         }
-
-        return tile;
+        const latlng = LatLng.from(obj);
+        return latlng.lat >= this.south && latlng.lat <= this.north &&
+          latlng.lon >= this.west && latlng.lon <= this.east;
       }
 
-      _reloadTile(key, url) {
-        const existing = this.tileCache.get(key);
-        if (!existing) return;
-        const token = key + "#r";
-        if (this.loadingTiles.has(token)) return;
+      /**
+       * Checks whether the bounds share at least one point with other bounds.
+       * @param {LatLngBounds|Array|object} bounds - The other bounds.
+       * @returns {boolean} True if the bounds intersect.
+       */
+      intersects(bounds) {
+        const other = LatLngBounds.from(bounds);
+        return other.north >= this.south && other.south <= this.north &&
+          other.east >= this.west && other.west <= this.east;
+      }
 
-        const doReload = () => {
-          const controller = new AbortController();
-          const img = new Image();
-          img.crossOrigin = "anonymous";
-          this.loadingTiles.add(token);
+      /**
+       * Returns bounds grown (or shrunk, with a negative ratio) on every side by a
+       * ratio of their size, e.g. 0.5 adds half the width to the west and to the east.
+       * @param {number} ratio - The ratio.
+       * @returns {LatLngBounds} The new bounds.
+       */
+      pad(ratio) {
+        const dLat = (this.north - this.south) * ratio;
+        const dLon = (this.east - this.west) * ratio;
+        return new LatLngBounds([this.south - dLat, this.west - dLon], [this.north + dLat, this.east + dLon]);
+      }
 
-          img.onload = () => {
-            existing.img = img;
-            existing.loaded = true;
-            existing.loadedAt = Date.now();
-            this.loadingTiles.delete(token);
-            if (this._map) {
-              this._map.scheduleRender();
-            }
-          };
+      /**
+       * Checks whether other bounds are the same, within a margin.
+       * @param {LatLngBounds|Array|object} bounds - The other bounds.
+       * @param {number} [maxMargin=1e-9] - The largest difference in degrees considered equal.
+       * @returns {boolean} True if the bounds are equal.
+       */
+      equals(bounds, maxMargin = 1e-9) {
+        const other = LatLngBounds.from(bounds);
+        return this.getSouthWest().equals(other.getSouthWest(), maxMargin) &&
+          this.getNorthEast().equals(other.getNorthEast(), maxMargin);
+      }
 
-          img.onerror = () => {
-            this.loadingTiles.delete(token);
-          };
+      /**
+       * Gets the bounds in the "west,south,east,north" form used by WMS and other web
+       * services.
+       * @returns {string} The bounding box string.
+       */
+      toBBoxString() {
+        return [this.west, this.south, this.east, this.north].join(',');
+      }
+    }
 
-          img.src = `${url}${url.includes("?") ? "&" : "?"}v=${Date.now()}`;
-        };
+    /**
+     * Base class for everything that fires events: the map, layers, controls and overlays.
+     *
+     * Listeners are isolated from each other, so an exception in one is logged and does
+     * not stop the others from running. Events fired with `propagate` set bubble up to
+     * the event parents registered with addEventParent(), e.g. from a layer to its map.
+     * @class Evented
+     */
+    class Evented {
+      /**
+       * Creates an instance of Evented.
+       */
+      constructor() {
+        this._events = {};
+        this._eventParents = [];
+      }
 
-        if ('requestIdleCallback' in window) {
-          requestIdleCallback(doReload, { timeout: 2000 });
-        } else {
-          setTimeout(doReload, 100);
-        }
+      /**
+       * Adds an event listener.
+       * @param {string} types - The event type, or several separated by spaces.
+       * @param {Function} fn - The event listener function.
+       * @param {object} [context] - The `this` value for the listener.
+       * @returns {Evented} The current instance.
+       */
+      on(types, fn, context) {
+        return this._addListeners(types, fn, context, false);
       }
 
-      _evict() {
-        if (this.tileCache.size <= this.options.maxCacheSize) return;
-        if ('requestIdleCallback' in window) {
-          requestIdleCallback(() => this._performEviction(), { timeout: 2000 });
-        } else {
-          setTimeout(() => this._performEviction(), 100);
-        }
+      /**
+       * Adds an event listener that is removed after it runs once.
+       * @param {string} types - The event type, or several separated by spaces.
+       * @param {Function} fn - The event listener function.
+       * @param {object} [context] - The `this` value for the listener.
+       * @returns {Evented} The current instance.
+       */
+      once(types, fn, context) {
+        return this._addListeners(types, fn, context, true);
       }
 
-      _performEviction() {
-        if (this.tileCache.size <= this.options.maxCacheSize) return;
-        const entries = Array.from(this.tileCache.entries());
-        entries.sort((a, b) => a[1].lastUsed - b[1].lastUsed);
-        const removeCount = this.tileCache.size - this.options.maxCacheSize;
-        for (let i = 0; i < removeCount; i++) {
-          this.tileCache.delete(entries[i][0]);
+      /**
+       * Removes an event listener.
+       * @param {string} [types] - The event type, or several separated by spaces. If not provided, all listeners are removed.
+       * @param {Function} [fn] - The event listener function. If not provided, all listeners for the type are removed.
+       * @param {object} [context] - The context the listener was added with.
+       * @returns {Evented} The current instance.
+       */
+      off(types, fn, context) {
+        if (types === undefined) {
+          this._events = {};
+          return this;
         }
+        for (const type of types.split(/\s+/)) {
+          if (!this._events[type]) continue;
+          if (!fn) {
+            delete this._events[type];
+            continue;
+          }
+          this._events[type] = this._events[type].filter(l => l.fn !== fn || (context !== undefined && l.context !== context));
+          if (this._events[type].length === 0) {
+            delete this._events[type];
+          }
+        }
+        return this;
       }
 
-      _preloadAdjacentZoomTiles() {
-        if (!this._map) return;
-        const zInt = Math.floor(this._map.zoom);
-        const nextZoom = Math.min(this.options.maxZoom, zInt + 1);
-        const prevZoom = Math.max(this.options.minZoom, zInt - 1);
+      /**
+       * Fires an event.
+       * @param {string} type - The event type.
+       * @param {object} [data={}] - The event data.
+       * @param {boolean} [propagate=false] - Whether the event bubbles up to the event parents.
+       * @returns {Evented} The current instance.
+       */
+      fire(type, data = {}, propagate = false) {
+        const event = {
+          ...data,
+          type,
+          target: this,
+          sourceTarget: data.sourceTarget || this,
+          stopPropagation() { this._stopped = true; }
+        };
 
-        if (Math.abs(this._map.zoom - zInt) > 0.3) return;
+        const listeners = this._events[type];
+        if (listeners) {
+          // Iterate over a copy so listeners can add or remove listeners while firing.
+          for (const listener of [...listeners]) {
+            if (listener.once) {
+              this.off(type, listener.fn, listener.context);
+            }
+            try {
+              listener.fn.call(listener.context || this, event);
+            } catch (err) {
+              console.error(`[Atlas] Error in '${type}' event listener:`, err);
+            }
+          }
+        }
 
-        // Use wrapped longitude to prevent loading tiles from adjacent worlds
-        const wrappedCenterLon = GISUtils.wrapLongitude(this._map.center.lon);
-        const ct = this._map.projection.latLngToTile({ lat: this._map.center.lat, lon: wrappedCenterLon }, zInt);
-        const ts = TILE_SIZE;
-        const w = this._map.canvas.width / this._map.dpr;
-        const h = this._map.canvas.height / this._map.dpr;
-        const viewportTiles = Math.ceil(Math.max(w, h) / ts) + TILE_BUFFER;
+        if (propagate && !event._stopped) {
+          for (const parent of this._eventParents) {
+            const { type: _type, target, stopPropagation, _stopped, ...rest } = event;
+            parent.fire(type, { ...rest, propagatedFrom: this }, true);
+          }
+        }
+        return this;
+      }
 
-        for (let dz of [prevZoom, nextZoom]) {
-          if (dz === zInt) continue;
-          const scaleDiff = Math.pow(2, Math.abs(dz - zInt));
-          const startX = Math.floor(ct.x * (dz > zInt ? scaleDiff : 1 / scaleDiff) - viewportTiles / 2);
-          const startY = Math.floor(ct.y * (dz > zInt ? scaleDiff : 1 / scaleDiff) - viewportTiles / 2);
+      /**
+       * Checks whether there are listeners for an event type.
+       * @param {string} type - The event type.
+       * @param {boolean} [propagate=false] - Whether to also check the event parents.
+       * @returns {boolean} True if a listener would receive the event.
+       */
+      listens(type, propagate = false) {
+        if (this._events[type] && this._events[type].length > 0) return true;
+        return propagate && this._eventParents.some(parent => parent.listens(type, true));
+      }
 
-          for (let dx = 0; dx < viewportTiles; dx++) {
-            for (let dy = 0; dy < viewportTiles; dy++) {
-              const X = startX + dx, Y = startY + dy;
-              const key = `${dz}/${X}/${Y}`;
-              if (!this.tileCache.has(key) && !this.loadingTiles.has(key)) {
-                const url = this._getTileUrl(X, Y, dz);
-                this._loadTile(key, url);
-              }
-            }
+      /**
+       * Adds an event parent that receives the events fired with `propagate`.
+       * @param {Evented} obj - The event parent.
+       * @returns {Evented} The current instance.
+       */
+      addEventParent(obj) {
+        if (!this._eventParents.includes(obj)) {
+          this._eventParents.push(obj);
+        }
+        return this;
+      }
+
+      /**
+       * Removes an event parent.
+       * @param {Evented} obj - The event parent.
+       * @returns {Evented} The current instance.
+       */
+      removeEventParent(obj) {
+        this._eventParents = this._eventParents.filter(parent => parent !== obj);
+        return this;
+      }
+
+      _addListeners(types, fn, context, once) {
+        if (typeof fn !== 'function') {
+          throw new TypeError('[Atlas] Event listener must be a function.');
+        }
+        for (const type of types.split(/\s+/)) {
+          if (!this._events[type]) {
+            this._events[type] = [];
+          }
+          const exists = this._events[type].some(l => l.fn === fn && l.context === context);
+          if (!exists) {
+            this._events[type].push({ fn, context, once });
           }
         }
+        return this;
       }
+    }
 
-      render() {
-        if (!this._map) return;
+    /**
+     * Base class for all layer types.
+     * @class Layer
+     * @extends Evented
+     */
+    class Layer extends Evented {
+      /**
+       * Creates an instance of Layer.
+       * @param {object} [options={}] - The layer options.
+       */
+      constructor(options = {}) {
+        super();
+        this.options = options;
+        this._map = null;
+      }
 
-        const w = this._map.canvas.width / this._map.dpr;
-        const h = this._map.canvas.height / this._map.dpr;
-        const zInt = Math.floor(this._map.zoom);
-        const scaleFactor = Math.pow(2, this._map.zoom - zInt);
-        const ts = TILE_SIZE;
+      /**
+       * Adds the layer to the given map.
+       * @param {Atlas} map - The map instance.
+       * @returns {Layer} The current layer instance.
+       */
+      addTo(map) {
+        if (this._map) {
+          this._map.removeLayer(this);
+        }
+        this._map = map;
+        map.addLayer(this);
+        return this;
+      }
 
-        // Use wrapped longitude to anchor the tile grid, preventing "split world" artifacts
-        const wrappedCenterLon = GISUtils.wrapLongitude(this._map.center.lon);
-        const ct = this._map.projection.latLngToTile({ lat: this._map.center.lat, lon: wrappedCenterLon }, zInt);
+      /**
+       * Removes the layer from the map.
+       * @returns {Layer} The current layer instance.
+       */
+      remove() {
+        if (this._map) {
+          this._map.removeLayer(this);
+          this._map = null;
+        }
+        return this;
+      }
 
-        const absCos = Math.abs(Math.cos(this._map.bearing)), absSin = Math.abs(Math.sin(this._map.bearing));
-        const needW = w * absCos + h * absSin;
-        const needH = w * absSin + h * absCos;
+      /**
+       * Called when the layer is added to the map.
+       */
+      onAdd() { }
 
-        const cols = Math.ceil(needW / (ts * scaleFactor)) + TILE_BUFFER;
-        const rows = Math.ceil(needH / (ts * scaleFactor)) + TILE_BUFFER;
+      /**
+       * Called when the layer is removed from the map.
+       */
+      onRemove() { }
 
-        const startX = Math.floor(ct.x - cols / 2);
-        const startY = Math.floor(ct.y - rows / 2);
-        const maxTileY = Math.pow(2, zInt);
+      /**
+       * Renders the layer on the map.
+       */
+      render() { }
 
-        const tiles = [];
-        for (let dx = 0; dx < cols; dx++) {
-          for (let dy = 0; dy < rows; dy++) {
-            const X = startX + dx, Y = startY + dy;
-            if (Y < 0 || Y >= maxTileY) {
-                continue;
-            }
-            const dist = Math.hypot(dx - cols / 2, dy - rows / 2);
-            tiles.push({ X, Y, dist });
-          }
+      /**
+       * Finds the feature of this layer at a container point, for interactive layers.
+       * @param {object} point - The container point.
+       * @returns {object|null} The feature, or null if none was hit.
+       */
+      hitTest(point) {
+        return null;
+      }
+    }
+
+    // --- Persistent Tile Storage ---
+    const TILE_STORE_QUOTA = 50 * 1024 * 1024; // 50 MB
+    // Cache Storage keys entries by URL, so stored tiles get one under a reserved domain.
+    const TILE_STORE_URL = 'https://atlas-tile-store.invalid/';
+
+    class IndexedDBTileBackend {
+      constructor(name) {
+        this.name = name;
+        this._db = null;
+      }
+
+      open() {
+        return new Promise((resolve, reject) => {
+          const request = window.indexedDB.open(this.name, 1);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore('meta', { keyPath: 'id' });
+            request.result.createObjectStore('blobs');
+          };
+          request.onsuccess = () => {
+            this._db = request.result;
+            resolve();
+          };
+          request.onerror = () => reject(request.error);
+        });
+      }
+
+      _transaction(mode, fn) {
+        return new Promise((resolve, reject) => {
+          const tx = this._db.transaction(['meta', 'blobs'], mode);
+          const request = fn(tx.objectStore('meta'), tx.objectStore('blobs'));
+          tx.oncomplete = () => resolve(request ? request.result : undefined);
+          tx.onerror = tx.onabort = () => reject(tx.error);
+        });
+      }
+
+      list() {
+        return this._transaction('readonly', meta => meta.getAll());
+      }
+
+      async get(id) {
+        return (await this._transaction('readonly', (meta, blobs) => blobs.get(id))) || null;
+      }
+
+      put(entry, blob) {
+        return this._transaction('readwrite', (meta, blobs) => {
+          meta.put(entry);
+          blobs.put(blob, entry.id);
+        });
+      }
+
+      touch(entry) {
+        return this._transaction('readwrite', meta => meta.put(entry));
+      }
+
+      delete(id) {
+        return this._transaction('readwrite', (meta, blobs) => {
+          meta.delete(id);
+          blobs.delete(id);
+        });
+      }
+    }
+
+    class CacheStorageTileBackend {
+      constructor(name) {
+        this.name = name;
+        this._cache = null;
+      }
+
+      async open() {
+        this._cache = await window.caches.open(this.name);
+      }
+
+      _url(id) {
+        return TILE_STORE_URL + encodeURIComponent(id);
+      }
+
+      async list() {
+        const entries = [];
+        for (const request of await this._cache.keys()) {
+          const response = await this._cache.match(request);
+          const header = response && response.headers.get('X-Atlas-Tile');
+          if (header) entries.push(JSON.parse(header));
         }
+        return entries;
+      }
 
-        tiles.sort((a, b) => a.dist - b.dist);
+      async get(id) {
+        const response = await this._cache.match(this._url(id));
+        return response ? response.blob() : null;
+      }
 
-        const ctx = this._map.ctx;
-        ctx.save();
-        ctx.translate(w / 2, h / 2);
-        ctx.rotate(this._map.bearing);
-        ctx.scale(scaleFactor, scaleFactor);
-        ctx.imageSmoothingEnabled = false;
+      put(entry, blob) {
+        return this._cache.put(this._url(entry.id), new Response(blob, {
+          headers: { 'Content-Type': blob.type, 'X-Atlas-Tile': JSON.stringify(entry) }
+        }));
+      }
 
-        for (const { X, Y } of tiles) {
-          const key = `${zInt}/${X}/${Y}`;
-          const url = this._getTileUrl(X, Y, zInt);
-          const trX = (X - ct.x) * ts;
-          const trY = (Y - ct.y) * ts;
+      touch() {
+        // Cache Storage cannot update an entry without writing the tile again, so the last
+        // use is only tracked in memory, and tiles stored long ago are evicted first after a reload.
+        return Promise.resolve();
+      }
 
-          let tile = this.tileCache.get(key);
-          if (!tile) {
-            this._loadTile(key, url);
-          } else if (tile.loaded) {
-            ctx.drawImage(tile.img, trX, trY, ts, ts);
-            tile.lastUsed = Date.now();
-            if (tile.loadedAt && (Date.now() - tile.loadedAt > TILE_TTL)) {
-              this._reloadTile(key, url);
-            }
+      delete(id) {
+        return this._cache.delete(this._url(id));
+      }
+    }
+
+    /**
+     * A persistent store for tiles, in IndexedDB or Cache Storage, that tile layers read
+     * through so the map keeps working without a connection. One store can be shared by
+     * several layers, each in its own namespace.
+     *
+     * ```js
+     * const store = new TileStore({ quota: 200 * 1024 * 1024 });
+     * const layer = new TileLayer('https://tiles.example.com/{z}/{x}/{y}.png', { store, storeNamespace: 'base' });
+     * ```
+     * @class TileStore
+     */
+    class TileStore {
+      /**
+       * Creates an instance of TileStore.
+       * @param {object} [options] - The store options.
+       * @param {string} [options.name="atlas-tiles"] - The name of the database or cache.
+       * @param {number} [options.quota] - The most bytes to store; the least recently used tiles are evicted past it. 50 MB by default.
+       * @param {number} [options.ttl] - How long tiles stay fresh, in milliseconds. Older tiles are still shown, and reloaded when online. 24 hours by default.
+       * @param {string} [options.backend="auto"] - `"indexeddb"`, `"cache"` or `"auto"` for IndexedDB when available and Cache Storage otherwise.
+       */
+      constructor(options = {}) {
+        this.options = {
+          name: 'atlas-tiles',
+          quota: TILE_STORE_QUOTA,
+          ttl: TILE_TTL,
+          backend: 'auto',
+          ...options
+        };
+        this._index = new Map();
+        this._ready = null;
+      }
+
+      _open() {
+        if (!this._ready) {
+          const { backend, name } = this.options;
+          let storage;
+          if (backend !== 'cache' && window.indexedDB) {
+            storage = new IndexedDBTileBackend(name);
+          } else if (backend !== 'indexeddb' && window.caches) {
+            storage = new CacheStorageTileBackend(name);
+          } else {
+            return Promise.reject(new Error(`[Atlas] TileStore backend "${backend}" is not available in this browser.`));
           }
+          this._ready = storage.open()
+            .then(() => storage.list())
+            .then(entries => {
+              for (const entry of entries) {
+                this._index.set(entry.id, entry);
+              }
+              return storage;
+            });
         }
+        return this._ready;
+      }
 
-        ctx.restore();
-        this._evict();
-        this._preloadAdjacentZoomTiles();
+      _id(namespace, key) {
+        return `${namespace}|${key}`;
       }
 
       /**
-       * Called when the layer is added to the map.
+       * Gets a stored tile.
+       * @param {string} namespace - The namespace of the layer.
+       * @param {string} key - The key of the tile, usually its URL.
+       * @returns {Promise<object|null>} `{ blob, storedAt, stale }`, or null if the tile is not stored.
        */
-      onAdd() {
-        this.fire('add');
+      async get(namespace, key) {
+        const storage = await this._open();
+        const entry = this._index.get(this._id(namespace, key));
+        if (!entry) return null;
+        const blob = await storage.get(entry.id);
+        if (!blob) {
+          this._index.delete(entry.id);
+          return null;
+        }
+        entry.lastUsed = Date.now();
+        storage.touch(entry).catch(() => {});
+        return { blob, storedAt: entry.storedAt, stale: this._isStale(entry) };
       }
 
       /**
-       * Called when the layer is removed from the map.
+       * Checks whether a fresh copy of a tile is stored, without reading it.
+       * @param {string} namespace - The namespace of the layer.
+       * @param {string} key - The key of the tile.
+       * @returns {Promise<boolean>} Whether the tile is stored and fresh.
        */
-      onRemove() {
-        for (const controller of this.loadingControllers.values()) {
-          controller.abort();
-        }
-        this.loadingTiles.clear();
-        this.loadingControllers.clear();
-        this.tileCache.clear();
-        this.fire('remove');
+      async has(namespace, key) {
+        await this._open();
+        const entry = this._index.get(this._id(namespace, key));
+        return !!entry && !this._isStale(entry);
       }
 
       /**
-       * Gets the attribution text for the layer.
-       * @returns {string} The attribution text.
+       * Stores a tile, evicting the least recently used tiles if the store goes over its quota.
+       * @param {string} namespace - The namespace of the layer.
+       * @param {string} key - The key of the tile.
+       * @param {Blob} blob - The tile data.
+       * @returns {Promise<void>}
        */
-      getAttribution() {
-        return this.options.attribution;
+      async put(namespace, key, blob) {
+        const storage = await this._open();
+        const now = Date.now();
+        const entry = { id: this._id(namespace, key), namespace, key, size: blob.size, storedAt: now, lastUsed: now };
+        await storage.put(entry, blob);
+        this._index.set(entry.id, entry);
+        await this._enforceQuota(storage);
       }
 
       /**
-       * Gets the background color of the layer.
-       * @returns {string} The background color.
+       * Removes a tile.
+       * @param {string} namespace - The namespace of the layer.
+       * @param {string} key - The key of the tile.
+       * @returns {Promise<void>}
        */
-      getBackground() {
-        return this.options.background;
+      async delete(namespace, key) {
+        const storage = await this._open();
+        const id = this._id(namespace, key);
+        this._index.delete(id);
+        await storage.delete(id);
       }
 
       /**
-       * Gets the minimum zoom level for the layer.
-       * @returns {number} The minimum zoom level.
+       * Removes the tiles of a namespace, or all tiles.
+       * @param {string} [namespace] - The namespace to clear. If not provided, the whole store is cleared.
+       * @returns {Promise<void>}
        */
-      getMinZoom() {
-        return this.options.minZoom;
+      async clear(namespace) {
+        const storage = await this._open();
+        for (const entry of Array.from(this._index.values())) {
+          if (namespace === undefined || entry.namespace === namespace) {
+            this._index.delete(entry.id);
+            await storage.delete(entry.id);
+          }
+        }
       }
 
       /**
-       * Gets the maximum zoom level for the layer.
-       * @returns {number} The maximum zoom level.
+       * Gets the size of the stored tiles.
+       * @param {string} [namespace] - The namespace to measure. If not provided, the whole store is measured.
+       * @returns {Promise<object>} `{ bytes, tiles }`.
        */
-      getMaxZoom() {
-        return this.options.maxZoom;
+      async usage(namespace) {
+        await this._open();
+        let bytes = 0, tiles = 0;
+        for (const entry of this._index.values()) {
+          if (namespace === undefined || entry.namespace === namespace) {
+            bytes += entry.size;
+            tiles++;
+          }
+        }
+        return { bytes, tiles };
+      }
+
+      _isStale(entry) {
+        return Date.now() - entry.storedAt > this.options.ttl;
+      }
+
+      async _enforceQuota(storage) {
+        let total = 0;
+        for (const entry of this._index.values()) total += entry.size;
+        if (total <= this.options.quota) return;
+        const entries = Array.from(this._index.values()).sort((a, b) => a.lastUsed - b.lastUsed);
+        for (const entry of entries) {
+          if (total <= this.options.quota) break;
+          this._index.delete(entry.id);
+          total -= entry.size;
+          await storage.delete(entry.id);
+        }
+      }
+    }
+
+    // --- Tile Requests ---
+    const TILE_RETRIES = 2;
+    const TILE_RETRY_DELAY = 500; // milliseconds before the first retry, doubling after each
+    // Preloaded tiles of the adjacent zoom levels wait for all the visible ones.
+    const TILE_PRELOAD_PRIORITY = 1000;
+
+    const wait = (ms, signal) => new Promise((resolve) => {
+      const timeoutId = setTimeout(resolve, ms);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timeoutId);
+        resolve();
+      }, { once: true });
+    });
+
+    // Runs the tile requests of all the tile layers of a map, a few at a time. Browsers only
+    // open a handful of connections per server, and requests waiting for one can be neither
+    // reordered nor cancelled, so the tiles wait here instead, lowest priority number first.
+    class TileScheduler {
+      constructor(maxConcurrent) {
+        this.maxConcurrent = maxConcurrent;
+        this.queue = [];
+        this.running = 0;
+      }
+
+      /**
+       * Queues a request.
+       * @param {Function} run - Starts the request with the signal, and returns a promise.
+       * @param {number} priority - The priority; requests with lower numbers start first.
+       * @param {AbortSignal} signal - Cancels the request, whether it waits or runs.
+       * @returns {object} The job, whose `priority` may change while it waits, and whose
+       *   `promise` settles as the request does.
+       */
+      schedule(run, priority, signal) {
+        const job = { run, priority, signal };
+        job.promise = new Promise((resolve, reject) => {
+          job.resolve = resolve;
+          job.reject = reject;
+        });
+        if (signal.aborted) {
+          job.reject(new Error('[Atlas] Tile request aborted.'));
+          return job;
+        }
+        signal.addEventListener('abort', () => {
+          const index = this.queue.indexOf(job);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            job.reject(new Error('[Atlas] Tile request aborted.'));
+          }
+        }, { once: true });
+        this.queue.push(job);
+        this._next();
+        return job;
+      }
+
+      _next() {
+        while (this.running < this.maxConcurrent && this.queue.length > 0) {
+          let best = 0;
+          for (let i = 1; i < this.queue.length; i++) {
+            if (this.queue[i].priority < this.queue[best].priority) best = i;
+          }
+          const [job] = this.queue.splice(best, 1);
+          this.running++;
+          Promise.resolve()
+            .then(() => job.run(job.signal))
+            .then(job.resolve, job.reject)
+            .finally(() => {
+              this.running--;
+              this._next();
+            });
+        }
       }
     }
 
+    // Tile layers that are not on a map share this one.
+    const DEFAULT_TILE_SCHEDULER = new TileScheduler(CONFIG.maxConcurrentLoads);
+
     /**
-     * A layer for displaying GeoJSON data.
-     * @class GeoJSONLayer
+     * A layer for displaying tiled map data.
+     *
+     * The URL template may contain, anywhere and any number of times:
+     * - `{z}`, `{x}`, `{y}`: The tile coordinates, and `{-y}` for TMS services, which count rows from the bottom.
+     * - `{s}`: One of the `subdomains`, the same one for a given tile, so that requests spread over the servers.
+     * - `{q}`: The quadkey of the tile, as used by Bing Maps.
+     * - `{r}`: The retina suffix (`"@2x"` by default) when high-resolution tiles are wanted, and nothing otherwise.
+     * - `{name}`: The `name` option of the layer, or its result if it is a function of the tile coordinates.
+     *
+     * ```js
+     * new TileLayer('https://{s}.tiles.example.com/{z}/{x}/{-y}{r}.png?key={apiKey}', {
+     *   subdomains: ['t1', 't2'],
+     *   apiKey: 'secret'
+     * });
+     * ```
+     *
+     * For URLs a template cannot describe, override getTileUrl().
+     *
+     * With the `store` option, a TileStore, tiles are kept across page loads and can be
+     * stored ahead of time with seed() for offline use.
+     *
+     * Tiles load through the map's scheduler, at most `maxConcurrentLoads` at a time for all
+     * the layers of a map, from the center of the view outwards. Tiles that leave the view
+     * before they load are cancelled, and failed ones are retried after a growing delay.
+     * The layer fires `loading` when it starts loading tiles, and `load` once all have loaded.
+     *
+     * Servers that need headers or cookies are reached with the `headers` and `credentials`
+     * options, and a `tileLoader` can load tiles any other way.
+     *
+     * While a tile loads, the layer shows the cached tiles of other zoom levels in its place,
+     * and new tiles fade in over them.
+     *
+     * Layers on top of the base layer, such as a hillshade or labels, are added with
+     * `overlay: true`, and usually an `opacity` or a `blendMode`:
+     *
+     * ```js
+     * new TileLayer('https://tiles.example.com/hillshade/{z}/{x}/{y}.png', {
+     *   overlay: true,
+     *   blendMode: 'multiply',
+     *   opacity: 0.6
+     * }).addTo(map);
+     * ```
+     * @class TileLayer
      * @extends Layer
      */
-    class GeoJSONLayer extends Layer {
+    class TileLayer extends Layer {
       /**
-       * Creates an instance of GeoJSONLayer.
-       * @param {object} geojson - The GeoJSON data.
-       * @param {object} [options={}] - The GeoJSON layer options.
+       * Creates an instance of TileLayer.
+       * @param {string} urlTemplate - The URL template for the tiles.
+       * @param {object} [options={}] - The tile layer options.
+       * @param {string|string[]} [options.subdomains="abc"] - The values of `{s}`, as an array or a string of single letters.
+       * @param {number} [options.maxNativeZoom] - The last zoom level the server has; past it, its tiles are scaled up.
+       * @param {number} [options.minNativeZoom] - The first zoom level the server has; below it, its tiles are scaled down.
+       * @param {number} [options.opacity=1] - The opacity of the layer, from 0 to 1.
+       * @param {number} [options.fadeDuration=200] - How long new tiles take to fade in, in milliseconds; 0 to show them at once.
+       * @param {string} [options.blendMode="source-over"] - How the layer blends with the layers under it, as a canvas `globalCompositeOperation`.
+       * @param {number} [options.zIndex=0] - The drawing order of the layer; layers with higher values are drawn on top.
+       * @param {boolean} [options.overlay=false] - Whether the layer goes over the base layer instead of being one.
+       * @param {number} [options.retries=2] - How many times a failed tile is requested again.
+       * @param {number} [options.retryDelay=500] - The delay before the first retry, in milliseconds; it doubles after each.
+       * @param {string} [options.errorTileUrl] - An image shown in place of tiles that failed to load.
+       * @param {Function} [options.tileLoader] - Loads tiles instead of the layer, as `(coords, signal) => Promise<ImageBitmap|HTMLImageElement|ImageData>`.
+       * @param {object} [options.headers] - HTTP headers sent with every tile request; tiles are then fetched rather than loaded as images.
+       * @param {string} [options.credentials] - The `fetch` credentials mode of tile requests, such as `"include"` to send cookies; tiles are then fetched as well.
        */
-      constructor(geojson, options = {}) {
+      constructor(urlTemplate, options = {}) {
         super(options);
-        this._geojson = this._normalizeGeoJSON(geojson);
-        this._features = [];
-        this._featureCache = new Map();
-        this._hitCache = new Map();
-        this._lastRenderZoom = null;
-        this._lastRenderBearing = null;
-        this._lastRenderCenter = null;
-        this.options.style = options.style || {
-          color: '#3388ff',
-          weight: 3,
+        this.urlTemplate = urlTemplate;
+        this.options = {
+          minZoom: options.minZoom || 0,
+          maxZoom: options.maxZoom || 18,
+          attribution: options.attribution || '',
+          background: options.background || '#ffffff',
+          supportsRetina: options.supportsRetina || false,
+          maxCacheSize: options.maxCacheSize || 500,
+          subdomains: 'abc',
           opacity: 1,
-          fillColor: '#3388ff',
-          fillOpacity: 0.2
+          fadeDuration: TILE_FADE_DURATION,
+          blendMode: 'source-over',
+          zIndex: 0,
+          overlay: false,
+          retries: TILE_RETRIES,
+          retryDelay: TILE_RETRY_DELAY,
+          errorTileUrl: '',
+          tileLoader: null,
+          headers: null,
+          credentials: undefined,
+          ...options
         };
-        this.options.interactive = options.interactive !== undefined ? options.interactive : true;
-        this._onMouseMove = this._onMouseMove.bind(this);
-        this._onMouseOut = this._onMouseOut.bind(this);
-        this._onClick = this._onClick.bind(this);
-        this._hoveredFeature = null;
+        this._checkBlendMode(this.options.blendMode);
+        this.tileCache = new Map();
+        this.loadingTiles = new Set();
+        this.loadingControllers = new Map();
+        // The tiles the last render drew or preloaded; render() cancels the others.
+        this._wantedTiles = new Set();
+        this._retinaAvailable = true;
       }
 
-      _normalizeGeoJSON(input) {
-        if (Array.isArray(input)) {
-          return {
-            type: 'FeatureCollection',
-            features: input.map(f => f.type === 'Feature' ? f : { type: 'Feature', geometry: f, properties: {} })
+      // A placeholder without a value would otherwise only throw when the layer renders,
+      // on every frame. Layers that build their URLs themselves, on a subclass or on the
+      // instance, check their own placeholders, and a tileLoader does not need the URLs.
+      _checkUrlTemplate() {
+        if (typeof this.urlTemplate !== 'string' || this.options.tileLoader) return;
+        if (this.getTileUrl !== TileLayer.prototype.getTileUrl) return;
+        const builtIn = ['x', 'y', 'z', '-y', 's', 'q', 'r'];
+        for (const [match, name] of this.urlTemplate.matchAll(/\{ *([\w-]+) *\}/g)) {
+          if (!builtIn.includes(name) && this.options[name] === undefined) {
+            throw new Error(`[Atlas] No value for ${match} in the tile URL template "${this.urlTemplate}". Set it as a layer option.`);
+          }
+        }
+      }
+
+      _getTileCoords(x, y, z) {
+        const range = this._getProjection().getTileRange(z);
+        let intX = Math.floor(x);
+        if (this._getProjection().wrapLongitude) {
+          // Robustly wrap the X coordinate to [minX, maxX)
+          const cols = range.maxX - range.minX;
+          intX = range.minX + ((((intX - range.minX) % cols) + cols) % cols);
+        }
+        const intY = Math.max(range.minY, Math.min(range.maxY - 1, Math.floor(y)));
+        return { x: intX, y: intY, z };
+      }
+
+      _getTileUrl(x, y, z) {
+        return this.getTileUrl(this._getTileCoords(x, y, z));
+      }
+
+      // The wrapped coordinates of the tile of a cache key.
+      _getKeyCoords(key) {
+        const [z, x, y] = key.split('/').map(Number);
+        return this._getTileCoords(x, y, z);
+      }
+
+      /**
+       * Builds the URL of a tile from the URL template. Override it, on a subclass or on
+       * an instance, to compute URLs some other way.
+       * @param {object} coords - The tile coordinates `{ x, y, z }`, with x wrapped around the world.
+       * @returns {string} The URL.
+       */
+      getTileUrl(coords) {
+        const { x, y, z } = coords;
+        const hasRetinaPlaceholder = /\{ *r *\}/.test(this.urlTemplate);
+        const retina = (this.options.supportsRetina || hasRetinaPlaceholder) && this._shouldRequestRetina();
+        const retinaSuffix = retina ? this._getMapOptions().retinaSuffix : '';
+        const subdomains = this.options.subdomains;
+        const range = this._getProjection().getTileRange(z);
+        let quadkey = '';
+        for (let i = z; i > 0; i--) {
+          const mask = 1 << (i - 1);
+          quadkey += ((x & mask) ? 1 : 0) + ((y & mask) ? 2 : 0);
+        }
+
+        const data = {
+          ...this.options,
+          x, y, z,
+          '-y': range.minY + range.maxY - 1 - y,
+          s: subdomains.length ? subdomains[Math.abs(x + y) % subdomains.length] : '',
+          q: quadkey,
+          r: retinaSuffix
+        };
+        const url = this.urlTemplate.replace(/\{ *([\w-]+) *\}/g, (match, name) => {
+          let value = data[name];
+          if (value === undefined) {
+            // The URL only names the tiles of a tileLoader, in events and messages.
+            if (this.options.tileLoader) return match;
+            throw new Error(`[Atlas] No value for ${match} in the tile URL template "${this.urlTemplate}". Set it as a layer option.`);
+          }
+          if (typeof value === 'function') {
+            value = value(coords);
+          }
+          return value;
+        });
+        // Templates without {r} get the suffix at the end, as before {r} was supported.
+        return retina && !hasRetinaPlaceholder ? url + retinaSuffix : url;
+      }
+
+      _getMapOptions() {
+        return this._map ? this._map.options : CONFIG;
+      }
+
+      _getProjection() {
+        return this._map ? this._map.projection : DEFAULT_PROJECTION;
+      }
+
+      _isTileInRange(x, y, z) {
+        const range = this._getProjection().getTileRange(z);
+        if (y < range.minY || y >= range.maxY) return false;
+        return this._getProjection().wrapLongitude || (x >= range.minX && x < range.maxX);
+      }
+
+      _shouldRequestRetina() {
+        const mode = this._getMapOptions().retina;
+        const want = (mode === true) || (mode === "auto" && (window.devicePixelRatio || 1) > 1.5);
+        return want && this._retinaAvailable;
+      }
+
+      _getScheduler() {
+        return this._map ? this._map.tileScheduler : DEFAULT_TILE_SCHEDULER;
+      }
+
+      _startLoading(key) {
+        if (this.loadingTiles.size === 0) {
+          this.fire('loading');
+        }
+        this.loadingTiles.add(key);
+      }
+
+      _finishLoading(key) {
+        if (this.loadingTiles.delete(key) && this.loadingTiles.size === 0) {
+          this.fire('load');
+        }
+      }
+
+      /**
+       * Loads a tile into the cache. The promise resolves with the tile once it has loaded,
+       * or once it failed for good, with its `error`; it never rejects.
+       * @param {string} key - The cache key, "z/x/y".
+       * @param {string} url - The URL of the tile.
+       * @param {number} [priority=0] - The scheduler priority; lower numbers load first.
+       * @returns {Promise<object>} The tile.
+       */
+      _loadTile(key, url, priority = 0) {
+        if (this.tileCache.has(key)) return Promise.resolve(this.tileCache.get(key));
+        const controller = new AbortController();
+        const tile = { img: null, loaded: false, loadedAt: Date.now(), lastUsed: Date.now(), controller, priority, job: null };
+        this.tileCache.set(key, tile);
+        this.loadingControllers.set(key, controller);
+        this._startLoading(key);
+        return this._requestTile(key, url, tile, controller.signal);
+      }
+
+      async _requestTile(key, url, tile, signal) {
+        for (let attempt = 0; ; attempt++) {
+          const start = performance.now();
+          try {
+            tile.job = this._getScheduler().schedule(s => this._loadTileContent(url, s, key), tile.priority, signal);
+            Object.assign(tile, await tile.job.promise);
+            console.log(`[Atlas] Tile ${key} loaded in ${(performance.now() - start).toFixed(2)}ms`);
+            tile.loaded = true;
+            // Stored tiles are as old as their copy, so that render() revalidates them.
+            tile.loadedAt = tile.storedAt || Date.now();
+            this.fire('tileload', { tile: key, url });
+            break;
+          } catch (error) {
+            // Cancelled tiles were already taken out of the cache.
+            if (signal.aborted) return tile;
+            if (attempt < this.options.retries) {
+              await wait(this.options.retryDelay * Math.pow(2, attempt), signal);
+              if (signal.aborted) return tile;
+              continue;
+            }
+            console.warn(`[Atlas] Failed to load tile: ${url}`, error.message);
+            tile.error = error;
+            if (this.options.errorTileUrl) {
+              try {
+                tile.img = await this._loadImage(this.options.errorTileUrl, signal);
+                tile.loaded = true;
+                tile.loadedAt = Date.now();
+              } catch (e) {
+                console.warn(`[Atlas] Could not load the error tile ${this.options.errorTileUrl}`);
+              }
+            }
+            this.fire('tileerror', { tile: key, url, error });
+            break;
+          }
+        }
+        tile.job = null;
+        this.loadingControllers.delete(key);
+        this._finishLoading(key);
+        if (this._map) {
+          this._map.scheduleRender();
+        }
+        return tile;
+      }
+
+      // Loads what the cache keeps of a tile, here its image. Subclasses load other content.
+      async _loadTileContent(url, signal, key) {
+        const coords = this._getKeyCoords(key);
+        if (this.options.tileLoader) {
+          const img = await this.options.tileLoader(coords, signal);
+          if (!img) {
+            throw new Error(`[Atlas] The tileLoader returned no image for tile ${key}.`);
+          }
+          return { img: await this._toDrawable(img), storedAt: null };
+        }
+        const blobPromise = this._loadTileBlob(url, signal, coords);
+        if (blobPromise) {
+          const { blob, storedAt } = await blobPromise;
+          return { img: await this._decodeImage(blob, signal), storedAt };
+        }
+        try {
+          return { img: await this._loadTileImage(url, signal), storedAt: null };
+        } catch (error) {
+          const retinaSuffix = this._getMapOptions().retinaSuffix;
+          if (signal.aborted || !this.options.supportsRetina || !url.includes(retinaSuffix)) throw error;
+          // The server has no retina tiles; ask for standard ones from now on.
+          this._retinaAvailable = false;
+          return { img: await this._loadTileImage(url.replace(retinaSuffix, ''), signal), storedAt: null };
+        }
+      }
+
+      // Headers and credentials need fetch(); an image element cannot send them.
+      _usesFetch() {
+        return Boolean(this.options.headers || this.options.credentials);
+      }
+
+      async _loadTileImage(url, signal) {
+        if (!this._usesFetch()) return this._loadImage(url, signal);
+        return this._decodeImage(await this._fetchTile(url, signal), signal);
+      }
+
+      // Decodes off the main thread where createImageBitmap exists.
+      async _decodeImage(blob, signal) {
+        if (typeof window.createImageBitmap === 'function') {
+          return window.createImageBitmap(blob);
+        }
+        const objectUrl = URL.createObjectURL(blob);
+        try {
+          return await this._loadImage(objectUrl, signal);
+        } finally {
+          URL.revokeObjectURL(objectUrl);
+        }
+      }
+
+      // Pixels from a tileLoader cannot be drawn with drawImage() until they are an image.
+      async _toDrawable(img) {
+        if (!(img.data instanceof Uint8ClampedArray)) return img;
+        if (typeof window.createImageBitmap === 'function') {
+          return window.createImageBitmap(img);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        canvas.getContext('2d').putImageData(img, 0, 0);
+        return canvas;
+      }
+
+      // Frees the memory of decoded tiles the cache lets go of.
+      _disposeTile(tile) {
+        if (tile.img && typeof tile.img.close === 'function') {
+          tile.img.close();
+        }
+      }
+
+      _loadImage(src, signal) {
+        return new Promise((resolve, reject) => {
+          const img = new Image();
+          img.crossOrigin = "anonymous";
+          let timeoutId;
+          const done = (error) => {
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', onAbort);
+            img.onload = img.onerror = null;
+            if (error) reject(error);
+            else resolve(img);
           };
-        } else if (input.type === 'FeatureCollection') {
-          return input;
-        } else if (input.type === 'Feature') {
-          return { type: 'FeatureCollection', features: [input] };
-        } else {
-          return {
-            type: 'FeatureCollection',
-            features: [{ type: 'Feature', geometry: input, properties: {} }]
+          const onAbort = () => {
+            done(new Error('[Atlas] Tile request aborted.'));
+            // Stops the download.
+            img.src = '';
           };
+          timeoutId = setTimeout(() => done(new Error(`Timeout loading tile: ${src}`)), TILE_LOAD_TIMEOUT_MS);
+          img.onload = () => done();
+          img.onerror = () => done(new Error(`Could not load the image ${src}`));
+          signal.addEventListener('abort', onAbort, { once: true });
+          img.src = src;
+        });
+      }
+
+      // Cancels a tile that is still loading and forgets it, so that it loads again if it
+      // comes back into view.
+      _abortTile(key) {
+        const controller = this.loadingControllers.get(key);
+        if (!controller) return;
+        controller.abort();
+        this.loadingControllers.delete(key);
+        this.tileCache.delete(key);
+        this._finishLoading(key);
+      }
+
+      _reloadTile(key, url) {
+        const existing = this.tileCache.get(key);
+        if (!existing) return;
+        const token = key + "#r";
+        if (this.loadingTiles.has(token)) return;
+
+        const doReload = async () => {
+          const signal = new AbortController().signal;
+          this._startLoading(token);
+          const freshUrl = `${url}${url.includes("?") ? "&" : "?"}v=${Date.now()}`;
+          try {
+            let img;
+            if (this.options.store && !this.options.tileLoader) {
+              // Offline, the stored tile stays until a reload succeeds.
+              const blob = await this._fetchTile(freshUrl, signal, this._getKeyCoords(key));
+              this._putInStore(url, blob);
+              img = await this._decodeImage(blob, signal);
+            } else {
+              ({ img } = await this._loadTileContent(freshUrl, signal, key));
+            }
+            this._disposeTile(existing);
+            existing.img = img;
+            existing.loaded = true;
+            existing.loadedAt = Date.now();
+            existing.storedAt = null;
+            if (this._map) {
+              this._map.scheduleRender();
+            }
+          } catch (error) {
+            // The tile keeps its old image.
+          } finally {
+            this._finishLoading(token);
+          }
+        };
+
+        if ('requestIdleCallback' in window) {
+          requestIdleCallback(doReload, { timeout: 2000 });
+        } else {
+          setTimeout(doReload, 100);
         }
       }
 
-      _latLngToScreenPoint(coord) {
-        if (!this._map) return { x: 0, y: 0 };
-        const [lon, lat] = coord;
+      _evict() {
+        if (this.tileCache.size <= this.options.maxCacheSize) return;
+        if ('requestIdleCallback' in window) {
+          requestIdleCallback(() => this._performEviction(), { timeout: 2000 });
+        } else {
+          setTimeout(() => this._performEviction(), 100);
+        }
+      }
+
+      _performEviction() {
+        if (this.tileCache.size <= this.options.maxCacheSize) return;
+        const entries = Array.from(this.tileCache.entries());
+        entries.sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+        const removeCount = this.tileCache.size - this.options.maxCacheSize;
+        for (let i = 0; i < removeCount; i++) {
+          this._disposeTile(entries[i][1]);
+          this.tileCache.delete(entries[i][0]);
+        }
+      }
+
+      _getStoreNamespace() {
+        return this.options.storeNamespace || this.urlTemplate || 'tiles';
+      }
+
+      // Subclasses that read tiles from elsewhere than their URL use the coordinates.
+      async _fetchTile(url, signal, coords) {
+        const response = await fetch(url, {
+          signal,
+          mode: 'cors',
+          headers: this.options.headers || undefined,
+          credentials: this.options.credentials
+        });
+        if (!response.ok) {
+          throw new Error(`[Atlas] HTTP ${response.status} for tile ${url}`);
+        }
+        return response.blob();
+      }
+
+      _putInStore(url, blob) {
+        return this.options.store.put(this._getStoreNamespace(), url, blob).catch((error) => {
+          console.warn(`[Atlas] Could not store tile ${url}:`, error.message);
+        });
+      }
+
+      // Resolves to { blob, storedAt } for tiles that do not come straight from their URL,
+      // or returns null to let the image load the URL.
+      _loadTileBlob(url, signal, coords) {
+        return this.options.store ? this._readThroughStore(url, signal, coords) : null;
+      }
+
+      async _readThroughStore(url, signal, coords) {
+        const stored = await this.options.store.get(this._getStoreNamespace(), url).catch(() => null);
+        if (stored) return stored;
+        const blob = await this._fetchTile(url, signal, coords);
+        this._putInStore(url, blob);
+        return { blob, storedAt: null };
+      }
+
+      /**
+       * Stores the tiles of an area over a range of zoom levels in the layer's TileStore,
+       * for use offline. Tiles already stored and fresh are skipped. Fires `seedprogress`
+       * after each tile with `{ loaded, failed, skipped, total }`, and `seedend` at the end.
+       * @param {LatLngBounds|Array} bounds - The area to store.
+       * @param {object} options - The seeding options.
+       * @param {number} options.minZoom - The first zoom level to store.
+       * @param {number} options.maxZoom - The last zoom level to store.
+       * @param {number} [options.concurrency=4] - How many tiles to download at once.
+       * @param {number} [options.maxTiles=10000] - The most tiles to store; larger requests are rejected.
+       * @param {AbortSignal} [options.signal] - A signal to stop seeding.
+       * @returns {Promise<object>} The final `{ loaded, failed, skipped, total }` counts.
+       */
+      async seed(bounds, options = {}) {
+        const store = this.options.store;
+        if (!store) {
+          throw new Error('[Atlas] seed() needs a TileStore in the layer\'s store option.');
+        }
+        if (typeof options.minZoom !== 'number' || typeof options.maxZoom !== 'number') {
+          throw new Error('[Atlas] seed() needs the minZoom and maxZoom options, the zoom levels to store.');
+        }
+        const { concurrency = 4, maxTiles = 10000, signal } = options;
+        const minZoom = Math.max(this.options.minZoom, options.minZoom);
+        const maxZoom = Math.min(this.options.maxZoom, options.maxZoom);
+        const box = LatLngBounds.from(bounds);
+        const projection = this._getProjection();
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+          const nw = projection.latLngToTile({ lat: box.getNorthEast().lat, lon: box.getSouthWest().lon }, z);
+          const se = projection.latLngToTile({ lat: box.getSouthWest().lat, lon: box.getNorthEast().lon }, z);
+          for (let x = Math.floor(nw.x); x <= Math.floor(se.x); x++) {
+            for (let y = Math.floor(nw.y); y <= Math.floor(se.y); y++) {
+              if (this._isTileInRange(x, y, z)) tiles.push({ x, y, z });
+            }
+          }
+          if (tiles.length > maxTiles) {
+            throw new Error(`[Atlas] Seeding would store more than ${maxTiles} tiles. Use a smaller area or zoom range, or raise maxTiles.`);
+          }
+        }
+
+        const namespace = this._getStoreNamespace();
+        const progress = { loaded: 0, failed: 0, skipped: 0, total: tiles.length };
+        let next = 0;
+        const worker = async () => {
+          while (next < tiles.length && !(signal && signal.aborted)) {
+            const coords = tiles[next++];
+            const tileCoords = this._getTileCoords(coords.x, coords.y, coords.z);
+            const url = this.getTileUrl(tileCoords);
+            try {
+              if (await store.has(namespace, url)) {
+                progress.skipped++;
+              } else {
+                await store.put(namespace, url, await this._fetchTile(url, signal, tileCoords));
+                progress.loaded++;
+              }
+            } catch (error) {
+              if (signal && signal.aborted) break;
+              progress.failed++;
+              console.warn(`[Atlas] Could not seed tile ${url}:`, error.message);
+            }
+            this.fire('seedprogress', { ...progress, coords });
+          }
+        };
+        await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+        this.fire('seedend', { ...progress, aborted: !!(signal && signal.aborted) });
+        return progress;
+      }
+
+      _preloadAdjacentZoomTiles() {
+        if (!this._map) return;
+        const zInt = this._getTileZoom();
+        const nextZoom = Math.min(this.options.maxNativeZoom ?? this.options.maxZoom, zInt + 1);
+        const prevZoom = Math.max(this.options.minNativeZoom ?? this.options.minZoom, zInt - 1);
+
+        if (Math.abs(this._map.zoom - zInt) > 0.3) return;
+
+        // Use wrapped longitude to prevent loading tiles from adjacent worlds
+        const wrappedCenterLon = GISUtils.wrapLongitude(this._map.center.lon);
+        const ct = this._map.projection.latLngToTile({ lat: this._map.center.lat, lon: wrappedCenterLon }, zInt);
+        const ts = TILE_SIZE;
         const w = this._map.canvas.width / this._map.dpr;
         const h = this._map.canvas.height / this._map.dpr;
-        const zInt = Math.floor(this._map.zoom);
-        const ts = TILE_SIZE * Math.pow(2, this._map.zoom - zInt);
-        const ct = this._map.projection.latLngToTile(this._map.center, zInt);
-        const pt = this._map.projection.latLngToTile({ lat, lon }, zInt);
-        const trX = (pt.x - ct.x) * ts;
-        const trY = (pt.y - ct.y) * ts;
-        const anchorVec = rot(trX, trY, this._map.bearing);
-        const screenX = w / 2 + anchorVec.x;
-        const screenY = h / 2 + anchorVec.y;
-        return { x: screenX, y: screenY };
+        const viewportTiles = Math.ceil(Math.max(w, h) / ts) + TILE_BUFFER;
+
+        for (let dz of [prevZoom, nextZoom]) {
+          if (dz === zInt) continue;
+          const scaleDiff = Math.pow(2, Math.abs(dz - zInt));
+          const startX = Math.floor(ct.x * (dz > zInt ? scaleDiff : 1 / scaleDiff) - viewportTiles / 2);
+          const startY = Math.floor(ct.y * (dz > zInt ? scaleDiff : 1 / scaleDiff) - viewportTiles / 2);
+
+          for (let dx = 0; dx < viewportTiles; dx++) {
+            for (let dy = 0; dy < viewportTiles; dy++) {
+              const X = startX + dx, Y = startY + dy;
+              const key = `${dz}/${X}/${Y}`;
+              if (!this._isTileInRange(X, Y, dz)) continue;
+              this._wantedTiles.add(key);
+              if (!this.tileCache.has(key) && !this.loadingTiles.has(key)) {
+                const url = this._getTileUrl(X, Y, dz);
+                this._loadTile(key, url, TILE_PRELOAD_PRIORITY + Math.hypot(dx - viewportTiles / 2, dy - viewportTiles / 2));
+              }
+            }
+          }
+        }
       }
 
-      _getFeatureStyle(feature) {
-        if (typeof this.options.style === 'function') {
-          return this.options.style(feature);
+      render() {
+        if (!this._map) return;
+
+        const w = this._map.canvas.width / this._map.dpr;
+        const h = this._map.canvas.height / this._map.dpr;
+        const zInt = this._getTileZoom();
+        const scaleFactor = Math.pow(2, this._map.zoom - zInt);
+        const ts = TILE_SIZE;
+
+        // Use wrapped longitude to anchor the tile grid, preventing "split world" artifacts
+        const wrappedCenterLon = GISUtils.wrapLongitude(this._map.center.lon);
+        const ct = this._map.projection.latLngToTile({ lat: this._map.center.lat, lon: wrappedCenterLon }, zInt);
+
+        const absCos = Math.abs(Math.cos(this._map.bearing)), absSin = Math.abs(Math.sin(this._map.bearing));
+        const needW = w * absCos + h * absSin;
+        const needH = w * absSin + h * absCos;
+
+        const cols = Math.ceil(needW / (ts * scaleFactor)) + TILE_BUFFER;
+        const rows = Math.ceil(needH / (ts * scaleFactor)) + TILE_BUFFER;
+
+        const startX = Math.floor(ct.x - cols / 2);
+        const startY = Math.floor(ct.y - rows / 2);
+
+        const tiles = [];
+        for (let dx = 0; dx < cols; dx++) {
+          for (let dy = 0; dy < rows; dy++) {
+            const X = startX + dx, Y = startY + dy;
+            if (!this._isTileInRange(X, Y, zInt)) {
+                continue;
+            }
+            const dist = Math.hypot(dx - cols / 2, dy - rows / 2);
+            tiles.push({ X, Y, dist });
+          }
+        }
+
+        tiles.sort((a, b) => a.dist - b.dist);
+
+        const ctx = this._map.ctx;
+        const ttl = this.options.store ? this.options.store.options.ttl : TILE_TTL;
+        const { opacity, fadeDuration } = this.options;
+        const now = Date.now();
+        let fading = false;
+        ctx.save();
+        ctx.translate(w / 2, h / 2);
+        ctx.rotate(this._map.bearing);
+        ctx.scale(scaleFactor, scaleFactor);
+        ctx.imageSmoothingEnabled = false;
+        ctx.globalAlpha = opacity;
+        ctx.globalCompositeOperation = this.options.blendMode;
+        this._wantedTiles = new Set();
+
+        for (const { X, Y, dist } of tiles) {
+          const key = `${zInt}/${X}/${Y}`;
+          const url = this._getTileUrl(X, Y, zInt);
+          const trX = (X - ct.x) * ts;
+          const trY = (Y - ct.y) * ts;
+          this._wantedTiles.add(key);
+
+          let tile = this.tileCache.get(key);
+          if (!tile || !tile.loaded) {
+            if (!tile) {
+              this._loadTile(key, url, dist);
+            } else if (tile.job) {
+              // The view moved; tiles nearer its center go first.
+              tile.priority = tile.job.priority = dist;
+            }
+            this._drawPlaceholder(ctx, X, Y, zInt, trX, trY, ts);
+          } else {
+            // Tiles fade in once, from when they loaded; reloads and stored tiles show at once.
+            const progress = fadeDuration > 0 && !tile.faded ? (now - tile.loadedAt) / fadeDuration : 1;
+            if (progress < 1) {
+              fading = true;
+              this._drawPlaceholder(ctx, X, Y, zInt, trX, trY, ts);
+              ctx.globalAlpha = opacity * Math.max(0, progress);
+              this._drawTile(ctx, tile, trX, trY, ts);
+              ctx.globalAlpha = opacity;
+            } else {
+              tile.faded = true;
+              this._drawTile(ctx, tile, trX, trY, ts);
+            }
+            tile.lastUsed = Date.now();
+            if (tile.loadedAt && (Date.now() - tile.loadedAt > ttl)) {
+              this._reloadTile(key, url);
+            }
+          }
+        }
+
+        ctx.restore();
+        this._evict();
+        this._preloadAdjacentZoomTiles();
+        for (const key of this.loadingControllers.keys()) {
+          if (!this._wantedTiles.has(key)) {
+            this._abortTile(key);
+          }
+        }
+        if (fading) {
+          this._map.scheduleRender();
+        }
+      }
+
+      /**
+       * Sets the opacity of the layer.
+       * @param {number} opacity - The opacity, from 0 to 1.
+       * @returns {TileLayer} The current layer instance.
+       */
+      setOpacity(opacity) {
+        this.options.opacity = Math.max(0, Math.min(1, opacity));
+        if (this._map) {
+          this._map.render();
+        }
+        return this;
+      }
+
+      /**
+       * Gets the opacity of the layer.
+       * @returns {number} The opacity.
+       */
+      getOpacity() {
+        return this.options.opacity;
+      }
+
+      /**
+       * Sets the drawing order of the layer. Layers with a higher zIndex are drawn over the
+       * others, and layers with the same one in the order they were added.
+       * @param {number} zIndex - The zIndex.
+       * @returns {TileLayer} The current layer instance.
+       */
+      setZIndex(zIndex) {
+        this.options.zIndex = zIndex;
+        if (this._map) {
+          this._map.render();
+        }
+        return this;
+      }
+
+      /**
+       * Sets how the layer blends with the layers under it.
+       * @param {string} blendMode - A canvas `globalCompositeOperation`, such as "multiply" or "screen".
+       * @returns {TileLayer} The current layer instance.
+       */
+      setBlendMode(blendMode) {
+        this._checkBlendMode(blendMode);
+        this.options.blendMode = blendMode;
+        if (this._map) {
+          this._map.render();
+        }
+        return this;
+      }
+
+      _checkBlendMode(blendMode) {
+        if (!BLEND_MODES.includes(blendMode)) {
+          throw new Error(`[Atlas] Unknown blend mode "${blendMode}". Use one of: ${BLEND_MODES.join(', ')}.`);
+        }
+      }
+
+      // The zoom level of the tiles shown at the map's zoom. Outside the native zoom range,
+      // the tiles of the nearest native level are scaled.
+      _getTileZoom() {
+        const { minNativeZoom, maxNativeZoom } = this.options;
+        let zoom = Math.floor(this._map.zoom);
+        if (maxNativeZoom !== undefined) zoom = Math.min(zoom, maxNativeZoom);
+        if (minNativeZoom !== undefined) zoom = Math.max(zoom, minNativeZoom);
+        return zoom;
+      }
+
+      _drawTile(ctx, tile, x, y, size) {
+        ctx.drawImage(tile.img, x, y, size, size);
+      }
+
+      // Until a tile loads, fills its square with what the cache has of it: the nearest
+      // loaded ancestor, scaled up, under the loaded tiles of the next zoom level, scaled down.
+      _drawPlaceholder(ctx, X, Y, z, x, y, size) {
+        const now = Date.now();
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, size, size);
+        ctx.clip();
+        for (let pz = z - 1; pz >= (this.options.minNativeZoom ?? this.options.minZoom); pz--) {
+          const d = Math.pow(2, z - pz);
+          const PX = Math.floor(X / d), PY = Math.floor(Y / d);
+          const parent = this.tileCache.get(`${pz}/${PX}/${PY}`);
+          if (parent && parent.loaded) {
+            this._drawTile(ctx, parent, x - (X - PX * d) * size, y - (Y - PY * d) * size, size * d, true);
+            parent.lastUsed = now;
+            break;
+          }
+        }
+        if (z < (this.options.maxNativeZoom ?? this.options.maxZoom)) {
+          for (let i = 0; i < 4; i++) {
+            const dx = i & 1, dy = i >> 1;
+            const child = this.tileCache.get(`${z + 1}/${2 * X + dx}/${2 * Y + dy}`);
+            if (child && child.loaded) {
+              this._drawTile(ctx, child, x + dx * size / 2, y + dy * size / 2, size / 2, true);
+              child.lastUsed = now;
+            }
+          }
+        }
+        ctx.restore();
+      }
+
+      /**
+       * Called when the layer is added to the map.
+       * @throws {Error} If the URL template has a placeholder without a value.
+       */
+      onAdd() {
+        this._checkUrlTemplate();
+        this.fire('add');
+      }
+
+      /**
+       * Called when the layer is removed from the map.
+       */
+      onRemove() {
+        this._clearTiles();
+        this.fire('remove');
+      }
+
+      /**
+       * Drops the loaded tiles and loads them again, e.g. after the data behind the URLs changed.
+       * @returns {TileLayer} The current layer instance.
+       */
+      redraw() {
+        this._clearTiles();
+        if (this._map) {
+          this._map.render();
+        }
+        return this;
+      }
+
+      _clearTiles() {
+        for (const controller of this.loadingControllers.values()) {
+          controller.abort();
+        }
+        for (const tile of this.tileCache.values()) {
+          this._disposeTile(tile);
+        }
+        this.loadingTiles.clear();
+        this.loadingControllers.clear();
+        this.tileCache.clear();
+      }
+
+      /**
+       * Gets the attribution text for the layer.
+       * @returns {string} The attribution text.
+       */
+      getAttribution() {
+        return this.options.attribution;
+      }
+
+      /**
+       * Gets the background color of the layer.
+       * @returns {string} The background color.
+       */
+      getBackground() {
+        return this.options.background;
+      }
+
+      /**
+       * Gets the minimum zoom level for the layer.
+       * @returns {number} The minimum zoom level.
+       */
+      getMinZoom() {
+        return this.options.minZoom;
+      }
+
+      /**
+       * Gets the maximum zoom level for the layer.
+       * @returns {number} The maximum zoom level.
+       */
+      getMaxZoom() {
+        return this.options.maxZoom;
+      }
+    }
+
+    /**
+     * A tile layer backed by an OGC Web Map Service. Each tile is a GetMap request for
+     * the tile's bounds, in the map's projection.
+     *
+     * ```js
+     * new TileLayer.WMS('https://gis.example.org/wms', {
+     *   layers: 'communes,bureaux',
+     *   format: 'image/png',
+     *   transparent: true,
+     *   params: { TIME: '2026-09-08' }
+     * }).addTo(map);
+     * ```
+     * @class WMSTileLayer
+     * @extends TileLayer
+     */
+    class WMSTileLayer extends TileLayer {
+      /**
+       * Creates an instance of WMSTileLayer, also available as `TileLayer.WMS`.
+       * @param {string} baseUrl - The URL of the service, which may already have query parameters.
+       * @param {object} options - The WMS and tile layer options.
+       * @param {string} options.layers - The comma-separated names of the WMS layers.
+       * @param {string} [options.styles=""] - The comma-separated styles, one per layer.
+       * @param {string} [options.format="image/png"] - The image format.
+       * @param {boolean} [options.transparent=false] - Whether to request a transparent background.
+       * @param {string} [options.version="1.3.0"] - The WMS version; before 1.3.0 the CRS is sent as SRS.
+       * @param {string} [options.crs] - The CRS code to request. Defaults to the map's; the map must show the same projection.
+       * @param {object} [options.params] - Other parameters to send, such as vendor parameters or TIME.
+       */
+      constructor(baseUrl, options = {}) {
+        if (!options.layers) {
+          throw new Error('[Atlas] A WMS layer needs the layers option, e.g. { layers: "communes" }.');
+        }
+        super(baseUrl, {
+          styles: '',
+          format: 'image/png',
+          transparent: false,
+          version: '1.3.0',
+          params: {},
+          ...options
+        });
+      }
+
+      getTileUrl(coords) {
+        const projection = this._getProjection();
+        const crs = this.options.crs || projection.code;
+        if (!crs) {
+          throw new Error('[Atlas] A WMS layer on a map whose CRS has no code needs the crs option.');
+        }
+        const origin = projection._getOrigin();
+        const span = TILE_SIZE / projection.scale(coords.z);
+        const minX = origin.x + coords.x * span;
+        const maxY = origin.y - coords.y * span;
+        const bbox = [minX, maxY - span, minX + span, maxY];
+        const version = this.options.version;
+        const is13 = parseFloat(version) >= 1.3;
+        // WMS 1.3.0 follows the axis order of the CRS, which is latitude first for EPSG:4326.
+        const latLonAxisOrder = is13 && Proj._normalizeCode(crs) === 'EPSG:4326';
+        const size = TILE_SIZE * (this.options.supportsRetina && this._shouldRequestRetina() ? 2 : 1);
+        const params = {
+          SERVICE: 'WMS',
+          REQUEST: 'GetMap',
+          VERSION: version,
+          LAYERS: this.options.layers,
+          STYLES: this.options.styles,
+          FORMAT: this.options.format,
+          TRANSPARENT: this.options.transparent ? 'TRUE' : 'FALSE',
+          WIDTH: size,
+          HEIGHT: size,
+          [is13 ? 'CRS' : 'SRS']: crs,
+          ...this.options.params
+        };
+        const query = Object.entries(params).map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`).join('&');
+        const corners = latLonAxisOrder ? [bbox[1], bbox[0], bbox[3], bbox[2]] : bbox;
+        return `${this.urlTemplate}${this.urlTemplate.includes('?') ? '&' : '?'}${query}&BBOX=${corners.join(',')}`;
+      }
+
+      /**
+       * Changes request parameters, e.g. `{ TIME: '2026-09-09' }`, and reloads the tiles.
+       * @param {object} params - The parameters to set, added to the `params` option.
+       * @returns {WMSTileLayer} The current layer instance.
+       */
+      setParams(params) {
+        this.options.params = { ...this.options.params, ...params };
+        return this.redraw();
+      }
+    }
+
+    // Ground size of a pixel for WMTS scale denominators, in meters.
+    const WMTS_PIXEL_SIZE = 0.00028;
+
+    /**
+     * A tile layer backed by an OGC Web Map Tile Service, set up from its GetCapabilities
+     * document. The layer picks a TileMatrixSet in the map's CRS and maps each zoom level
+     * of the map to the TileMatrix with the same tile size on the ground.
+     *
+     * ```js
+     * const layer = await TileLayer.WMTS.fromCapabilities('https://gis.example.org/wmts/1.0.0/WMTSCapabilities.xml', {
+     *   layer: 'orthophotos'
+     * });
+     * layer.addTo(map);
+     * ```
+     *
+     * For a TileMatrixSet in a national grid, createCRS() gives the matching CRS for the map.
+     * @class WMTSTileLayer
+     * @extends TileLayer
+     */
+    class WMTSTileLayer extends TileLayer {
+      /**
+       * Creates an instance of WMTSTileLayer, also available as `TileLayer.WMTS`.
+       * @param {string|Document} capabilities - The GetCapabilities XML, as text or a parsed document.
+       * @param {object} options - The WMTS and tile layer options.
+       * @param {string} options.layer - The identifier of the layer.
+       * @param {string} [options.tileMatrixSet] - The identifier of the TileMatrixSet. Defaults to the first one in `crs`.
+       * @param {string} [options.crs="EPSG:3857"] - The CRS to pick a TileMatrixSet in, when tileMatrixSet is not set.
+       * @param {string} [options.style] - The style. Defaults to the layer's default style.
+       * @param {string} [options.format] - The image format. Defaults to the first the layer offers.
+       * @param {object} [options.dimensions] - Values for other placeholders of the tile URLs, e.g. `{ Time: '2026' }`.
+       */
+      constructor(capabilities, options = {}) {
+        super('', options);
+        const doc = typeof capabilities === 'string'
+          ? new window.DOMParser().parseFromString(capabilities, 'application/xml')
+          : capabilities;
+        const contents = WMTSTileLayer._child(doc.documentElement, 'Contents');
+        if (!contents) {
+          throw new Error('[Atlas] Invalid WMTS capabilities: no Contents element.');
+        }
+        const layers = WMTSTileLayer._children(contents, 'Layer');
+        const layer = layers.find(el => WMTSTileLayer._text(el, 'Identifier') === options.layer);
+        if (!layer) {
+          const names = layers.map(el => WMTSTileLayer._text(el, 'Identifier')).join(', ');
+          throw new Error(`[Atlas] The WMTS capabilities have no layer "${options.layer}". Available: ${names}.`);
+        }
+
+        const links = WMTSTileLayer._children(layer, 'TileMatrixSetLink').map(el => WMTSTileLayer._text(el, 'TileMatrixSet'));
+        const sets = WMTSTileLayer._children(contents, 'TileMatrixSet')
+          .filter(el => links.includes(WMTSTileLayer._text(el, 'Identifier')));
+        const wantedCrs = Proj._normalizeCode(options.crs || 'EPSG:3857');
+        const sameCrs = code => code === wantedCrs || (WEB_MERCATOR_CODES.includes(code) && WEB_MERCATOR_CODES.includes(wantedCrs));
+        const set = options.tileMatrixSet
+          ? sets.find(el => WMTSTileLayer._text(el, 'Identifier') === options.tileMatrixSet)
+          : sets.find(el => sameCrs(Proj._normalizeCode(WMTSTileLayer._text(el, 'SupportedCRS'))));
+        if (!set) {
+          const available = sets.map(el => `${WMTSTileLayer._text(el, 'Identifier')} (${WMTSTileLayer._text(el, 'SupportedCRS')})`).join(', ');
+          throw new Error(`[Atlas] WMTS layer "${options.layer}" has no TileMatrixSet ${options.tileMatrixSet ? `"${options.tileMatrixSet}"` : `in ${wantedCrs}`}. Available: ${available}.`);
+        }
+
+        this.tileMatrixSet = WMTSTileLayer._text(set, 'Identifier');
+        const supportedCrs = WMTSTileLayer._text(set, 'SupportedCRS');
+        this.crs = Proj._normalizeCode(supportedCrs);
+        const degrees = this.crs === 'EPSG:4326';
+        // EPSG:4326 lists latitude first, CRS84 longitude first.
+        const latFirst = degrees && !/CRS84$/i.test(supportedCrs);
+        const metersPerUnit = degrees ? EARTH_CIRCUMFERENCE / 360 : 1;
+        this.tileMatrices = WMTSTileLayer._children(set, 'TileMatrix').map(el => {
+          const [a, b] = WMTSTileLayer._text(el, 'TopLeftCorner').trim().split(/\s+/).map(Number);
+          const tileWidth = Number(WMTSTileLayer._text(el, 'TileWidth'));
+          return {
+            identifier: WMTSTileLayer._text(el, 'Identifier'),
+            topLeft: latFirst ? { x: b, y: a } : { x: a, y: b },
+            span: tileWidth * Number(WMTSTileLayer._text(el, 'ScaleDenominator')) * WMTS_PIXEL_SIZE / metersPerUnit,
+            matrixWidth: Number(WMTSTileLayer._text(el, 'MatrixWidth')),
+            matrixHeight: Number(WMTSTileLayer._text(el, 'MatrixHeight'))
+          };
+        });
+
+        const styles = WMTSTileLayer._children(layer, 'Style');
+        const defaultStyle = styles.find(el => el.getAttribute('isDefault') === 'true') || styles[0];
+        this.wmtsStyle = options.style || (defaultStyle ? WMTSTileLayer._text(defaultStyle, 'Identifier') : 'default');
+        const formats = WMTSTileLayer._children(layer, 'Format').map(el => el.textContent.trim());
+        this.format = options.format || formats[0] || 'image/png';
+
+        const resource = WMTSTileLayer._children(layer, 'ResourceURL')
+          .find(el => el.getAttribute('resourceType') === 'tile' && el.getAttribute('format') === this.format);
+        if (resource) {
+          this.urlTemplate = resource.getAttribute('template');
+        } else {
+          const getTile = Array.from(doc.getElementsByTagNameNS('*', 'Operation')).find(el => el.getAttribute('name') === 'GetTile');
+          const get = getTile && getTile.getElementsByTagNameNS('*', 'Get')[0];
+          const href = get && (get.getAttribute('xlink:href') || get.getAttributeNS('http://www.w3.org/1999/xlink', 'href'));
+          if (!href) {
+            throw new Error(`[Atlas] The WMTS capabilities have no tile URL for layer "${options.layer}" in ${this.format}.`);
+          }
+          this._kvpUrl = href;
+        }
+        this._zoomMatrices = null;
+        this._zoomProjection = null;
+        if (options.minZoom === undefined || options.maxZoom === undefined) {
+          const zooms = this._getZoomMatrices(PROJECTIONS[this.crs] || DEFAULT_PROJECTION).map((m, z) => m ? z : null).filter(z => z !== null);
+          if (zooms.length > 0) {
+            if (options.minZoom === undefined) this.options.minZoom = zooms[0];
+            if (options.maxZoom === undefined) this.options.maxZoom = zooms[zooms.length - 1];
+          }
+        }
+      }
+
+      /**
+       * Fetches a GetCapabilities document and creates the layer from it.
+       * @param {string} url - The URL of the GetCapabilities document.
+       * @param {object} options - The options, as for the constructor.
+       * @returns {Promise<WMTSTileLayer>} The layer.
+       */
+      static async fromCapabilities(url, options = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`[Atlas] Could not load WMTS capabilities from ${url}: HTTP ${response.status}.`);
+        }
+        return new WMTSTileLayer(await response.text(), options);
+      }
+
+      static _children(el, name) {
+        return Array.from(el.children).filter(child => child.localName === name);
+      }
+
+      static _child(el, name) {
+        return WMTSTileLayer._children(el, name)[0] || null;
+      }
+
+      static _text(el, name) {
+        const child = WMTSTileLayer._child(el, name);
+        return child ? child.textContent.trim() : '';
+      }
+
+      /**
+       * Creates the CRS of the TileMatrixSet, to use as the map's `crs` when the set is a
+       * national grid rather than Web Mercator.
+       * @param {object} projection - The projection of the set's CRS, e.g. `Proj.get(layer.crs)`.
+       * @returns {CRS} The CRS.
+       */
+      createCRS(projection) {
+        const first = this.tileMatrices[0];
+        return new CRS(this.crs, projection, {
+          origin: [first.topLeft.x, first.topLeft.y],
+          resolutions: this.tileMatrices.map(m => m.span / TILE_SIZE)
+        });
+      }
+
+      // For each zoom level of the projection's grid, the TileMatrix with the same tile
+      // span, with the offset of its first tile in the grid; null where there is none.
+      _getZoomMatrices(projection) {
+        if (this._zoomProjection === projection) return this._zoomMatrices;
+        const origin = projection._getOrigin();
+        const matrices = [];
+        for (let z = 0; z <= 30; z++) {
+          const span = TILE_SIZE / projection.scale(z);
+          const matrix = this.tileMatrices.find(m => Math.abs(m.span - span) / span < 1e-3);
+          matrices[z] = matrix ? {
+            ...matrix,
+            colOffset: Math.round((origin.x - matrix.topLeft.x) / span),
+            rowOffset: Math.round((matrix.topLeft.y - origin.y) / span)
+          } : null;
+        }
+        this._zoomProjection = projection;
+        this._zoomMatrices = matrices;
+        return matrices;
+      }
+
+      _isTileInRange(x, y, z) {
+        if (!super._isTileInRange(x, y, z)) return false;
+        const matrix = this._getZoomMatrices(this._getProjection())[z];
+        if (!matrix) return false;
+        const row = y + matrix.rowOffset;
+        const col = x + matrix.colOffset;
+        return row >= 0 && row < matrix.matrixHeight && (this._getProjection().wrapLongitude || (col >= 0 && col < matrix.matrixWidth));
+      }
+
+      getTileUrl(coords) {
+        const matrix = this._getZoomMatrices(this._getProjection())[coords.z];
+        if (!matrix) {
+          throw new Error(`[Atlas] WMTS TileMatrixSet ${this.tileMatrixSet} has no level for zoom ${coords.z}.`);
+        }
+        const values = {
+          ...this.options.dimensions,
+          TileMatrixSet: this.tileMatrixSet,
+          TileMatrix: matrix.identifier,
+          TileRow: coords.y + matrix.rowOffset,
+          TileCol: coords.x + matrix.colOffset,
+          Style: this.wmtsStyle,
+          style: this.wmtsStyle
+        };
+        if (this._kvpUrl) {
+          const params = {
+            SERVICE: 'WMTS', REQUEST: 'GetTile', VERSION: '1.0.0', LAYER: this.options.layer, STYLE: this.wmtsStyle,
+            TILEMATRIXSET: values.TileMatrixSet, TILEMATRIX: values.TileMatrix, TILEROW: values.TileRow, TILECOL: values.TileCol,
+            FORMAT: this.format
+          };
+          const query = Object.entries(params).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+          return `${this._kvpUrl}${this._kvpUrl.includes('?') ? (/[?&]$/.test(this._kvpUrl) ? '' : '&') : '?'}${query}`;
+        }
+        return this.urlTemplate.replace(/\{(\w+)\}/g, (match, name) => {
+          if (values[name] === undefined) {
+            throw new Error(`[Atlas] No value for ${match} in the WMTS tile URL. Set it in the dimensions option.`);
+          }
+          return encodeURIComponent(values[name]);
+        });
+      }
+    }
+
+    TileLayer.WMS = WMSTileLayer;
+    TileLayer.WMTS = WMTSTileLayer;
+
+    // --- Tile Archives ---
+    // The spec keeps the PMTiles header and root directory in the first 16 KiB, read at once.
+    const PMTILES_INITIAL_FETCH = 16384;
+    const PMTILES_COMPRESSIONS = ['unknown', 'none', 'gzip', 'brotli', 'zstd'];
+    const PMTILES_TILE_TYPES = { 1: 'application/vnd.mapbox-vector-tile', 2: 'image/png', 3: 'image/jpeg', 4: 'image/webp', 5: 'image/avif' };
+    const MBTILES_FORMATS = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', pbf: 'application/vnd.mapbox-vector-tile' };
+
+    // An archive read from memory has no URL to name its stored tiles by, and a name made up
+    // for it would change with every page load, leaving its tiles stored for nothing.
+    const checkArchiveStore = (source, options) => {
+      if (!source.url && options.store && !options.storeNamespace) {
+        throw new Error('[Atlas] The tiles of an archive read from memory are stored under the storeNamespace option; set it to use a store.');
+      }
+    };
+
+    // PMTiles varints are little-endian groups of 7 bits; values go up to 2^53.
+    const readVarint = (bytes, state) => {
+      let value = 0, factor = 1, byte;
+      do {
+        if (state.pos >= bytes.length) {
+          throw new Error('[Atlas] Truncated varint in a PMTiles directory.');
+        }
+        byte = bytes[state.pos++];
+        value += (byte & 0x7f) * factor;
+        factor *= 128;
+      } while (byte & 0x80);
+      return value;
+    };
+
+    // SQLite varints are big-endian, with all 8 bits of a ninth byte.
+    const readSQLiteVarint = (bytes, state) => {
+      let value = 0;
+      for (let i = 0; i < 8; i++) {
+        const byte = bytes[state.pos++];
+        value = value * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) return value;
+      }
+      return value * 256 + bytes[state.pos++];
+    };
+
+    const decompress = async (bytes, compression) => {
+      if (compression === 0 || compression === 1) return bytes;
+      if (compression !== 2) {
+        throw new Error(`[Atlas] ${PMTILES_COMPRESSIONS[compression] || compression} compression is not supported; use gzip or none.`);
+      }
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('[Atlas] This browser cannot decompress gzip data (no DecompressionStream).');
+      }
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    };
+
+    const toBytes = (buffer) => (ArrayBuffer.isView(buffer)
+      ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+      : new Uint8Array(buffer));
+
+    // Reads part of a file over HTTP with a range request.
+    const fetchRange = async (url, headers, offset, length, signal) => {
+      const response = await fetch(url, {
+        signal,
+        headers: { ...headers, Range: `bytes=${offset}-${offset + length - 1}` }
+      });
+      if (!response.ok) {
+        throw new Error(`[Atlas] Could not read ${url}: HTTP ${response.status}.`);
+      }
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      // A server that ignores the Range header sends the whole file.
+      return response.status === 206 ? bytes : bytes.subarray(offset, offset + length);
+    };
+
+    /**
+     * Reads tiles from a PMTiles version 3 archive, over HTTP range requests or from memory.
+     * Directories may be uncompressed or gzipped.
+     * @class PMTilesSource
+     */
+    class PMTilesSource {
+      /**
+       * Creates an instance of PMTilesSource.
+       * @param {string|ArrayBuffer|Uint8Array} archive - The URL of the archive, on a server that supports range requests, or its content.
+       * @param {object} [options] - The source options.
+       * @param {object} [options.headers] - Headers to send with each request.
+       */
+      constructor(archive, options = {}) {
+        this.url = typeof archive === 'string' ? archive : null;
+        this._bytes = this.url ? null : toBytes(archive);
+        this.options = { headers: {}, ...options };
+        this._header = null;
+        this._directories = new Map();
+      }
+
+      /**
+       * Converts tile coordinates to a PMTiles tile ID, the position of the tile along the
+       * Hilbert curves of the zoom levels.
+       * @param {number} z - The zoom level.
+       * @param {number} x - The column.
+       * @param {number} y - The row, from the top.
+       * @returns {number} The tile ID.
+       */
+      static zxyToTileId(z, x, y) {
+        if (z > 26) {
+          throw new Error('[Atlas] PMTiles tile IDs are only defined up to zoom 26.');
+        }
+        const n = 2 ** z;
+        // The tiles of all lower zoom levels come first.
+        let id = (n * n - 1) / 3;
+        for (let s = n / 2; s >= 1; s /= 2) {
+          const rx = (x & s) > 0 ? 1 : 0;
+          const ry = (y & s) > 0 ? 1 : 0;
+          id += s * s * ((3 * rx) ^ ry);
+          if (ry === 0) {
+            if (rx === 1) {
+              x = s - 1 - x;
+              y = s - 1 - y;
+            }
+            [x, y] = [y, x];
+          }
+        }
+        return id;
+      }
+
+      async _read(offset, length, signal) {
+        if (this._bytes) return this._bytes.subarray(offset, offset + length);
+        return fetchRange(this.url, this.options.headers, offset, length, signal);
+      }
+
+      /**
+       * Reads the header of the archive, once.
+       * @returns {Promise<object>} The header fields, such as `minZoom`, `maxZoom`, `tileType` and `bounds`.
+       */
+      getHeader() {
+        if (!this._header) {
+          this._header = this._read(0, PMTILES_INITIAL_FETCH).then(async (bytes) => {
+            const header = PMTilesSource._parseHeader(bytes);
+            const end = header.rootDirectoryOffset + header.rootDirectoryLength;
+            const root = end <= bytes.length
+              ? bytes.subarray(header.rootDirectoryOffset, end)
+              : await this._read(header.rootDirectoryOffset, header.rootDirectoryLength);
+            header.rootDirectory = PMTilesSource._parseDirectory(await decompress(root, header.internalCompression));
+            return header;
+          });
+          // Let a later call try again after a network error.
+          this._header.catch(() => { this._header = null; });
+        }
+        return this._header;
+      }
+
+      /**
+       * Reads the JSON metadata of the archive.
+       * @returns {Promise<object>} The metadata.
+       */
+      async getMetadata() {
+        const header = await this.getHeader();
+        if (header.metadataLength === 0) return {};
+        const bytes = await this._read(header.metadataOffset, header.metadataLength);
+        return JSON.parse(new TextDecoder().decode(await decompress(bytes, header.internalCompression)));
+      }
+
+      /**
+       * Describes the tiles of the archive.
+       * @returns {Promise<object>} `{ minZoom, maxZoom, bounds, center, type, attribution }`, with the MIME type of the tiles.
+       */
+      async getInfo() {
+        const header = await this.getHeader();
+        const metadata = await this.getMetadata();
+        return {
+          minZoom: header.minZoom,
+          maxZoom: header.maxZoom,
+          bounds: header.bounds,
+          center: header.center,
+          type: PMTILES_TILE_TYPES[header.tileType] || 'application/octet-stream',
+          attribution: metadata.attribution || ''
+        };
+      }
+
+      /**
+       * Reads a tile.
+       * @param {number} z - The zoom level.
+       * @param {number} x - The column.
+       * @param {number} y - The row, from the top.
+       * @param {AbortSignal} [signal] - A signal to abort the request.
+       * @returns {Promise<Uint8Array|null>} The tile data, or null if the archive does not have the tile.
+       */
+      async getTile(z, x, y, signal) {
+        const header = await this.getHeader();
+        if (z < header.minZoom || z > header.maxZoom) return null;
+        const tileId = PMTilesSource.zxyToTileId(z, x, y);
+        let entries = header.rootDirectory;
+        for (let depth = 0; depth < 4; depth++) {
+          const entry = PMTilesSource._findEntry(entries, tileId);
+          if (!entry) return null;
+          if (entry.runLength > 0) {
+            const data = await this._read(header.tileDataOffset + entry.offset, entry.length, signal);
+            return decompress(data, header.tileCompression);
+          }
+          entries = await this._getLeafDirectory(header, entry);
+        }
+        throw new Error('[Atlas] The PMTiles directories are nested too deeply.');
+      }
+
+      _getLeafDirectory(header, entry) {
+        const offset = header.leafDirectoryOffset + entry.offset;
+        if (!this._directories.has(offset)) {
+          const directory = this._read(offset, entry.length)
+            .then(bytes => decompress(bytes, header.internalCompression))
+            .then(bytes => PMTilesSource._parseDirectory(bytes));
+          directory.catch(() => this._directories.delete(offset));
+          // Keep the most recently read leaves only.
+          if (this._directories.size >= 64) {
+            this._directories.delete(this._directories.keys().next().value);
+          }
+          this._directories.set(offset, directory);
+        }
+        return this._directories.get(offset);
+      }
+
+      static _parseHeader(bytes) {
+        if (bytes.length < 127 || new TextDecoder().decode(bytes.subarray(0, 7)) !== 'PMTiles') {
+          throw new Error('[Atlas] Not a PMTiles archive.');
+        }
+        if (bytes[7] !== 3) {
+          throw new Error(`[Atlas] PMTiles version ${bytes[7]} is not supported; only version 3 is.`);
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const uint64 = offset => view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+        const degrees = offset => view.getInt32(offset, true) / 1e7;
+        return {
+          rootDirectoryOffset: uint64(8),
+          rootDirectoryLength: uint64(16),
+          metadataOffset: uint64(24),
+          metadataLength: uint64(32),
+          leafDirectoryOffset: uint64(40),
+          leafDirectoryLength: uint64(48),
+          tileDataOffset: uint64(56),
+          tileDataLength: uint64(64),
+          internalCompression: bytes[97],
+          tileCompression: bytes[98],
+          tileType: bytes[99],
+          minZoom: bytes[100],
+          maxZoom: bytes[101],
+          bounds: new LatLngBounds([degrees(106), degrees(102)], [degrees(114), degrees(110)]),
+          center: new LatLng(degrees(123), degrees(119)),
+          centerZoom: bytes[118]
+        };
+      }
+
+      // Entries are stored column by column: ID deltas, run lengths, lengths, then offsets,
+      // where 0 means right after the previous entry.
+      static _parseDirectory(bytes) {
+        const state = { pos: 0 };
+        const count = readVarint(bytes, state);
+        const entries = [];
+        let tileId = 0;
+        for (let i = 0; i < count; i++) {
+          tileId += readVarint(bytes, state);
+          entries.push({ tileId, runLength: 0, length: 0, offset: 0 });
+        }
+        for (const entry of entries) entry.runLength = readVarint(bytes, state);
+        for (const entry of entries) entry.length = readVarint(bytes, state);
+        for (let i = 0; i < count; i++) {
+          const value = readVarint(bytes, state);
+          entries[i].offset = value === 0 && i > 0 ? entries[i - 1].offset + entries[i - 1].length : value - 1;
+        }
+        return entries;
+      }
+
+      // The entry holding the tile, or the leaf directory that may hold it.
+      static _findEntry(entries, tileId) {
+        let low = 0, high = entries.length - 1;
+        while (low <= high) {
+          const mid = (low + high) >> 1;
+          if (entries[mid].tileId < tileId) low = mid + 1;
+          else if (entries[mid].tileId > tileId) high = mid - 1;
+          else return entries[mid];
+        }
+        const entry = entries[high];
+        if (entry && (entry.runLength === 0 || tileId - entry.tileId < entry.runLength)) return entry;
+        return null;
+      }
+    }
+
+    // A read-only SQLite table reader, enough for the tables of MBTiles files.
+    class SQLiteReader {
+      constructor(buffer) {
+        this.bytes = toBytes(buffer);
+        if (new TextDecoder().decode(this.bytes.subarray(0, 16)) !== 'SQLite format 3\0') {
+          throw new Error('[Atlas] Not an SQLite database.');
+        }
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        const pageSize = this.view.getUint16(16);
+        this.pageSize = pageSize === 1 ? 65536 : pageSize;
+        this.usableSize = this.pageSize - this.bytes[20];
+        if (this.view.getUint32(56) > 1) {
+          throw new Error('[Atlas] Only UTF-8 SQLite databases are supported.');
+        }
+        this._decoder = new TextDecoder();
+        this.schema = [];
+        this.walk(1, cell => {
+          const [type, name, tableName, rootPage, sql] = this.row(cell);
+          this.schema.push({ type, name, tableName, rootPage, sql });
+        });
+      }
+
+      /**
+       * Finds a table of the schema.
+       * @param {string} name - The table name.
+       * @returns {object|null} `{ rootPage, columns, rowidColumn }`, or null if there is no such table.
+       */
+      table(name) {
+        const entry = this.schema.find(e => e.type === 'table' && e.name.toLowerCase() === name);
+        if (!entry) return null;
+        const body = entry.sql.slice(entry.sql.indexOf('(') + 1, entry.sql.lastIndexOf(')'));
+        const definitions = [];
+        let depth = 0, current = '';
+        for (const char of body) {
+          if (char === ',' && depth === 0) {
+            definitions.push(current);
+            current = '';
+            continue;
+          }
+          if (char === '(') depth++;
+          if (char === ')') depth--;
+          current += char;
+        }
+        definitions.push(current);
+        const columns = [];
+        let rowidColumn = -1;
+        for (const definition of definitions) {
+          const name = definition.trim().split(/\s+/)[0].replace(/^["`[]|["`\]]$/g, '').toLowerCase();
+          if (['primary', 'unique', 'check', 'foreign', 'constraint'].includes(name)) continue;
+          if (/\binteger\s+primary\s+key\b/i.test(definition)) rowidColumn = columns.length;
+          columns.push(name);
+        }
+        return { rootPage: entry.rootPage, columns, rowidColumn };
+      }
+
+      /**
+       * Calls a function with each leaf cell of the table b-tree starting at a page.
+       * @param {number} pageNumber - The root page.
+       * @param {Function} fn - Called with each cell.
+       */
+      walk(pageNumber, fn) {
+        const start = (pageNumber - 1) * this.pageSize;
+        const header = start + (pageNumber === 1 ? 100 : 0);
+        const type = this.bytes[header];
+        if (type !== 5 && type !== 13) {
+          throw new Error(`[Atlas] Unexpected SQLite page type ${type} in a table.`);
+        }
+        const count = this.view.getUint16(header + 3);
+        const pointers = header + (type === 13 ? 8 : 12);
+        for (let i = 0; i < count; i++) {
+          const cell = start + this.view.getUint16(pointers + i * 2);
+          if (type === 5) {
+            this.walk(this.view.getUint32(cell), fn);
+          } else {
+            fn(this._leafCell(cell));
+          }
+        }
+        if (type === 5) {
+          this.walk(this.view.getUint32(header + 8), fn);
+        }
+      }
+
+      _leafCell(offset) {
+        const state = { pos: offset };
+        const payloadSize = readSQLiteVarint(this.bytes, state);
+        const rowid = readSQLiteVarint(this.bytes, state);
+        // How much of the payload stays on the page, from the SQLite file format.
+        const usable = this.usableSize;
+        let local = payloadSize;
+        if (payloadSize > usable - 35) {
+          const min = Math.floor((usable - 12) * 32 / 255) - 23;
+          const k = min + ((payloadSize - min) % (usable - 4));
+          local = k <= usable - 35 ? k : min;
+        }
+        return {
+          rowid,
+          payloadSize,
+          start: state.pos,
+          local,
+          overflow: local < payloadSize ? this.view.getUint32(state.pos + local) : 0
+        };
+      }
+
+      _payload(cell) {
+        if (!cell.overflow) return this.bytes.subarray(cell.start, cell.start + cell.payloadSize);
+        const payload = new Uint8Array(cell.payloadSize);
+        payload.set(this.bytes.subarray(cell.start, cell.start + cell.local));
+        let written = cell.local, page = cell.overflow;
+        while (written < cell.payloadSize) {
+          if (!page) {
+            throw new Error('[Atlas] Truncated SQLite overflow chain.');
+          }
+          const start = (page - 1) * this.pageSize;
+          const length = Math.min(this.usableSize - 4, cell.payloadSize - written);
+          payload.set(this.bytes.subarray(start + 4, start + 4 + length), written);
+          written += length;
+          page = this.view.getUint32(start);
+        }
+        return payload;
+      }
+
+      /**
+       * Decodes the values of a row, reading overflow pages only when the wanted columns need them.
+       * @param {object} cell - The cell, as passed by walk().
+       * @param {number} [count] - How many leading columns to decode. All by default.
+       * @returns {Array} The values.
+       */
+      row(cell, count = Infinity) {
+        let payload = this.bytes.subarray(cell.start, cell.start + cell.local);
+        const state = { pos: 0 };
+        const headerSize = readSQLiteVarint(payload, state);
+        const types = [];
+        while (state.pos < headerSize && types.length < count) {
+          types.push(readSQLiteVarint(payload, state));
+        }
+        const size = type => (type >= 12 ? Math.floor((type - 12) / 2) : [0, 1, 2, 3, 4, 6, 8, 8, 0, 0][type]);
+        const end = types.reduce((sum, type) => sum + size(type), headerSize);
+        if (end > payload.length) payload = this._payload(cell);
+
+        const values = [];
+        let pos = headerSize;
+        for (const type of types) {
+          const length = size(type);
+          if (type === 0) {
+            values.push(null);
+          } else if (type <= 6) {
+            // Big-endian two's complement integers.
+            let value = payload[pos] & 0x80 ? -1 : 0;
+            for (let i = 0; i < length; i++) value = value * 256 + payload[pos + i];
+            values.push(value);
+          } else if (type === 7) {
+            values.push(new DataView(payload.buffer, payload.byteOffset + pos, 8).getFloat64(0));
+          } else if (type === 8 || type === 9) {
+            values.push(type - 8);
+          } else if (type % 2 === 0) {
+            values.push(payload.subarray(pos, pos + length));
+          } else {
+            values.push(this._decoder.decode(payload.subarray(pos, pos + length)));
+          }
+          pos += length;
+        }
+        return values;
+      }
+    }
+
+    /**
+     * Reads tiles from an MBTiles file, an SQLite database, loaded in memory. Both the plain
+     * `tiles` table and the deduplicating `map` and `images` tables are supported.
+     *
+     * ```js
+     * const buffer = await (await fetch('basemap.mbtiles')).arrayBuffer();
+     * new ArchiveTileLayer(new MBTilesSource(buffer)).addTo(map);
+     * ```
+     * @class MBTilesSource
+     */
+    class MBTilesSource {
+      /**
+       * Creates an instance of MBTilesSource and indexes its tiles.
+       * @param {ArrayBuffer|Uint8Array} buffer - The content of the file.
+       */
+      constructor(buffer) {
+        this._db = new SQLiteReader(buffer);
+        this._tiles = new Map();
+        const db = this._db;
+        const tiles = db.table('tiles');
+        const columnsOf = (table, names) => names.map((name) => {
+          const index = table.columns.indexOf(name);
+          if (index < 0) {
+            throw new Error(`[Atlas] Invalid MBTiles file: no ${name} column.`);
+          }
+          return index;
+        });
+        const value = (table, row, cell, index) => (index === table.rowidColumn && row[index] === null ? cell.rowid : row[index]);
+
+        if (tiles) {
+          const [z, x, y, data] = columnsOf(tiles, ['zoom_level', 'tile_column', 'tile_row', 'tile_data']);
+          db.walk(tiles.rootPage, (cell) => {
+            const row = db.row(cell, Math.max(z, x, y) + 1);
+            this._tiles.set(`${row[z]}/${row[x]}/${row[y]}`, { cell, column: data });
+          });
+        } else {
+          const map = db.table('map');
+          const images = db.table('images');
+          if (!map || !images) {
+            throw new Error('[Atlas] Invalid MBTiles file: no tiles table, nor map and images tables.');
+          }
+          const [imageData, imageId] = columnsOf(images, ['tile_data', 'tile_id']);
+          const byId = new Map();
+          db.walk(images.rootPage, (cell) => {
+            const row = db.row(cell, imageId + 1);
+            byId.set(value(images, row, cell, imageId), { cell, column: imageData });
+          });
+          const [z, x, y, id] = columnsOf(map, ['zoom_level', 'tile_column', 'tile_row', 'tile_id']);
+          db.walk(map.rootPage, (cell) => {
+            const row = db.row(cell);
+            const image = byId.get(value(map, row, cell, id));
+            if (image) this._tiles.set(`${row[z]}/${row[x]}/${row[y]}`, image);
+          });
+        }
+
+        this.metadata = {};
+        const metadata = db.table('metadata');
+        if (metadata) {
+          const [name, text] = columnsOf(metadata, ['name', 'value']);
+          db.walk(metadata.rootPage, (cell) => {
+            const row = db.row(cell);
+            this.metadata[row[name]] = row[text];
+          });
+        }
+      }
+
+      /**
+       * Describes the tiles of the file, from its metadata table.
+       * @returns {Promise<object>} `{ minZoom, maxZoom, bounds, center, type, attribution }`, with the MIME type of the tiles.
+       */
+      async getInfo() {
+        const metadata = this.metadata;
+        const zooms = Array.from(this._tiles.keys(), key => Number(key.split('/')[0]));
+        const numbers = text => (text ? String(text).split(',').map(Number) : null);
+        const bounds = numbers(metadata.bounds);
+        const center = numbers(metadata.center);
+        return {
+          minZoom: metadata.minzoom !== undefined ? Number(metadata.minzoom) : Math.min(...zooms),
+          maxZoom: metadata.maxzoom !== undefined ? Number(metadata.maxzoom) : Math.max(...zooms),
+          bounds: bounds ? new LatLngBounds([bounds[1], bounds[0]], [bounds[3], bounds[2]]) : null,
+          center: center ? new LatLng(center[1], center[0]) : null,
+          type: MBTILES_FORMATS[metadata.format] || 'image/png',
+          attribution: metadata.attribution || ''
+        };
+      }
+
+      /**
+       * Reads a tile.
+       * @param {number} z - The zoom level.
+       * @param {number} x - The column.
+       * @param {number} y - The row, from the top; MBTiles rows count from the bottom.
+       * @returns {Promise<Uint8Array|null>} The tile data, or null if the file does not have the tile.
+       */
+      async getTile(z, x, y) {
+        const tile = this._tiles.get(`${z}/${x}/${2 ** z - 1 - y}`);
+        return tile ? this._db.row(tile.cell, tile.column + 1)[tile.column] : null;
+      }
+    }
+
+    /**
+     * A tile layer that reads image tiles from a single-file archive instead of a tile server:
+     * a PMTilesSource, an MBTilesSource, or any object with the same `getInfo()` and
+     * `getTile(z, x, y, signal)` methods. The zoom range and attribution come from the archive
+     * unless set as options.
+     *
+     * ```js
+     * new ArchiveTileLayer('https://data.example.org/basemap.pmtiles').addTo(map);
+     * ```
+     * @class ArchiveTileLayer
+     * @extends TileLayer
+     */
+    class ArchiveTileLayer extends TileLayer {
+      /**
+       * Creates an instance of ArchiveTileLayer.
+       * @param {object|string|ArrayBuffer} source - The tile source, the URL of a PMTiles archive, or the content of a PMTiles or MBTiles file.
+       * @param {object} [options] - The tile layer options.
+       * @throws {Error} If a `store` is given for an archive in memory without a `storeNamespace`.
+       */
+      constructor(source, options = {}) {
+        if (typeof source === 'string') {
+          source = new PMTilesSource(source);
+        } else if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+          source = ArchiveTileLayer._sourceFor(source);
+        }
+        checkArchiveStore(source, options);
+        super(`${source.url || 'archive'}/{z}/{x}/{y}`, options);
+        this.source = source;
+        /**
+         * Resolves to the description of the archive once it is read.
+         * @type {Promise<object>}
+         */
+        this.ready = source.getInfo().then((info) => {
+          if (!info.type.startsWith('image/')) {
+            throw new Error(`[Atlas] The archive holds ${info.type} tiles; ArchiveTileLayer shows image tiles.`);
+          }
+          if (options.minZoom === undefined) this.options.minZoom = info.minZoom;
+          if (options.maxZoom === undefined) this.options.maxZoom = info.maxZoom;
+          if (options.minNativeZoom === undefined) this.options.minNativeZoom = info.minZoom;
+          if (options.maxNativeZoom === undefined) this.options.maxNativeZoom = info.maxZoom;
+          if (!options.attribution && info.attribution) this.options.attribution = info.attribution;
+          if (this._map) {
+            this._map.updateAttribution();
+            this._map.render();
+          }
+          this.fire('ready', { info });
+          return info;
+        });
+        this.ready.catch(error => console.error(error.message));
+      }
+
+      static _sourceFor(buffer) {
+        const magic = new TextDecoder().decode(toBytes(buffer).subarray(0, 15));
+        if (magic.startsWith('PMTiles')) return new PMTilesSource(buffer);
+        if (magic === 'SQLite format 3') return new MBTilesSource(buffer);
+        throw new Error('[Atlas] Unknown archive format; expected PMTiles or MBTiles.');
+      }
+
+      async _fetchTile(url, signal, { x, y, z }) {
+        const info = await this.ready;
+        const data = await this.source.getTile(z, x, y, signal);
+        if (!data) {
+          throw new Error(`[Atlas] The archive has no tile ${z}/${x}/${y}.`);
+        }
+        return new Blob([data], { type: info.type });
+      }
+
+      _loadTileBlob(url, signal, coords) {
+        return super._loadTileBlob(url, signal, coords) || this._fetchTile(url, signal, coords).then(blob => ({ blob, storedAt: null }));
+      }
+
+      _reloadTile() {
+        // Tiles in an archive do not change while it is open.
+      }
+    }
+
+    /**
+     * A layer for displaying GeoJSON data.
+     * @class GeoJSONLayer
+     * @extends Layer
+     */
+    class GeoJSONLayer extends Layer {
+      /**
+       * Creates an instance of GeoJSONLayer.
+       * @param {object} geojson - The GeoJSON data.
+       * @param {object} [options={}] - The GeoJSON layer options.
+       * @param {object|Function} [options.style] - The style, or a function returning the style of a
+       *   feature: `color`, `weight`, `opacity`, `fillColor`, `fillOpacity`, `radius`, `fill`, `stroke`,
+       *   and `geodesic` to draw lines along great circles instead of straight on the map.
+       * @param {string|Proj} [options.sourceCrs] - The coordinate reference system of the data, e.g.
+       *   "EPSG:26191", when its positions are not WGS84 `[lon, lat]`. The data is converted to WGS84
+       *   when it is set. Defaults to the legacy `crs` member of the data, if any.
+       */
+      constructor(geojson, options = {}) {
+        super(options);
+        this._geojson = this._normalizeGeoJSON(geojson);
+        this._features = [];
+        this._featureCache = new Map();
+        this._hitCache = new Map();
+        this._geodesicCache = new WeakMap();
+        this._lastRenderZoom = null;
+        this._lastRenderBearing = null;
+        this._lastRenderCenter = null;
+        this.options.style = options.style || {
+          color: '#3388ff',
+          weight: 3,
+          opacity: 1,
+          fillColor: '#3388ff',
+          fillOpacity: 0.2
+        };
+        this.options.interactive = options.interactive !== undefined ? options.interactive : true;
+      }
+
+      _normalizeGeoJSON(input) {
+        const geojson = this._toFeatureCollection(input);
+        geojson.features.forEach((feature, i) => {
+          if (!feature || typeof feature !== 'object') {
+            throw new Error(`[Atlas] Invalid GeoJSON: feature ${i} is not an object.`);
+          }
+          this._validateGeometry(feature.geometry, `feature ${i}`);
+        });
+        // Legacy GeoJSON names its CRS, e.g. "urn:ogc:def:crs:EPSG::26191", as QGIS still writes.
+        const named = input.crs && input.crs.type === 'name' && input.crs.properties ? input.crs.properties.name : null;
+        const sourceCrs = this.options.sourceCrs || named;
+        return sourceCrs ? this._reprojectGeoJSON(geojson, Proj.get(sourceCrs)) : geojson;
+      }
+
+      _reprojectGeoJSON(geojson, proj) {
+        if (proj.code === 'EPSG:4326') return geojson;
+        const position = ([x, y, ...rest]) => {
+          const { lat, lon } = proj.unproject({ x, y });
+          return [lon, lat, ...rest];
+        };
+        const coords = (c) => typeof c[0] === 'number' ? position(c) : c.map(coords);
+        const geometry = (g) => {
+          if (!g) return g;
+          if (g.type === 'GeometryCollection') {
+            return { ...g, geometries: g.geometries.map(geometry) };
+          }
+          return { ...g, coordinates: coords(g.coordinates) };
+        };
+        // The crs member and any bbox no longer apply once the coordinates are WGS84.
+        const { crs, bbox, ...rest } = geojson;
+        return {
+          ...rest,
+          features: geojson.features.map(({ bbox, ...feature }) => ({ ...feature, geometry: geometry(feature.geometry) }))
+        };
+      }
+
+      _validateGeometry(geometry, where) {
+        // GeoJSON allows features without a geometry.
+        if (geometry === null) return;
+        if (!geometry || typeof geometry !== 'object') {
+          throw new Error(`[Atlas] Invalid GeoJSON: ${where} has no geometry.`);
+        }
+        if (geometry.type === 'GeometryCollection') {
+          (geometry.geometries || []).forEach((g, i) => this._validateGeometry(g, `${where}, geometry ${i}`));
+          return;
+        }
+        // The depth of nested arrays down to the positions, for each geometry type.
+        const depths = { Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3 };
+        if (!(geometry.type in depths)) {
+          throw new Error(`[Atlas] Invalid GeoJSON: ${where} has an unknown geometry type "${geometry.type}".`);
+        }
+        const check = (coords, depth) => {
+          if (depth === 0) {
+            if (!Array.isArray(coords) || coords.length < 2 || !Number.isFinite(coords[0]) || !Number.isFinite(coords[1])) {
+              const form = this.options.sourceCrs ? '[x, y]' : '[lon, lat]';
+              throw new Error(`[Atlas] Invalid GeoJSON: ${where} has an invalid position ${JSON.stringify(coords)}; positions are ${form} arrays of numbers.`);
+            }
+            return;
+          }
+          if (!Array.isArray(coords)) {
+            throw new Error(`[Atlas] Invalid GeoJSON: ${where} has malformed ${geometry.type} coordinates.`);
+          }
+          coords.forEach(c => check(c, depth - 1));
+        };
+        check(geometry.coordinates, depths[geometry.type]);
+      }
+
+      _toFeatureCollection(input) {
+        if (!input || typeof input !== 'object') {
+          throw new Error('[Atlas] Invalid GeoJSON: expected a FeatureCollection, a Feature, a geometry or an array of them.');
+        }
+        if (Array.isArray(input)) {
+          return {
+            type: 'FeatureCollection',
+            features: input.map(f => f.type === 'Feature' ? f : { type: 'Feature', geometry: f, properties: {} })
+          };
+        } else if (input.type === 'FeatureCollection') {
+          return input;
+        } else if (input.type === 'Feature') {
+          return { type: 'FeatureCollection', features: [input] };
+        } else {
+          return {
+            type: 'FeatureCollection',
+            features: [{ type: 'Feature', geometry: input, properties: {} }]
+          };
+        }
+      }
+
+      _latLngToScreenPoint(coord) {
+        if (!this._map) return { x: 0, y: 0 };
+        const [lon, lat] = coord;
+        const w = this._map.canvas.width / this._map.dpr;
+        const h = this._map.canvas.height / this._map.dpr;
+        const zInt = Math.floor(this._map.zoom);
+        const ts = TILE_SIZE * Math.pow(2, this._map.zoom - zInt);
+        const ct = this._map.projection.latLngToTile(this._map.center, zInt);
+        const pt = this._map.projection.latLngToTile({ lat, lon }, zInt);
+        const trX = (pt.x - ct.x) * ts;
+        const trY = (pt.y - ct.y) * ts;
+        const anchorVec = rot(trX, trY, this._map.bearing);
+        const screenX = w / 2 + anchorVec.x;
+        const screenY = h / 2 + anchorVec.y;
+        return { x: screenX, y: screenY };
+      }
+
+      _getFeatureStyle(feature) {
+        if (typeof this.options.style === 'function') {
+          return this.options.style(feature);
+        }
+        return this.options.style;
+      }
+
+      /**
+       * Follows the geodesic between each pair of positions of a line, and splits the
+       * line where it crosses the antimeridian.
+       * @param {Array} line - The `[lon, lat]` positions.
+       * @returns {Array} The parts of the line, as arrays of `[lon, lat]` positions.
+       * @private
+       */
+      _geodesicParts(line) {
+        if (this._geodesicCache.has(line)) {
+          return this._geodesicCache.get(line);
+        }
+        const points = [];
+        for (let i = 0; i < line.length - 1; i++) {
+          const from = { lat: line[i][1], lon: line[i][0] };
+          const to = { lat: line[i + 1][1], lon: line[i + 1][0] };
+          const segments = Math.max(1, Math.ceil(GISUtils.vincentyDistance(from, to) / GEODESIC_SEGMENT_LENGTH));
+          const dense = GISUtils.intermediatePoints(from, to, segments);
+          if (i > 0) dense.shift();
+          dense.forEach(p => points.push([p.lon, p.lat]));
+        }
+        if (line.length === 1) points.push(line[0]);
+
+        const parts = this._splitLine(points);
+        this._geodesicCache.set(line, parts);
+        return parts;
+      }
+
+      // Splits a line where it jumps by more than 180° of longitude, taking the jump
+      // as a crossing of the antimeridian.
+      _splitLine(line) {
+        const parts = [[]];
+        line.forEach((point, i) => {
+          const prev = line[i - 1];
+          if (prev && Math.abs(point[0] - prev[0]) > 180) {
+            // Cut the segment at the antimeridian, on the side it leaves from.
+            const side = prev[0] > 0 ? 180 : -180;
+            const lon = point[0] + 2 * side;
+            const lat = prev[1] + (point[1] - prev[1]) * (side - prev[0]) / (lon - prev[0]);
+            parts[parts.length - 1].push([side, lat]);
+            parts.push([[-side, lat]]);
+          }
+          parts[parts.length - 1].push(point);
+        });
+        return parts;
+      }
+
+      // Splits a polygon that crosses the antimeridian into the polygons on either side.
+      // Points on the cut are marked, so that the cut is not stroked.
+      _splitPolygon(rings) {
+        // Make each ring continuous, with no jump of more than 180°.
+        const unwrapped = rings.map(ring => {
+          const out = [];
+          ring.forEach(([lon, lat, ...rest], i) => {
+            const prevLon = i > 0 ? out[i - 1][0] : lon;
+            out.push([lon + 360 * Math.round((prevLon - lon) / 360), lat, ...rest]);
+          });
+          return out;
+        });
+        // A ring that does not close once continuous goes round a pole; draw it as it is.
+        if (unwrapped.some(ring => ring.length > 1 && Math.abs(ring[ring.length - 1][0] - ring[0][0]) > 180)) {
+          return [rings];
+        }
+        const lons = unwrapped[0].map(p => p[0]);
+        const min = Math.min(...lons);
+        const max = Math.max(...lons);
+        // Keep the holes with the outline, and the outline's west end in [-180, 180).
+        const shift = 360 * Math.floor((min + 180) / 360);
+        const mid = (min + max) / 2;
+        const aligned = unwrapped.map((ring, i) => {
+          let offset = shift;
+          if (i > 0) {
+            const ringLons = ring.map(p => p[0]);
+            offset += 360 * Math.round(((Math.min(...ringLons) + Math.max(...ringLons)) / 2 - mid) / 360);
+          }
+          return ring.map(([lon, ...rest]) => [lon - offset, ...rest]);
+        });
+        if (max - shift <= 180) {
+          return [aligned];
+        }
+
+        const clip = (ring, west) => {
+          const open = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+            ? ring.slice(0, -1) : ring;
+          const inside = p => west ? p[0] <= 180 : p[0] >= 180;
+          const out = [];
+          open.forEach((cur, i) => {
+            const prev = open[(i + open.length - 1) % open.length];
+            if (inside(cur) !== inside(prev)) {
+              const cut = [180, prev[1] + (cur[1] - prev[1]) * (180 - prev[0]) / (cur[0] - prev[0])];
+              cut.cut = true;
+              out.push(cut);
+            }
+            if (inside(cur)) out.push(cur);
+          });
+          return out.map(p => {
+            if (west) return p;
+            const shifted = [p[0] - 360, ...p.slice(1)];
+            shifted.cut = p.cut;
+            return shifted;
+          });
+        };
+        return [true, false]
+          .map(west => aligned.map(ring => clip(ring, west)))
+          .filter(([outline]) => outline.length >= 3)
+          .map(polygon => polygon.filter(ring => ring.length >= 3));
+      }
+
+      // Moves the parts of a geometry to the world copies nearest to the map's center.
+      // Lines and polygons that cross the antimeridian are split first.
+      _wrapGeometry(geometry) {
+        const center = this._map.center.lon;
+        const offset = (points) => {
+          const lons = points.map(p => p[0]);
+          return 360 * Math.round((center - (Math.min(...lons) + Math.max(...lons)) / 2) / 360);
+        };
+        const move = (points, by) => points.map(p => {
+          const moved = [p[0] + by, ...p.slice(1)];
+          moved.cut = p.cut;
+          return moved;
+        });
+        const lines = (list) => list.flatMap(line => this._splitLine(line)).map(line => move(line, offset(line)));
+        const polygons = (list) => list.flatMap(rings => this._splitPolygon(rings))
+          .map(rings => rings.map(ring => move(ring, offset(rings[0]))));
+
+        switch (geometry.type) {
+          case 'Point':
+            return { type: 'Point', coordinates: move([geometry.coordinates], offset([geometry.coordinates]))[0] };
+          case 'MultiPoint':
+            return { type: 'MultiPoint', coordinates: geometry.coordinates.map(p => move([p], offset([p]))[0]) };
+          case 'LineString':
+          case 'MultiLineString':
+            return { type: 'MultiLineString', coordinates: lines(geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates) };
+          case 'Polygon':
+          case 'MultiPolygon':
+            return { type: 'MultiPolygon', coordinates: polygons(geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates) };
+          default:
+            return geometry;
+        }
+      }
+
+      _processFeature(feature) {
+        const cacheKey = JSON.stringify(feature);
+        if (this._featureCache.has(cacheKey)) {
+          return this._featureCache.get(cacheKey);
+        }
+
+        let geometry = feature.geometry;
+        if ((geometry.type === 'LineString' || geometry.type === 'MultiLineString') && this._getFeatureStyle(feature).geodesic) {
+          const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+          geometry = { type: 'MultiLineString', coordinates: lines.flatMap(line => this._geodesicParts(line)) };
+        }
+        if (this._map._wrapsFeatures()) {
+          geometry = this._wrapGeometry(geometry);
+        }
+        const processed = { type: geometry.type, coordinates: null, properties: feature.properties };
+        const toScreen = (coord) => {
+          const point = this._latLngToScreenPoint(coord);
+          if (coord.cut) point.cut = true;
+          return point;
+        };
+
+        switch (geometry.type) {
+          case 'Point':
+            processed.coordinates = toScreen(geometry.coordinates);
+            break;
+          case 'MultiPoint':
+          case 'LineString':
+            processed.coordinates = geometry.coordinates.map(toScreen);
+            break;
+          case 'MultiLineString':
+          case 'Polygon':
+            processed.coordinates = geometry.coordinates.map(ring => ring.map(toScreen));
+            break;
+          case 'MultiPolygon':
+            processed.coordinates = geometry.coordinates.map(polygon => polygon.map(ring => ring.map(toScreen)));
+            break;
+          default:
+            console.warn('[Atlas] Unsupported geometry type:', geometry.type);
+            return null;
+        }
+
+        this._featureCache.set(cacheKey, processed);
+        return processed;
+      }
+
+      _renderPoint(ctx, feature, style) {
+        const { x, y } = feature.coordinates;
+        ctx.beginPath();
+        ctx.arc(x, y, style.radius || 5, 0, 2 * Math.PI);
+        ctx.fillStyle = style.fillColor || style.color || '#3388ff';
+        ctx.fill();
+        if (style.stroke !== false) {
+          ctx.strokeStyle = style.color || '#3388ff';
+          ctx.lineWidth = style.weight || 2;
+          ctx.globalAlpha = style.opacity || 1;
+          ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+      }
+
+      _renderLineString(ctx, feature, style) {
+        const coords = feature.coordinates;
+        if (coords.length < 2) return;
+        ctx.beginPath();
+        ctx.moveTo(coords[0].x, coords[0].y);
+        for (let i = 1; i < coords.length; i++) {
+          ctx.lineTo(coords[i].x, coords[i].y);
+        }
+        ctx.strokeStyle = style.color || '#3388ff';
+        ctx.lineWidth = style.weight || 3;
+        ctx.globalAlpha = style.opacity || 1;
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      }
+
+      _renderPolygon(ctx, feature, style) {
+        const rings = feature.coordinates;
+        if (rings.length === 0) return;
+
+        ctx.beginPath();
+        for (let r = 0; r < rings.length; r++) {
+          const ring = rings[r];
+          if (ring.length < 3) continue;
+          ctx.moveTo(ring[0].x, ring[0].y);
+          for (let i = 1; i < ring.length; i++) {
+            ctx.lineTo(ring[i].x, ring[i].y);
+          }
+          ctx.closePath();
+        }
+
+        if (style.fill !== false) {
+          ctx.fillStyle = style.fillColor || style.color || '#3388ff';
+          ctx.globalAlpha = style.fillOpacity || 0.2;
+          ctx.fill();
+          ctx.globalAlpha = 1;
+        }
+
+        if (style.stroke !== false) {
+          if (rings.some(ring => ring.some(p => p.cut))) {
+            // Outline a polygon split at the antimeridian without the cut.
+            ctx.beginPath();
+            for (const ring of rings) {
+              if (ring.length < 3) continue;
+              ring.forEach((p, i) => {
+                const prev = ring[(i + ring.length - 1) % ring.length];
+                if (i === 0 || (p.cut && prev.cut)) {
+                  ctx.moveTo(p.x, p.y);
+                } else {
+                  ctx.lineTo(p.x, p.y);
+                }
+              });
+              if (!(ring[0].cut && ring[ring.length - 1].cut)) ctx.lineTo(ring[0].x, ring[0].y);
+            }
+          }
+          ctx.strokeStyle = style.color || '#3388ff';
+          ctx.lineWidth = style.weight || 3;
+          ctx.globalAlpha = style.opacity || 1;
+          ctx.stroke();
+          ctx.globalAlpha = 1;
+        }
+      }
+
+      _pointInPolygon(x, y, rings) {
+        let inside = false;
+        // Check the outer ring first
+        if (this._pointInRing(x, y, rings[0])) {
+          inside = true;
+          // Now check the inner rings (holes)
+          for (let i = 1; i < rings.length; i++) {
+            if (this._pointInRing(x, y, rings[i])) {
+              inside = false; // Point is in a hole
+              break;
+            }
+          }
+        }
+        return inside;
+      }
+
+      _pointInRing(x, y, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+          const xi = ring[i].x, yi = ring[i].y;
+          const xj = ring[j].x, yj = ring[j].y;
+          const intersect = ((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+          if (intersect) inside = !inside;
+        }
+        return inside;
+      }
+
+      _pointOnLine(x, y, line, width) {
+        for (let i = 0; i < line.length - 1; i++) {
+          const p1 = line[i];
+          const p2 = line[i + 1];
+          const dx = p2.x - p1.x;
+          const dy = p2.y - p1.y;
+          const lenSq = dx * dx + dy * dy;
+          if (lenSq === 0) continue;
+          let t = ((x - p1.x) * dx + (y - p1.y) * dy) / lenSq;
+          t = Math.max(0, Math.min(1, t));
+          const closeX = p1.x + t * dx;
+          const closeY = p1.y + t * dy;
+          const distSq = (x - closeX) * (x - closeX) + (y - closeY) * (y - closeY);
+          if (distSq < (width / 2) * (width / 2)) return true;
+        }
+        return false;
+      }
+
+      _hitDetect(x, y) {
+        // Iterate backwards to prioritize features rendered on top
+        for (let i = this._features.length - 1; i >= 0; i--) {
+          const feature = this._features[i];
+          const processed = this._processFeature(feature);
+          if (!processed) continue;
+          const style = this._getFeatureStyle(feature);
+
+          switch (processed.type) {
+            case 'Point':
+              const dist = Math.hypot(x - processed.coordinates.x, y - processed.coordinates.y);
+              if (dist <= (style.radius || 5) + 5) { // Add a 5px buffer
+                return feature;
+              }
+              break;
+            case 'MultiPoint':
+              if (processed.coordinates.some(p => Math.hypot(x - p.x, y - p.y) <= (style.radius || 5) + 5)) {
+                return feature;
+              }
+              break;
+            case 'LineString':
+              if (this._pointOnLine(x, y, processed.coordinates, (style.weight || 3) + 10)) { // Add a 10px buffer
+                return feature;
+              }
+              break;
+            case 'MultiLineString':
+              if (processed.coordinates.some(line => this._pointOnLine(x, y, line, (style.weight || 3) + 10))) {
+                return feature;
+              }
+              break;
+            case 'Polygon':
+              if (this._pointInPolygon(x, y, processed.coordinates)) {
+                return feature;
+              }
+              break;
+            case 'MultiPolygon':
+              if (processed.coordinates.some(rings => this._pointInPolygon(x, y, rings))) {
+                return feature;
+              }
+              break;
+          }
+        }
+        return null;
+      }
+
+      /**
+       * Finds the topmost feature at a container point. The map uses this to route
+       * pointer events to the layer, which fires them with the feature attached.
+       * @param {object} point - The container point.
+       * @returns {object|null} The GeoJSON feature, or null if none was hit.
+       */
+      hitTest(point) {
+        if (!this.options.interactive || !this._map) return null;
+        this._invalidateForView();
+        return this._hitDetect(point.x, point.y);
+      }
+
+      /**
+       * Gets the bounding box of all features, e.g. to zoom to the layer with
+       * `map.fitBounds(layer)`. Geodesic lines count with the curve they follow.
+       * @returns {LatLngBounds|null} The bounds, or null if the layer is empty.
+       */
+      getBounds() {
+        const bounds = new LatLngBounds();
+        const extend = (coords) => {
+          if (typeof coords[0] === 'number') {
+            bounds.extend([coords[1], coords[0]]);
+            return;
+          }
+          coords.forEach(extend);
+        };
+        const visit = (geometry, geodesic) => {
+          if (!geometry) return;
+          if (geometry.type === 'GeometryCollection') {
+            geometry.geometries.forEach(g => visit(g, geodesic));
+          } else if (geodesic && geometry.type === 'LineString') {
+            extend(this._geodesicParts(geometry.coordinates));
+          } else if (geodesic && geometry.type === 'MultiLineString') {
+            geometry.coordinates.forEach(line => extend(this._geodesicParts(line)));
+          } else if (geometry.coordinates) {
+            extend(geometry.coordinates);
+          }
+        };
+        for (const feature of this._geojson.features || []) {
+          visit(feature.geometry, feature.geometry && this._getFeatureStyle(feature).geodesic);
+        }
+        return bounds.isValid() ? bounds : null;
+      }
+
+      /**
+       * Called when the layer is added to the map.
+       */
+      onAdd() {
+        this._features = this._geojson.features || [];
+        this.fire('add');
+      }
+
+      /**
+       * Called when the layer is removed from the map.
+       */
+      onRemove() {
+        this._featureCache.clear();
+        this._hitCache.clear();
+        this.fire('remove');
+      }
+
+      // Drops the screen coordinates of the features once the view has changed.
+      _invalidateForView() {
+        const needsRebuild = (
+          this._lastRenderZoom !== this._map.zoom ||
+          this._lastRenderBearing !== this._map.bearing ||
+          this._lastRenderCenter?.lon !== this._map.center.lon ||
+          this._lastRenderCenter?.lat !== this._map.center.lat
+        );
+
+        if (needsRebuild) {
+          this._featureCache.clear();
+          this._hitCache.clear();
+          this._lastRenderZoom = this._map.zoom;
+          this._lastRenderBearing = this._map.bearing;
+          this._lastRenderCenter = { ...this._map.center };
+        }
+      }
+
+      render() {
+        if (!this._map) return;
+
+        const ctx = this._map.ctx;
+        this._invalidateForView();
+
+        for (const feature of this._features) {
+          const processed = this._processFeature(feature);
+          if (!processed) continue;
+          const style = this._getFeatureStyle(feature);
+
+          switch (processed.type) {
+            case 'Point':
+              this._renderPoint(ctx, processed, style);
+              break;
+            case 'MultiPoint':
+              processed.coordinates.forEach(point => this._renderPoint(ctx, { coordinates: point }, style));
+              break;
+            case 'LineString':
+              this._renderLineString(ctx, processed, style);
+              break;
+            case 'MultiLineString':
+              processed.coordinates.forEach(line => this._renderLineString(ctx, { coordinates: line }, style));
+              break;
+            case 'Polygon':
+              this._renderPolygon(ctx, processed, style);
+              break;
+            case 'MultiPolygon':
+              processed.coordinates.forEach(rings => this._renderPolygon(ctx, { coordinates: rings }, style));
+              break;
+          }
+        }
+      }
+
+      /**
+       * Sets the GeoJSON data for the layer.
+       * @param {object} geojson - The GeoJSON data.
+       * @returns {GeoJSONLayer} The current layer instance.
+       */
+      setData(geojson) {
+        this._geojson = this._normalizeGeoJSON(geojson);
+        this._features = this._geojson.features || [];
+        this._featureCache.clear();
+        this._hitCache.clear();
+        if (this._map) {
+          this._map.render();
+        }
+        return this;
+      }
+
+      /**
+       * Gets the GeoJSON data for the layer, in WGS84 when it was set with a `sourceCrs`.
+       * @returns {object} The GeoJSON data.
+       */
+      getData() {
+        return this._geojson;
+      }
+    }
+
+    /**
+     * A layer of geodesic arcs between pairs of coordinates, e.g. routes from origins to
+     * destinations. Arcs are GeoJSON LineString features drawn with the `geodesic` style,
+     * so they take the same styles and fire the same feature events as a GeoJSONLayer.
+     *
+     * ```js
+     * new GreatCircleLayer([
+     *   { from: [33.37, -7.59], to: [40.64, -73.78], properties: { flight: 'AT200' } }
+     * ], { style: { color: '#c0392b', weight: 2 } }).addTo(map);
+     * ```
+     * @class GreatCircleLayer
+     * @extends GeoJSONLayer
+     */
+    class GreatCircleLayer extends GeoJSONLayer {
+      /**
+       * Creates an instance of GreatCircleLayer.
+       * @param {Array} [arcs=[]] - The arcs, as `{ from, to, properties }` objects or `[from, to]` pairs of coordinates.
+       * @param {object} [options={}] - The GeoJSON layer options.
+       */
+      constructor(arcs = [], options = {}) {
+        super(GreatCircleLayer._toFeatures(arcs), options);
+      }
+
+      static _toFeatures(arcs) {
+        return {
+          type: 'FeatureCollection',
+          features: arcs.map(arc => {
+            const [from, to] = Array.isArray(arc) ? arc : [arc.from, arc.to];
+            const a = LatLng.from(from);
+            const b = LatLng.from(to);
+            return {
+              type: 'Feature',
+              geometry: { type: 'LineString', coordinates: [[a.lon, a.lat], [b.lon, b.lat]] },
+              properties: (!Array.isArray(arc) && arc.properties) || {}
+            };
+          })
+        };
+      }
+
+      _getFeatureStyle(feature) {
+        return { ...super._getFeatureStyle(feature), geodesic: true };
+      }
+
+      /**
+       * Replaces the arcs of the layer.
+       * @param {Array} arcs - The arcs, as for the constructor.
+       * @returns {GreatCircleLayer} The current layer instance.
+       */
+      setArcs(arcs) {
+        return this.setData(GreatCircleLayer._toFeatures(arcs));
+      }
+    }
+
+    // --- Vector Tiles ---
+    const VECTOR_GEOMETRY_TYPES = [null, 'Point', 'LineString', 'Polygon'];
+    const DEFAULT_VECTOR_STYLE = {
+      layers: [
+        { id: 'polygons', type: 'fill', filter: ['==', '$type', 'Polygon'], paint: { 'fill-color': '#d8d2c4', 'fill-outline-color': '#b8b2a4' } },
+        { id: 'lines', type: 'line', filter: ['==', '$type', 'LineString'], paint: { 'line-color': '#8a8a8a', 'line-width': 1 } },
+        { id: 'points', type: 'circle', filter: ['==', '$type', 'Point'], paint: { 'circle-color': '#555555', 'circle-radius': 3 } }
+      ]
+    };
+
+    // Reads the protocol buffer wire format, as far as vector tiles use it.
+    class ProtobufReader {
+      constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.pos = 0;
+      }
+
+      // Varints are little-endian groups of 7 bits; 64-bit values lose precision past 2^53.
+      varint() {
+        let value = 0, factor = 1, byte;
+        do {
+          if (this.pos >= this.bytes.length) {
+            throw new Error('[Atlas] Truncated vector tile.');
+          }
+          byte = this.bytes[this.pos++];
+          value += (byte & 0x7f) * factor;
+          factor *= 128;
+        } while (byte & 0x80);
+        return value;
+      }
+
+      svarint() {
+        const value = this.varint();
+        return value % 2 === 1 ? (value + 1) / -2 : value / 2;
+      }
+
+      // Varint-encoded int64 fields hold negative numbers in two's complement.
+      int64() {
+        const value = this.varint();
+        return value >= 2 ** 63 ? value - 2 ** 64 : value;
+      }
+
+      bytesField() {
+        const end = this.varint() + this.pos;
+        const bytes = this.bytes.subarray(this.pos, end);
+        this.pos = end;
+        return bytes;
+      }
+
+      string() {
+        return new TextDecoder().decode(this.bytesField());
+      }
+
+      float() {
+        const value = this.view.getFloat32(this.pos, true);
+        this.pos += 4;
+        return value;
+      }
+
+      double() {
+        const value = this.view.getFloat64(this.pos, true);
+        this.pos += 8;
+        return value;
+      }
+
+      packed() {
+        const end = this.varint() + this.pos;
+        const values = [];
+        while (this.pos < end) values.push(this.varint());
+        return values;
+      }
+
+      // Calls fn(field, wireType) for each field of the message up to the end; fn returns
+      // false for fields it did not read, which are skipped.
+      fields(fn, end = this.bytes.length) {
+        while (this.pos < end) {
+          const key = this.varint();
+          const field = Math.floor(key / 8), type = key & 7;
+          if (fn(field, type) !== false) continue;
+          if (type === 0) this.varint();
+          else if (type === 1) this.pos += 8;
+          else if (type === 2) this.pos += this.varint();
+          else if (type === 5) this.pos += 4;
+          else throw new Error(`[Atlas] Unsupported protobuf wire type ${type} in a vector tile.`);
+        }
+      }
+    }
+
+    /**
+     * A layer that draws Mapbox Vector Tiles on the canvas, styled by a list of style layers
+     * in the spirit of the Mapbox style specification. Shapes are drawn at the map's zoom and
+     * bearing, so they stay sharp when the map is rotated, and labels stay upright.
+     *
+     * ```js
+     * new VectorTileLayer('https://tiles.example.com/{z}/{x}/{y}.pbf', {
+     *   style: {
+     *     layers: [
+     *       { id: 'water', type: 'fill', 'source-layer': 'water', paint: { 'fill-color': '#a0c8f0' } },
+     *       { id: 'roads', type: 'line', 'source-layer': 'transportation', filter: ['in', 'class', 'primary', 'secondary'],
+     *         paint: { 'line-color': '#ffffff', 'line-width': { base: 1.4, stops: [[8, 1], [16, 8]] } } },
+     *       { id: 'places', type: 'symbol', 'source-layer': 'place', layout: { 'text-field': '{name}', 'text-size': 13 } }
+     *     ]
+     *   }
+     * }).addTo(map);
+     * ```
+     *
+     * Style layers have a `type` (`fill`, `line`, `circle` or `symbol`), an optional
+     * `source-layer` (all layers of the tile when missing), `filter`, `minzoom`, `maxzoom`,
+     * and `paint` and `layout` properties. Property values may be constants, zoom functions
+     * `{ base, stops: [[zoom, value], ...] }`, or functions `(zoom, feature) => value`.
+     * Filters use the `==`, `!=`, `<`, `<=`, `>`, `>=`, `in`, `!in`, `has`, `!has`, `all`,
+     * `any` and `none` operators, and `$type` for the geometry type.
+     *
+     * Like a GeoJSONLayer, the layer fires pointer events with the GeoJSON `feature` under the
+     * pointer, which also has the name of its `sourceLayer`.
+     * @class VectorTileLayer
+     * @extends TileLayer
+     */
+    class VectorTileLayer extends TileLayer {
+      /**
+       * Creates an instance of VectorTileLayer.
+       * @param {string} urlTemplate - The URL template of the tiles, as for a TileLayer.
+       * @param {object} [options] - The tile layer options, and:
+       * @param {object|Array} [options.style] - The style, `{ layers: [...] }` or the array of style layers.
+       * @param {object} [options.source] - A PMTilesSource or MBTilesSource of vector tiles, to read instead of the URL.
+       * @param {boolean} [options.interactive=true] - Whether the features fire pointer events.
+       * @throws {Error} If a `store` is given for a `source` in memory without a `storeNamespace`.
+       */
+      constructor(urlTemplate, options = {}) {
+        const source = options.source;
+        if (source) checkArchiveStore(source, options);
+        super(source ? `${source.url || 'archive'}/{z}/{x}/{y}` : urlTemplate, {
+          interactive: true,
+          ...options
+        });
+        this._geojsonCache = new WeakMap();
+        this._labels = [];
+        this.setStyle(options.style || DEFAULT_VECTOR_STYLE);
+      }
+
+      /**
+       * Decodes a vector tile.
+       * @param {ArrayBuffer|Uint8Array} buffer - The tile, in the Mapbox Vector Tile format.
+       * @returns {object} The layers by name, each `{ name, extent, features }`, whose features
+       *   have an `id`, a `type`, `properties` and a `geometry` in tile units: a list of points,
+       *   of lines, or of polygons given as rings.
+       */
+      static decode(buffer) {
+        const pbf = new ProtobufReader(toBytes(buffer));
+        const layers = {};
+        pbf.fields((field, type) => {
+          if (field !== 3 || type !== 2) return false;
+          const layer = VectorTileLayer._decodeLayer(pbf, pbf.varint() + pbf.pos);
+          layers[layer.name] = layer;
+        });
+        return layers;
+      }
+
+      static _decodeLayer(pbf, end) {
+        const layer = { name: '', extent: 4096, features: [] };
+        const keys = [], values = [], rawFeatures = [];
+        pbf.fields((field, type) => {
+          if (field === 1) layer.name = pbf.string();
+          else if (field === 2) rawFeatures.push(pbf.bytesField());
+          else if (field === 3) keys.push(pbf.string());
+          else if (field === 4) values.push(VectorTileLayer._decodeValue(pbf, pbf.varint() + pbf.pos));
+          else if (field === 5) layer.extent = pbf.varint();
+          else return false;
+        }, end);
+        // Features refer to the keys and values of the layer, which may come after them.
+        for (const bytes of rawFeatures) {
+          const reader = new ProtobufReader(bytes);
+          const feature = { id: undefined, type: null, properties: {}, geometry: [] };
+          let commands = [];
+          reader.fields((field) => {
+            if (field === 1) feature.id = reader.varint();
+            else if (field === 2) {
+              const tags = reader.packed();
+              for (let i = 0; i + 1 < tags.length; i += 2) {
+                feature.properties[keys[tags[i]]] = values[tags[i + 1]];
+              }
+            } else if (field === 3) feature.type = VECTOR_GEOMETRY_TYPES[reader.varint()] || null;
+            else if (field === 4) commands = reader.packed();
+            else return false;
+          });
+          if (!feature.type) continue;
+          feature.geometry = VectorTileLayer._decodeGeometry(feature.type, commands);
+          layer.features.push(feature);
+        }
+        return layer;
+      }
+
+      static _decodeValue(pbf, end) {
+        let value = null;
+        pbf.fields((field) => {
+          if (field === 1) value = pbf.string();
+          else if (field === 2) value = pbf.float();
+          else if (field === 3) value = pbf.double();
+          else if (field === 4) value = pbf.int64();
+          else if (field === 5) value = pbf.varint();
+          else if (field === 6) value = pbf.svarint();
+          else if (field === 7) value = pbf.varint() === 1;
+          else return false;
+        }, end);
+        return value;
+      }
+
+      // Runs the MoveTo, LineTo and ClosePath commands, then groups polygon rings: a ring with
+      // a positive area in tile units starts a polygon, and the negative ones after it are its holes.
+      static _decodeGeometry(type, commands) {
+        const lines = [];
+        let line = null, x = 0, y = 0;
+        const zigzag = value => (value % 2 === 1 ? (value + 1) / -2 : value / 2);
+        for (let i = 0; i < commands.length;) {
+          const command = commands[i] & 7;
+          const count = Math.floor(commands[i++] / 8);
+          if (command === 7) {
+            if (line && line.length) line.push({ x: line[0].x, y: line[0].y });
+            continue;
+          }
+          for (let n = 0; n < count; n++) {
+            x += zigzag(commands[i++]);
+            y += zigzag(commands[i++]);
+            if (command === 1) {
+              line = [];
+              lines.push(line);
+            }
+            line.push({ x, y });
+          }
+        }
+        if (type === 'Point') return lines.flat();
+        if (type === 'LineString') return lines;
+
+        const polygons = [];
+        for (const ring of lines) {
+          let area = 0;
+          for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j].x - ring[i].x) * (ring[i].y + ring[j].y);
+          }
+          if (area === 0) continue;
+          if (area > 0 || polygons.length === 0) {
+            polygons.push([ring]);
+          } else {
+            polygons[polygons.length - 1].push(ring);
+          }
+        }
+        return polygons;
+      }
+
+      /**
+       * Sets the style of the layer and draws it again.
+       * @param {object|Array} style - The style, `{ layers: [...] }` or the array of style layers.
+       * @returns {VectorTileLayer} The current layer instance.
+       */
+      setStyle(style) {
+        const layers = Array.isArray(style) ? style : style.layers;
+        if (!Array.isArray(layers)) {
+          throw new Error('[Atlas] A vector tile style needs a layers array.');
+        }
+        for (const layer of layers) {
+          if (!['fill', 'line', 'circle', 'symbol'].includes(layer.type)) {
+            throw new Error(`[Atlas] Unknown type "${layer.type}" in vector style layer "${layer.id}"; use fill, line, circle or symbol.`);
+          }
+        }
+        this.style = { ...style, layers };
+        if (this._map) {
+          this._map.render();
+        }
+        return this;
+      }
+
+      _evaluate(value, zoom, feature) {
+        if (typeof value === 'function') return value(zoom, feature);
+        if (!value || !Array.isArray(value.stops)) return value;
+        const stops = value.stops;
+        if (zoom <= stops[0][0]) return stops[0][1];
+        for (let i = 1; i < stops.length; i++) {
+          const [z1, v1] = stops[i];
+          if (zoom > z1) continue;
+          const [z0, v0] = stops[i - 1];
+          if (typeof v0 !== 'number' || typeof v1 !== 'number') return v0;
+          // Exponential interpolation between the stops, linear for base 1.
+          const base = value.base || 1;
+          const t = base === 1 ? (zoom - z0) / (z1 - z0) : (Math.pow(base, zoom - z0) - 1) / (Math.pow(base, z1 - z0) - 1);
+          return v0 + (v1 - v0) * t;
+        }
+        return stops[stops.length - 1][1];
+      }
+
+      _property(styleLayer, group, name, zoom, feature, fallback) {
+        const properties = styleLayer[group];
+        const value = properties && properties[name] !== undefined ? this._evaluate(properties[name], zoom, feature) : undefined;
+        return value === undefined ? fallback : value;
+      }
+
+      _matches(filter, feature) {
+        if (!filter) return true;
+        const [op, ...args] = filter;
+        const get = key => (key === '$type' ? feature.type : key === '$id' ? feature.id : feature.properties[key]);
+        switch (op) {
+          case 'all': return args.every(f => this._matches(f, feature));
+          case 'any': return args.some(f => this._matches(f, feature));
+          case 'none': return !args.some(f => this._matches(f, feature));
+          case 'has': return get(args[0]) !== undefined;
+          case '!has': return get(args[0]) === undefined;
+          case 'in': return args.slice(1).includes(get(args[0]));
+          case '!in': return !args.slice(1).includes(get(args[0]));
+          case '==': return get(args[0]) === args[1];
+          case '!=': return get(args[0]) !== args[1];
+          case '<': return get(args[0]) < args[1];
+          case '<=': return get(args[0]) <= args[1];
+          case '>': return get(args[0]) > args[1];
+          case '>=': return get(args[0]) >= args[1];
+          default:
+            throw new Error(`[Atlas] Unknown vector style filter operator "${op}".`);
+        }
+      }
+
+      // The style layers to draw at the zoom, each with the tile layers it applies to.
+      _styleLayersAt(zoom, tile) {
+        return this.style.layers
+          .filter(layer => (layer.minzoom === undefined || zoom >= layer.minzoom) && (layer.maxzoom === undefined || zoom < layer.maxzoom))
+          .filter(layer => !layer.layout || layer.layout.visibility !== 'none')
+          .map(layer => ({
+            layer,
+            sources: layer['source-layer'] ? [tile.layers[layer['source-layer']]].filter(Boolean) : Object.values(tile.layers)
+          }));
+      }
+
+      async _loadTileContent(url, signal, key) {
+        const coords = this._getKeyCoords(key);
+        const { blob, storedAt } = await (this._loadTileBlob(url, signal, coords) ||
+          this._fetchTile(url, signal, coords).then(blob => ({ blob, storedAt: null })));
+        return { layers: await this._decodeBlob(blob), storedAt };
+      }
+
+      async _decodeBlob(blob) {
+        let bytes = new Uint8Array(await blob.arrayBuffer());
+        // Tiles in MBTiles files, and from servers that do not set Content-Encoding, are often gzipped.
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+          bytes = await decompress(bytes, 2);
+        }
+        return VectorTileLayer.decode(bytes);
+      }
+
+      _reloadTile(key, url) {
+        const existing = this.tileCache.get(key);
+        const token = key + "#r";
+        if (!existing || this.loadingTiles.has(token)) return;
+        this._startLoading(token);
+        this._fetchTile(`${url}${url.includes("?") ? "&" : "?"}v=${Date.now()}`, undefined, this._getKeyCoords(key))
+          .then(async (blob) => {
+            existing.layers = await this._decodeBlob(blob);
+            existing.loadedAt = Date.now();
+            if (this.options.store) this._putInStore(url, blob);
+            if (this._map) this._map.scheduleRender();
+          }, () => {})
+          .finally(() => this._finishLoading(token));
+      }
+
+      async _fetchTile(url, signal, coords) {
+        const source = this.options.source;
+        if (!source) return super._fetchTile(url, signal, coords);
+        const { x, y, z } = coords;
+        const data = await source.getTile(z, x, y, signal);
+        if (!data) {
+          throw new Error(`[Atlas] The archive has no tile ${z}/${x}/${y}.`);
+        }
+        return new Blob([data]);
+      }
+
+      _drawTile(ctx, tile, x, y, size, placeholder) {
+        const zoom = this._map.zoom;
+        // The layer's opacity, and the tile's while it fades in.
+        const alpha = ctx.globalAlpha;
+        // The size of a CSS pixel in the tile, which the map scales to the zoom.
+        const pixel = 1 / Math.pow(2, zoom - this._getTileZoom());
+        ctx.save();
+        // Tiles overlap by a buffer; each draws its own square only, so features join seamlessly.
+        ctx.beginPath();
+        ctx.rect(x, y, size, size);
+        ctx.clip();
+
+        for (const { layer, sources } of this._styleLayersAt(zoom, tile)) {
+          for (const source of sources) {
+            const k = size / source.extent;
+            const toTile = p => ({ x: x + p.x * k, y: y + p.y * k });
+            for (const feature of source.features) {
+              if (!this._matches(layer.filter, feature)) continue;
+              const prop = (name, fallback) => this._property(layer, 'paint', name, zoom, feature, fallback);
+              if (layer.type === 'fill' && feature.type === 'Polygon') {
+                ctx.beginPath();
+                for (const polygon of feature.geometry) {
+                  for (const ring of polygon) this._tracePath(ctx, ring.map(toTile));
+                }
+                ctx.globalAlpha = alpha * prop('fill-opacity', 1);
+                ctx.fillStyle = prop('fill-color', '#000000');
+                ctx.fill('evenodd');
+                const outline = prop('fill-outline-color', null);
+                if (outline) {
+                  ctx.strokeStyle = outline;
+                  ctx.lineWidth = pixel;
+                  ctx.stroke();
+                }
+              } else if (layer.type === 'line' && feature.type !== 'Point') {
+                ctx.beginPath();
+                const lines = feature.type === 'Polygon' ? feature.geometry.flat() : feature.geometry;
+                for (const line of lines) this._tracePath(ctx, line.map(toTile));
+                const width = prop('line-width', 1);
+                ctx.globalAlpha = alpha * prop('line-opacity', 1);
+                ctx.strokeStyle = prop('line-color', '#000000');
+                ctx.lineWidth = width * pixel;
+                ctx.lineCap = this._property(layer, 'layout', 'line-cap', zoom, feature, 'butt');
+                ctx.lineJoin = this._property(layer, 'layout', 'line-join', zoom, feature, 'miter');
+                const dashes = prop('line-dasharray', null);
+                ctx.setLineDash(dashes ? dashes.map(d => d * width * pixel) : []);
+                ctx.stroke();
+                ctx.setLineDash([]);
+              } else if (layer.type === 'circle' && feature.type === 'Point') {
+                const radius = prop('circle-radius', 5) * pixel;
+                const strokeWidth = prop('circle-stroke-width', 0) * pixel;
+                ctx.globalAlpha = alpha * prop('circle-opacity', 1);
+                ctx.fillStyle = prop('circle-color', '#000000');
+                ctx.strokeStyle = prop('circle-stroke-color', '#000000');
+                ctx.lineWidth = strokeWidth;
+                for (const point of feature.geometry.map(toTile)) {
+                  ctx.beginPath();
+                  ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+                  ctx.fill();
+                  if (strokeWidth > 0) ctx.stroke();
+                }
+              } else if (layer.type === 'symbol' && !placeholder) {
+                this._collectLabel(layer, feature, source.extent, toTile, zoom);
+              }
+            }
+          }
+        }
+        ctx.restore();
+      }
+
+      _tracePath(ctx, points) {
+        points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      }
+
+      _collectLabel(layer, feature, extent, toTile, zoom) {
+        const field = this._property(layer, 'layout', 'text-field', zoom, feature, null);
+        if (field === null) return;
+        const text = String(field).replace(/\{([^}]+)\}/g, (match, key) => feature.properties[key] ?? '');
+        if (!text) return;
+        let anchor;
+        if (feature.type === 'Point') {
+          anchor = feature.geometry[0];
+        } else if (feature.type === 'LineString') {
+          const longest = feature.geometry.reduce((a, b) => (b.length > a.length ? b : a));
+          anchor = longest[Math.floor(longest.length / 2)];
+        } else {
+          const ring = feature.geometry[0][0].slice(0, -1);
+          anchor = {
+            x: ring.reduce((sum, p) => sum + p.x, 0) / ring.length,
+            y: ring.reduce((sum, p) => sum + p.y, 0) / ring.length
+          };
+        }
+        // Neighbouring tiles repeat features near their edges; only the tile holding the anchor labels it.
+        if (!anchor || anchor.x < 0 || anchor.y < 0 || anchor.x >= extent || anchor.y >= extent) return;
+        this._labels.push({ layer, feature, text, zoom, point: toTile(anchor) });
+      }
+
+      _drawLabels() {
+        const map = this._map;
+        const ctx = map.ctx;
+        const w = map.canvas.width / map.dpr;
+        const h = map.canvas.height / map.dpr;
+        const scale = Math.pow(2, map.zoom - this._getTileZoom());
+        const placed = [];
+        ctx.save();
+        ctx.globalCompositeOperation = this.options.blendMode;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const { layer, feature, text, zoom, point } of this._labels) {
+          const p = rot(point.x * scale, point.y * scale, map.bearing);
+          const x = w / 2 + p.x, y = h / 2 + p.y;
+          const size = this._property(layer, 'layout', 'text-size', zoom, feature, 12);
+          const font = this._property(layer, 'layout', 'text-font', zoom, feature, 'sans-serif');
+          ctx.font = `${size}px ${Array.isArray(font) ? font.join(', ') : font}`;
+          const width = ctx.measureText(text).width || text.length * size * 0.6;
+          const box = { minX: x - width / 2, maxX: x + width / 2, minY: y - size / 2, maxY: y + size / 2 };
+          // Labels are placed in order, and skipped where they would overlap one already placed.
+          if (placed.some(b => b.minX < box.maxX && box.minX < b.maxX && b.minY < box.maxY && box.minY < b.maxY)) continue;
+          placed.push(box);
+          ctx.globalAlpha = this.options.opacity * this._property(layer, 'paint', 'text-opacity', zoom, feature, 1);
+          const halo = this._property(layer, 'paint', 'text-halo-width', zoom, feature, 0);
+          if (halo > 0) {
+            ctx.strokeStyle = this._property(layer, 'paint', 'text-halo-color', zoom, feature, '#ffffff');
+            ctx.lineWidth = halo * 2;
+            ctx.lineJoin = 'round';
+            ctx.strokeText(text, x, y);
+          }
+          ctx.fillStyle = this._property(layer, 'paint', 'text-color', zoom, feature, '#000000');
+          ctx.fillText(text, x, y);
+        }
+        ctx.restore();
+        this._labels = [];
+      }
+
+      render() {
+        if (!this._map) return;
+        this._labels = [];
+        super.render();
+        this._drawLabels();
+      }
+
+      /**
+       * Finds the topmost feature at a container point, as a GeoJSON feature with the name
+       * of its `sourceLayer`. The map uses this to route pointer events to the layer.
+       * @param {object} point - The container point.
+       * @returns {object|null} The feature, or null if none was hit.
+       */
+      hitTest(point) {
+        if (!this.options.interactive || !this._map) return null;
+        const map = this._map;
+        const zInt = this._getTileZoom();
+        const scale = Math.pow(2, map.zoom - zInt);
+        const w = map.canvas.width / map.dpr;
+        const h = map.canvas.height / map.dpr;
+        const ct = map.projection.latLngToTile({ lat: map.center.lat, lon: GISUtils.wrapLongitude(map.center.lon) }, zInt);
+        const p = rot(point.x - w / 2, point.y - h / 2, -map.bearing);
+        const tx = ct.x + p.x / (TILE_SIZE * scale);
+        const ty = ct.y + p.y / (TILE_SIZE * scale);
+        const X = Math.floor(tx), Y = Math.floor(ty);
+        const tile = this.tileCache.get(`${zInt}/${X}/${Y}`);
+        if (!tile || !tile.loaded) return null;
+
+        const styleLayers = this._styleLayersAt(map.zoom, tile);
+        for (let i = styleLayers.length - 1; i >= 0; i--) {
+          const { layer, sources } = styleLayers[i];
+          if (layer.type === 'symbol') continue;
+          for (const source of sources) {
+            const x = (tx - X) * source.extent, y = (ty - Y) * source.extent;
+            // A CSS pixel in tile units.
+            const pixel = source.extent / (TILE_SIZE * scale);
+            for (let j = source.features.length - 1; j >= 0; j--) {
+              const feature = source.features[j];
+              if (!this._matches(layer.filter, feature) || !this._hitsFeature(layer, feature, x, y, pixel, map.zoom)) continue;
+              return this._toGeoJSON(feature, source, X, Y, zInt);
+            }
+          }
+        }
+        return null;
+      }
+
+      _hitsFeature(layer, feature, x, y, pixel, zoom) {
+        const near = (width) => {
+          const lines = feature.type === 'Polygon' ? feature.geometry.flat() : feature.geometry;
+          return lines.some(line => line.some((p, i) => i > 0 && this._distanceToSegment(x, y, line[i - 1], p) <= width));
+        };
+        if (layer.type === 'fill' && feature.type === 'Polygon') {
+          return feature.geometry.some(polygon => polygon.filter(ring => this._inRing(x, y, ring)).length % 2 === 1);
+        }
+        if (layer.type === 'line' && feature.type !== 'Point') {
+          // Like GeoJSONLayer, lines are hit 5 pixels around their width.
+          return near((this._property(layer, 'paint', 'line-width', zoom, feature, 1) / 2 + 5) * pixel);
+        }
+        if (layer.type === 'circle' && feature.type === 'Point') {
+          const radius = (this._property(layer, 'paint', 'circle-radius', zoom, feature, 5) + 5) * pixel;
+          return feature.geometry.some(p => Math.hypot(p.x - x, p.y - y) <= radius);
+        }
+        return false;
+      }
+
+      _inRing(x, y, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+          const a = ring[i], b = ring[j];
+          if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+        }
+        return inside;
+      }
+
+      _distanceToSegment(x, y, a, b) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq));
+        return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+      }
+
+      // The feature as GeoJSON, made once so that the map sees the same feature under the pointer.
+      _toGeoJSON(feature, source, X, Y, z) {
+        if (this._geojsonCache.has(feature)) return this._geojsonCache.get(feature);
+        const projection = this._getProjection();
+        const range = projection.getTileRange(z);
+        const cols = range.maxX - range.minX;
+        const wrappedX = projection.wrapLongitude ? range.minX + ((((X - range.minX) % cols) + cols) % cols) : X;
+        const position = (p) => {
+          const ll = projection.pointToLatLng({
+            x: (wrappedX + p.x / source.extent) * TILE_SIZE,
+            y: (Y + p.y / source.extent) * TILE_SIZE
+          }, z);
+          return [ll.lon, ll.lat];
+        };
+        const parts = feature.type === 'Point'
+          ? feature.geometry.map(position)
+          : feature.type === 'LineString'
+            ? feature.geometry.map(line => line.map(position))
+            : feature.geometry.map(polygon => polygon.map(ring => ring.map(position)));
+        const geometry = parts.length === 1
+          ? { type: feature.type, coordinates: parts[0] }
+          : { type: `Multi${feature.type}`, coordinates: parts };
+        const geojson = { type: 'Feature', id: feature.id, properties: feature.properties, geometry, sourceLayer: source.name };
+        this._geojsonCache.set(feature, geojson);
+        return geojson;
+      }
+    }
+
+    // --- Terrain ---
+    const TERRAIN_ENCODINGS = {
+      'terrain-rgb': (r, g, b) => -10000 + (r * 65536 + g * 256 + b) * 0.1,
+      terrarium: (r, g, b) => r * 256 + g + b / 256 - 32768
+    };
+    const TERRAIN_MODES = ['hillshade', 'slope', 'hypsometric'];
+    const DEFAULT_TERRAIN_RAMPS = {
+      // Degrees of slope.
+      slope: [[0, '#ffffff'], [10, '#fee08b'], [25, '#f46d43'], [40, '#a50026'], [90, '#40000f']],
+      // Meters above sea level.
+      hypsometric: [[-500, '#1f4e79'], [0, '#3a7d44'], [200, '#7fb069'], [800, '#e6d98c'], [1800, '#b5835a'], [3000, '#8c6d62'], [4500, '#ffffff']]
+    };
+
+    const parseHexColor = (color) => {
+      const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+      if (!match) {
+        throw new Error(`[Atlas] Colour ramps take hex colours such as "#3a7d44", got "${color}".`);
+      }
+      const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+      return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    };
+
+    // Parses colour stops, [[value, "#rrggbb"], ...], into { value, rgb } in increasing order.
+    const parseColorRamp = (stops) => {
+      if (!Array.isArray(stops) || stops.length === 0) {
+        throw new Error('[Atlas] A colour ramp needs at least one [value, colour] stop.');
+      }
+      return stops
+        .map(([value, color]) => ({ value, rgb: parseHexColor(color) }))
+        .sort((a, b) => a.value - b.value);
+    };
+
+    // Writes the colour of a ramp at a value, interpolated between its stops, into rgb.
+    const colorRampAt = (ramp, value, rgb) => {
+      let i = 0;
+      while (i < ramp.length - 1 && ramp[i + 1].value <= value) i++;
+      const from = ramp[i];
+      const to = ramp[Math.min(i + 1, ramp.length - 1)];
+      const t = to.value > from.value ? Math.max(0, Math.min(1, (value - from.value) / (to.value - from.value))) : 0;
+      for (let c = 0; c < 3; c++) {
+        rgb[c] = from.rgb[c] + (to.rgb[c] - from.rgb[c]) * t;
+      }
+      return rgb;
+    };
+
+    /**
+     * A layer that draws elevation tiles, in the Terrain-RGB or Terrarium encoding, as a
+     * hillshade, a slope map or a hypsometric tint, computed in the browser. The sun keeps
+     * its place on the screen as the map rotates.
+     *
+     * ```js
+     * new TerrainLayer('https://tiles.example.com/terrain-rgb/{z}/{x}/{y}.png', {
+     *   mode: ['hypsometric', 'hillshade'],
+     *   maxNativeZoom: 14
+     * }).addTo(map);
+     *
+     * map.queryElevation([46.55, 7.98]); // 3967.2
+     * ```
+     * @class TerrainLayer
+     * @extends TileLayer
+     */
+    class TerrainLayer extends TileLayer {
+      /**
+       * Creates an instance of TerrainLayer.
+       * @param {string} urlTemplate - The URL template of the elevation tiles, as for a TileLayer.
+       * @param {object} [options] - The tile layer options, and:
+       * @param {string} [options.encoding="terrain-rgb"] - How the tiles encode elevations: `"terrain-rgb"` or `"terrarium"`.
+       * @param {string|string[]} [options.mode="hillshade"] - `"hillshade"`, `"slope"` or `"hypsometric"`, or several, whose colours multiply.
+       * @param {number} [options.sunAzimuth=315] - The direction of the sun on the screen, in degrees clockwise from the top.
+       * @param {number} [options.sunAltitude=45] - The height of the sun above the horizon, in degrees.
+       * @param {number} [options.exaggeration=1] - How much steeper than they are the slopes are shaded.
+       * @param {object} [options.colorRamps] - The colour stops of `slope`, in degrees, and of `hypsometric`, in meters, as `[[value, "#rrggbb"], ...]`.
+       */
+      constructor(urlTemplate, options = {}) {
+        super(urlTemplate, {
+          encoding: 'terrain-rgb',
+          mode: 'hillshade',
+          sunAzimuth: 315,
+          sunAltitude: 45,
+          exaggeration: 1,
+          ...options
+        });
+        if (!TERRAIN_ENCODINGS[this.options.encoding]) {
+          throw new Error(`[Atlas] Unknown terrain encoding "${this.options.encoding}". Use "terrain-rgb" or "terrarium".`);
+        }
+        this._styleVersion = 0;
+        this.setMode(this.options.mode);
+        this._ramps = {};
+        for (const mode of ['slope', 'hypsometric']) {
+          this.setColorRamp(mode, (options.colorRamps && options.colorRamps[mode]) || DEFAULT_TERRAIN_RAMPS[mode]);
+        }
+      }
+
+      /**
+       * Decodes the pixels of an elevation tile.
+       * @param {ImageData|object} pixels - The RGBA pixels, `{ width, height, data }`.
+       * @param {string} [encoding="terrain-rgb"] - `"terrain-rgb"` or `"terrarium"`.
+       * @returns {object} The elevations in meters, `{ width, height, data }`, row by row from the top.
+       */
+      static decodeElevation(pixels, encoding = 'terrain-rgb') {
+        const decode = TERRAIN_ENCODINGS[encoding];
+        const { width, height, data } = pixels;
+        const elevations = new Float32Array(width * height);
+        for (let i = 0; i < elevations.length; i++) {
+          elevations[i] = decode(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+        }
+        return { width, height, data: elevations };
+      }
+
+      /**
+       * Sets how the terrain is drawn.
+       * @param {string|string[]} mode - `"hillshade"`, `"slope"` or `"hypsometric"`, or several, whose colours multiply.
+       * @returns {TerrainLayer} The layer.
+       * @throws {Error} If a mode is unknown.
+       */
+      setMode(mode) {
+        const modes = Array.isArray(mode) ? mode : [mode];
+        for (const name of modes) {
+          if (!TERRAIN_MODES.includes(name)) {
+            throw new Error(`[Atlas] Unknown terrain mode "${name}". Use one of ${TERRAIN_MODES.join(', ')}.`);
+          }
+        }
+        this.options.mode = mode;
+        this._modes = modes;
+        return this._restyle();
+      }
+
+      /**
+       * Sets the colour stops of the slope or hypsometric mode, between which colours are interpolated.
+       * @param {string} mode - `"slope"`, with stops in degrees, or `"hypsometric"`, with stops in meters.
+       * @param {Array} stops - The stops, `[[value, "#rrggbb"], ...]` in increasing order.
+       * @returns {TerrainLayer} The layer.
+       * @throws {Error} If the mode has no colour ramp, or a colour is not a hex colour.
+       */
+      setColorRamp(mode, stops) {
+        if (mode !== 'slope' && mode !== 'hypsometric') {
+          throw new Error(`[Atlas] Only the slope and hypsometric modes have a colour ramp, not "${mode}".`);
+        }
+        this._ramps[mode] = parseColorRamp(stops);
+        return this._restyle();
+      }
+
+      /**
+       * Sets the position of the sun of the hillshade.
+       * @param {number} azimuth - The direction of the sun on the screen, in degrees clockwise from the top.
+       * @param {number} [altitude] - The height of the sun above the horizon, in degrees.
+       * @returns {TerrainLayer} The layer.
+       */
+      setSun(azimuth, altitude = this.options.sunAltitude) {
+        this.options.sunAzimuth = azimuth;
+        this.options.sunAltitude = altitude;
+        return this._restyle();
+      }
+
+      /**
+       * Gets the elevation at a coordinate from the most detailed tile loaded there.
+       * @param {LatLng|Array|object} latlng - The coordinate.
+       * @returns {number|null} The elevation in meters, or null if no tile has loaded there.
+       */
+      getElevation(latlng) {
+        const ll = LatLng.from(latlng);
+        const point = { lat: ll.lat, lon: GISUtils.wrapLongitude(ll.lon) };
+        const projection = this._getProjection();
+        for (let z = this.options.maxNativeZoom ?? this.options.maxZoom; z >= (this.options.minNativeZoom ?? this.options.minZoom); z--) {
+          const t = projection.latLngToTile(point, z);
+          const X = Math.floor(t.x), Y = Math.floor(t.y);
+          const tile = this.tileCache.get(`${z}/${X}/${Y}`);
+          const grid = tile && tile.loaded && !tile.error ? this._getElevationGrid(tile) : null;
+          if (!grid) continue;
+          // Bilinear, between the centers of the pixels.
+          const { width, height, data } = grid;
+          const px = Math.max(0, Math.min(width - 1, (t.x - X) * width - 0.5));
+          const py = Math.max(0, Math.min(height - 1, (t.y - Y) * height - 0.5));
+          const x0 = Math.floor(px), y0 = Math.floor(py);
+          const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+          const fx = px - x0, fy = py - y0;
+          const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+          const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+          return top * (1 - fy) + bottom * fy;
+        }
+        return null;
+      }
+
+      _restyle() {
+        this._styleVersion++;
+        if (this._map) {
+          this._map.scheduleRender();
+        }
+        return this;
+      }
+
+      // The drawn tiles need their coordinates for the size of their pixels in meters.
+      _loadTile(key, url, priority) {
+        const loading = super._loadTile(key, url, priority);
+        const tile = this.tileCache.get(key);
+        if (tile && !tile.coords) {
+          const [z, x, y] = key.split('/').map(Number);
+          tile.coords = { x, y, z };
+        }
+        return loading;
+      }
+
+      // Elevations are read from the pixels as they are.
+      _toDrawable(img) {
+        return img;
+      }
+
+      async _decodeImage(blob, signal) {
+        if (typeof window.createImageBitmap === 'function') {
+          // Colour management would change the encoded elevations.
+          return window.createImageBitmap(blob, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+        }
+        return super._decodeImage(blob, signal);
+      }
+
+      // Tiles keep their elevations rather than their image, which is decoded on first use,
+      // and again when a reload replaces it.
+      _getElevationGrid(tile) {
+        if (tile.img) {
+          let pixels = tile.img;
+          if (!(pixels.data instanceof Uint8ClampedArray)) {
+            const canvas = document.createElement('canvas');
+            canvas.width = pixels.naturalWidth || pixels.width;
+            canvas.height = pixels.naturalHeight || pixels.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(pixels, 0, 0);
+            pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+          }
+          tile.elevation = TerrainLayer.decodeElevation(pixels, this.options.encoding);
+          this._disposeTile(tile);
+          tile.img = null;
+          tile.shadedKey = null;
+        }
+        return tile.elevation || null;
+      }
+
+      _drawTile(ctx, tile, x, y, size) {
+        // Tiles that failed show the errorTileUrl image.
+        if (tile.error) {
+          if (tile.img) super._drawTile(ctx, tile, x, y, size);
+          return;
+        }
+        const grid = this._getElevationGrid(tile);
+        if (!grid) return;
+        const azimuth = this._getSunAzimuth();
+        // Whole degrees, so that rotating the map does not shade every frame anew.
+        const key = `${this._styleVersion}/${Math.round(azimuth)}`;
+        if (tile.shadedKey !== key) {
+          const canvas = tile.shaded || document.createElement('canvas');
+          canvas.width = grid.width;
+          canvas.height = grid.height;
+          const shadedCtx = canvas.getContext('2d');
+          const image = shadedCtx.createImageData(grid.width, grid.height);
+          this._shade(tile, grid, image.data, Math.round(azimuth));
+          shadedCtx.putImageData(image, 0, 0);
+          tile.shaded = canvas;
+          tile.shadedKey = key;
+        }
+        ctx.drawImage(tile.shaded, x, y, size, size);
+      }
+
+      // The azimuth of the sun on the ground: the map turns the ground by its bearing.
+      _getSunAzimuth() {
+        const bearing = this._map ? this._map.bearing * RAD2DEG : 0;
+        return (((this.options.sunAzimuth - bearing) % 360) + 360) % 360;
+      }
+
+      // Writes the RGBA colours of a tile's elevations into pixels.
+      _shade(tile, grid, pixels, azimuth) {
+        const { width, height, data } = grid;
+        const { x: X, y: Y, z } = tile.coords;
+        const projection = this._getProjection();
+        const altitude = this.options.sunAltitude * DEG2RAD;
+        const sun = [Math.sin(azimuth * DEG2RAD) * Math.cos(altitude), Math.cos(azimuth * DEG2RAD) * Math.cos(altitude), Math.sin(altitude)];
+        const exaggeration = this.options.exaggeration;
+        const hypsometric = this._modes.includes('hypsometric') ? this._ramps.hypsometric : null;
+        const slopes = this._modes.includes('slope') ? this._ramps.slope : null;
+        const hillshade = this._modes.includes('hillshade');
+        const at = (col, row) => data[Math.max(0, Math.min(height - 1, row)) * width + Math.max(0, Math.min(width - 1, col))];
+        const color = [0, 0, 0];
+
+        for (let row = 0; row < height; row++) {
+          const lat = projection.tileToLatLng(X, Y + (row + 0.5) / height, z).lat;
+          // The size of the row's pixels on the ground, east to west and north to south, which
+          // differ where the projection is not conformal, as by cos(lat) in EPSG:4326.
+          const cellX = projection.getMetersPerPixel(lat, z) * TILE_SIZE / width;
+          const top = projection.tileToLatLng(X, Y + row / height, z).lat;
+          const bottom = projection.tileToLatLng(X, Y + (row + 1) / height, z).lat;
+          const cellY = (top - bottom) * EARTH_CIRCUMFERENCE / 360;
+          for (let col = 0; col < width; col++) {
+            // Differences over the pixels on either side, or the pixel itself at the edges.
+            const dx = (Math.min(col + 1, width - 1) - Math.max(col - 1, 0)) * cellX;
+            const dy = (Math.min(row + 1, height - 1) - Math.max(row - 1, 0)) * cellY;
+            const east = exaggeration * (at(col + 1, row) - at(col - 1, row)) / dx;
+            const north = exaggeration * (at(col, row - 1) - at(col, row + 1)) / dy;
+            color[0] = color[1] = color[2] = 255;
+            if (hillshade) {
+              const shade = Math.max(0, (-east * sun[0] - north * sun[1] + sun[2]) / Math.sqrt(east * east + north * north + 1));
+              for (let i = 0; i < 3; i++) color[i] *= shade;
+            }
+            if (slopes) {
+              this._applyRamp(slopes, Math.atan(Math.hypot(east, north)) * RAD2DEG, color);
+            }
+            if (hypsometric) {
+              this._applyRamp(hypsometric, data[row * width + col], color);
+            }
+            const p = (row * width + col) * 4;
+            pixels[p] = color[0];
+            pixels[p + 1] = color[1];
+            pixels[p + 2] = color[2];
+            pixels[p + 3] = 255;
+          }
+        }
+      }
+
+      // Multiplies the colour by the colour of the ramp at the value.
+      _applyRamp(ramp, value, color) {
+        const rgb = colorRampAt(ramp, value, this._rampColor || (this._rampColor = [0, 0, 0]));
+        for (let c = 0; c < 3; c++) {
+          color[c] *= rgb[c] / 255;
+        }
+      }
+    }
+
+    // --- GeoTIFF ---
+    const TIFF_INITIAL_FETCH = 65536;
+    const GEOTIFF_BLOCK_CACHE = 64;
+    // The coarsest level is read whole for the range of values when it is at most this many pixels.
+    const GEOTIFF_STATISTICS_PIXELS = 1 << 22;
+    // Source coordinates are computed every so many pixels of a tile, and interpolated between.
+    const GEOTIFF_GRID_STEP = 16;
+    const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4, 16: 8, 17: 8, 18: 8 };
+    const TIFF_TAGS = {
+      254: 'newSubfileType', 256: 'width', 257: 'height', 258: 'bitsPerSample', 259: 'compression',
+      262: 'photometric', 273: 'stripOffsets', 277: 'samplesPerPixel', 278: 'rowsPerStrip', 279: 'stripByteCounts',
+      284: 'planarConfiguration', 317: 'predictor', 320: 'colorMap', 322: 'tileWidth', 323: 'tileHeight',
+      324: 'tileOffsets', 325: 'tileByteCounts', 338: 'extraSamples', 339: 'sampleFormat',
+      33550: 'pixelScale', 33922: 'tiepoint', 34264: 'transformation',
+      34735: 'geoKeys', 34736: 'geoDoubles', 34737: 'geoAscii', 42113: 'noData'
+    };
+    const TIFF_COMPRESSIONS = { 1: 'none', 5: 'LZW', 8: 'Deflate', 32946: 'Deflate' };
+    // By SampleFormat (1 unsigned, 2 signed, 3 floating point) and BitsPerSample.
+    const TIFF_SAMPLE_ARRAYS = {
+      '1/8': Uint8Array, '1/16': Uint16Array, '1/32': Uint32Array,
+      '2/8': Int8Array, '2/16': Int16Array, '2/32': Int32Array,
+      '3/32': Float32Array, '3/64': Float64Array
+    };
+
+    // Decodes the LZW compression of TIFF: codes of 9 to 12 bits, most significant bit first,
+    // which grow one code early.
+    const decodeLZW = (input) => {
+      const prefix = new Uint16Array(4096);
+      const suffix = new Uint8Array(4096);
+      const lengths = new Uint16Array(4096);
+      for (let i = 0; i < 256; i++) {
+        suffix[i] = i;
+        lengths[i] = 1;
+      }
+      let out = new Uint8Array(input.length * 3);
+      let pos = 0, bitPos = 0, codeLength = 9, next = 258, previous = -1;
+      const ensure = (n) => {
+        if (pos + n <= out.length) return;
+        const grown = new Uint8Array(Math.max(out.length * 2, pos + n));
+        grown.set(out);
+        out = grown;
+      };
+      // Writes the string of a code and returns its first byte.
+      const write = (code) => {
+        const n = lengths[code];
+        ensure(n);
+        for (let i = pos + n - 1, c = code; i >= pos; i--) {
+          out[i] = suffix[c];
+          c = prefix[c];
+        }
+        pos += n;
+        return out[pos - n];
+      };
+      while (bitPos + codeLength <= input.length * 8) {
+        const byte = bitPos >> 3;
+        const chunk = (input[byte] << 16) | ((input[byte + 1] || 0) << 8) | (input[byte + 2] || 0);
+        const code = (chunk >> (24 - (bitPos & 7) - codeLength)) & ((1 << codeLength) - 1);
+        bitPos += codeLength;
+        if (code === 257) break;
+        if (code === 256) {
+          codeLength = 9;
+          next = 258;
+          previous = -1;
+          continue;
+        }
+        if (previous === -1) {
+          write(code);
+          previous = code;
+          continue;
+        }
+        let first;
+        if (code < next) {
+          first = write(code);
+        } else if (code === next) {
+          first = write(previous);
+          ensure(1);
+          out[pos++] = first;
+        } else {
+          throw new Error('[Atlas] Invalid LZW data in the GeoTIFF.');
+        }
+        if (next < 4096) {
+          prefix[next] = previous;
+          suffix[next] = first;
+          lengths[next] = lengths[previous] + 1;
+          next++;
+        }
+        if (next >= (1 << codeLength) - 1 && codeLength < 12) codeLength++;
+        previous = code;
+      }
+      return out.subarray(0, pos);
+    };
+
+    // Decodes zlib data, as Deflate-compressed TIFFs hold.
+    const inflate = async (bytes) => {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('[Atlas] This browser cannot decompress Deflate data (no DecompressionStream).');
+      }
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    };
+
+    // A few EPSG codes are common enough in imagery to be known without Proj.define().
+    const crsForEpsg = (code) => {
+      const key = `EPSG:${code}`;
+      if (!Proj.define(key)) {
+        if (code > 32600 && code <= 32660) Proj.define(key, `+proj=utm +zone=${code - 32600} +datum=WGS84 +units=m +no_defs`);
+        if (code > 32700 && code <= 32760) Proj.define(key, `+proj=utm +zone=${code - 32700} +south +datum=WGS84 +units=m +no_defs`);
+      }
+      return Proj.get(key);
+    };
+
+    /**
+     * Reads GeoTIFF and Cloud-Optimized GeoTIFF (COG) files, over HTTP range requests or from
+     * memory, without any server component. Images may be striped or tiled, in one or several
+     * planes, uncompressed or compressed with LZW or Deflate, with or without a predictor. The
+     * reduced-resolution images of a COG are read as its levels.
+     *
+     * The coordinate reference system comes from the GeoKeys, as an EPSG code known to Proj.get()
+     * (WGS84 UTM zones are added as needed), or from the `crs` option.
+     * @class GeoTIFFSource
+     */
+    class GeoTIFFSource {
+      /**
+       * Creates an instance of GeoTIFFSource.
+       * @param {string|ArrayBuffer|Uint8Array} file - The URL of the file, on a server that supports range requests, or its content.
+       * @param {object} [options] - The source options.
+       * @param {object} [options.headers] - Headers to send with each request.
+       * @param {string|Proj} [options.crs] - The coordinate reference system, for files whose GeoKeys do not name a known one.
+       */
+      constructor(file, options = {}) {
+        this.url = typeof file === 'string' ? file : null;
+        this._bytes = this.url ? null : toBytes(file);
+        this.options = { headers: {}, ...options };
+        this._info = null;
+        this._head = null;
+        this._blocks = new Map();
+      }
+
+      async _read(offset, length, signal) {
+        const head = this._bytes || this._head;
+        if (head && offset + length <= head.length) return head.subarray(offset, offset + length);
+        return fetchRange(this.url, this.options.headers, offset, length, signal);
+      }
+
+      /**
+       * Reads the structure of the file, once.
+       * @returns {Promise<object>} `{ width, height, bands, bitsPerSample, sampleFormat, photometric,
+       *   noData, colorMap, alpha, crs, bounds, levels }`, where `levels` are the `{ width, height }`
+       *   of the image and then of its overviews, from the most detailed.
+       */
+      getInfo() {
+        if (!this._info) {
+          this._info = this._readInfo();
+          // Let a later call try again after a network error.
+          this._info.catch(() => { this._info = null; });
+        }
+        return this._info;
+      }
+
+      async _readInfo() {
+        if (this.url && !this._head) {
+          this._head = await this._read(0, TIFF_INITIAL_FETCH);
+        }
+        const header = await this._read(0, 16);
+        const order = String.fromCharCode(header[0], header[1]);
+        if (order !== 'II' && order !== 'MM') {
+          throw new Error('[Atlas] Not a TIFF file.');
+        }
+        const little = order === 'II';
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        const version = view.getUint16(2, little);
+        if (version !== 42 && version !== 43) {
+          throw new Error(`[Atlas] Not a TIFF file (version ${version}).`);
+        }
+        const big = version === 43;
+        this._little = little;
+        let offset = big ? Number(view.getBigUint64(8, little)) : view.getUint32(4, little);
+
+        const images = [];
+        while (offset !== 0) {
+          const { tags, next } = await this._readIFD(offset, big);
+          // Masks, with bit 2 of NewSubfileType, are not images of their own.
+          if (!((tags.newSubfileType || 0) & 4)) images.push(tags);
+          offset = next;
+        }
+        const first = images[0];
+        if (!first) {
+          throw new Error('[Atlas] The TIFF has no image.');
+        }
+        const compression = first.compression || 1;
+        if (!TIFF_COMPRESSIONS[compression]) {
+          throw new Error(`[Atlas] GeoTIFF compression ${compression} is not supported; use none, LZW or Deflate.`);
+        }
+        const bitsPerSample = first.bitsPerSample ? first.bitsPerSample[0] : 1;
+        const sampleFormat = first.sampleFormat ? first.sampleFormat[0] : 1;
+        const SampleArray = TIFF_SAMPLE_ARRAYS[`${sampleFormat}/${bitsPerSample}`];
+        if (!SampleArray) {
+          throw new Error(`[Atlas] GeoTIFF samples of ${bitsPerSample} bits in format ${sampleFormat} are not supported.`);
+        }
+        this._images = images;
+        this._SampleArray = SampleArray;
+
+        const transform = this._getTransform(first);
+        const geoKeys = this._getGeoKeys(first);
+        const crs = this._getCrs(geoKeys);
+        const info = {
+          width: first.width,
+          height: first.height,
+          bands: first.samplesPerPixel || 1,
+          bitsPerSample,
+          sampleFormat,
+          photometric: first.photometric,
+          noData: first.noData !== undefined && first.noData.trim() !== '' ? Number(first.noData) : null,
+          colorMap: first.colorMap || null,
+          // ExtraSamples 1 and 2 are associated and unassociated alpha.
+          alpha: Boolean(first.extraSamples && (first.extraSamples[0] === 1 || first.extraSamples[0] === 2)),
+          crs,
+          transform,
+          levels: images.map(image => ({ width: image.width, height: image.height }))
+        };
+        info.bounds = this._getBounds(info);
+        return info;
+      }
+
+      async _readIFD(offset, big) {
+        const little = this._little;
+        const countSize = big ? 8 : 2, entrySize = big ? 20 : 12, offsetSize = big ? 8 : 4;
+        const countBytes = await this._read(offset, countSize);
+        const countView = new DataView(countBytes.buffer, countBytes.byteOffset, countSize);
+        const count = big ? Number(countView.getBigUint64(0, little)) : countView.getUint16(0, little);
+        const bytes = await this._read(offset + countSize, count * entrySize + offsetSize);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const readOffset = (at) => (big ? Number(view.getBigUint64(at, little)) : view.getUint32(at, little));
+
+        const tags = {};
+        for (let i = 0; i < count; i++) {
+          const at = i * entrySize;
+          const name = TIFF_TAGS[view.getUint16(at, little)];
+          if (!name) continue;
+          const type = view.getUint16(at + 2, little);
+          const n = big ? Number(view.getBigUint64(at + 4, little)) : view.getUint32(at + 4, little);
+          const size = (TIFF_TYPE_SIZES[type] || 1) * n;
+          const valueAt = at + (big ? 12 : 8);
+          const data = size <= offsetSize
+            ? bytes.subarray(valueAt, valueAt + size)
+            : await this._read(readOffset(valueAt), size);
+          tags[name] = this._readValues(data, type, n);
+        }
+        for (const name of ['width', 'height', 'compression', 'photometric', 'samplesPerPixel', 'rowsPerStrip',
+          'planarConfiguration', 'predictor', 'tileWidth', 'tileHeight', 'newSubfileType']) {
+          if (tags[name] !== undefined) tags[name] = tags[name][0];
+        }
+        return { tags, next: readOffset(count * entrySize) };
+      }
+
+      _readValues(bytes, type, count) {
+        const little = this._little;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (type === 2) {
+          return new TextDecoder().decode(bytes.subarray(0, count)).replace(/\0+$/, '');
+        }
+        const values = new Array(count);
+        for (let i = 0; i < count; i++) {
+          switch (type) {
+            case 1: case 7: values[i] = view.getUint8(i); break;
+            case 6: values[i] = view.getInt8(i); break;
+            case 3: values[i] = view.getUint16(i * 2, little); break;
+            case 8: values[i] = view.getInt16(i * 2, little); break;
+            case 4: case 13: values[i] = view.getUint32(i * 4, little); break;
+            case 9: values[i] = view.getInt32(i * 4, little); break;
+            case 5: values[i] = view.getUint32(i * 8, little) / view.getUint32(i * 8 + 4, little); break;
+            case 10: values[i] = view.getInt32(i * 8, little) / view.getInt32(i * 8 + 4, little); break;
+            case 11: values[i] = view.getFloat32(i * 4, little); break;
+            case 12: values[i] = view.getFloat64(i * 8, little); break;
+            case 16: case 18: values[i] = Number(view.getBigUint64(i * 8, little)); break;
+            case 17: values[i] = Number(view.getBigInt64(i * 8, little)); break;
+            default: values[i] = null;
+          }
+        }
+        return values;
+      }
+
+      _getGeoKeys(tags) {
+        const keys = {};
+        const directory = tags.geoKeys;
+        if (!directory) return keys;
+        for (let i = 4; i + 3 < directory.length && i < 4 + directory[3] * 4; i += 4) {
+          const [id, location, count, value] = directory.slice(i, i + 4);
+          if (location === 0) keys[id] = value;
+          else if (location === 34736 && tags.geoDoubles) keys[id] = tags.geoDoubles[value];
+          else if (location === 34737 && tags.geoAscii) keys[id] = tags.geoAscii.slice(value, value + count).replace(/\|$/, '');
+        }
+        return keys;
+      }
+
+      _getCrs(geoKeys) {
+        if (this.options.crs) return Proj.get(this.options.crs);
+        // ProjectedCSTypeGeoKey, or GeographicTypeGeoKey for geographic images.
+        const code = geoKeys[1024] === 2 ? geoKeys[2048] : (geoKeys[3072] || geoKeys[2048]);
+        if (!code || code === 32767) {
+          throw new Error('[Atlas] The GeoTIFF does not name its coordinate reference system by an EPSG code; give it as the crs option.');
+        }
+        return crsForEpsg(code);
+      }
+
+      // The affine transform from pixel corners (column, row) to coordinates in the CRS.
+      _getTransform(tags) {
+        let t;
+        if (tags.transformation) {
+          const m = tags.transformation;
+          t = { a: m[0], b: m[1], c: m[3], d: m[4], e: m[5], f: m[7] };
+        } else if (tags.tiepoint && tags.pixelScale) {
+          const [i, j, , x, y] = tags.tiepoint;
+          const [sx, sy] = tags.pixelScale;
+          t = { a: sx, b: 0, c: x - i * sx, d: 0, e: -sy, f: y + j * sy };
+        } else {
+          throw new Error('[Atlas] The TIFF is not georeferenced: it has neither ModelTiepoint and ModelPixelScale, nor ModelTransformation.');
+        }
+        // GTRasterTypeGeoKey 2, PixelIsPoint: the coordinates are those of the pixel centers.
+        if (this._getGeoKeys(tags)[1025] === 2) {
+          t.c -= (t.a + t.b) / 2;
+          t.f -= (t.d + t.e) / 2;
+        }
+        return t;
+      }
+
+      _getBounds(info) {
+        const { crs, transform: t, width, height } = info;
+        const lats = [], lons = [];
+        // Along the edges, since the image is not a rectangle of latitudes and longitudes.
+        for (let i = 0; i <= 8; i++) {
+          for (const [col, row] of [[width * i / 8, 0], [width * i / 8, height], [0, height * i / 8], [width, height * i / 8]]) {
+            const ll = crs.unproject({ x: t.a * col + t.b * row + t.c, y: t.d * col + t.e * row + t.f });
+            lats.push(ll.lat);
+            lons.push(ll.lon);
+          }
+        }
+        return new LatLngBounds([Math.min(...lats), Math.min(...lons)], [Math.max(...lats), Math.max(...lons)]);
+      }
+
+      /**
+       * Reads the samples of a rectangle of pixels.
+       * @param {number} level - The level, 0 for the image and then its overviews.
+       * @param {object} region - The pixels, `{ left, top, right, bottom }` in the level, right and bottom excluded.
+       * @returns {Promise<object>} `{ width, height, bands, data }`, with the samples of each pixel
+       *   in turn, row by row, in a typed array of the sample type.
+       */
+      async readWindow(level, region) {
+        const info = await this.getInfo();
+        const image = this._images[level];
+        if (!image) {
+          throw new Error(`[Atlas] The GeoTIFF has no level ${level}.`);
+        }
+        const { left, top, right, bottom } = region;
+        const width = right - left, height = bottom - top;
+        const bands = info.bands;
+        const data = new this._SampleArray(width * height * bands);
+        const tiled = image.tileWidth !== undefined;
+        const blockWidth = tiled ? image.tileWidth : image.width;
+        const blockHeight = tiled ? image.tileHeight : (image.rowsPerStrip || image.height);
+        const across = Math.ceil(image.width / blockWidth);
+        const down = Math.ceil(image.height / blockHeight);
+        const planar = image.planarConfiguration === 2;
+
+        const reads = [];
+        for (let by = Math.floor(top / blockHeight); by <= Math.floor((bottom - 1) / blockHeight); by++) {
+          for (let bx = Math.floor(left / blockWidth); bx <= Math.floor((right - 1) / blockWidth); bx++) {
+            for (let plane = 0; plane < (planar ? bands : 1); plane++) {
+              const index = plane * across * down + by * across + bx;
+              reads.push(this._getBlock(level, index, blockWidth, blockHeight, planar ? 1 : bands).then((block) => {
+                const stride = planar ? 1 : bands;
+                const x0 = Math.max(left, bx * blockWidth), x1 = Math.min(right, (bx + 1) * blockWidth);
+                const y0 = Math.max(top, by * blockHeight), y1 = Math.min(bottom, (by + 1) * blockHeight);
+                for (let y = y0; y < y1; y++) {
+                  for (let x = x0; x < x1; x++) {
+                    const from = ((y - by * blockHeight) * blockWidth + (x - bx * blockWidth)) * stride;
+                    const to = ((y - top) * width + (x - left)) * bands + plane;
+                    for (let b = 0; b < stride; b++) data[to + b] = block[from + b];
+                  }
+                }
+              }));
+            }
+          }
+        }
+        await Promise.all(reads);
+        return { width, height, bands, data };
+      }
+
+      // Blocks are shared by the windows that need them, and the most recently used are kept.
+      _getBlock(level, index, width, height, samples) {
+        const key = `${level}/${index}`;
+        let block = this._blocks.get(key);
+        if (block) {
+          this._blocks.delete(key);
+        } else {
+          block = this._readBlock(this._images[level], index, width, height, samples);
+          block.catch(() => this._blocks.delete(key));
+        }
+        this._blocks.set(key, block);
+        if (this._blocks.size > GEOTIFF_BLOCK_CACHE) {
+          this._blocks.delete(this._blocks.keys().next().value);
+        }
+        return block;
+      }
+
+      async _readBlock(image, index, width, height, samples) {
+        const offsets = image.tileOffsets || image.stripOffsets;
+        const counts = image.tileByteCounts || image.stripByteCounts;
+        const bytesPerSample = this._SampleArray.BYTES_PER_ELEMENT;
+        const length = width * height * samples;
+        // Tiles past the edge of sparse files have no data.
+        if (!offsets || !counts[index]) return new this._SampleArray(length);
+        let bytes = await this._read(offsets[index], counts[index]);
+        const compression = image.compression || 1;
+        if (compression === 5) bytes = decodeLZW(bytes);
+        else if (compression !== 1) bytes = await inflate(bytes);
+
+        const rowLength = width * samples;
+        // The last strip may have fewer rows.
+        const rows = Math.min(height, Math.floor(bytes.length / (rowLength * bytesPerSample)));
+        let little = this._little;
+        if (image.predictor === 3) {
+          // Floating point predictor: differences of bytes, with the bytes of each value in planes.
+          const out = new Uint8Array(length * bytesPerSample);
+          const rowBytes = rowLength * bytesPerSample;
+          for (let row = 0; row < rows; row++) {
+            const input = bytes.slice(row * rowBytes, (row + 1) * rowBytes);
+            for (let i = samples; i < rowBytes; i++) input[i] = (input[i] + input[i - samples]) & 0xff;
+            for (let i = 0; i < rowLength; i++) {
+              for (let b = 0; b < bytesPerSample; b++) {
+                out[row * rowBytes + i * bytesPerSample + b] = input[(bytesPerSample - b - 1) * rowLength + i];
+              }
+            }
+          }
+          bytes = out;
+          little = true;
+        }
+        const values = new this._SampleArray(length);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const getter = `get${this._SampleArray.name.replace('Array', '')}`;
+        for (let i = 0; i < rows * rowLength; i++) {
+          values[i] = bytesPerSample === 1 ? view[getter](i) : view[getter](i * bytesPerSample, little);
+        }
+        if (image.predictor === 2) {
+          // Horizontal differencing; typed arrays wrap around as the encoder did.
+          for (let row = 0; row < rows; row++) {
+            for (let i = row * rowLength + samples; i < (row + 1) * rowLength; i++) {
+              values[i] += values[i - samples];
+            }
+          }
         }
-        return this.options.style;
+        return values;
       }
+    }
 
-      _processFeature(feature) {
-        const cacheKey = JSON.stringify(feature);
-        if (this._featureCache.has(cacheKey)) {
-          return this._featureCache.get(cacheKey);
+    /**
+     * A layer that shows a georeferenced image, such as drone or satellite imagery in a GeoTIFF,
+     * reprojected in the browser onto the tiles of the map's projection. It takes a GeoTIFFSource,
+     * or the URL or content of a GeoTIFF, and reads the level of a COG that suits the zoom.
+     *
+     * Images with three bands or more are shown in color from their first three bands, or the
+     * `bands` option; others in grey, or through a `colorRamp`, or their palette. Values are
+     * stretched from `range`, by default the range of the data, to 0–255.
+     *
+     * ```js
+     * new ImageLayer('https://data.example.org/orthophoto.tif', { overlay: true }).addTo(map);
+     *
+     * new ImageLayer(buffer, {
+     *   bands: [1],
+     *   colorRamp: [[0, '#440154'], [0.5, '#21918c'], [1, '#fde725']]
+     * }).addTo(map);
+     * ```
+     * @class ImageLayer
+     * @extends TileLayer
+     */
+    class ImageLayer extends TileLayer {
+      /**
+       * Creates an instance of ImageLayer.
+       * @param {GeoTIFFSource|string|ArrayBuffer} source - The image source, or the URL or content of a GeoTIFF.
+       * @param {object} [options] - The tile layer options, and:
+       * @param {number[]} [options.bands] - The bands to show, from 1: three for red, green and blue, and a fourth for alpha, or one.
+       * @param {Array} [options.colorRamp] - The colour stops of a single band, `[[value, "#rrggbb"], ...]`.
+       * @param {number[]} [options.range] - The values shown as black and white, `[min, max]`.
+       * @param {number} [options.noData] - The value of pixels without data, shown transparent; by default that of the file.
+       */
+      constructor(source, options = {}) {
+        if (typeof source === 'string' || source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+          source = new GeoTIFFSource(source);
         }
+        super(`${source.url || 'image'}/{z}/{x}/{y}`, {
+          overlay: true,
+          background: 'transparent',
+          ...options
+        });
+        this.source = source;
+        this._info = null;
+        this._ramp = options.colorRamp ? parseColorRamp(options.colorRamp) : null;
+        /**
+         * Resolves to the description of the image once it is read.
+         * @type {Promise<object>}
+         */
+        this.ready = source.getInfo().then(async (info) => {
+          if (options.maxNativeZoom === undefined) {
+            this.options.maxNativeZoom = Math.min(this.options.maxZoom, this._getNativeZoom(info));
+          }
+          if (this.options.bands) this._checkBands(this.options.bands, info);
+          if (!this.options.range) this.options.range = await this._getRange(info);
+          this._info = info;
+          if (this._map) this._map.render();
+          this.fire('ready', { info });
+          return info;
+        });
+        this.ready.catch(error => console.error(error.message));
+      }
 
-        const geometry = feature.geometry;
-        const processed = { type: geometry.type, coordinates: null, properties: feature.properties };
+      /**
+       * Gets the area the image covers, once it is read.
+       * @returns {LatLngBounds|null} The bounds, or null before the layer is ready.
+       */
+      getBounds() {
+        return this._info ? this._info.bounds : null;
+      }
 
-        switch (geometry.type) {
-          case 'Point':
-            processed.coordinates = this._latLngToScreenPoint(geometry.coordinates);
-            break;
-          case 'MultiPoint':
-            processed.coordinates = geometry.coordinates.map(coord => this._latLngToScreenPoint(coord));
-            break;
-          case 'LineString':
-            processed.coordinates = geometry.coordinates.map(coord => this._latLngToScreenPoint(coord));
-            break;
-          case 'MultiLineString':
-            processed.coordinates = geometry.coordinates.map(ring => ring.map(coord => this._latLngToScreenPoint(coord)));
-            break;
-          case 'Polygon':
-            processed.coordinates = geometry.coordinates.map(ring => ring.map(coord => this._latLngToScreenPoint(coord)));
-            break;
-          case 'MultiPolygon':
-            processed.coordinates = geometry.coordinates.map(polygon => polygon.map(ring => ring.map(coord => this._latLngToScreenPoint(coord))));
-            break;
-          default:
-            console.warn('[Atlas] Unsupported geometry type:', geometry.type);
-            return null;
-        }
+      /**
+       * Sets the bands to show, from 1.
+       * @param {number[]} bands - Three bands for red, green and blue, and a fourth for alpha, or one.
+       * @returns {ImageLayer} The layer.
+       * @throws {Error} If the image does not have the bands.
+       */
+      setBands(bands) {
+        if (this._info) this._checkBands(bands, this._info);
+        this.options.bands = bands;
+        return this.redraw();
+      }
 
-        this._featureCache.set(cacheKey, processed);
-        return processed;
+      /**
+       * Sets the colour stops of a single band, or removes them with null.
+       * @param {Array|null} stops - The stops, `[[value, "#rrggbb"], ...]`.
+       * @returns {ImageLayer} The layer.
+       */
+      setColorRamp(stops) {
+        this._ramp = stops ? parseColorRamp(stops) : null;
+        this.options.colorRamp = stops;
+        return this.redraw();
       }
 
-      _renderPoint(ctx, feature, style) {
-        const { x, y } = feature.coordinates;
-        ctx.beginPath();
-        ctx.arc(x, y, style.radius || 5, 0, 2 * Math.PI);
-        ctx.fillStyle = style.fillColor || style.color || '#3388ff';
-        ctx.fill();
-        if (style.stroke !== false) {
-          ctx.strokeStyle = style.color || '#3388ff';
-          ctx.lineWidth = style.weight || 2;
-          ctx.globalAlpha = style.opacity || 1;
-          ctx.stroke();
+      /**
+       * Sets the values shown as black and white, or as the ends of the color of a band.
+       * @param {number} min - The value shown as 0.
+       * @param {number} max - The value shown as 255.
+       * @returns {ImageLayer} The layer.
+       */
+      setRange(min, max) {
+        this.options.range = [min, max];
+        return this.redraw();
+      }
+
+      _checkBands(bands, info) {
+        if (!Array.isArray(bands) || ![1, 3, 4].includes(bands.length) || bands.some(b => !Number.isInteger(b) || b < 1 || b > info.bands)) {
+          throw new Error(`[Atlas] The bands must be 1, 3 or 4 band numbers from 1 to ${info.bands}, got ${JSON.stringify(bands)}.`);
         }
-        ctx.globalAlpha = 1;
       }
 
-      _renderLineString(ctx, feature, style) {
-        const coords = feature.coordinates;
-        if (coords.length < 2) return;
-        ctx.beginPath();
-        ctx.moveTo(coords[0].x, coords[0].y);
-        for (let i = 1; i < coords.length; i++) {
-          ctx.lineTo(coords[i].x, coords[i].y);
+      _getBands(info) {
+        if (this.options.bands) return this.options.bands;
+        if (info.bands >= 3 && info.photometric !== 3) {
+          return info.alpha && info.bands >= 4 ? [1, 2, 3, 4] : [1, 2, 3];
         }
-        ctx.strokeStyle = style.color || '#3388ff';
-        ctx.lineWidth = style.weight || 3;
-        ctx.globalAlpha = style.opacity || 1;
-        ctx.stroke();
-        ctx.globalAlpha = 1;
+        return [1];
       }
 
-      _renderPolygon(ctx, feature, style) {
-        const rings = feature.coordinates;
-        if (rings.length === 0) return;
+      // The zoom level at which a pixel of the image is about a pixel of the map.
+      _getNativeZoom(info) {
+        const { crs, transform: t, width, height } = info;
+        const projection = this._getProjection();
+        const at = (col, row) => projection.latLngToPoint(crs.unproject({ x: t.a * col + t.b * row + t.c, y: t.d * col + t.e * row + t.f }), 0);
+        const p = at(width / 2, height / 2), q = at(width / 2 + 1, height / 2);
+        return Math.max(0, Math.ceil(-Math.log2(Math.hypot(q.x - p.x, q.y - p.y))));
+      }
 
-        ctx.beginPath();
-        for (let r = 0; r < rings.length; r++) {
-          const ring = rings[r];
-          if (ring.length < 3) continue;
-          ctx.moveTo(ring[0].x, ring[0].y);
-          for (let i = 1; i < ring.length; i++) {
-            ctx.lineTo(ring[i].x, ring[i].y);
+      async _getRange(info) {
+        if (info.bitsPerSample === 8 && info.sampleFormat === 1) return [0, 255];
+        const level = info.levels.length - 1;
+        const { width, height } = info.levels[level];
+        if (width * height > GEOTIFF_STATISTICS_PIXELS) {
+          return info.sampleFormat === 3 ? [0, 1] : [0, Math.pow(2, info.bitsPerSample) - 1];
+        }
+        const { data, bands } = await this.source.readWindow(level, { left: 0, top: 0, right: width, bottom: height });
+        const noData = this._getNoData(info);
+        let min = Infinity, max = -Infinity;
+        for (let i = 0; i < data.length; i++) {
+          const v = data[i];
+          // Alpha bands do not count.
+          if (v !== v || v === noData || (info.alpha && i % bands === bands - 1)) continue;
+          if (v < min) min = v;
+          if (v > max) max = v;
+        }
+        return min <= max ? [min, max] : [0, 1];
+      }
+
+      // The no-data value as the samples hold it, since a float32 cannot be any number.
+      _getNoData(info) {
+        const noData = this.options.noData ?? info.noData;
+        if (noData === null || noData === undefined) return undefined;
+        return info.sampleFormat === 3 && info.bitsPerSample === 32 ? Math.fround(noData) : noData;
+      }
+
+      _isTileInRange(x, y, z) {
+        if (!super._isTileInRange(x, y, z) || !this._info) return false;
+        const bounds = this._info.bounds;
+        const projection = this._getProjection();
+        const nw = projection.latLngToTile({ lat: bounds.north, lon: bounds.west }, z);
+        const se = projection.latLngToTile({ lat: bounds.south, lon: bounds.east }, z);
+        const X = this._getTileCoords(x, y, z).x;
+        // Tiles that only touch the image, within rounding, are left out.
+        const e = 1e-9;
+        return X + 1 > nw.x + e && X < se.x - e && y + 1 > Math.min(nw.y, se.y) + e && y < Math.max(nw.y, se.y) - e;
+      }
+
+      // Tiles are drawn from the image rather than fetched.
+      async _loadTileContent(url, signal, key) {
+        const info = await this.ready;
+        const [z, x, y] = key.split('/').map(Number);
+        const coords = this._getTileCoords(x, y, z);
+        return { img: await this._toDrawable(await this._renderTile(info, coords, signal)), storedAt: null };
+      }
+
+      _reloadTile() {
+        // The image does not change while it is open.
+      }
+
+      async _renderTile(info, { x, y, z }, signal) {
+        const size = TILE_SIZE, step = GEOTIFF_GRID_STEP, n = size / step + 1;
+        const projection = this._getProjection();
+        const { crs, transform: t } = info;
+        const det = t.a * t.e - t.b * t.d;
+        // The pixel of the image under every step-th pixel of the tile.
+        const grid = new Float64Array(n * n * 2);
+        for (let j = 0; j < n; j++) {
+          for (let i = 0; i < n; i++) {
+            const p = crs.project(projection.tileToLatLng(x + i / (n - 1), y + j / (n - 1), z));
+            const dx = p.x - t.c, dy = p.y - t.f;
+            grid[(j * n + i) * 2] = (t.e * dx - t.b * dy) / det;
+            grid[(j * n + i) * 2 + 1] = (t.a * dy - t.d * dx) / det;
           }
-          ctx.closePath();
         }
 
-        if (style.fill !== false) {
-          ctx.fillStyle = style.fillColor || style.color || '#3388ff';
-          ctx.globalAlpha = style.fillOpacity || 0.2;
-          ctx.fill();
-          ctx.globalAlpha = 1;
+        // The coarsest level with at least a pixel for each pixel of the tile.
+        const middle = ((n >> 1) * n + (n >> 1)) * 2;
+        const scale = Math.hypot(grid[middle + 2] - grid[middle], grid[middle + 3] - grid[middle + 1]) / step;
+        let level = 0;
+        info.levels.forEach((l, i) => {
+          if (info.width / l.width <= scale && l.width < info.levels[level].width) level = i;
+        });
+        const { width, height } = info.levels[level];
+        const fx = width / info.width, fy = height / info.height;
+        let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+        for (let i = 0; i < grid.length; i += 2) {
+          grid[i] *= fx;
+          grid[i + 1] *= fy;
+          left = Math.min(left, grid[i]);
+          right = Math.max(right, grid[i]);
+          top = Math.min(top, grid[i + 1]);
+          bottom = Math.max(bottom, grid[i + 1]);
         }
+        const region = {
+          left: Math.max(0, Math.floor(left)),
+          top: Math.max(0, Math.floor(top)),
+          right: Math.min(width, Math.ceil(right) + 1),
+          bottom: Math.min(height, Math.ceil(bottom) + 1)
+        };
 
-        if (style.stroke !== false) {
-          ctx.strokeStyle = style.color || '#3388ff';
-          ctx.lineWidth = style.weight || 3;
-          ctx.globalAlpha = style.opacity || 1;
-          ctx.stroke();
-          ctx.globalAlpha = 1;
+        const pixels = this._createImageData(size, size);
+        if (region.left >= region.right || region.top >= region.bottom) return pixels;
+        const raster = await this.source.readWindow(level, region);
+        // Blocks are shared by tiles, so a cancelled tile lets their requests finish.
+        if (signal && signal.aborted) {
+          throw new Error('[Atlas] Tile request aborted.');
         }
-      }
-
-      _pointInPolygon(x, y, rings) {
-        let inside = false;
-        // Check the outer ring first
-        if (this._pointInRing(x, y, rings[0])) {
-          inside = true;
-          // Now check the inner rings (holes)
-          for (let i = 1; i < rings.length; i++) {
-            if (this._pointInRing(x, y, rings[i])) {
-              inside = false; // Point is in a hole
-              break;
+        const bands = this._getBands(info).map(b => b - 1);
+        const [min, max] = this.options.range;
+        const stretch = v => (v - min) / (max - min) * 255;
+        const noData = this._getNoData(info);
+        const colorMap = info.photometric === 3 && !this._ramp ? info.colorMap : null;
+        const rgb = [0, 0, 0];
+        const out = pixels.data;
+
+        for (let py = 0; py < size; py++) {
+          const gy = py / step + 0.5 / step, j = Math.min(n - 2, Math.floor(gy)), v = gy - j;
+          for (let px = 0; px < size; px++) {
+            const gx = px / step + 0.5 / step, i = Math.min(n - 2, Math.floor(gx)), u = gx - i;
+            const a = (j * n + i) * 2, b = a + n * 2;
+            const col = Math.floor((1 - v) * ((1 - u) * grid[a] + u * grid[a + 2]) + v * ((1 - u) * grid[b] + u * grid[b + 2]));
+            const row = Math.floor((1 - v) * ((1 - u) * grid[a + 1] + u * grid[a + 3]) + v * ((1 - u) * grid[b + 1] + u * grid[b + 3]));
+            if (col < region.left || col >= region.right || row < region.top || row >= region.bottom) continue;
+            const at = ((row - region.top) * raster.width + (col - region.left)) * raster.bands;
+            const value = raster.data[at + bands[0]];
+            if (value !== value || value === noData) continue;
+            const o = (py * size + px) * 4;
+            if (bands.length >= 3) {
+              out[o] = stretch(value);
+              out[o + 1] = stretch(raster.data[at + bands[1]]);
+              out[o + 2] = stretch(raster.data[at + bands[2]]);
+              out[o + 3] = bands.length === 4 ? raster.data[at + bands[3]] * (info.bitsPerSample === 8 ? 1 : 255 / (Math.pow(2, info.bitsPerSample) - 1)) : 255;
+            } else {
+              if (colorMap) {
+                // A TIFF palette has 16-bit reds, then greens, then blues.
+                const count = colorMap.length / 3;
+                rgb[0] = colorMap[value] / 257;
+                rgb[1] = colorMap[count + value] / 257;
+                rgb[2] = colorMap[2 * count + value] / 257;
+              } else if (this._ramp) {
+                colorRampAt(this._ramp, value, rgb);
+              } else {
+                rgb[0] = rgb[1] = rgb[2] = stretch(value);
+              }
+              out[o] = rgb[0];
+              out[o + 1] = rgb[1];
+              out[o + 2] = rgb[2];
+              out[o + 3] = 255;
             }
           }
         }
-        return inside;
+        return pixels;
       }
 
-      _pointInRing(x, y, ring) {
-        let inside = false;
-        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-          const xi = ring[i].x, yi = ring[i].y;
-          const xj = ring[j].x, yj = ring[j].y;
-          const intersect = ((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-          if (intersect) inside = !inside;
+      _createImageData(width, height) {
+        if (!this._scratch) {
+          this._scratch = document.createElement('canvas').getContext('2d');
         }
-        return inside;
+        return this._scratch.createImageData(width, height);
       }
+    }
 
-      _pointOnLine(x, y, line, width) {
-        for (let i = 0; i < line.length - 1; i++) {
-          const p1 = line[i];
-          const p2 = line[i + 1];
-          const dx = p2.x - p1.x;
-          const dy = p2.y - p1.y;
-          const lenSq = dx * dx + dy * dy;
-          if (lenSq === 0) continue;
-          let t = ((x - p1.x) * dx + (y - p1.y) * dy) / lenSq;
-          t = Math.max(0, Math.min(1, t));
-          const closeX = p1.x + t * dx;
-          const closeY = p1.y + t * dy;
-          const distSq = (x - closeX) * (x - closeX) + (y - closeY) * (y - closeY);
-          if (distSq < (width / 2) * (width / 2)) return true;
-        }
-        return false;
-      }
+    // --- Image Overlays ---
+    // The corners of an overlay, top left, top right, bottom right and bottom left, from bounds
+    // or from the four coordinates themselves.
+    const toCorners = (placement) => {
+      if (Array.isArray(placement) && placement.length === 4 && typeof placement[0] !== 'number') {
+        return placement.map(corner => LatLng.from(corner));
+      }
+      const bounds = LatLngBounds.from(placement);
+      const { lat: south, lon: west } = bounds.getSouthWest();
+      const { lat: north, lon: east } = bounds.getNorthEast();
+      return [new LatLng(north, west), new LatLng(north, east), new LatLng(south, east), new LatLng(south, west)];
+    };
 
-      _hitDetect(x, y) {
-        // Iterate backwards to prioritize features rendered on top
-        for (let i = this._features.length - 1; i >= 0; i--) {
-          const feature = this._features[i];
-          const processed = this._processFeature(feature);
-          if (!processed) continue;
-          const style = this._getFeatureStyle(feature);
+    // The transform that maps the triangle of points `from` onto the triangle `to`, as the
+    // arguments of ctx.transform().
+    const triangleTransform = ([a, b, c], [A, B, C]) => {
+      const det = (b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y);
+      const m11 = ((B.x - A.x) * (c.y - a.y) - (C.x - A.x) * (b.y - a.y)) / det;
+      const m21 = ((C.x - A.x) * (b.x - a.x) - (B.x - A.x) * (c.x - a.x)) / det;
+      const m12 = ((B.y - A.y) * (c.y - a.y) - (C.y - A.y) * (b.y - a.y)) / det;
+      const m22 = ((C.y - A.y) * (b.x - a.x) - (B.y - A.y) * (c.x - a.x)) / det;
+      return [m11, m12, m21, m22, A.x - m11 * a.x - m21 * a.y, A.y - m12 * a.x - m22 * a.y];
+    };
 
-          switch (processed.type) {
-            case 'Point':
-              const dist = Math.hypot(x - processed.coordinates.x, y - processed.coordinates.y);
-              if (dist <= (style.radius || 5) + 5) { // Add a 5px buffer
-                return feature;
-              }
-              break;
-            case 'LineString':
-              if (this._pointOnLine(x, y, processed.coordinates, (style.weight || 3) + 10)) { // Add a 10px buffer
-                return feature;
-              }
-              break;
-            case 'Polygon':
-              if (this._pointInPolygon(x, y, processed.coordinates)) {
-                return feature;
-              }
-              break;
-          }
-        }
-        return null;
+    /**
+     * A layer that shows a single image, such as a scanned plan, on the map. The image is
+     * placed at bounds, or with its four corners at four coordinates, and turns with the map.
+     * It is drawn in the order of the layers, with its own opacity.
+     *
+     * ```js
+     * new ImageOverlay('plans/ground-floor.png', [[33.5731, -7.5898], [33.5742, -7.5881]], { opacity: 0.7 }).addTo(map);
+     *
+     * // A plan scanned at an angle: top left, top right, bottom right and bottom left.
+     * new ImageOverlay(scan, [[33.5745, -7.5899], [33.5741, -7.5878], [33.5729, -7.5882], [33.5733, -7.5903]]).addTo(map);
+     * ```
+     *
+     * An image placed with corners that are not a parallelogram on the screen is drawn as
+     * two triangles, each stretched to its corners.
+     * @class ImageOverlay
+     * @extends Layer
+     */
+    class ImageOverlay extends Layer {
+      /**
+       * Creates an instance of ImageOverlay.
+       * @param {string|HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - The URL of the image, or the image.
+       * @param {LatLngBounds|Array|object} placement - The bounds of the image, or its top left, top right, bottom right and bottom left corners.
+       * @param {object} [options] - The overlay options.
+       * @param {number} [options.opacity=1] - The opacity of the image, from 0 to 1.
+       * @param {number} [options.zIndex=0] - The drawing order of the layer; layers with higher values are drawn on top.
+       * @param {string|null} [options.crossOrigin="anonymous"] - The crossOrigin of an image loaded from a URL.
+       */
+      constructor(image, placement, options = {}) {
+        super({
+          opacity: 1,
+          zIndex: 0,
+          crossOrigin: 'anonymous',
+          ...options
+        });
+        this._corners = toCorners(placement);
+        this._element = typeof image === 'string' ? this._createImage(image) : image;
       }
 
-      _onMouseMove(e) {
-        const rect = this._map.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        const feature = this._hitDetect(x, y);
+      _createImage(url) {
+        const img = new Image();
+        if (this.options.crossOrigin) img.crossOrigin = this.options.crossOrigin;
+        img.onload = () => {
+          this.fire('load');
+          if (this._map) this._map.render();
+        };
+        img.onerror = () => {
+          this.fire('error', { error: new Error(`[Atlas] Could not load the image ${url}.`) });
+        };
+        img.src = url;
+        return img;
+      }
 
-        if (this._hoveredFeature && this._hoveredFeature !== feature) {
-          this.fire('mouseout', { originalEvent: e, feature: this._hoveredFeature });
-          this._hoveredFeature = null;
-          this._map.canvas.style.cursor = 'grab';
-        }
+      /**
+       * Gets the image the overlay draws.
+       * @returns {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap} The image.
+       */
+      getElement() {
+        return this._element;
+      }
 
-        if (feature && this._hoveredFeature !== feature) {
-          this.fire('mouseover', { originalEvent: e, feature: feature });
-          this._hoveredFeature = feature;
-          this._map.canvas.style.cursor = 'pointer';
-        }
+      /**
+       * Loads another image in the place of the current one.
+       * @param {string} url - The URL of the image.
+       * @returns {ImageOverlay} The current layer instance.
+       */
+      setUrl(url) {
+        this._element = this._createImage(url);
+        return this;
+      }
 
-        if (feature) {
-          this.fire('mousemove', { originalEvent: e, feature });
+      /**
+       * Moves the image.
+       * @param {LatLngBounds|Array|object} placement - The bounds of the image, or its top left, top right, bottom right and bottom left corners.
+       * @returns {ImageOverlay} The current layer instance.
+       */
+      setBounds(placement) {
+        this._corners = toCorners(placement);
+        if (this._map) {
+          this._map.render();
         }
+        return this;
       }
 
-      _onMouseOut(e) {
-        if (this._hoveredFeature) {
-          this.fire('mouseout', { originalEvent: e, feature: this._hoveredFeature });
-          this._hoveredFeature = null;
-          this._map.canvas.style.cursor = 'grab';
-        }
+      /**
+       * Gets the area the image covers.
+       * @returns {LatLngBounds} The bounds of its corners.
+       */
+      getBounds() {
+        return LatLngBounds.from(this._corners);
       }
 
-      _onClick(e) {
-        const rect = this._map.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        const feature = this._hitDetect(x, y);
+      /**
+       * Gets the corners of the image.
+       * @returns {LatLng[]} The top left, top right, bottom right and bottom left corners.
+       */
+      getCorners() {
+        return this._corners.slice();
+      }
 
-        if (feature) {
-          this.fire('click', { originalEvent: e, feature });
+      /**
+       * Sets the opacity of the image.
+       * @param {number} opacity - The opacity, from 0 to 1.
+       * @returns {ImageOverlay} The current layer instance.
+       */
+      setOpacity(opacity) {
+        this.options.opacity = Math.max(0, Math.min(1, opacity));
+        if (this._map) {
+          this._map.render();
         }
+        return this;
       }
 
       /**
-       * Called when the layer is added to the map.
+       * Gets the opacity of the image.
+       * @returns {number} The opacity.
        */
-      onAdd() {
-        this._features = this._geojson.features || [];
-        if (this.options.interactive) {
-          this._map.canvas.addEventListener('mousemove', this._onMouseMove);
-          this._map.canvas.addEventListener('mouseout', this._onMouseOut);
-          this._map.canvas.addEventListener('click', this._onClick);
-        }
-        this.fire('add');
+      getOpacity() {
+        return this.options.opacity;
       }
 
       /**
-       * Called when the layer is removed from the map.
+       * Sets the drawing order of the layer. Layers with a higher zIndex are drawn over the
+       * others, and layers with the same one in the order they were added.
+       * @param {number} zIndex - The zIndex.
+       * @returns {ImageOverlay} The current layer instance.
        */
-      onRemove() {
-        if (this.options.interactive) {
-          this._map.canvas.removeEventListener('mousemove', this._onMouseMove);
-          this._map.canvas.removeEventListener('mouseout', this._onMouseOut);
-          this._map.canvas.removeEventListener('click', this._onClick);
+      setZIndex(zIndex) {
+        this.options.zIndex = zIndex;
+        if (this._map) {
+          this._map.render();
         }
-        this._featureCache.clear();
-        this._hitCache.clear();
-        this.fire('remove');
+        return this;
+      }
+
+      // The size of the image, or null while it loads.
+      _getSize() {
+        const el = this._element;
+        if (el.tagName === 'IMG' && !(el.complete && el.naturalWidth)) return null;
+        // HAVE_CURRENT_DATA: the video has a frame to draw.
+        if (el.tagName === 'VIDEO' && el.readyState < 2) return null;
+        const width = el.naturalWidth || el.videoWidth || el.width;
+        const height = el.naturalHeight || el.videoHeight || el.height;
+        return width && height ? { width, height } : null;
       }
 
       render() {
         if (!this._map) return;
-
+        const size = this._getSize();
+        if (!size) return;
+        const { width, height } = size;
         const ctx = this._map.ctx;
-        const needsRebuild = (
-          this._lastRenderZoom !== this._map.zoom ||
-          this._lastRenderBearing !== this._map.bearing ||
-          this._lastRenderCenter?.lon !== this._map.center.lon ||
-          this._lastRenderCenter?.lat !== this._map.center.lat
-        );
-
-        if (needsRebuild) {
-          this._featureCache.clear();
-          this._hitCache.clear();
-          this._lastRenderZoom = this._map.zoom;
-          this._lastRenderBearing = this._map.bearing;
-          this._lastRenderCenter = { ...this._map.center };
-        }
-
-        for (const feature of this._features) {
-          const processed = this._processFeature(feature);
-          if (!processed) continue;
-          const style = this._getFeatureStyle(feature);
+        const corners = this._corners.map(corner => this._map.latLngToContainerPoint(corner));
+        const source = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+        const [tl, tr, br, bl] = corners;
 
-          switch (processed.type) {
-            case 'Point':
-              this._renderPoint(ctx, processed, style);
-              break;
-            case 'LineString':
-              this._renderLineString(ctx, processed, style);
-              break;
-            case 'Polygon':
-              this._renderPolygon(ctx, processed, style);
-              break;
+        ctx.save();
+        ctx.globalAlpha = this.options.opacity;
+        ctx.imageSmoothingEnabled = true;
+        if (Math.hypot(tl.x + br.x - tr.x - bl.x, tl.y + br.y - tr.y - bl.y) < 1) {
+          ctx.transform(...triangleTransform([source[0], source[1], source[3]], [tl, tr, bl]));
+          ctx.drawImage(this._element, 0, 0, width, height);
+        } else {
+          for (const triangle of [[0, 1, 2], [0, 2, 3]]) {
+            const to = triangle.map(i => corners[i]);
+            ctx.save();
+            ctx.beginPath();
+            ctx.moveTo(to[0].x, to[0].y);
+            ctx.lineTo(to[1].x, to[1].y);
+            ctx.lineTo(to[2].x, to[2].y);
+            ctx.closePath();
+            ctx.clip();
+            ctx.transform(...triangleTransform(triangle.map(i => source[i]), to));
+            ctx.drawImage(this._element, 0, 0, width, height);
+            ctx.restore();
           }
         }
+        ctx.restore();
+      }
+    }
+
+    /**
+     * An ImageOverlay that plays a video, muted and in a loop unless told otherwise. The map
+     * redraws while the video plays.
+     *
+     * ```js
+     * new VideoOverlay(['flood.webm', 'flood.mp4'], [[32.9, -8.2], [34.1, -6.4]]).addTo(map);
+     * ```
+     * @class VideoOverlay
+     * @extends ImageOverlay
+     */
+    class VideoOverlay extends ImageOverlay {
+      /**
+       * Creates an instance of VideoOverlay.
+       * @param {string|string[]|HTMLVideoElement} video - The URL of the video, URLs of it in several formats, or the video.
+       * @param {LatLngBounds|Array|object} placement - The bounds of the video, or its top left, top right, bottom right and bottom left corners.
+       * @param {object} [options] - The ImageOverlay options, and:
+       * @param {boolean} [options.autoplay=true] - Whether the video plays when the layer is added.
+       * @param {boolean} [options.loop=true] - Whether the video starts again when it ends.
+       * @param {boolean} [options.muted=true] - Whether the video is muted; browsers only play muted videos on their own.
+       */
+      constructor(video, placement, options = {}) {
+        options = { autoplay: true, loop: true, muted: true, ...options };
+        super(typeof video === 'string' || Array.isArray(video) ? null : video, placement, options);
+        if (!this._element) {
+          this._element = this._createVideo([].concat(video));
+        }
+      }
+
+      _createVideo(urls) {
+        const video = document.createElement('video');
+        if (this.options.crossOrigin) video.crossOrigin = this.options.crossOrigin;
+        video.loop = this.options.loop;
+        video.muted = this.options.muted;
+        video.playsInline = true;
+        video.preload = 'auto';
+        for (const url of urls) {
+          const source = document.createElement('source');
+          source.src = url;
+          video.appendChild(source);
+        }
+        video.addEventListener('loadeddata', () => {
+          this.fire('load');
+          if (this._map) this._map.render();
+        });
+        video.addEventListener('play', () => {
+          if (this._map) this._map.render();
+        });
+        return video;
       }
 
       /**
-       * Sets the GeoJSON data for the layer.
-       * @param {object} geojson - The GeoJSON data.
-       * @returns {GeoJSONLayer} The current layer instance.
+       * Called when the layer is added to the map.
        */
-      setData(geojson) {
-        this._geojson = this._normalizeGeoJSON(geojson);
-        this._features = this._geojson.features || [];
-        this._featureCache.clear();
-        this._hitCache.clear();
-        if (this._map) {
-          this._map.render();
+      onAdd() {
+        if (this.options.autoplay) this.play();
+      }
+
+      /**
+       * Called when the layer is removed from the map.
+       */
+      onRemove() {
+        this.pause();
+      }
+
+      /**
+       * Plays the video.
+       * @returns {VideoOverlay} The current layer instance.
+       */
+      play() {
+        const playing = this._element.play();
+        // Browsers refuse to play videos with sound before the user interacts with the page.
+        if (playing && playing.catch) {
+          playing.catch(error => this.fire('error', { error }));
         }
         return this;
       }
 
       /**
-       * Gets the GeoJSON data for the layer.
-       * @returns {object} The GeoJSON data.
+       * Pauses the video.
+       * @returns {VideoOverlay} The current layer instance.
        */
-      getData() {
-        return this._geojson;
+      pause() {
+        this._element.pause();
+        return this;
+      }
+
+      render() {
+        super.render();
+        const video = this._element;
+        if (this._map && !video.paused && !video.ended) {
+          this._map.scheduleRender();
+        }
       }
     }
 
     /**
-     * Base class for all controls.
-     * @class Control
+     * An ImageOverlay of a canvas to draw on, such as a heat map or a simulation. Coordinates
+     * are converted to the pixels of the canvas with latLngToCanvasPoint(); call redraw()
+     * after drawing.
+     *
+     * ```js
+     * const overlay = new CanvasOverlay([[30, -10], [36, -1]], { width: 600, height: 600 }).addTo(map);
+     * const ctx = overlay.getContext();
+     * for (const station of stations) {
+     *   const { x, y } = overlay.latLngToCanvasPoint(station.latlng);
+     *   ctx.fillRect(x - 2, y - 2, 4, 4);
+     * }
+     * overlay.redraw();
+     * ```
+     * @class CanvasOverlay
+     * @extends ImageOverlay
      */
-    class Control {
+    class CanvasOverlay extends ImageOverlay {
+      /**
+       * Creates an instance of CanvasOverlay.
+       * @param {LatLngBounds|Array|object} placement - The bounds of the canvas, or its top left, top right, bottom right and bottom left corners.
+       * @param {object} [options] - The ImageOverlay options, and:
+       * @param {HTMLCanvasElement} [options.canvas] - The canvas to show; by default a new one.
+       * @param {number} [options.width=512] - The width of a new canvas, in pixels.
+       * @param {number} [options.height=512] - The height of a new canvas, in pixels.
+       */
+      constructor(placement, options = {}) {
+        let canvas = options.canvas;
+        if (!canvas) {
+          canvas = document.createElement('canvas');
+          canvas.width = options.width || 512;
+          canvas.height = options.height || 512;
+        }
+        super(canvas, placement, options);
+      }
+
       /**
-       * Creates an instance of Control.
-       * @param {object} [options={}] - The control options.
+       * Gets the 2D context of the canvas.
+       * @returns {CanvasRenderingContext2D} The context.
        */
-      constructor(options = {}) {
-        this.options = {
-          position: options.position || 'top-left'
-        };
-        this._map = null;
-        this._container = null;
-        this._events = {};
+      getContext() {
+        return this._element.getContext('2d');
       }
 
       /**
-       * Adds an event listener to the control.
-       * @param {string} type - The event type.
-       * @param {Function} fn - The event listener function.
-       * @returns {Control} The current control instance.
+       * Converts a geographical coordinate to a point of the canvas, in its pixels.
+       * @param {LatLng|Array|object} latlng - The geographical coordinate.
+       * @returns {object} The point, `{ x, y }`.
        */
-      on(type, fn) {
-        if (!this._events[type]) {
-          this._events[type] = [];
-        }
-        this._events[type].push(fn);
-        return this;
+      latLngToCanvasPoint(latlng) {
+        const projection = this._map ? this._map.projection : DEFAULT_PROJECTION;
+        const { width, height } = this._element;
+        const corners = this._corners.map(corner => projection.latLngToTile(corner, 0));
+        const source = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+        const p = projection.latLngToTile(LatLng.from(latlng), 0);
+        const apply = ([a, b, c, d, e, f]) => ({ x: a * p.x + c * p.y + e, y: b * p.x + d * p.y + f });
+        // In the triangle of the corners the canvas is drawn in.
+        const point = apply(triangleTransform([corners[0], corners[1], corners[2]], [source[0], source[1], source[2]]));
+        if (point.y / height <= point.x / width) return point;
+        return apply(triangleTransform([corners[0], corners[2], corners[3]], [source[0], source[2], source[3]]));
       }
 
       /**
-       * Removes an event listener from the control.
-       * @param {string} type - The event type.
-       * @param {Function} [fn] - The event listener function. If not provided, all listeners for the type are removed.
-       * @returns {Control} The current control instance.
+       * Redraws the map with what was drawn on the canvas.
+       * @returns {CanvasOverlay} The current layer instance.
        */
-      off(type, fn) {
-        if (!this._events[type]) return this;
-        if (!fn) {
-          this._events[type] = [];
-        } else {
-          this._events[type] = this._events[type].filter(cb => cb !== fn);
+      redraw() {
+        if (this._map) {
+          this._map.render();
         }
         return this;
       }
+    }
 
+    /**
+     * Base class for all controls.
+     * @class Control
+     * @extends Evented
+     */
+    class Control extends Evented {
       /**
-       * Fires an event on the control.
-       * @param {string} type - The event type.
-       * @param {object} [data={}] - The event data.
+       * Creates an instance of Control.
+       * @param {object} [options={}] - The control options.
        */
-      fire(type, data = {}) {
-        if (!this._events[type]) return;
-        data.type = type;
-        data.target = this;
-        this._events[type].forEach(fn => fn(data));
+      constructor(options = {}) {
+        super();
+        this.options = {
+          position: options.position || 'top-left'
+        };
+        this._map = null;
+        this._container = null;
       }
 
       /**
@@ -1278,8 +6786,8 @@
 
       _update() {
         if (!this._map || !this._zoomInBtn || !this._zoomOutBtn) return;
-        const minZoom = this._map.getBaseLayer() ? this._map.getBaseLayer().getMinZoom() : 0;
-        const maxZoom = this._map.getBaseLayer() ? this._map.getBaseLayer().getMaxZoom() : 18;
+        const minZoom = this._map.getMinZoom();
+        const maxZoom = this._map.getMaxZoom();
         const currentZoom = this._map.getZoom();
 
         this._zoomInBtn.disabled = currentZoom >= maxZoom;
@@ -1313,8 +6821,8 @@
         const container = document.createElement('div');
         container.className = 'atlas-layer-control';
 
-        this._osmLayer = TILE_LAYERS.OSM;
-        this._esriLayer = TILE_LAYERS.ESRI;
+        this._osmLayer = this._map.getPresetLayer('OSM');
+        this._esriLayer = this._map.getPresetLayer('ESRI');
 
         const toggleBtn = document.createElement('button');
         toggleBtn.className = 'control-btn';
@@ -1426,7 +6934,7 @@
         this._scaleBar.className = 'scale-bar';
 
         this._scaleText = document.createElement('div');
-        this._scaleText.id = 'scale-text';
+        this._scaleText.className = 'scale-text';
         this._scaleText.dataset.unit = this.options.unit;
 
         container.appendChild(this._scaleBar);
@@ -1450,7 +6958,7 @@
       _update() {
         if (!this._map || !this._scaleBar || !this._scaleText) return;
 
-        const mPerPx = GISUtils.getResolution(this._map.getCenter().lat, this._map.getZoom());
+        const mPerPx = GISUtils.getResolution(this._map.getCenter().lat, this._map.getZoom(), this._map.projection);
         const targetMeters = mPerPx * this.options.maxWidth;
 
         const pow = Math.pow(10, Math.floor(Math.log10(targetMeters)));
@@ -1541,8 +7049,7 @@
         container.className = 'atlas-compass-control';
 
         const compassBtn = document.createElement('button');
-        compassBtn.id = 'compass';
-        compassBtn.className = 'control-btn';
+        compassBtn.className = 'control-btn atlas-compass';
         compassBtn.title = this.options.title;
         compassBtn.setAttribute('aria-label', this.options.title);
         compassBtn.textContent = 'N';
@@ -1605,15 +7112,14 @@
         container.className = 'atlas-reset-zoom-control';
 
         const resetBtn = document.createElement('button');
-        resetBtn.id = 'reset-zoom';
-        resetBtn.className = 'control-btn';
+        resetBtn.className = 'control-btn atlas-reset-zoom';
         resetBtn.title = this.options.title;
         resetBtn.setAttribute('aria-label', this.options.title);
         resetBtn.textContent = '⤢';
 
         resetBtn.onclick = () => {
           if (this._map) {
-            this._map.flyTo({ center: CONFIG.defaultCenter, zoom: CONFIG.defaultZoom, duration: SNAP_DURATION });
+            this._map.flyTo({ center: this._map.options.defaultCenter, zoom: this._map.options.defaultZoom, duration: SNAP_DURATION });
           }
         };
 
@@ -1632,6 +7138,219 @@
       }
     }
 
+    /**
+     * A control that finds the user's location with the Geolocation API, shows it
+     * on the map with an accuracy circle, and optionally keeps tracking it.
+     *
+     * Fires `geolocate` with `{ latlng, accuracy, position }` for every fix,
+     * `error` with `{ code, message, error }` when a fix fails, and
+     * `trackstart` / `trackend` when tracking is switched on or off.
+     * @class GeolocateControl
+     * @extends Control
+     */
+    class GeolocateControl extends Control {
+      /**
+       * Creates an instance of GeolocateControl.
+       * @param {object} [options={}] - The control options.
+       * @param {boolean} [options.trackUserLocation=false] - Keep watching the position instead of locating once.
+       * @param {boolean} [options.showUserLocation=true] - Show a dot at the user's location.
+       * @param {boolean} [options.showAccuracyCircle=true] - Show a circle for the reported accuracy.
+       * @param {number} [options.zoom=15] - The zoom level to fly to on the first fix, or null to keep the view.
+       * @param {object} [options.positionOptions] - Options passed to the Geolocation API.
+       */
+      constructor(options = {}) {
+        super(options);
+        this.options = {
+          ...this.options,
+          title: options.title || 'Show my location',
+          trackUserLocation: options.trackUserLocation || false,
+          showUserLocation: options.showUserLocation !== false,
+          showAccuracyCircle: options.showAccuracyCircle !== false,
+          zoom: options.zoom !== undefined ? options.zoom : 15,
+          positionOptions: { enableHighAccuracy: true, timeout: 10000, maximumAge: 0, ...options.positionOptions }
+        };
+        this._watchId = null;
+        this._lastFix = null;
+        this._hasFlown = false;
+      }
+
+      /**
+       * Called when the control is added to the map.
+       * @returns {HTMLElement} The control's container element.
+       */
+      onAdd() {
+        const container = document.createElement('div');
+        container.className = 'atlas-geolocate-control';
+
+        const locateBtn = document.createElement('button');
+        locateBtn.className = 'control-btn';
+        locateBtn.title = this.options.title;
+        locateBtn.setAttribute('aria-label', this.options.title);
+        locateBtn.setAttribute('aria-pressed', 'false');
+        locateBtn.textContent = '◎';
+        locateBtn.onclick = () => {
+          if (this._watchId !== null) {
+            this.stop();
+          } else {
+            this.trigger();
+          }
+        };
+        if (!GeolocateControl.isSupported()) {
+          locateBtn.disabled = true;
+        }
+
+        container.appendChild(locateBtn);
+        this._locateBtn = locateBtn;
+
+        this._accuracyEl = document.createElement('div');
+        this._accuracyEl.className = 'atlas-geolocate-accuracy';
+        this._dotEl = document.createElement('div');
+        this._dotEl.className = 'atlas-geolocate-dot';
+        this._accuracyEl.style.display = 'none';
+        this._dotEl.style.display = 'none';
+        this._map.container.appendChild(this._accuracyEl);
+        this._map.container.appendChild(this._dotEl);
+
+        return container;
+      }
+
+      onRemove() {
+        this.stop();
+        for (const el of [this._accuracyEl, this._dotEl]) {
+          if (el && el.parentNode) {
+            el.parentNode.removeChild(el);
+          }
+        }
+        this._accuracyEl = null;
+        this._dotEl = null;
+        this._lastFix = null;
+      }
+
+      /**
+       * Checks whether the browser exposes the Geolocation API.
+       * @returns {boolean} True if geolocation is available.
+       */
+      static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.geolocation;
+      }
+
+      /**
+       * Requests the user's location. With `trackUserLocation`, starts watching it.
+       * @returns {GeolocateControl} The current control instance.
+       */
+      trigger() {
+        if (!this._map) return this;
+        if (!GeolocateControl.isSupported()) {
+          this._onError({ code: 0, message: 'Geolocation is not supported by this browser.' });
+          return this;
+        }
+        this._hasFlown = false;
+        this._locateBtn.classList.add('waiting');
+        if (this.options.trackUserLocation) {
+          if (this._watchId !== null) return this;
+          this._watchId = navigator.geolocation.watchPosition(
+            pos => this._onPosition(pos),
+            err => this._onError(err),
+            this.options.positionOptions
+          );
+          this._locateBtn.setAttribute('aria-pressed', 'true');
+          this._locateBtn.classList.add('active');
+          this.fire('trackstart');
+        } else {
+          navigator.geolocation.getCurrentPosition(
+            pos => this._onPosition(pos),
+            err => this._onError(err),
+            this.options.positionOptions
+          );
+        }
+        return this;
+      }
+
+      /**
+       * Stops tracking the user's location.
+       * @returns {GeolocateControl} The current control instance.
+       */
+      stop() {
+        if (this._watchId === null) return this;
+        navigator.geolocation.clearWatch(this._watchId);
+        this._watchId = null;
+        if (this._locateBtn) {
+          this._locateBtn.setAttribute('aria-pressed', 'false');
+          this._locateBtn.classList.remove('active', 'waiting');
+        }
+        this.fire('trackend');
+        return this;
+      }
+
+      /**
+       * Checks whether the control is currently tracking the user's location.
+       * @returns {boolean} True while tracking.
+       */
+      isTracking() {
+        return this._watchId !== null;
+      }
+
+      /**
+       * Gets the most recent location fix.
+       * @returns {object|null} The last fix as `{ latlng, accuracy }`, or null.
+       */
+      getLastFix() {
+        return this._lastFix ? { latlng: this._lastFix.latlng, accuracy: this._lastFix.accuracy } : null;
+      }
+
+      _onPosition(position) {
+        if (!this._map) return;
+        const latlng = new LatLng(position.coords.latitude, position.coords.longitude);
+        const accuracy = position.coords.accuracy;
+        this._lastFix = { latlng, accuracy };
+        this._locateBtn.classList.remove('waiting');
+
+        if (!this._hasFlown && this.options.zoom !== null) {
+          this._hasFlown = true;
+          this._map.flyTo({ center: latlng, zoom: this.options.zoom });
+        }
+
+        this._update();
+        this.fire('geolocate', { latlng, accuracy, position });
+      }
+
+      _onError(error) {
+        if (this._locateBtn) {
+          this._locateBtn.classList.remove('waiting');
+        }
+        // A denied permission will not recover, so there is nothing left to track.
+        if (error.code === 1) {
+          this.stop();
+        }
+        console.warn(`[Atlas] Geolocation failed: ${error.message}`);
+        this.fire('error', { code: error.code, message: error.message, error });
+      }
+
+      _update() {
+        if (!this._map || !this._dotEl || !this._accuracyEl) return;
+        if (!this._lastFix) {
+          this._dotEl.style.display = 'none';
+          this._accuracyEl.style.display = 'none';
+          return;
+        }
+        const { latlng, accuracy } = this._lastFix;
+        const point = this._map.latLngToContainerPoint(latlng);
+
+        this._dotEl.style.display = this.options.showUserLocation ? 'block' : 'none';
+        this._dotEl.style.transform = `translate(${point.x}px, ${point.y}px) translate(-50%, -50%)`;
+
+        if (this.options.showAccuracyCircle && accuracy) {
+          const radiusPx = accuracy / GISUtils.getResolution(latlng.lat, this._map.getZoom(), this._map.projection);
+          this._accuracyEl.style.display = 'block';
+          this._accuracyEl.style.width = `${radiusPx * 2}px`;
+          this._accuracyEl.style.height = `${radiusPx * 2}px`;
+          this._accuracyEl.style.transform = `translate(${point.x}px, ${point.y}px) translate(-50%, -50%)`;
+        } else {
+          this._accuracyEl.style.display = 'none';
+        }
+      }
+    }
+
     /**
      * A control for displaying notifications on the map.
      * @class NotificationControl
@@ -1784,9 +7503,13 @@
         e.preventDefault();
         const dx = e.clientX - this._dragStart.x;
         const dy = e.clientY - this._dragStart.y;
+        if (Math.hypot(dx, dy) > CLICK_TOLERANCE_PX) {
+          this._moved = true;
+        }
         const w = this._map.canvas.width / this._map.dpr;
         const h = this._map.canvas.height / this._map.dpr;
         this._map.center = this._map.screenToLatLon(w / 2 - dx, h / 2 - dy, this._map.zoom, this._map.bearing, this._dragStart.center);
+        this._map._viewChanged();
         this._pushVelocitySample(e.clientX, e.clientY);
         this._map.render();
       }
@@ -1814,9 +7537,13 @@
         e.preventDefault();
         const dx = e.touches[0].clientX - this._dragStart.x;
         const dy = e.touches[0].clientY - this._dragStart.y;
+        if (Math.hypot(dx, dy) > CLICK_TOLERANCE_PX) {
+          this._moved = true;
+        }
         const w = this._map.canvas.width / this._map.dpr;
         const h = this._map.canvas.height / this._map.dpr;
         this._map.center = this._map.screenToLatLon(w / 2 - dx, h / 2 - dy, this._map.zoom, this._map.bearing, this._dragStart.center);
+        this._map._viewChanged();
         this._pushVelocitySample(e.touches[0].clientX, e.touches[0].clientY);
         this._map.render();
       }
@@ -1827,7 +7554,10 @@
 
       _startDrag(clientX, clientY) {
         this._isDragging = true;
+        this._moved = false;
+        this._map._clickSuppressed = false;
         this._map.stopAnimations();
+        this._map._beginViewChange();
         this._map.isDragging = true;
         this._map.container.classList.add('dragging');
         this._dragStart = {
@@ -1843,9 +7573,15 @@
         if (!this._isDragging) return;
         this._isDragging = false;
         this._map.isDragging = false;
+        // A drag ends with a click on the canvas, which must not reach click listeners.
+        this._map._clickSuppressed = this._moved;
         this._map.container.classList.remove('dragging');
         const { vx, vy } = this._computeVelocity();
-        this._startInertia(vx, vy);
+        // The view change continues through the snap back inside the max bounds or
+        // the inertia animation, if there is one.
+        if (!this._map._snapInsideBounds() && !this._startInertia(vx, vy)) {
+          this._map._endViewChange();
+        }
         this._removeMoveEvents();
       }
 
@@ -1870,7 +7606,7 @@
 
       _startInertia(vx, vy) {
         const speed = Math.hypot(vx, vy);
-        if (speed < INERTIA_STOP_SPEED) return;
+        if (speed < INERTIA_STOP_SPEED) return false;
         let lastT = performance.now();
         const step = () => {
           const now = performance.now();
@@ -1880,12 +7616,13 @@
           const w = this._map.canvas.width / this._map.dpr;
           const h = this._map.canvas.height / this._map.dpr;
           this._map.center = this._map.screenToLatLon(w / 2 - dx, h / 2 - dy);
+          this._map._viewChanged();
           const vmag = Math.hypot(vx, vy);
           const newVmag = Math.max(0, vmag - INERTIA_DECEL * dt);
           if (newVmag <= INERTIA_STOP_SPEED) {
             this._map.render();
             this._map._inertiaRAF = null;
-            this._map.fire('moveend');
+            this._map._endViewChange();
             return;
           }
           const s = newVmag / (vmag || 1);
@@ -1895,6 +7632,7 @@
           this._map._inertiaRAF = requestAnimationFrame(step);
         };
         this._map._inertiaRAF = requestAnimationFrame(step);
+        return true;
       }
     }
 
@@ -1923,7 +7661,8 @@
       _onWheel = (e) => {
         e.preventDefault();
         const dz = (e.deltaY < 0 ? WHEEL_ZOOM_STEP : -WHEEL_ZOOM_STEP);
-        this._map.smoothZoomAt(e.clientX, e.clientY, dz);
+        const p = this._map._clientToContainerPoint(e.clientX, e.clientY);
+        this._map.smoothZoomAt(p.x, p.y, dz);
       }
     }
 
@@ -1953,7 +7692,8 @@
 
       _onDoubleClick = (e) => {
         e.preventDefault();
-        this._map.animateZoomRotateAbout(e.clientX, e.clientY, this._map.getZoom() + 1, this._map.getBearing(), TAP_ZOOM_DURATION);
+        const p = this._map._clientToContainerPoint(e.clientX, e.clientY);
+        this._map.animateZoomRotateAbout(p.x, p.y, this._map.getZoom() + 1, this._map.getBearing(), TAP_ZOOM_DURATION);
       }
     }
 
@@ -2010,6 +7750,7 @@
 
       _startPinch = (e) => {
         this._map.stopAnimations();
+        this._map._beginViewChange();
         this._isPinching = true;
         const t1 = e.touches[0], t2 = e.touches[1];
         this._pinchStartDist = Math.hypot(t2.clientX - t1.clientX, t2.clientY - t1.clientY);
@@ -2017,7 +7758,7 @@
         this._pinchStartZoom = this._map.getZoom();
         this._pinchStartBearing = this._map.getBearing();
         this._pinchStartTime = performance.now();
-        this._pinchLastCenter = { x: (t1.clientX + t2.clientX) / 2, y: (t1.clientY + t2.clientY) / 2 };
+        this._pinchLastCenter = this._map._clientToContainerPoint((t1.clientX + t2.clientX) / 2, (t1.clientY + t2.clientY) / 2);
         this._pinchAnchorLL = this._map.screenToLatLon(this._pinchLastCenter.x, this._pinchLastCenter.y, this._map.getZoom(), this._map.getBearing(), this._map.getCenter());
         this._pinchMoved = false;
       }
@@ -2028,7 +7769,7 @@
         const t1 = e.touches[0], t2 = e.touches[1];
         const dist = Math.hypot(t2.clientX - t1.clientX, t2.clientY - t1.clientY);
         const angle = Math.atan2(t2.clientY - t1.clientY, t2.clientX - t1.clientX);
-        const center = { x: (t1.clientX + t2.clientX) / 2, y: (t1.clientY + t2.clientY) / 2 };
+        const center = this._map._clientToContainerPoint((t1.clientX + t2.clientX) / 2, (t1.clientY + t2.clientY) / 2);
         const targetZoom = this._pinchStartZoom + Math.log2(dist / Math.max(1, this._pinchStartDist));
         const deltaAngle = normalizeAngle(angle - this._pinchStartAngle);
         const targetBearing = normalizeAngle(this._pinchStartBearing + deltaAngle);
@@ -2039,6 +7780,7 @@
         }
 
         this._map.applyZoomRotateAbout(center.x, center.y, targetZoom, targetBearing, this._pinchAnchorLL);
+        this._map._viewChanged();
         this._pinchLastCenter = center;
         this._map.render();
       }
@@ -2046,16 +7788,17 @@
       _onTouchEnd = (e) => {
         if (!this._isPinching) return;
         const dt = performance.now() - this._pinchStartTime;
+        if (e.touches.length < 2) {
+            this._isPinching = false;
+            this._removeMoveEvents();
+            this._map._endViewChange();
+        }
         // Only fire two-finger tap if all fingers are lifted
         if (e.touches.length === 0 && dt <= TWO_FINGER_TAP_MAX_DELAY && !this._pinchMoved) {
             const ax = this._pinchLastCenter ? this._pinchLastCenter.x : (this._map.canvas.width / this._map.dpr) / 2;
             const ay = this._pinchLastCenter ? this._pinchLastCenter.y : (this._map.canvas.height / this._map.dpr) / 2;
             this._map.animateZoomRotateAbout(ax, ay, this._map.getZoom() - 1, this._map.getBearing(), TAP_ZOOM_DURATION);
         }
-        if (e.touches.length < 2) {
-            this._isPinching = false;
-            this._removeMoveEvents();
-        }
       }
     }
 
@@ -2074,14 +7817,17 @@
       }
 
       _addEvents() {
-        window.addEventListener('keydown', this._onKeyDown);
+        // Listen on the map container rather than the window so that several maps
+        // on one page only react to the keyboard while they have focus.
+        this._map.container.addEventListener('keydown', this._onKeyDown);
       }
 
       _removeEvents() {
-        window.removeEventListener('keydown', this._onKeyDown);
+        this._map.container.removeEventListener('keydown', this._onKeyDown);
       }
 
       _onKeyDown = (e) => {
+        if (e.target !== this._map.container && e.target !== this._map.canvas) return;
         let dx = 0, dy = 0;
         const panStepPx = 100; // The distance to pan in pixels
 
@@ -2105,10 +7851,10 @@
           return;
         } else if (e.key === "s") {
           const current = this._map.getBaseLayer();
-          if (current === TILE_LAYERS.ESRI) {
-            this._map.setBaseLayer(TILE_LAYERS.OSM);
+          if (current === this._map.getPresetLayer('ESRI')) {
+            this._map.setBaseLayer(this._map.getPresetLayer('OSM'));
           } else {
-            this._map.setBaseLayer(TILE_LAYERS.ESRI);
+            this._map.setBaseLayer(this._map.getPresetLayer('ESRI'));
           }
           return;
         } else if (e.key === "+" || e.key === "=") {
@@ -2127,6 +7873,7 @@
           const h = this._map.canvas.height / this._map.dpr;
           // Pan relative to the screen, not geographically, by passing the current bearing.
           this._map.center = this._map.screenToLatLon(w / 2 + dx, h / 2 + dy, this._map.getZoom(), this._map.getBearing());
+          this._map._viewChanged();
           this._map.render();
         }
       }
@@ -2225,58 +7972,17 @@
     /**
      * Base class for all overlay types.
      * @class Overlay
+     * @extends Evented
      */
-    class Overlay {
+    class Overlay extends Evented {
       /**
        * Creates an instance of Overlay.
        * @param {object} [options={}] - The overlay options.
        */
       constructor(options = {}) {
+        super();
         this.options = options;
         this._map = null;
-        this._events = {};
-      }
-
-      /**
-       * Adds an event listener to the overlay.
-       * @param {string} type - The event type.
-       * @param {Function} fn - The event listener function.
-       * @returns {Overlay} The current overlay instance.
-       */
-      on(type, fn) {
-        if (!this._events[type]) {
-          this._events[type] = [];
-        }
-        this._events[type].push(fn);
-        return this;
-      }
-
-      /**
-       * Removes an event listener from the overlay.
-       * @param {string} type - The event type.
-       * @param {Function} [fn] - The event listener function. If not provided, all listeners for the type are removed.
-       * @returns {Overlay} The current overlay instance.
-       */
-      off(type, fn) {
-        if (!this._events[type]) return this;
-        if (!fn) {
-          this._events[type] = [];
-        } else {
-          this._events[type] = this._events[type].filter(cb => cb !== fn);
-        }
-        return this;
-      }
-
-      /**
-       * Fires an event on the overlay.
-       * @param {string} type - The event type.
-       * @param {object} [data={}] - The event data.
-       */
-      fire(type, data = {}) {
-        if (!this._events[type]) return;
-        data.type = type;
-        data.target = this;
-        this._events[type].forEach(fn => fn(data));
       }
 
       /**
@@ -2329,15 +8035,16 @@
     class AtlasMarker extends Overlay {
       /**
        * Creates an instance of AtlasMarker.
-       * @param {object} latlng - The geographical coordinate of the marker.
-       * @param {number} latlng.lat - The latitude.
-       * @param {number} latlng.lon - The longitude.
+       * @param {LatLng|Array|object} latlng - The geographical coordinate of the marker, or
+       *   its `[x, y]` or `{ x, y }` position with `sourceCrs`.
        * @param {object} [options={}] - The marker options.
+       * @param {string|Proj} [options.sourceCrs] - The coordinate reference system of the positions
+       *   given to the constructor and setLatLng(), e.g. "EPSG:26191". getLatLng() still returns WGS84.
        */
       constructor(latlng, options = {}) {
         super(options);
 
-        this._latlng = { ...latlng };
+        this._latlng = this._toLatLng(latlng);
         this._iconElement = null;
         this._isHovered = false;
         this._isDragging = false;
@@ -2369,6 +8076,10 @@
           this._iconElement.addEventListener('touchstart', this._onTouchStart.bind(this), { passive: false });
         }
 
+        if (this._popup && !this._popup._map) {
+          this._popup.addTo(this._map);
+        }
+
         this._updatePosition();
         this._updateZIndex();
       }
@@ -2438,7 +8149,7 @@
 
       _onClick(e) {
         e.stopPropagation();
-        this.fire('click', { originalEvent: e });
+        this.fire('click', this._pointerEventData(e), true);
 
         if (this._popup) {
           if (this._popup._isOpen) {
@@ -2454,7 +8165,7 @@
           this._isHovered = true;
           this._updateZIndex();
           this._iconElement.classList.add('hover');
-          this.fire('mouseover', { originalEvent: e });
+          this.fire('mouseover', this._pointerEventData(e), true);
         }
       }
 
@@ -2462,7 +8173,15 @@
         this._isHovered = false;
         this._updateZIndex();
         this._iconElement.classList.remove('hover');
-        this.fire('mouseout', { originalEvent: e });
+        this.fire('mouseout', this._pointerEventData(e), true);
+      }
+
+      _pointerEventData(e) {
+        return {
+          originalEvent: e,
+          latlng: this.getLatLng(),
+          containerPoint: this._map ? this._map.mouseEventToContainerPoint(e) : null
+        };
       }
 
       _onMouseDown(e) {
@@ -2492,7 +8211,7 @@
         this._dragStart = {
           x: clientX,
           y: clientY,
-          latlng: { ...this._latlng }
+          latlng: this._latlng
         };
 
         this._iconElement.classList.add('dragging');
@@ -2506,12 +8225,9 @@
         const newPoint = { x: startPoint.x + dx, y: startPoint.y + dy };
         const newLatLng = this._map.screenToLatLon(newPoint.x, newPoint.y);
 
-        this._latlng = {
-          lat: GISUtils.clampLatitude(newLatLng.lat),
-          lon: GISUtils.wrapLongitude(newLatLng.lon)
-        };
+        this._latlng = new LatLng(this._map.projection.clampLatitude(newLatLng.lat), GISUtils.wrapLongitude(newLatLng.lon));
 
-        this.fire('drag', { latlng: { ...this._latlng } });
+        this.fire('drag', { latlng: this.getLatLng() });
         this.render();
       }
 
@@ -2549,18 +8265,28 @@
         document.removeEventListener('touchend', this._onTouchEnd);
         document.removeEventListener('touchcancel', this._onTouchEnd);
 
-        this.fire('dragend', { latlng: { ...this._latlng } });
+        this.fire('dragend', { latlng: this.getLatLng() });
+      }
+
+      _toLatLng(value) {
+        if (!this.options.sourceCrs) return LatLng.from(value);
+        const proj = Proj.get(this.options.sourceCrs);
+        const [x, y, alt] = Array.isArray(value) ? value : [value && value.x, value && value.y, value && value.alt];
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+          throw new Error(`[Atlas] Invalid position for ${proj.code || 'the marker\'s sourceCrs'}: expected [x, y] or { x, y }, got ${JSON.stringify(value)}.`);
+        }
+        const { lat, lon } = proj.unproject({ x, y });
+        return new LatLng(lat, lon, alt);
       }
 
       /**
        * Sets the geographical coordinate of the marker.
-       * @param {object} latlng - The geographical coordinate.
-       * @param {number} latlng.lat - The latitude.
-       * @param {number} latlng.lon - The longitude.
+       * @param {LatLng|Array|object} latlng - The geographical coordinate, or the `[x, y]` or
+       *   `{ x, y }` position with `sourceCrs`.
        * @returns {AtlasMarker} The current marker instance.
        */
       setLatLng(latlng) {
-        this._latlng = { ...latlng };
+        this._latlng = this._toLatLng(latlng);
         if (this._map) {
           this._map.render();
         }
@@ -2569,10 +8295,10 @@
 
       /**
        * Gets the geographical coordinate of the marker.
-       * @returns {object} The geographical coordinate.
+       * @returns {LatLng} The geographical coordinate.
        */
       getLatLng() {
-        return { ...this._latlng };
+        return new LatLng(this._latlng.lat, this._latlng.lon, this._latlng.alt);
       }
 
       /**
@@ -2586,7 +8312,9 @@
           this._popup.remove();
         }
         this._popup = new AtlasPopup(content, options);
-        this._popup.addTo(this._map);
+        if (this._map) {
+          this._popup.addTo(this._map);
+        }
         return this;
       }
 
@@ -2817,11 +8545,11 @@
 
       /**
        * Opens the popup on the map.
-       * @param {AtlasMarker|object} anchor - The marker or geographical coordinate to anchor the popup to.
+       * @param {AtlasMarker|LatLng|Array|object} anchor - The marker or geographical coordinate to anchor the popup to.
        * @returns {AtlasPopup} The current popup instance.
        */
       openOn(anchor) {
-        this._anchor = anchor;
+        this._anchor = anchor instanceof AtlasMarker ? anchor : LatLng.from(anchor);
         this._isOpen = true;
 
         if (this._map && this._map._popupManager) {
@@ -2875,50 +8603,68 @@
     /**
      * The main map class.
      * @class Atlas
+     * @extends Evented
      */
-    class Atlas {
+    class Atlas extends Evented {
       /**
        * Creates an instance of Atlas.
-       * @param {string} id - The ID of the canvas element.
-       * @param {object} [options={}] - The map options.
-       */
-      constructor(id, options = {}) {
-        this.container = document.getElementById("map-container");
-        if (!this.container) {
-          throw new Error('[Atlas] The required "map-container" element was not found in the DOM.');
+       *
+       * The map can be created on a container element, in which case the canvas and
+       * UI chrome are created inside it, or on an existing canvas element, in which
+       * case the canvas's parent element is used as the container.
+       * @param {string|HTMLElement} element - The container or canvas element, or its ID.
+       * @param {object} [options={}] - The map options. See CONFIG for the defaults.
+       */
+      constructor(element, options = {}) {
+        super();
+        const el = typeof element === 'string' ? document.getElementById(element) : element;
+        if (!el || el.nodeType !== 1) {
+          throw new Error(`[Atlas] The map element "${element}" was not found in the DOM.`);
+        }
+        this._createdElements = [];
+        if (el.tagName === 'CANVAS') {
+          this.canvas = el;
+          this.container = el.parentElement;
+          if (!this.container) {
+            throw new Error('[Atlas] The map canvas must be attached to a container element.');
+          }
+        } else {
+          this.container = el;
+          this.canvas = this._findOrCreateElement('canvas', 'atlas-canvas', ':scope > canvas');
         }
-        this.canvas = document.getElementById(id);
-        if (!this.canvas) {
-          throw new Error(`[Atlas] The required canvas element with id "${id}" was not found in the DOM.`);
+        this.canvas.classList.add('atlas-canvas');
+        this.container.classList.add('atlas-container');
+        if (!this.container.hasAttribute('tabindex')) {
+          this.container.setAttribute('tabindex', '0');
         }
         this.ctx = this.canvas.getContext("2d");
 
-        Object.assign(CONFIG, options);
+        this.options = { ...CONFIG, ...options };
+        this.tileScheduler = new TileScheduler(this.options.maxConcurrentLoads);
+        this.projection = this._resolveProjection(options.crs || options.projection || CONFIG.crs);
+        const defaultCenter = LatLng.from(this.options.defaultCenter);
         this.center = {
-          lon: GISUtils.wrapLongitude(CONFIG.defaultCenter.lon),
-          lat: GISUtils.clampLatitude(CONFIG.defaultCenter.lat)
+          lon: GISUtils.wrapLongitude(defaultCenter.lon),
+          lat: this.projection.clampLatitude(defaultCenter.lat)
         };
-        this.zoom = CONFIG.defaultZoom;
+        this.zoom = this.options.defaultZoom;
         this.bearing = 0;
         this.renderScheduled = false;
-        this.zoomOverlay = document.getElementById("zoom-overlay");
-        this.loadingEl = document.getElementById("loading");
-        this.loadingCountEl = document.getElementById("loading-count");
-        this.coordsEl = document.getElementById("coords");
+        this._createChrome();
         this._inertiaRAF = null;
+        this._viewChange = null;
+        this._lastView = { center: { ...this.center }, zoom: this.zoom, bearing: this.bearing };
+        this._maxBounds = this._toMaxBounds(this.options.maxBounds);
+        this.isDragging = false;
         this._eventListeners = {};
         this._layers = [];
         this._baseLayer = null;
-        this._events = {};
         this._controls = [];
         this._controlCorners = {};
         this._overlays = [];
         this._handlers = {};
         this._popupManager = null;
-
-        // --- NEW: Initialize the default projection ---
-        this.projection = DEFAULT_PROJECTION;
-        // --- END NEW ---
+        this._presetLayers = {};
 
         this.addHandler('dragPan', DragPanHandler);
         this.addHandler('scrollZoom', ScrollZoomHandler);
@@ -2926,6 +8672,13 @@
         this.addHandler('touchZoomRotate', TouchZoomRotateHandler);
         this.addHandler('keyboardPan', KeyboardPanHandler);
 
+        this._hovered = null;
+        this._clickSuppressed = false;
+        this._onPointerEvent = this._onPointerEvent.bind(this);
+        for (const type of MAP_POINTER_EVENTS) {
+          this.canvas.addEventListener(type, this._onPointerEvent);
+        }
+
         this.notifications = new NotificationControl(this);
 
         console.warn(
@@ -2952,46 +8705,140 @@
         this.fire('load');
       }
 
+      _resolveProjection(crs) {
+        if (!crs) return DEFAULT_PROJECTION;
+        if (typeof crs === 'string') {
+          if (!PROJECTIONS[crs]) {
+            throw new Error(`[Atlas] Unknown CRS "${crs}". Use one of ${Object.keys(PROJECTIONS).join(', ')}, or pass a Projection or CRS instance.`);
+          }
+          return PROJECTIONS[crs];
+        }
+        if (typeof crs.latLngToTile !== 'function') {
+          throw new Error('[Atlas] The crs option must be a CRS code or a Projection instance.');
+        }
+        return crs;
+      }
+
+      _findOrCreateElement(tagName, className, legacySelector) {
+        // Reuse elements from existing markup (including the old id-based layout) when present.
+        const selector = legacySelector ? `.${className}, ${legacySelector}` : `.${className}`;
+        let el = this.container.querySelector(selector);
+        if (!el) {
+          el = document.createElement(tagName);
+          this.container.appendChild(el);
+          this._createdElements.push(el);
+        }
+        el.classList.add(className);
+        return el;
+      }
+
+      _createChrome() {
+        this.zoomOverlay = this._findOrCreateElement('div', 'atlas-zoom-overlay', '#zoom-overlay');
+        this.zoomOverlay.setAttribute('aria-live', 'polite');
+        this.loadingEl = this._findOrCreateElement('div', 'atlas-loading', '#loading');
+        this.loadingCountEl = this.loadingEl.querySelector('.atlas-loading-count, #loading-count');
+        if (!this.loadingCountEl) {
+          this.loadingEl.textContent = 'Loading: ';
+          this.loadingCountEl = document.createElement('span');
+          this.loadingCountEl.textContent = '0';
+          this.loadingEl.appendChild(this.loadingCountEl);
+        }
+        this.loadingCountEl.classList.add('atlas-loading-count');
+        this.coordsEl = this._findOrCreateElement('div', 'atlas-coords', '#coords');
+        this.coordsEl.setAttribute('aria-live', 'polite');
+      }
+
+      _clientToContainerPoint(clientX, clientY) {
+        const rect = this.container.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+      }
+
       /**
-       * Adds an event listener to the map.
-       * @param {string} type - The event type.
-       * @param {Function} fn - The event listener function.
-       * @returns {Atlas} The current map instance.
+       * Gets the container point of a mouse event, relative to the map container.
+       * @param {MouseEvent} e - The mouse event.
+       * @returns {object} The container point.
+       */
+      mouseEventToContainerPoint(e) {
+        return this._clientToContainerPoint(e.clientX, e.clientY);
+      }
+
+      /**
+       * Gets the geographical coordinate under a mouse event.
+       * @param {MouseEvent} e - The mouse event.
+       * @returns {LatLng} The geographical coordinate.
+       */
+      mouseEventToLatLng(e) {
+        return this.containerPointToLatLng(this.mouseEventToContainerPoint(e));
+      }
+
+      /**
+       * Converts a container point to a geographical coordinate.
+       * @param {object} point - The container point.
+       * @returns {LatLng} The geographical coordinate.
        */
-      on(type, fn) {
-        if (!this._events[type]) {
-          this._events[type] = [];
+      containerPointToLatLng(point) {
+        const ll = this.screenToLatLon(point.x, point.y);
+        return new LatLng(ll.lat, ll.lon);
+      }
+
+      // The layers in drawing order: by zIndex, then in the order they were added.
+      _getOrderedLayers() {
+        return this._layers
+          .map((layer, index) => ({ layer, index, zIndex: (layer.options && layer.options.zIndex) || 0 }))
+          .sort((a, b) => a.zIndex - b.zIndex || a.index - b.index)
+          .map(entry => entry.layer);
+      }
+
+      _hitTestLayers(point) {
+        const layers = this._getOrderedLayers();
+        for (let i = layers.length - 1; i >= 0; i--) {
+          const layer = layers[i];
+          const feature = layer.hitTest(point);
+          if (feature) {
+            return { layer, feature };
+          }
         }
-        this._events[type].push(fn);
-        return this;
+        return null;
       }
 
-      /**
-       * Removes an event listener from the map.
-       * @param {string} type - The event type.
-       * @param {Function} [fn] - The event listener function. If not provided, all listeners for the type are removed.
-       * @returns {Atlas} The current map instance.
-       */
-      off(type, fn) {
-        if (!this._events[type]) return this;
-        if (!fn) {
-          this._events[type] = [];
+      // Routes canvas pointer events either to the interactive layer under the pointer,
+      // which fires them with the feature attached and lets them bubble up to the map,
+      // or directly to the map.
+      _onPointerEvent(e) {
+        if (e.type === 'click' && this._clickSuppressed) {
+          this._clickSuppressed = false;
+          return;
+        }
+        const containerPoint = this.mouseEventToContainerPoint(e);
+        if (e.type === 'mouseout') {
+          this._setHovered(null, { originalEvent: e, containerPoint });
+          this.fire('mouseout', { originalEvent: e, containerPoint });
+          return;
+        }
+        const data = { originalEvent: e, containerPoint, latlng: this.containerPointToLatLng(containerPoint) };
+        const hit = this.isDragging ? null : this._hitTestLayers(containerPoint);
+        if (e.type === 'mousemove') {
+          this._setHovered(hit, data);
+        }
+        if (hit) {
+          hit.layer.fire(e.type, { ...data, feature: hit.feature, layer: hit.layer }, true);
         } else {
-          this._events[type] = this._events[type].filter(cb => cb !== fn);
+          this.fire(e.type, data);
         }
-        return this;
       }
 
-      /**
-       * Fires an event on the map.
-       * @param {string} type - The event type.
-       * @param {object} [data={}] - The event data.
-       */
-      fire(type, data = {}) {
-        if (!this._events[type]) return;
-        data.type = type;
-        data.target = this;
-        this._events[type].forEach(fn => fn(data));
+      _setHovered(hit, data) {
+        const prev = this._hovered;
+        const same = prev && hit && prev.layer === hit.layer && prev.feature === hit.feature;
+        if (same) return;
+        if (prev) {
+          prev.layer.fire('mouseout', { ...data, feature: prev.feature, layer: prev.layer }, true);
+        }
+        if (hit) {
+          hit.layer.fire('mouseover', { ...data, feature: hit.feature, layer: hit.layer }, true);
+        }
+        this._hovered = hit;
+        this.canvas.style.cursor = hit ? 'pointer' : '';
       }
 
       /**
@@ -3004,13 +8851,23 @@
           throw new Error('Argument must be an instance of Layer');
         }
         if (!this._layers.includes(layer)) {
-          this._layers.push(layer);
           layer._map = this;
-          layer.onAdd();
+          layer.addEventParent(this);
+          try {
+            layer.onAdd();
+          } catch (error) {
+            // A layer that cannot be added leaves the map as it was.
+            layer.removeEventParent(this);
+            layer._map = null;
+            throw error;
+          }
+          this._layers.push(layer);
           this.render();
-          if (!this._baseLayer || (layer instanceof TileLayer && !this._baseLayer)) {
+          if (!this._baseLayer && layer instanceof TileLayer && !layer.options.overlay) {
             this._baseLayer = layer;
             this.container.style.background = layer.getBackground();
+            // The base layer's zoom range applies unless the map sets its own.
+            this._viewChanged();
           }
         }
         return this;
@@ -3025,10 +8882,15 @@
         const index = this._layers.indexOf(layer);
         if (index !== -1) {
           this._layers.splice(index, 1);
+          if (this._hovered && this._hovered.layer === layer) {
+            this._hovered = null;
+            this.canvas.style.cursor = '';
+          }
           layer.onRemove();
+          layer.removeEventParent(this);
           layer._map = null;
           if (this._baseLayer === layer) {
-            this._baseLayer = this._layers.find(l => l instanceof TileLayer) || null;
+            this._baseLayer = this._layers.find(l => l instanceof TileLayer && !l.options.overlay) || null;
             if (this._baseLayer) {
               this.container.style.background = this._baseLayer.getBackground();
             }
@@ -3039,7 +8901,8 @@
       }
 
       /**
-       * Sets the base layer of the map.
+       * Sets the base layer of the map. The new layer takes the place of the old one, under
+       * the overlays.
        * @param {TileLayer} newLayer - The new base layer.
        * @returns {Atlas} The current map instance.
        */
@@ -3047,17 +8910,25 @@
         if (!(newLayer instanceof TileLayer)) {
           throw new Error('Argument must be an instance of TileLayer');
         }
-        if (this._baseLayer && this._baseLayer !== newLayer) {
-          this.removeLayer(this._baseLayer);
-        }
-        if (!this._layers.includes(newLayer)) {
+        const oldLayer = this._baseLayer !== newLayer ? this._baseLayer : null;
+        const added = !this._layers.includes(newLayer);
+        // The new layer is added first, so that one that cannot be added leaves the old in place.
+        if (added) {
           this.addLayer(newLayer);
-        } else {
-          this._baseLayer = newLayer;
-          this.container.style.background = newLayer.getBackground();
-          this.zoom = Math.max(newLayer.getMinZoom(), Math.min(newLayer.getMaxZoom(), this.zoom));
-          this.render();
         }
+        let index = -1;
+        if (oldLayer) {
+          index = this._layers.indexOf(oldLayer);
+          this.removeLayer(oldLayer);
+        }
+        if (added && index !== -1) {
+          this._layers.splice(this._layers.indexOf(newLayer), 1);
+          this._layers.splice(index, 0, newLayer);
+        }
+        this._baseLayer = newLayer;
+        this.container.style.background = newLayer.getBackground();
+        this._viewChanged();
+        this.render();
         return this;
       }
 
@@ -3069,6 +8940,22 @@
         return this._baseLayer;
       }
 
+      /**
+       * Gets this map's instance of one of the built-in tile layers, creating it on first use.
+       * Each map owns its own preset instances, since a layer can only be on one map at a time.
+       * @param {string} name - The preset name, e.g. "OSM" or "ESRI".
+       * @returns {TileLayer} The preset tile layer.
+       */
+      getPresetLayer(name) {
+        if (!TILE_LAYER_PRESETS[name]) {
+          throw new Error(`[Atlas] Unknown tile layer preset "${name}".`);
+        }
+        if (!this._presetLayers[name]) {
+          this._presetLayers[name] = TILE_LAYER_PRESETS[name]();
+        }
+        return this._presetLayers[name];
+      }
+
       /**
        * Adds a control to the map.
        * @param {Control} control - The control to add.
@@ -3184,6 +9071,7 @@
         if (!this._overlays.includes(overlay)) {
           this._overlays.push(overlay);
           overlay._map = this;
+          overlay.addEventParent(this);
           overlay.onAdd();
           this.render();
         }
@@ -3200,6 +9088,7 @@
         if (index !== -1) {
           this._overlays.splice(index, 1);
           overlay.onRemove();
+          overlay.removeEventParent(this);
           overlay._map = null;
           this.render();
         }
@@ -3219,15 +9108,14 @@
        * @param {number} z - The new zoom level.
        */
       setZoom(z) {
-        const minZoom = this._baseLayer ? this._baseLayer.getMinZoom() : 0;
-        const maxZoom = this._baseLayer ? this._baseLayer.getMaxZoom() : 18;
+        const minZoom = this.getMinZoom();
+        const maxZoom = this.getMaxZoom();
         const nz = Math.max(minZoom, Math.min(maxZoom, z));
         if (nz === this.zoom) return;
         this.zoom = nz;
+        this._viewChanged();
         this.render();
         this.showZoomOverlay();
-        this.updateControlsUI();
-        this.fire('zoom');
       }
 
       /**
@@ -3238,8 +9126,8 @@
         const nr = normalizeAngle(rad);
         if (Math.abs(nr - this.bearing) < 1e-6) return;
         this.bearing = nr;
+        this._viewChanged();
         this.render();
-        this.fire('rotate');
       }
 
       showZoomOverlay() {
@@ -3256,9 +9144,16 @@
       }
 
       /**
-       * Stops all animations.
+       * Stops all animations, ending the view change they were part of.
        */
       stopAnimations() {
+        this._cancelAnimationFrames();
+        if (!this.isDragging) {
+          this._endViewChange();
+        }
+      }
+
+      _cancelAnimationFrames() {
         this.stopInertia();
         if (this._zoomAnim?.raf) cancelAnimationFrame(this._zoomAnim.raf);
         this._zoomAnim = null;
@@ -3266,6 +9161,150 @@
         this._flyAnim = null;
       }
 
+      // --- View change lifecycle ---
+      //
+      // Every change of center, zoom or bearing happens inside a view change, which is
+      // opened by _beginViewChange() when an interaction or animation starts and closed
+      // by _endViewChange() when it is over. The events are fired lazily, so a view
+      // change that never moves the map fires nothing:
+      //
+      //   movestart, [zoomstart], [rotatestart]   on the first actual change
+      //   move, [zoom], [rotate]                  on every change
+      //   [zoomend], [rotateend], moveend         once, when the view change is closed
+      //
+      // A change made outside of an open view change (e.g. setZoom) is a view change of
+      // its own and fires the whole sequence at once.
+
+      _beginViewChange() {
+        if (this._viewChange) return;
+        this._viewChange = { moving: false, zooming: false, rotating: false };
+      }
+
+      _viewChanged() {
+        const vc = this._viewChange;
+        if (!vc) {
+          this._beginViewChange();
+          this._viewChanged();
+          this._endViewChange();
+          return;
+        }
+        this._constrainView();
+        const last = this._lastView;
+        const centerChanged = last.center.lat !== this.center.lat || last.center.lon !== this.center.lon;
+        const zoomChanged = last.zoom !== this.zoom;
+        const bearingChanged = last.bearing !== this.bearing;
+        if (!centerChanged && !zoomChanged && !bearingChanged) return;
+        this._lastView = { center: { ...this.center }, zoom: this.zoom, bearing: this.bearing };
+
+        if (!vc.moving) {
+          vc.moving = true;
+          this.fire('movestart');
+        }
+        if (zoomChanged && !vc.zooming) {
+          vc.zooming = true;
+          this.fire('zoomstart');
+        }
+        if (bearingChanged && !vc.rotating) {
+          vc.rotating = true;
+          this.fire('rotatestart');
+        }
+        this.fire('move');
+        if (zoomChanged) this.fire('zoom');
+        if (bearingChanged) this.fire('rotate');
+      }
+
+      _endViewChange() {
+        const vc = this._viewChange;
+        if (!vc) return;
+        this._viewChange = null;
+        if (vc.zooming) this.fire('zoomend');
+        if (vc.rotating) this.fire('rotateend');
+        if (vc.moving) {
+          this.updateControlsUI();
+          this.fire('moveend');
+        }
+      }
+
+      // --- View constraints ---
+      //
+      // The zoom, bearing and center limits are applied in _viewChanged(), which every
+      // handler and animation calls after changing the view, so none of them has to
+      // know about the limits. Animations with a target (flyTo) also constrain the
+      // target up front, so they end where the constrained view will be.
+
+      _constrainView() {
+        this.zoom = Math.max(this.getMinZoom(), Math.min(this.getMaxZoom(), this.zoom));
+        this.bearing = this._clampBearing(this.bearing);
+        this.center = this._constrainCenter(this.center, this.zoom, this.bearing, this.isDragging);
+      }
+
+      _clampBearing(bearing) {
+        const { rotationEnabled, minBearing, maxBearing } = this.options;
+        if (rotationEnabled === false) return 0;
+        bearing = normalizeAngle(bearing);
+        if (minBearing != null && bearing < minBearing) return minBearing;
+        if (maxBearing != null && bearing > maxBearing) return maxBearing;
+        return bearing;
+      }
+
+      /**
+       * Moves a center so that the whole view stays inside the max bounds. A view
+       * larger than the bounds is centered on them instead. While dragging, the view
+       * may go past the bounds by the part of the drag that maxBoundsViscosity lets
+       * through, and snaps back when the drag ends.
+       */
+      _constrainCenter(center, zoom, bearing, elastic) {
+        const bounds = this._maxBounds;
+        if (!bounds) return center;
+        // The bounds' box in world pixels; its sides need not be straight in every projection.
+        const corners = this._projectBounds(bounds, zoom);
+        const c = this.projection.latLngToPoint(center, zoom);
+        // Half the size of the rotated view's bounding box.
+        const w = this.canvas.width / this.dpr / 2;
+        const h = this.canvas.height / this.dpr / 2;
+        const cos = Math.abs(Math.cos(bearing)), sin = Math.abs(Math.sin(bearing));
+        const halfX = w * cos + h * sin;
+        const halfY = w * sin + h * cos;
+        const clamp = (v, min, max) => min > max ? (min + max) / 2 : Math.max(min, Math.min(max, v));
+        let x = clamp(c.x, corners.minX + halfX, corners.maxX - halfX);
+        let y = clamp(c.y, corners.minY + halfY, corners.maxY - halfY);
+        if (x === c.x && y === c.y) return center;
+        if (elastic) {
+          const viscosity = Math.max(0, Math.min(1, this.options.maxBoundsViscosity));
+          x += (c.x - x) * (1 - viscosity);
+          y += (c.y - y) * (1 - viscosity);
+        }
+        const ll = this.projection.pointToLatLng({ x, y }, zoom);
+        return { lon: GISUtils.wrapLongitude(ll.lon), lat: this.projection.clampLatitude(ll.lat) };
+      }
+
+      _projectBounds(bounds, zoom) {
+        const points = [[bounds.north, bounds.west], [bounds.north, bounds.east], [bounds.south, bounds.east], [bounds.south, bounds.west]]
+          .map(([lat, lon]) => this.projection.latLngToPoint({ lat, lon }, zoom));
+        const xs = points.map(p => p.x), ys = points.map(p => p.y);
+        return { points, minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+      }
+
+      /**
+       * Animates the view back inside the max bounds after an elastic drag.
+       * @returns {boolean} True if the view was outside the bounds.
+       */
+      _snapInsideBounds() {
+        const center = this._constrainCenter(this.center, this.zoom, this.bearing, false);
+        if (center.lat === this.center.lat && center.lon === this.center.lon) return false;
+        this.flyTo({ center, duration: SNAP_DURATION, easing: EASING.easeOutCubic });
+        return true;
+      }
+
+      /**
+       * Checks whether the map is in the middle of a view change, i.e. between
+       * `movestart` and `moveend`.
+       * @returns {boolean} True while the view is changing.
+       */
+      isMoving() {
+        return !!(this._viewChange && this._viewChange.moving);
+      }
+
       resize() {
         const w = this.container.offsetWidth, h = this.container.offsetHeight;
         this.dpr = window.devicePixelRatio || 1;
@@ -3274,6 +9313,8 @@
         this.canvas.style.width = w + "px";
         this.canvas.style.height = h + "px";
         this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+        // The view constraints depend on the size of the map.
+        this._viewChanged();
         this.render();
         this.fire('resize');
       }
@@ -3309,7 +9350,7 @@
         this.ctx.fillStyle = backgroundColor;
         this.ctx.fillRect(0, 0, w, h);
 
-        for (const layer of this._layers) {
+        for (const layer of this._getOrderedLayers()) {
           layer.render();
         }
 
@@ -3320,15 +9361,17 @@
         this._snapCanvasToPixelGrid();
 
         let loadingCount = 0;
-        if (this._baseLayer && this._baseLayer instanceof TileLayer) {
-          loadingCount = this._baseLayer.loadingTiles.size;
+        for (const layer of this._layers) {
+          if (layer instanceof TileLayer) {
+            loadingCount += layer.loadingTiles.size;
+          }
         }
         this.loadingEl.classList.toggle("visible", loadingCount > 0);
         this.loadingCountEl.textContent = loadingCount;
         this.coordsEl.textContent = `${this.center.lat.toFixed(6)}°, ${this.center.lon.toFixed(6)}° | Z: ${this.zoom.toFixed(2)} | Bearing: ${(this.bearing * RAD2DEG).toFixed(1)}° | Layer: ${this._baseLayer ? 'Custom' : 'None'}`;
 
         this.updateControlsUI();
-        this.fire('moveend');
+        this.fire('render');
       }
 
       updateAttribution() {
@@ -3349,10 +9392,10 @@
 
       /**
        * Gets the center of the map.
-       * @returns {object} The geographical coordinate of the center.
+       * @returns {LatLng} The geographical coordinate of the center.
        */
       getCenter() {
-        return { ...this.center };
+        return new LatLng(this.center.lat, this.center.lon);
       }
 
       /**
@@ -3371,6 +9414,89 @@
         return this.bearing;
       }
 
+      /**
+       * Gets the minimum zoom level of the map: the `minZoom` option, or the base
+       * layer's minimum zoom if the option is not set.
+       * @returns {number} The minimum zoom level.
+       */
+      getMinZoom() {
+        if (this.options.minZoom != null) return this.options.minZoom;
+        return this._baseLayer ? this._baseLayer.getMinZoom() : 0;
+      }
+
+      /**
+       * Gets the maximum zoom level of the map: the `maxZoom` option, or the base
+       * layer's maximum zoom if the option is not set.
+       * @returns {number} The maximum zoom level.
+       */
+      getMaxZoom() {
+        if (this.options.maxZoom != null) return this.options.maxZoom;
+        return this._baseLayer ? this._baseLayer.getMaxZoom() : 18;
+      }
+
+      /**
+       * Sets the minimum zoom level of the map, independently of the tile layers.
+       * @param {number|null} zoom - The minimum zoom level, or null to use the base layer's.
+       * @returns {Atlas} The current map instance.
+       */
+      setMinZoom(zoom) {
+        this.options.minZoom = zoom;
+        this._viewChanged();
+        this.updateControlsUI();
+        this.render();
+        return this;
+      }
+
+      /**
+       * Sets the maximum zoom level of the map, independently of the tile layers.
+       * @param {number|null} zoom - The maximum zoom level, or null to use the base layer's.
+       * @returns {Atlas} The current map instance.
+       */
+      setMaxZoom(zoom) {
+        this.options.maxZoom = zoom;
+        this._viewChanged();
+        this.updateControlsUI();
+        this.render();
+        return this;
+      }
+
+      /**
+       * Restricts the view to the given bounds. Every pan, zoom and animation keeps
+       * the visible area inside them. The bounds cannot cross the antimeridian.
+       * @param {LatLngBounds|Array|object|null} bounds - The bounds, or null to remove the restriction.
+       * @returns {Atlas} The current map instance.
+       * @throws {Error} If the bounds are invalid, or their west edge is east of their east edge.
+       */
+      setMaxBounds(bounds) {
+        this._maxBounds = this._toMaxBounds(bounds);
+        this.options.maxBounds = bounds || null;
+        this._viewChanged();
+        this.render();
+        return this;
+      }
+
+      // LatLngBounds would turn bounds across the antimeridian, west of their east edge, into
+      // a box around the rest of the world; the view is kept in plain boxes only.
+      _toMaxBounds(bounds) {
+        if (!bounds) return null;
+        const corners = Array.isArray(bounds) && bounds.length === 2 && typeof bounds[0] !== 'number' ? bounds.map(c => LatLng.from(c)) : null;
+        const crosses = corners
+          ? corners[0].lat <= corners[1].lat && corners[0].lon > corners[1].lon
+          : !(bounds instanceof LatLngBounds) && bounds.west > bounds.east;
+        if (crosses) {
+          throw new Error(`[Atlas] maxBounds cannot cross the antimeridian; its west edge must be west of its east edge, got ${JSON.stringify(bounds)}.`);
+        }
+        return LatLngBounds.from(bounds);
+      }
+
+      /**
+       * Gets the bounds the view is restricted to.
+       * @returns {LatLngBounds|null} The bounds, or null.
+       */
+      getMaxBounds() {
+        return this._maxBounds ? new LatLngBounds().extend(this._maxBounds) : null;
+      }
+
 
       /**
        * Converts a screen coordinate to a geographical coordinate.
@@ -3393,7 +9519,7 @@
         const ll = this.projection.tileToLatLng(tpt.x, tpt.y, zInt);
         return {
           lon: GISUtils.wrapLongitude(ll.lon),
-          lat: GISUtils.clampLatitude(ll.lat)
+          lat: this.projection.clampLatitude(ll.lat)
         };
       }
 
@@ -3410,17 +9536,30 @@
       }
 
       /**
-       * Converts a geographical coordinate to a container point.
-       * @param {object} latlng - The geographical coordinate.
+       * Whether vector layers, markers and popups are drawn on the world copy nearest to
+       * the center, with the `wrapFeatures` option on a projection that repeats around the world.
+       * @returns {boolean}
+       * @private
+       */
+      _wrapsFeatures() {
+        return !!(this.options.wrapFeatures || this.options.worldCopyJump) && this.projection.wrapLongitude;
+      }
+
+      /**
+       * Converts a geographical coordinate to a container point. With `wrapFeatures`, the
+       * point is on the world copy nearest to the center.
+       * @param {LatLng|Array|object} latlng - The geographical coordinate.
        * @returns {object} The container point.
        */
       latLngToContainerPoint(latlng) {
+        latlng = LatLng.from(latlng);
         const w = this.canvas.width / this.dpr;
         const h = this.canvas.height / this.dpr;
         const zInt = Math.floor(this.zoom);
         const ts = TILE_SIZE * Math.pow(2, this.zoom - zInt);
         const ct = this.projection.latLngToTile(this.center, zInt);
-        const pt = this.projection.latLngToTile(latlng, zInt);
+        const lon = this._wrapsFeatures() ? latlng.lon + 360 * Math.round((this.center.lon - latlng.lon) / 360) : latlng.lon;
+        const pt = this.projection.latLngToTile({ lat: latlng.lat, lon }, zInt);
         const trX = (pt.x - ct.x) * ts;
         const trY = (pt.y - ct.y) * ts;
         const anchorVec = rot(trX, trY, this.bearing);
@@ -3430,9 +9569,10 @@
       }
 
       applyZoomRotateAbout(ax, ay, newZoom, newBearing, anchorLL = null) {
-        const minZoom = this._baseLayer ? this._baseLayer.getMinZoom() : 0;
-        const maxZoom = this._baseLayer ? this._baseLayer.getMaxZoom() : 18;
+        const minZoom = this.getMinZoom();
+        const maxZoom = this.getMaxZoom();
         newZoom = Math.max(minZoom, Math.min(maxZoom, newZoom));
+        newBearing = this._clampBearing(newBearing);
         const w = this.canvas.width / this.dpr;
         const h = this.canvas.height / this.dpr;
         const anchorVec = { x: ax - w / 2, y: ay - h / 2 };
@@ -3445,7 +9585,7 @@
         const newCenter = this.projection.tileToLatLng(ctNew.x, ctNew.y, zInt);
         this.center = {
           lon: GISUtils.wrapLongitude(newCenter.lon),
-          lat: GISUtils.clampLatitude(newCenter.lat)
+          lat: this.projection.clampLatitude(newCenter.lat)
         };
         this.zoom = newZoom;
         this.bearing = normalizeAngle(newBearing);
@@ -3488,7 +9628,9 @@
        */
       animateZoomRotateAbout(ax, ay, toZoom, toBearing = this.bearing, duration = WHEEL_ZOOM_DURATION, easing = EASING.easeInOutCubic) {
         this.showZoomIndicator(ax, ay);
-        this.stopAnimations();
+        // Consecutive animations (e.g. wheel ticks) continue the same view change.
+        this._cancelAnimationFrames();
+        this._beginViewChange();
         const startT = performance.now();
         const sZoom = this.zoom;
         const sBear = this.bearing;
@@ -3500,22 +9642,23 @@
           const z = sZoom + (toZoom - sZoom) * p;
           const b = sBear + deltaBear * p;
           this.applyZoomRotateAbout(ax, ay, z, b, anchorLL);
+          this._viewChanged();
           this.render();
           if (t < 1) {
             this._zoomAnim = { raf: requestAnimationFrame(step) };
           } else {
             this._zoomAnim = null;
-            this.updateControlsUI();
-            this.fire('zoomend');
+            if (!this.isDragging) {
+              this._endViewChange();
+            }
           }
         };
         this._zoomAnim = { raf: requestAnimationFrame(step) };
-        this.fire('zoomstart');
       }
 
       smoothZoomAt(ax, ay, deltaZ) {
-        const minZoom = this._baseLayer ? this._baseLayer.getMinZoom() : 0;
-        const maxZoom = this._baseLayer ? this._baseLayer.getMaxZoom() : 18;
+        const minZoom = this.getMinZoom();
+        const maxZoom = this.getMaxZoom();
         const target = Math.max(minZoom, Math.min(maxZoom, this.zoom + deltaZ));
         this.animateZoomRotateAbout(ax, ay, target, this.bearing, WHEEL_ZOOM_DURATION, EASING.easeInOutCubic);
       }
@@ -3523,22 +9666,25 @@
       /**
        * Animates the map to a new view.
        * @param {object} options - The animation options.
-       * @param {object} [options.center] - The new center of the map.
+       * @param {LatLng|Array|object} [options.center] - The new center of the map.
        * @param {number} [options.zoom] - The new zoom level.
        * @param {number} [options.bearing] - The new bearing in radians.
        * @param {number} [options.duration] - The duration of the animation in milliseconds.
        * @param {Function} [options.easing] - The easing function.
        */
       flyTo({ center, zoom, bearing, duration, easing } = {}) {
-        center = center || this.center;
-        zoom = zoom || this.zoom;
-        bearing = bearing || this.bearing;
+        center = center ? LatLng.from(center) : this.center;
+        zoom = zoom ?? this.zoom;
+        bearing = bearing ?? this.bearing;
         duration = duration || FLYTO_DURATION;
         easing = easing || EASING.easeInOutCubic;
-        const minZoom = this._baseLayer ? this._baseLayer.getMinZoom() : 0;
-        const maxZoom = this._baseLayer ? this._baseLayer.getMaxZoom() : 18;
+        const minZoom = this.getMinZoom();
+        const maxZoom = this.getMaxZoom();
         const targetZoom = Math.max(minZoom, Math.min(maxZoom, zoom));
-        this.stopAnimations();
+        bearing = this._clampBearing(bearing);
+        center = this._constrainCenter(center, targetZoom, bearing, false);
+        this._cancelAnimationFrames();
+        this._beginViewChange();
         const startT = performance.now();
         const sC = { ...this.center };
         const eC = { lon: GISUtils.wrapLongitude(center.lon), lat: center.lat };
@@ -3552,133 +9698,236 @@
           const currentLon = sC.lon + dLon * p;
           this.center = {
             lon: t >= 1 ? GISUtils.wrapLongitude(currentLon) : currentLon,
-            lat: GISUtils.clampLatitude(sC.lat + dLat * p)
+            lat: this.projection.clampLatitude(sC.lat + dLat * p)
           };
           this.zoom = sZ + (eZ - sZ) * p;
           this.bearing = normalizeAngle(sB + dB * p);
+          this._viewChanged();
           this.render();
           if (t < 1) {
             this._flyAnim = { raf: requestAnimationFrame(step) };
           } else {
             this._flyAnim = null;
-            this.updateControlsUI();
-            this.fire('moveend');
+            if (!this.isDragging) {
+              this._endViewChange();
+            }
           }
         };
         this._flyAnim = { raf: requestAnimationFrame(step) };
-        this.fire('movestart');
       }
 
       /**
-       * Destroys the map instance and cleans up its resources.
+       * Sets the view of the map.
+       * @param {LatLng|Array|object} center - The new center of the map.
+       * @param {number} [zoom=this.zoom] - The new zoom level.
+       * @param {object} [options={}] - The view options.
+       * @param {number} [options.bearing] - The new bearing in radians.
+       * @param {boolean} [options.animate=false] - Whether to animate the change with flyTo().
+       * @param {number} [options.duration] - The duration of the animation in milliseconds.
+       * @returns {Atlas} The current map instance.
        */
-      destroy() {
-        this.stopAnimations();
+      setView(center, zoom = this.zoom, options = {}) {
+        return this._moveTo({ center, zoom, bearing: options.bearing }, { animate: false, ...options });
+      }
 
-        for (const layer of [...this._layers]) {
-          this.removeLayer(layer);
-        }
+      /**
+       * Pans the map to a new center, keeping the zoom and bearing.
+       * @param {LatLng|Array|object} center - The new center of the map.
+       * @param {object} [options={}] - The pan options: `animate` (default true) and `duration`.
+       * @returns {Atlas} The current map instance.
+       */
+      panTo(center, options = {}) {
+        return this._moveTo({ center }, options);
+      }
 
-        for (const control of [...this._controls]) {
-          this.removeControl(control);
-        }
+      /**
+       * Pans the map by a number of pixels on the screen, so that a positive `x`
+       * moves the view to the right whatever the bearing.
+       * @param {object|number[]} offset - The offset as `{ x, y }` or `[x, y]`.
+       * @param {object} [options={}] - The pan options: `animate` (default true) and `duration`.
+       * @returns {Atlas} The current map instance.
+       */
+      panBy(offset, options = {}) {
+        const { x, y } = Array.isArray(offset) ? { x: offset[0], y: offset[1] } : offset;
+        const w = this.canvas.width / this.dpr;
+        const h = this.canvas.height / this.dpr;
+        return this.panTo(this.screenToLatLon(w / 2 + x, h / 2 + y), options);
+      }
 
-        for (const corner in this._controlCorners) {
-          const container = this._controlCorners[corner];
-          if (container && container.parentNode) {
-            container.parentNode.removeChild(container);
-          }
-        }
-        this._controlCorners = {};
+      /**
+       * Zooms in, keeping the center.
+       * @param {number} [delta=1] - The number of zoom levels to zoom in by.
+       * @param {object} [options={}] - The zoom options: `animate` (default true) and `duration`.
+       * @returns {Atlas} The current map instance.
+       */
+      zoomIn(delta = 1, options = {}) {
+        return this._moveTo({ zoom: this.zoom + delta }, options);
+      }
 
-        for (const name in this._handlers) {
-          this.removeHandler(name);
-        }
+      /**
+       * Zooms out, keeping the center.
+       * @param {number} [delta=1] - The number of zoom levels to zoom out by.
+       * @param {object} [options={}] - The zoom options: `animate` (default true) and `duration`.
+       * @returns {Atlas} The current map instance.
+       */
+      zoomOut(delta = 1, options = {}) {
+        return this._moveTo({ zoom: this.zoom - delta }, options);
+      }
 
-        for (const overlay of [...this._overlays]) {
-          this.removeOverlay(overlay);
+      /**
+       * Gets the geographical bounds of the visible area. With a bearing, these are
+       * the bounds of the rotated view's four corners.
+       * @returns {LatLngBounds} The bounds. Longitudes are continuous across the
+       *   antimeridian, so `west` or `east` may be beyond ±180.
+       */
+      getBounds() {
+        const w = this.canvas.width / this.dpr;
+        const h = this.canvas.height / this.dpr;
+        const corners = [[0, 0], [w, 0], [w, h], [0, h]].map(([x, y]) => this.screenToLatLon(x, y));
+        const lons = corners.map(ll => this.center.lon + wrapDeltaLon(ll.lon - this.center.lon));
+        const lats = corners.map(ll => ll.lat);
+        return new LatLngBounds([Math.min(...lats), Math.min(...lons)], [Math.max(...lats), Math.max(...lons)]);
+      }
+
+      /**
+       * Gets the elevation at a coordinate from the loaded tiles of the map's TerrainLayers,
+       * the topmost first.
+       * @param {LatLng|Array|object} latlng - The coordinate.
+       * @returns {number|null} The elevation in meters, or null if no terrain tile has loaded there.
+       */
+      queryElevation(latlng) {
+        const layers = this._getOrderedLayers();
+        for (let i = layers.length - 1; i >= 0; i--) {
+          if (!(layers[i] instanceof TerrainLayer)) continue;
+          const elevation = layers[i].getElevation(latlng);
+          if (elevation !== null) return elevation;
         }
+        return null;
+      }
 
-        if (this._popupManager) {
-          this._popupManager.destroy();
-          this._popupManager = null;
+      /**
+       * Computes the view that fits bounds in the map, without changing the map.
+       * @param {LatLngBounds|Array|object|Layer} bounds - The bounds, or a layer with a getBounds() method.
+       * @param {object} [options={}] - The camera options.
+       * @param {number|object} [options.padding=0] - Space to leave around the bounds in
+       *   pixels, either a number or `{ top, right, bottom, left }`, e.g. for a side panel.
+       * @param {number} [options.maxZoom] - The maximum zoom level to use.
+       * @param {number} [options.bearing=this.bearing] - The bearing in radians to fit the bounds at.
+       * @returns {object|null} The view as `{ center, zoom, bearing }`, or null if the
+       *   bounds do not fit in the padded map, or the layer has no bounds yet.
+       */
+      cameraForBounds(bounds, options = {}) {
+        // An empty GeoJSONLayer, or an ImageLayer before it is read, has nothing to fit.
+        if (bounds && typeof bounds.getBounds === 'function' && !bounds.getBounds()) {
+          console.warn('[Atlas] The layer has no bounds to fit the map to.');
+          return null;
+        }
+        const b = LatLngBounds.from(bounds);
+        const bearing = this._clampBearing(options.bearing ?? this.bearing);
+        const padding = this._normalizePadding(options.padding);
+        const availW = this.canvas.width / this.dpr - padding.left - padding.right;
+        const availH = this.canvas.height / this.dpr - padding.top - padding.bottom;
+        if (availW <= 0 || availH <= 0) {
+          console.warn('[Atlas] The padding leaves no room to fit the bounds in the map.');
+          return null;
         }
 
-        this.fire('unload');
-        this._events = {}; // Clear all event listeners
-        console.log("[Atlas] Instance destroyed.");
+        // Fit the bounds' corners, rotated as they will be on screen, in world pixels
+        // at zoom 0, and find the zoom that gives them the available size.
+        const rotatedBox = (zoom) => {
+          const rotated = this._projectBounds(b, zoom).points.map(p => rot(p.x, p.y, bearing));
+          const xs = rotated.map(p => p.x), ys = rotated.map(p => p.y);
+          return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+        };
+        const box0 = rotatedBox(0);
+        const fit = Math.min(availW / (box0.maxX - box0.minX), availH / (box0.maxY - box0.minY));
+        const fitZoom = this.projection.zoom(this.projection.scale(0) * fit);
+        const maxZoom = Math.min(this.getMaxZoom(), options.maxZoom ?? Infinity);
+        const zoom = Math.max(this.getMinZoom(), Math.min(maxZoom, fitZoom));
+
+        // Put the middle of the bounds in the middle of the padded area.
+        const box = rotatedBox(zoom);
+        const mid = rot((box.minX + box.maxX) / 2, (box.minY + box.maxY) / 2, -bearing);
+        const offset = rot((padding.left - padding.right) / 2, (padding.top - padding.bottom) / 2, -bearing);
+        const ll = this.projection.pointToLatLng({ x: mid.x - offset.x, y: mid.y - offset.y }, zoom);
+        return {
+          center: new LatLng(this.projection.clampLatitude(ll.lat), GISUtils.wrapLongitude(ll.lon)),
+          zoom,
+          bearing
+        };
       }
-    }
 
-    let atlasInstance = null;
-    window.Atlas = Atlas;
-    window.TileLayer = TileLayer;
-    window.GeoJSONLayer = GeoJSONLayer;
-    window.Layer = Layer;
-
-    // --- Shared Tile Layer Instances ---
-    const TILE_LAYERS = {
-        OSM: (() => {
-            const subdomains = ['a', 'b', 'c'];
-            const randomSubdomain = subdomains[Math.floor(Math.random() * subdomains.length)];
-            return new TileLayer(
-                `https://${randomSubdomain}.tile.openstreetmap.org/{z}/{x}/{y}.png`,
-                LAYERS.OSM
-            );
-        })(),
-        ESRI: new TileLayer(
-            "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
-            LAYERS.ESRI
-        )
-    };
+      /**
+       * Sets the view so that bounds fit in the map; does nothing if cameraForBounds() finds no view.
+       * @param {LatLngBounds|Array|object|Layer} bounds - The bounds, see cameraForBounds().
+       * @param {object} [options={}] - The camera options of cameraForBounds(), plus
+       *   `animate` (default false) and `duration`.
+       * @returns {Atlas} The current map instance.
+       */
+      fitBounds(bounds, options = {}) {
+        const camera = this.cameraForBounds(bounds, options);
+        if (!camera) return this;
+        return this._moveTo(camera, { animate: false, ...options });
+      }
 
-    const handleGeolocationError = message => {
-        console.warn(message);
+      _moveTo({ center = this.center, zoom = this.zoom, bearing = this.bearing }, options = {}) {
+        if (options.animate !== false) {
+          this.flyTo({ center, zoom, bearing, duration: options.duration, easing: options.easing });
+          return this;
+        }
+        center = LatLng.from(center);
+        this.stopAnimations();
+        const zoomChanged = zoom !== this.zoom;
+        this.center = { lon: GISUtils.wrapLongitude(center.lon), lat: this.projection.clampLatitude(center.lat) };
+        this.zoom = zoom;
+        this.bearing = bearing;
+        this._viewChanged();
+        this.render();
+        if (zoomChanged) this.showZoomOverlay();
+        return this;
+      }
 
-        if (!atlasInstance) {
-            atlasInstance = new Atlas("map");
+      _normalizePadding(padding = 0) {
+        if (typeof padding === 'number') {
+          return { top: padding, right: padding, bottom: padding, left: padding };
         }
+        const { top = 0, right = 0, bottom = 0, left = 0 } = padding;
+        return { top, right, bottom, left };
+      }
 
-        atlasInstance.notifications.show("Could not determine location. Showing default map.");
-        atlasInstance.setBaseLayer(TILE_LAYERS.OSM);
-    };
+      /**
+       * Creates the demo map: an OpenStreetMap base layer, a geolocate control, and a
+       * draggable marker with a popup plus a GeoJSON point at the user's location.
+       *
+       * Nothing runs automatically when the library is loaded. Call this explicitly, or
+       * opt in from markup with a `data-atlas-auto` attribute on the map element or on
+       * the script tag (which targets the legacy `#map` canvas).
+       * @param {string|HTMLElement} [element="map"] - The container or canvas element, or its ID.
+       * @param {object} [options={}] - The map options.
+       * @returns {Atlas} The created map.
+       */
+      static autoInit(element = 'map', options = {}) {
+        const map = new Atlas(element, options);
+        map.setBaseLayer(map.getPresetLayer('OSM'));
 
-    /**
-     * Initializes the Atlas map with the user's location.
-     */
-    const initializeAtlas = () => {
-      if (navigator.geolocation) {
-        navigator.geolocation.getCurrentPosition(pos => {
-          atlasInstance = new Atlas("map");
-          const lat = pos.coords.latitude;
-          const lon = pos.coords.longitude;
-
-          atlasInstance.flyTo({ center: { lat, lon }, zoom: 10 });
-          atlasInstance.setBaseLayer(TILE_LAYERS.OSM);
-
-          // Create a professional marker with popup
-          const userMarker = new AtlasMarker({ lat, lon }, {
-            draggable: true // Enable dragging for demo
-          });
+        const geolocate = new GeolocateControl({ position: 'top-right', zoom: 10 });
+        map.addControl(geolocate);
 
-          userMarker.bindPopup(`
-            <h3 style="margin:0 0 8px 0; font-size:16px;">You Are Here</h3>
-            <p style="margin:0; font-size:14px;">Lat: ${lat.toFixed(6)}<br>Lon: ${lon.toFixed(6)}</p>
-            <p style="margin:8px 0 0 0; font-size:12px; color:#666;">Drag me around!</p>
-          `);
+        const popupHtml = ({ lat, lon }) => `
+          <h3 style="margin:0 0 8px 0; font-size:16px;">You Are Here</h3>
+          <p style="margin:0; font-size:14px;">Lat: ${lat.toFixed(6)}<br>Lon: ${lon.toFixed(6)}</p>
+          <p style="margin:8px 0 0 0; font-size:12px; color:#666;">Drag me around!</p>
+        `;
 
+        const onFirstFix = ({ latlng }) => {
+          geolocate.off('geolocate', onFirstFix);
+          const userMarker = new AtlasMarker(latlng, { draggable: true });
+          userMarker.addTo(map);
+          userMarker.bindPopup(popupHtml(latlng));
           userMarker.on('dragend', (e) => {
-            const { lat, lon } = e.latlng;
-            userMarker._popup.setContent(`
-              <h3 style="margin:0 0 8px 0; font-size:16px;">You Are Here</h3>
-              <p style="margin:0; font-size:14px;">Lat: ${lat.toFixed(6)}<br>Lon: ${lon.toFixed(6)}</p>
-              <p style="margin:8px 0 0 0; font-size:12px; color:#666;">Drag me around!</p>
-            `);
+            userMarker._popup.setContent(popupHtml(e.latlng));
           });
 
-          userMarker.addTo(atlasInstance);
-
-          // Add GeoJSON layer
           const geojsonLayer = new GeoJSONLayer({
             type: 'FeatureCollection',
             features: [
@@ -3686,7 +9935,7 @@
                 type: 'Feature',
                 geometry: {
                   type: 'Point',
-                  coordinates: [lon, lat]
+                  coordinates: [latlng.lon, latlng.lat]
                 },
                 properties: {
                   name: 'You Are Here (GeoJSON)'
@@ -3699,29 +9948,151 @@
           });
 
           geojsonLayer.on('click', (e) => {
-            alert(`Clicked on GeoJSON point: ${e.feature.properties.name}`);
+            map.notifications.show(`Clicked on GeoJSON point: ${e.feature.properties.name}`);
           });
 
-          atlasInstance.addLayer(geojsonLayer);
+          map.addLayer(geojsonLayer);
+        };
+        geolocate.on('geolocate', onFirstFix);
+
+        geolocate.on('error', () => {
+          map.notifications.show("Could not determine location. Showing default map.");
+        });
 
-        }, (error) => {
-            handleGeolocationError(`[Atlas] Geolocation failed: ${error.message}. Loading map with default view.`);
-        }, { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 });
-      } else {
-        handleGeolocationError("[Atlas] Geolocation is not supported by this browser. Loading map with default view.");
+        geolocate.trigger();
+        return map;
       }
-    }
 
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', initializeAtlas);
-    } else {
-      initializeAtlas();
+      /**
+       * Destroys the map instance and cleans up its resources.
+       */
+      destroy() {
+        this.stopAnimations();
+
+        for (const layer of [...this._layers]) {
+          this.removeLayer(layer);
+        }
+
+        for (const control of [...this._controls]) {
+          this.removeControl(control);
+        }
+
+        for (const corner in this._controlCorners) {
+          const container = this._controlCorners[corner];
+          if (container && container.parentNode) {
+            container.parentNode.removeChild(container);
+          }
+        }
+        this._controlCorners = {};
+
+        for (const name in this._handlers) {
+          this.removeHandler(name);
+        }
+
+        for (const type of MAP_POINTER_EVENTS) {
+          this.canvas.removeEventListener(type, this._onPointerEvent);
+        }
+
+        for (const overlay of [...this._overlays]) {
+          this.removeOverlay(overlay);
+        }
+
+        if (this._popupManager) {
+          this._popupManager.destroy();
+          this._popupManager = null;
+        }
+
+        for (const el of this._createdElements) {
+          if (el.parentNode) {
+            el.parentNode.removeChild(el);
+          }
+        }
+        this._createdElements = [];
+
+        this.fire('unload');
+        this.off(); // Clear all event listeners
+        console.log("[Atlas] Instance destroyed.");
+      }
     }
 
-    if (typeof module !== 'undefined' && module.exports) {
-        module.exports = {
-            Atlas,
-            AttributionControl,
-            TileLayer
-        };
+    // --- Tile Layer Presets ---
+    // Factories rather than shared instances, so that every map gets its own layers.
+    const TILE_LAYER_PRESETS = {
+        // {s} stands for a whole server URL, so tiles spread over all the listed servers.
+        OSM: () => new TileLayer("{s}/{z}/{x}/{y}.png", { ...LAYERS.OSM, subdomains: LAYERS.OSM.tileServers }),
+        ESRI: () => new TileLayer("{s}/{z}/{y}/{x}", { ...LAYERS.ESRI, subdomains: LAYERS.ESRI.tileServers })
+    };
+
+    // Opt-in bootstrap for pages that mark a map element (or the script tag) with `data-atlas-auto`.
+    const autoInitFromMarkup = () => {
+      for (const el of document.querySelectorAll('[data-atlas-auto]')) {
+        Atlas.autoInit(el.tagName === 'SCRIPT' ? 'map' : el);
+      }
+    };
+
+    if (typeof document !== 'undefined') {
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', autoInitFromMarkup);
+      } else {
+        autoInitFromMarkup();
+      }
     }
+
+    // --- Exports ---
+    exports.Evented = Evented;
+    exports.Atlas = Atlas;
+
+    exports.Layer = Layer;
+    exports.TileLayer = TileLayer;
+    exports.TileStore = TileStore;
+    exports.WMSTileLayer = WMSTileLayer;
+    exports.WMTSTileLayer = WMTSTileLayer;
+    exports.ArchiveTileLayer = ArchiveTileLayer;
+    exports.PMTilesSource = PMTilesSource;
+    exports.MBTilesSource = MBTilesSource;
+    exports.GeoJSONLayer = GeoJSONLayer;
+    exports.GreatCircleLayer = GreatCircleLayer;
+    exports.VectorTileLayer = VectorTileLayer;
+    exports.TerrainLayer = TerrainLayer;
+    exports.ImageLayer = ImageLayer;
+    exports.GeoTIFFSource = GeoTIFFSource;
+    exports.ImageOverlay = ImageOverlay;
+    exports.VideoOverlay = VideoOverlay;
+    exports.CanvasOverlay = CanvasOverlay;
+
+    exports.Overlay = Overlay;
+    exports.AtlasMarker = AtlasMarker;
+    exports.AtlasPopup = AtlasPopup;
+    exports.PopupManager = PopupManager;
+
+    exports.Control = Control;
+    exports.ZoomControl = ZoomControl;
+    exports.LayerControl = LayerControl;
+    exports.FullscreenControl = FullscreenControl;
+    exports.ScaleControl = ScaleControl;
+    exports.AttributionControl = AttributionControl;
+    exports.CompassControl = CompassControl;
+    exports.ResetZoomControl = ResetZoomControl;
+    exports.GeolocateControl = GeolocateControl;
+    exports.NotificationControl = NotificationControl;
+
+    exports.Handler = Handler;
+    exports.DragPanHandler = DragPanHandler;
+    exports.ScrollZoomHandler = ScrollZoomHandler;
+    exports.DoubleClickZoomHandler = DoubleClickZoomHandler;
+    exports.TouchZoomRotateHandler = TouchZoomRotateHandler;
+    exports.KeyboardPanHandler = KeyboardPanHandler;
+
+    exports.Projection = Projection;
+    exports.WebMercatorProjection = WebMercatorProjection;
+    exports.EquirectangularProjection = EquirectangularProjection;
+    exports.CRS = CRS;
+    exports.Proj = Proj;
+
+    exports.GISUtils = GISUtils;
+    exports.LatLng = LatLng;
+    exports.LatLngBounds = LatLngBounds;
+    exports.EASING = EASING;
+    exports.LAYERS = LAYERS;
+
+}));
@@ -0,0 +1,63 @@
+/*
+ * Builds the distributable files from Atlas.js:
+ *
+ *   dist/atlas.umd.js  the UMD bundle, as written in Atlas.js
+ *   dist/atlas.mjs     an ES module with one named export per public class
+ *
+ * The ES module is the factory body of Atlas.js with the UMD wrapper removed and
+ * the `exports.Name = Name;` assignments turned into a single export statement, so
+ * bundlers can drop the classes an application never imports.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE = path.join(ROOT, 'Atlas.js');
+const DIST = path.join(ROOT, 'dist');
+
+const WRAPPER_START = /^\}\)\(this, \(function \(exports\) \{ 'use strict';$/m;
+const WRAPPER_END = /^\}\)\);\s*$/m;
+const EXPORT_LINE = /^[ \t]*exports\.(\w+) = (\w+);[ \t]*\n/gm;
+
+/**
+ * Converts the UMD source of Atlas.js into an ES module.
+ * @param {string} source - The contents of Atlas.js.
+ * @returns {string} The ES module source.
+ */
+function toESM(source) {
+  const start = source.match(WRAPPER_START);
+  const end = source.match(WRAPPER_END);
+  if (!start || !end) {
+    throw new Error('[build] Could not find the UMD wrapper in Atlas.js.');
+  }
+  const banner = source.slice(0, source.indexOf('(function (global, factory)')).trimEnd();
+  let body = source.slice(start.index + start[0].length, end.index);
+
+  const names = [];
+  body = body.replace(EXPORT_LINE, (line, name, value) => {
+    if (name !== value) {
+      throw new Error(`[build] Export "${name}" must be assigned from a binding of the same name.`);
+    }
+    names.push(name);
+    return '';
+  });
+  if (names.length === 0) {
+    throw new Error('[build] No exports found in Atlas.js.');
+  }
+
+  return `${banner}\n\n${body.replace(/^\n+/, '').trimEnd()}\n\n    export {\n${names.map(n => `      ${n}`).join(',\n')}\n    };\n`;
+}
+
+function build() {
+  const source = fs.readFileSync(SOURCE, 'utf8');
+  fs.mkdirSync(DIST, { recursive: true });
+  fs.writeFileSync(path.join(DIST, 'atlas.umd.js'), source);
+  fs.writeFileSync(path.join(DIST, 'atlas.mjs'), toESM(source));
+  console.log('[build] Wrote dist/atlas.umd.js and dist/atlas.mjs');
+}
+
+if (require.main === module) {
+  build();
+}
+
+module.exports = { toESM };
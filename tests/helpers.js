@@ -0,0 +1,40 @@
+const { JSDOM } = require('jsdom');
+
+// The browser environment every test file runs in, set up once when a test file first
+// requires this module. Maps go in #map, or in containers a test adds to the document,
+// and are destroyed by the tests that create them.
+const dom = new JSDOM(`
+  <!DOCTYPE html>
+  <div id="map"></div>
+`, {
+  pretendToBeVisual: true,
+  url: "http://localhost/",
+});
+
+global.window = dom.window;
+global.document = dom.window.document;
+global.Image = dom.window.Image;
+global.requestAnimationFrame = (callback) => setTimeout(callback, 0);
+global.cancelAnimationFrame = (id) => clearTimeout(id);
+
+// A stand-in for the 2D context that records the calls the tests look at, with the
+// alpha and blend mode each was made with. Text is measured at six pixels a character.
+const recordingContext = () => {
+  const calls = [];
+  return {
+    calls,
+    ctx: new Proxy({}, {
+      get(target, prop) {
+        if (prop in target) return target[prop];
+        if (prop === 'measureText') return value => ({ width: value.length * 6 });
+        return (...args) => calls.push({ name: prop, args, alpha: target.globalAlpha, blend: target.globalCompositeOperation });
+      },
+      set(target, prop, value) {
+        target[prop] = value;
+        return true;
+      }
+    })
+  };
+};
+
+module.exports = { recordingContext };
@@ -1,6 +1,6 @@
 
 const assert = require('assert');
-const { JSDOM } = require('jsdom');
+require('./helpers');
 
 // Create a mock for the Geolocation API
 const mockGeolocation = {
@@ -30,39 +30,32 @@ const mockGeolocation = {
   },
 };
 
-const dom = new JSDOM(`
-  <!DOCTYPE html>
-  <div id="map-container">
-    <canvas id="map"></canvas>
-    <div id="loading">Loading: <span id="loading-count">0</span></div>
-    <div id="zoom-overlay"></div>
-    <div id="coords"></div>
-  </div>
-`, {
-  runScripts: "dangerously",
-  pretendToBeVisual: true,
-  url: "http://localhost/",
-});
+describe('AttributionControl', () => {
+  let Atlas, AttributionControl, TileLayer;
+  let realNavigator, map;
 
-global.window = dom.window;
-global.document = dom.window.document;
-global.navigator = {
-    ...dom.window.navigator,
-    geolocation: mockGeolocation,
-  };
-global.Image = dom.window.Image;
-global.DOMParser = dom.window.DOMParser;
-global.performance = dom.window.performance;
-global.requestAnimationFrame = (callback) => setTimeout(callback, 0);
+  before(() => {
+    realNavigator = global.navigator;
+    global.navigator = {
+      ...window.navigator,
+      geolocation: mockGeolocation,
+    };
+    ({ Atlas, AttributionControl, TileLayer } = require('../Atlas.js'));
+  });
 
-// Prevent the global initializeAtlas from running
-global.window.initializeAtlas = () => {};
+  after(() => {
+    global.navigator = realNavigator;
+  });
 
-const { Atlas, AttributionControl, TileLayer } = require('../Atlas.js');
+  afterEach(() => {
+    if (map) {
+      map.destroy();
+      map = null;
+    }
+  });
 
-describe('AttributionControl', () => {
   it('should not have an id', () => {
-    const map = new Atlas('map');
+    map = new Atlas('map');
     const control = new AttributionControl();
     map.addControl(control);
 
@@ -71,7 +64,7 @@ describe('AttributionControl', () => {
   });
 
   it('should not inject script elements into the attribution text', () => {
-    const map = new Atlas('map');
+    map = new Atlas('map');
     const control = new AttributionControl();
     map.addControl(control);
 
@@ -0,0 +1,115 @@
+const assert = require('assert');
+require('./helpers');
+
+describe('Camera helpers', () => {
+  let Atlas;
+  let GeoJSONLayer;
+  let map;
+
+  before(() => {
+    ({ Atlas, GeoJSONLayer } = require('../Atlas.js'));
+  });
+
+  beforeEach(() => {
+    map = new Atlas('map', { maxZoom: 20 });
+    // jsdom does not lay out the page, so give the map a size by hand.
+    map.canvas.width = 800;
+    map.canvas.height = 600;
+    map.dpr = 1;
+  });
+
+  afterEach(() => {
+    map.destroy();
+  });
+
+  const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+  it('should return the bounds of the visible area', () => {
+    map.setView({ lat: 0, lon: 0 }, 2);
+    const bounds = map.getBounds();
+    // 800 pixels at zoom 2 are 800 / 1024 of the world's width.
+    assert.ok(near(bounds.west, -140.625));
+    assert.ok(near(bounds.east, 140.625));
+    assert.ok(near(bounds.north, -bounds.south));
+  });
+
+  it('should fit bounds in the map', () => {
+    const target = { south: 33.9, west: -7.0, north: 34.1, east: -6.7 };
+    map.fitBounds(target);
+    const view = map.getBounds();
+    assert.ok(view.west <= target.west + 1e-9 && view.east >= target.east - 1e-9);
+    assert.ok(view.south <= target.south + 1e-9 && view.north >= target.north - 1e-9);
+    // The bounds touch the sides of the view in at least one direction.
+    assert.ok(near(view.west, target.west, 1e-6) || near(view.north, target.north, 1e-6));
+  });
+
+  it('should keep the bounds inside the padded area', () => {
+    const target = [[33.9, -7.0], [34.1, -6.7]];
+    map.fitBounds(target, { padding: { left: 300, top: 20, right: 20, bottom: 20 } });
+    const nw = map.latLngToContainerPoint({ lat: 34.1, lon: -7.0 });
+    const se = map.latLngToContainerPoint({ lat: 33.9, lon: -6.7 });
+    assert.ok(nw.x >= 300 - 1e-6 && nw.y >= 20 - 1e-6);
+    assert.ok(se.x <= 780 + 1e-6 && se.y <= 580 + 1e-6);
+  });
+
+  it('should fit bounds at a bearing', () => {
+    const target = [[33.9, -7.0], [34.1, -6.7]];
+    const camera = map.cameraForBounds(target, { bearing: Math.PI / 4 });
+    map.setView(camera.center, camera.zoom, { bearing: camera.bearing });
+    for (const [lat, lon] of [[33.9, -7.0], [33.9, -6.7], [34.1, -6.7], [34.1, -7.0]]) {
+      const p = map.latLngToContainerPoint({ lat, lon });
+      assert.ok(p.x >= -1e-6 && p.x <= 800 + 1e-6 && p.y >= -1e-6 && p.y <= 600 + 1e-6);
+    }
+    assert.strictEqual(map.getBearing(), Math.PI / 4);
+  });
+
+  it('should respect maxZoom when fitting a point', () => {
+    map.fitBounds([[34, -6.8], [34, -6.8]], { maxZoom: 15 });
+    assert.strictEqual(map.getZoom(), 15);
+    assert.ok(near(map.getCenter().lat, 34) && near(map.getCenter().lon, -6.8));
+  });
+
+  it('should fit a GeoJSON layer', () => {
+    const layer = new GeoJSONLayer({
+      type: 'LineString',
+      coordinates: [[-7.0, 33.9], [-6.7, 34.1]]
+    });
+    assert.ok(layer.getBounds().equals([[33.9, -7.0], [34.1, -6.7]]));
+    map.fitBounds(layer);
+    const view = map.getBounds();
+    assert.ok(view.west <= -7.0 && view.east >= -6.7);
+  });
+
+  it('should pan by pixels relative to the screen', () => {
+    map.setView({ lat: 0, lon: 0 }, 2, { bearing: Math.PI / 2 });
+    const target = map.containerPointToLatLng({ x: 500, y: 300 });
+    map.panBy([100, 0], { animate: false });
+    assert.ok(near(map.getCenter().lat, target.lat) && near(map.getCenter().lon, target.lon));
+  });
+
+  it('should animate panTo and zoomIn', async () => {
+    map.setView({ lat: 0, lon: 0 }, 4);
+    const panned = new Promise(resolve => map.once('moveend', resolve));
+    map.panTo({ lat: 10, lon: 20 }, { duration: 10 });
+    await panned;
+    assert.ok(near(map.getCenter().lat, 10) && near(map.getCenter().lon, 20));
+
+    const zoomed = new Promise(resolve => map.once('moveend', resolve));
+    map.zoomIn(2, { duration: 10 });
+    await zoomed;
+    assert.strictEqual(map.getZoom(), 6);
+  });
+
+  it('should return null when the padding leaves no room', () => {
+    assert.strictEqual(map.cameraForBounds([[0, 0], [1, 1]], { padding: 400 }), null);
+  });
+
+  it('should leave the view as it is for a layer without bounds', () => {
+    map.setView({ lat: 10, lon: 20 }, 5);
+    const empty = new GeoJSONLayer({ type: 'FeatureCollection', features: [] });
+    assert.strictEqual(map.cameraForBounds(empty), null);
+    map.fitBounds(empty);
+    assert.ok(near(map.getCenter().lat, 10) && near(map.getCenter().lon, 20));
+    assert.strictEqual(map.getZoom(), 5);
+  });
+});
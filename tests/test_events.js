@@ -0,0 +1,121 @@
+const assert = require('assert');
+require('./helpers');
+
+describe('Events', () => {
+  let Atlas, GeoJSONLayer, Layer;
+
+  before(() => {
+    ({ Atlas, GeoJSONLayer, Layer } = require('../Atlas.js'));
+  });
+
+  const click = (target, clientX, clientY) => {
+    target.dispatchEvent(new window.MouseEvent('click', { clientX, clientY, bubbles: true }));
+  };
+
+  describe('Evented', () => {
+    it('should run once() listeners a single time', () => {
+      const layer = new Layer();
+      let count = 0;
+      layer.once('ping', () => count++);
+      layer.fire('ping');
+      layer.fire('ping');
+      assert.strictEqual(count, 1);
+    });
+
+    it('should remove listeners with off()', () => {
+      const layer = new Layer();
+      let count = 0;
+      const fn = () => count++;
+      layer.on('ping pong', fn);
+      layer.off('ping', fn);
+      layer.fire('ping');
+      layer.fire('pong');
+      assert.strictEqual(count, 1);
+      assert.ok(!layer.listens('ping'));
+      assert.ok(layer.listens('pong'));
+    });
+
+    it('should isolate errors thrown by listeners', () => {
+      const layer = new Layer();
+      let reached = false;
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        layer.on('ping', () => { throw new Error('boom'); });
+        layer.on('ping', () => { reached = true; });
+        layer.fire('ping');
+      } finally {
+        console.error = originalError;
+      }
+      assert.ok(reached);
+    });
+
+    it('should propagate events to event parents', () => {
+      const child = new Layer();
+      const parent = new Layer();
+      child.addEventParent(parent);
+
+      let received = null;
+      parent.on('ping', (e) => { received = e; });
+      child.fire('ping', { value: 42 }, true);
+
+      assert.strictEqual(received.value, 42);
+      assert.strictEqual(received.target, parent);
+      assert.strictEqual(received.sourceTarget, child);
+      assert.strictEqual(received.propagatedFrom, child);
+    });
+
+    it('should not propagate once stopPropagation() is called', () => {
+      const child = new Layer();
+      const parent = new Layer();
+      child.addEventParent(parent);
+
+      let received = false;
+      child.on('ping', (e) => e.stopPropagation());
+      parent.on('ping', () => { received = true; });
+      child.fire('ping', {}, true);
+
+      assert.ok(!received);
+    });
+  });
+
+  describe('Map pointer events', () => {
+    it('should fire click with latlng and containerPoint', () => {
+      const map = new Atlas('map', { defaultCenter: { lon: 10, lat: 20 } });
+      let event = null;
+      map.on('click', (e) => { event = e; });
+
+      click(map.canvas, 0, 0);
+
+      assert.ok(event);
+      assert.deepStrictEqual(event.containerPoint, { x: 0, y: 0 });
+      assert.ok(Math.abs(event.latlng.lat - 20) < 1e-9);
+      assert.ok(Math.abs(event.latlng.lon - 10) < 1e-9);
+      assert.strictEqual(event.originalEvent.type, 'click');
+      map.destroy();
+    });
+
+    it('should bubble GeoJSON feature events to the map', () => {
+      const map = new Atlas('map', { defaultCenter: { lon: 10, lat: 20 } });
+      const layer = new GeoJSONLayer({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [10, 20] },
+        properties: { name: 'center' }
+      });
+      map.addLayer(layer);
+
+      let layerEvent = null;
+      let mapEvent = null;
+      layer.on('click', (e) => { layerEvent = e; });
+      map.on('click', (e) => { mapEvent = e; });
+
+      click(map.canvas, 0, 0);
+
+      assert.strictEqual(layerEvent.feature.properties.name, 'center');
+      assert.strictEqual(mapEvent.feature.properties.name, 'center');
+      assert.strictEqual(mapEvent.propagatedFrom, layer);
+      assert.ok(mapEvent.latlng);
+      map.destroy();
+    });
+  });
+});
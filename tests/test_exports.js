@@ -0,0 +1,44 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { toESM } = require('../scripts/build.js');
+
+const PUBLIC_API = [
+  'Evented', 'Atlas',
+  'Layer', 'TileLayer', 'TileStore', 'WMSTileLayer', 'WMTSTileLayer', 'ArchiveTileLayer', 'PMTilesSource', 'MBTilesSource', 'GeoJSONLayer', 'GreatCircleLayer', 'VectorTileLayer', 'TerrainLayer', 'ImageLayer', 'GeoTIFFSource', 'ImageOverlay', 'VideoOverlay', 'CanvasOverlay',
+  'Overlay', 'AtlasMarker', 'AtlasPopup',
+  'Control', 'ZoomControl', 'LayerControl', 'FullscreenControl', 'ScaleControl',
+  'AttributionControl', 'CompassControl', 'ResetZoomControl', 'GeolocateControl',
+  'Handler', 'DragPanHandler', 'ScrollZoomHandler', 'DoubleClickZoomHandler',
+  'TouchZoomRotateHandler', 'KeyboardPanHandler',
+  'Projection', 'WebMercatorProjection', 'EquirectangularProjection', 'CRS', 'Proj', 'GISUtils', 'LatLng', 'LatLngBounds', 'EASING',
+];
+
+describe('Module exports', () => {
+  it('should expose the public API through CommonJS', () => {
+    const atlas = require('../Atlas.js');
+    for (const name of PUBLIC_API) {
+      assert.ok(atlas[name], `${name} should be exported`);
+    }
+  });
+
+  it('should build an ES module with the same named exports', async () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'Atlas.js'), 'utf8');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlas-esm-'));
+    const file = path.join(dir, 'atlas.mjs');
+    fs.writeFileSync(file, toESM(source));
+
+    try {
+      const esm = await import(pathToFileURL(file).href);
+      const cjs = require('../Atlas.js');
+      assert.deepStrictEqual(Object.keys(esm).sort(), Object.keys(cjs).sort());
+      for (const name of PUBLIC_API) {
+        assert.strictEqual(typeof esm[name], typeof cjs[name], `${name} should be exported`);
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+require('./helpers');
+
+// Casablanca to New York JFK, as GeoJSON [lon, lat].
+const CMN = [-7.59, 33.37];
+const JFK = [-73.78, 40.64];
+
+describe('Geodesic lines', () => {
+  let Atlas, GeoJSONLayer, GreatCircleLayer, GISUtils;
+  let map;
+
+  before(() => {
+    ({ Atlas, GeoJSONLayer, GreatCircleLayer, GISUtils } = require('../Atlas.js'));
+  });
+
+  beforeEach(() => {
+    map = new Atlas('map');
+    // jsdom does not lay out the page, so give the map a size by hand.
+    map.canvas.width = 800;
+    map.canvas.height = 600;
+    map.dpr = 1;
+  });
+
+  afterEach(() => {
+    map.destroy();
+  });
+
+  const line = (coordinates, style) => new GeoJSONLayer({ type: 'LineString', coordinates }, { style });
+
+  it('should follow the great circle between the positions', () => {
+    const layer = line([CMN, JFK], { geodesic: true });
+    const [part, ...rest] = layer._geodesicParts([CMN, JFK]);
+    assert.strictEqual(rest.length, 0);
+    assert.deepStrictEqual(part[0], CMN);
+    assert.deepStrictEqual(part[part.length - 1], JFK);
+    // The route bulges north of both ends, in steps of at most 100 km.
+    assert.ok(Math.max(...part.map(p => p[1])) > 42);
+    for (let i = 1; i < part.length; i++) {
+      const step = GISUtils.vincentyDistance([part[i - 1][1], part[i - 1][0]], [part[i][1], part[i][0]]);
+      assert.ok(step <= 100000);
+    }
+    assert.ok(layer.getBounds().north > 42);
+    assert.ok(line([CMN, JFK]).getBounds().north < 40.7);
+  });
+
+  it('should split lines at the antimeridian', () => {
+    const parts = line([[170, 0], [-170, 10]], { geodesic: true })._geodesicParts([[170, 0], [-170, 10]]);
+    assert.strictEqual(parts.length, 2);
+    const end = parts[0][parts[0].length - 1];
+    const start = parts[1][0];
+    assert.strictEqual(end[0], 180);
+    assert.strictEqual(start[0], -180);
+    assert.strictEqual(end[1], start[1]);
+    assert.ok(end[1] > 4 && end[1] < 6);
+    assert.ok(parts[0].every(p => p[0] >= 170) && parts[1].every(p => p[0] <= -170));
+  });
+
+  it('should hit-test the drawn arc of a GreatCircleLayer', () => {
+    const layer = new GreatCircleLayer([
+      { from: [CMN[1], CMN[0]], to: [JFK[1], JFK[0]], properties: { flight: 'AT200' } }
+    ]).addTo(map);
+    map.fitBounds(layer, { padding: 20 });
+
+    const apex = map.latLngToContainerPoint(GISUtils.midpoint([CMN[1], CMN[0]], [JFK[1], JFK[0]]));
+    const hit = layer.hitTest(apex);
+    assert.ok(hit && hit.properties.flight === 'AT200');
+
+    // A straight line between the same positions does not pass there.
+    const straight = line([CMN, JFK]).addTo(map);
+    assert.strictEqual(straight.hitTest(apex), null);
+  });
+
+  it('should replace the arcs', () => {
+    const layer = new GreatCircleLayer([[[CMN[1], CMN[0]], [JFK[1], JFK[0]]]]);
+    assert.strictEqual(layer.getData().features.length, 1);
+    layer.setArcs([]);
+    assert.strictEqual(layer.getBounds(), null);
+    assert.throws(() => layer.setArcs([{ from: [33.37, -7.59] }]), /Invalid LatLng/);
+  });
+});
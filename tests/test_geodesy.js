@@ -0,0 +1,69 @@
+const assert = require('assert');
+
+// The example of Vincenty's 1975 paper, as worked by Geoscience Australia:
+// Flinders Peak to Buninyong, on the WGS84 ellipsoid here.
+const FLINDERS_PEAK = [-37.95103342, 144.42486789];
+const BUNINYONG = [-37.65282114, 143.92649554];
+
+describe('GISUtils geodesy', () => {
+  let GISUtils, LatLng;
+
+  before(() => {
+    ({ GISUtils, LatLng } = require('../Atlas.js'));
+  });
+
+  const near = (a, b, eps) => Math.abs(a - b) < eps;
+
+  it('should measure distances on the ellipsoid and on a sphere', () => {
+    assert.ok(near(GISUtils.vincentyDistance(FLINDERS_PEAK, BUNINYONG), 54972.271, 1e-3));
+    const paris = new LatLng(48.8566, 2.3522);
+    assert.ok(near(paris.distanceTo([51.5074, -0.1278]), 343923.12, 0.01));
+    assert.ok(near(GISUtils.haversineDistance(paris, [51.5074, -0.1278]), 343556.5, 0.1));
+    assert.strictEqual(GISUtils.vincentyDistance(paris, paris), 0);
+  });
+
+  it('should fall back to a sphere for nearly antipodal points', () => {
+    const d = GISUtils.vincentyDistance([0, 0], [0.5, 179.7]);
+    assert.ok(Number.isFinite(d) && near(d, GISUtils.haversineDistance([0, 0], [0.5, 179.7]), 1e-6));
+  });
+
+  it('should compute initial and final bearings', () => {
+    assert.ok(near(GISUtils.initialBearing(FLINDERS_PEAK, BUNINYONG), 306.868158, 1e-5));
+    assert.ok(near(GISUtils.finalBearing(FLINDERS_PEAK, BUNINYONG), 307.173631, 1e-5));
+    assert.ok(near(new LatLng(0, 0).bearingTo([0, -10]), 270, 1e-9));
+  });
+
+  it('should find the destination of a geodesic', () => {
+    const end = GISUtils.destination(FLINDERS_PEAK, 54972.271, 306.868158);
+    assert.ok(end.equals(BUNINYONG, 1e-7));
+    assert.ok(new LatLng(0, 179.5).destination(111319.49, 90).equals([0, -179.5], 1e-6));
+  });
+
+  it('should find midpoints and intermediate points', () => {
+    assert.ok(GISUtils.midpoint([0, 0], [0, 90]).equals([0, 45]));
+    const points = GISUtils.intermediatePoints([0, 0], [0, 90], 3);
+    assert.deepStrictEqual(points.map(p => Math.round(p.lon)), [0, 30, 60, 90]);
+
+    const a = new LatLng(34.02, -6.84);
+    const b = new LatLng(40.71, -74.01);
+    const third = a.intermediatePointTo(b, 1 / 3);
+    assert.ok(near(a.distanceTo(third), a.distanceTo(b) / 3, 1e-3));
+    assert.ok(a.midpointTo(b).equals(GISUtils.intermediatePoint(a, b, 0.5)));
+  });
+
+  it('should compute geodesic areas and perimeters', () => {
+    // A one-degree square on the equator: 12,308,778,361 m² according to GeographicLib.
+    const square = [[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]];
+    assert.ok(near(GISUtils.geodesicArea(square) / 12308778361, 1, 1e-5));
+    // Rings may be open, go either way round and cross the antimeridian.
+    const across = [[1, 179.5], [1, -179.5], [0, -179.5], [0, 179.5]];
+    assert.ok(near(GISUtils.geodesicArea(across), GISUtils.geodesicArea(square), 1));
+
+    const holed = [square, [[0.25, 0.25], [0.25, 0.75], [0.75, 0.75], [0.75, 0.25]]];
+    assert.ok(near(GISUtils.geodesicArea(holed) / GISUtils.geodesicArea(square), 0.75, 1e-3));
+
+    const sides = GISUtils.vincentyDistance([0, 0], [0, 1]) + GISUtils.vincentyDistance([0, 1], [1, 1]) +
+      GISUtils.vincentyDistance([1, 1], [1, 0]) + GISUtils.vincentyDistance([1, 0], [0, 0]);
+    assert.ok(near(GISUtils.geodesicPerimeter(square), sides, 1e-6));
+  });
+});
@@ -0,0 +1,103 @@
+const assert = require('assert');
+require('./helpers');
+
+describe('GeolocateControl', () => {
+  let Atlas, GeolocateControl;
+  let watchers;
+  let nextFix;
+
+  const mockGeolocation = {
+    getCurrentPosition: (success, error) => {
+      if (nextFix instanceof Error) {
+        error(nextFix);
+      } else {
+        success(nextFix);
+      }
+    },
+    watchPosition: (success, error) => {
+      watchers.push({ success, error });
+      return watchers.length;
+    },
+    clearWatch: (watchId) => {
+      watchers[watchId - 1] = null;
+    },
+  };
+
+  const position = (latitude, longitude, accuracy) => ({
+    coords: { latitude, longitude, accuracy },
+    timestamp: Date.now(),
+  });
+
+  let realNavigator;
+
+  before(() => {
+    realNavigator = global.navigator;
+    global.navigator = { geolocation: mockGeolocation };
+    ({ Atlas, GeolocateControl } = require('../Atlas.js'));
+  });
+
+  after(() => {
+    global.navigator = realNavigator;
+  });
+
+  beforeEach(() => {
+    watchers = [];
+    nextFix = position(27.94, -12.92, 50);
+  });
+
+  it('should not create a map when the library is loaded', () => {
+    assert.strictEqual(document.querySelector('canvas'), null);
+  });
+
+  it('should fire geolocate and show the accuracy circle', () => {
+    const map = new Atlas('map');
+    const control = new GeolocateControl({ zoom: null });
+    map.addControl(control);
+
+    let fired = null;
+    control.on('geolocate', (e) => { fired = e; });
+    control.trigger();
+
+    assert.ok(fired.latlng.equals([27.94, -12.92]));
+    assert.strictEqual(fired.accuracy, 50);
+    assert.strictEqual(control._accuracyEl.style.display, 'block');
+    assert.strictEqual(control._dotEl.style.display, 'block');
+    map.destroy();
+  });
+
+  it('should fire error events', () => {
+    const map = new Atlas('map');
+    const control = new GeolocateControl();
+    map.addControl(control);
+
+    nextFix = Object.assign(new Error('User denied Geolocation'), { code: 1 });
+    let fired = null;
+    control.on('error', (e) => { fired = e; });
+    control.trigger();
+
+    assert.strictEqual(fired.code, 1);
+    assert.strictEqual(fired.message, 'User denied Geolocation');
+    map.destroy();
+  });
+
+  it('should track the location until stopped', () => {
+    const map = new Atlas('map');
+    const control = new GeolocateControl({ trackUserLocation: true, zoom: null });
+    map.addControl(control);
+
+    const fixes = [];
+    control.on('geolocate', (e) => fixes.push(e.latlng));
+    control.trigger();
+    assert.ok(control.isTracking());
+
+    watchers[0].success(position(27.94, -12.92, 20));
+    watchers[0].success(position(27.95, -12.91, 20));
+    assert.strictEqual(fixes.length, 2);
+    assert.ok(control.getLastFix().latlng.equals([27.95, -12.91]));
+
+    control.stop();
+    assert.ok(!control.isTracking());
+    assert.strictEqual(watchers[0], null);
+    map.destroy();
+  });
+});
@@ -0,0 +1,444 @@
+const assert = require('assert');
+const http = require('http');
+const zlib = require('zlib');
+require('./helpers');
+
+// Encodes bytes with the LZW of TIFF, whose codes grow one code early.
+const encodeLZW = (bytes) => {
+  const out = [];
+  let buffer = 0, bits = 0, codeLength = 9, next = 258;
+  const emit = (code) => {
+    buffer = (buffer << codeLength) | code;
+    bits += codeLength;
+    while (bits >= 8) {
+      out.push((buffer >> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    buffer &= (1 << bits) - 1;
+  };
+  const grow = () => {
+    next++;
+    if (next > (1 << codeLength) - 1) codeLength++;
+  };
+  const dictionary = new Map();
+  emit(256);
+  let prefix = bytes[0];
+  for (let i = 1; i < bytes.length; i++) {
+    const key = prefix * 256 + bytes[i];
+    if (dictionary.has(key)) {
+      prefix = dictionary.get(key);
+      continue;
+    }
+    emit(prefix);
+    dictionary.set(key, next);
+    grow();
+    prefix = bytes[i];
+  }
+  emit(prefix);
+  grow();
+  emit(257);
+  if (bits > 0) out.push((buffer << (8 - bits)) & 255);
+  return Uint8Array.from(out);
+};
+
+const SAMPLE_SETTERS = { '1/8': 'setUint8', '1/16': 'setUint16', '2/16': 'setInt16', '3/32': 'setFloat32' };
+
+// Writes a GeoTIFF whose samples are value(col, row, band), with its overviews, each an
+// image of its own options. The IFDs come first, as in a COG.
+const writeGeoTIFF = (images, { little = true } = {}) => {
+  const ifds = images.map((image) => {
+    const {
+      width, height, bands = 1, bits = 8, format = 1, tile, rowsPerStrip = height,
+      compression = 1, predictor = 1, planar = 1, value, overview = false
+    } = image;
+    const blockWidth = tile || width, blockHeight = tile || rowsPerStrip;
+    const across = Math.ceil(width / blockWidth), down = Math.ceil(height / blockHeight);
+    const bytesPerSample = bits / 8;
+    const blocks = [];
+    for (let plane = 0; plane < (planar === 2 ? bands : 1); plane++) {
+      for (let by = 0; by < down; by++) {
+        for (let bx = 0; bx < across; bx++) {
+          const samples = planar === 2 ? 1 : bands;
+          // Strips end at the image; tiles are padded.
+          const rows = tile ? blockHeight : Math.min(blockHeight, height - by * blockHeight);
+          const rowLength = blockWidth * samples;
+          const values = [];
+          for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < blockWidth; x++) {
+              for (let s = 0; s < samples; s++) {
+                const col = bx * blockWidth + x, row = by * blockHeight + y;
+                values.push(col < width && row < height ? value(col, row, planar === 2 ? plane : s) : 0);
+              }
+            }
+          }
+          let bytes = new Uint8Array(values.length * bytesPerSample);
+          const view = new DataView(bytes.buffer);
+          if (predictor === 2) {
+            const mask = 2 ** bits;
+            for (let y = 0; y < rows; y++) {
+              for (let i = rowLength - 1; i >= samples; i--) {
+                values[y * rowLength + i] = (values[y * rowLength + i] - values[y * rowLength + i - samples] + mask) % mask;
+              }
+            }
+          }
+          values.forEach((v, i) => view[SAMPLE_SETTERS[`${format}/${bits}`]](i * bytesPerSample, v, little));
+          if (predictor === 3) {
+            const shuffled = new Uint8Array(bytes.length);
+            const rowBytes = rowLength * bytesPerSample;
+            for (let y = 0; y < rows; y++) {
+              const row = new Uint8Array(rowBytes);
+              for (let i = 0; i < rowLength; i++) {
+                const big = new DataView(new ArrayBuffer(4));
+                big.setFloat32(0, values[y * rowLength + i], false);
+                for (let b = 0; b < bytesPerSample; b++) row[b * rowLength + i] = big.getUint8(b);
+              }
+              for (let i = rowBytes - 1; i >= samples; i--) row[i] = (row[i] - row[i - samples]) & 255;
+              shuffled.set(row, y * rowBytes);
+            }
+            bytes = shuffled;
+          }
+          if (compression === 5) bytes = encodeLZW(bytes);
+          if (compression === 8) bytes = new Uint8Array(zlib.deflateSync(bytes));
+          blocks.push(bytes);
+        }
+      }
+    }
+
+    const entries = [
+      [256, 4, [width]], [257, 4, [height]], [258, 3, Array(bands).fill(bits)], [259, 3, [compression]],
+      [262, 3, [image.photometric ?? (bands >= 3 ? 2 : 1)]], [277, 3, [bands]], [284, 3, [planar]], [339, 3, Array(bands).fill(format)]
+    ];
+    if (overview) entries.push([254, 4, [1]]);
+    if (predictor !== 1) entries.push([317, 3, [predictor]]);
+    if (tile) {
+      entries.push([322, 3, [tile]], [323, 3, [tile]], [324, 4, blocks], [325, 4, blocks.map(b => b.length)]);
+    } else {
+      entries.push([273, 4, blocks], [278, 3, [rowsPerStrip]], [279, 4, blocks.map(b => b.length)]);
+    }
+    if (image.colorMap) entries.push([320, 3, image.colorMap]);
+    if (image.extraSamples) entries.push([338, 3, image.extraSamples]);
+    if (!overview) {
+      const geo = image.geo || {};
+      if (geo.transformation) entries.push([34264, 12, geo.transformation]);
+      if (geo.tiepoint) entries.push([33922, 12, geo.tiepoint], [33550, 12, geo.scale]);
+      if (geo.keys) entries.push([34735, 3, [1, 1, 0, geo.keys.length, ...geo.keys.flatMap(([id, v]) => [id, 0, 1, v])]]);
+      if (image.noData !== undefined) entries.push([42113, 2, `${image.noData}\0`]);
+    }
+    entries.sort((a, b) => a[0] - b[0]);
+    return { entries, blocks };
+  });
+
+  const TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 12: 8 };
+  const valueSize = ([, type, values]) => TYPE_SIZES[type] * values.length;
+  let offset = 8;
+  for (const ifd of ifds) {
+    ifd.offset = offset;
+    offset += 2 + ifd.entries.length * 12 + 4;
+    for (const entry of ifd.entries) {
+      if (valueSize(entry) > 4) {
+        entry.position = offset;
+        offset += valueSize(entry) + (valueSize(entry) % 2);
+      }
+    }
+  }
+  for (const ifd of ifds) {
+    ifd.blockOffsets = ifd.blocks.map((block) => {
+      const at = offset;
+      offset += block.length;
+      return at;
+    });
+  }
+
+  const bytes = new Uint8Array(offset);
+  const view = new DataView(bytes.buffer);
+  bytes.set(little ? [0x49, 0x49] : [0x4d, 0x4d]);
+  view.setUint16(2, 42, little);
+  view.setUint32(4, 8, little);
+  const writeValues = (at, type, values) => {
+    if (type === 2) {
+      bytes.set(Buffer.from(values, 'latin1'), at);
+      return;
+    }
+    values.forEach((v, i) => {
+      if (type === 3) view.setUint16(at + i * 2, v, little);
+      if (type === 4) view.setUint32(at + i * 4, v, little);
+      if (type === 12) view.setFloat64(at + i * 8, v, little);
+    });
+  };
+  ifds.forEach((ifd, index) => {
+    view.setUint16(ifd.offset, ifd.entries.length, little);
+    ifd.entries.forEach((entry, i) => {
+      const [tag, type] = entry;
+      const values = tag === 273 || tag === 324 ? ifd.blockOffsets : entry[2];
+      const at = ifd.offset + 2 + i * 12;
+      view.setUint16(at, tag, little);
+      view.setUint16(at + 2, type, little);
+      view.setUint32(at + 4, values.length, little);
+      if (entry.position !== undefined) {
+        view.setUint32(at + 8, entry.position, little);
+        writeValues(entry.position, type, values);
+      } else {
+        writeValues(at + 8, type, values);
+      }
+    });
+    const next = ifds[index + 1] ? ifds[index + 1].offset : 0;
+    view.setUint32(ifd.offset + 2 + ifd.entries.length * 12, next, little);
+    ifd.blocks.forEach((block, i) => bytes.set(block, ifd.blockOffsets[i]));
+  });
+  return bytes.buffer;
+};
+
+// GeoKeys of a WGS84 image, and the georeferencing of one from lon 0 to 10 and lat 0 to 10.
+const WGS84 = [[1024, 2], [1025, 1], [2048, 4326]];
+const tenDegrees = (width, height) => ({ tiepoint: [0, 0, 0, 0, 10, 0], scale: [10 / width, 10 / height, 0], keys: WGS84 });
+
+describe('GeoTIFF', () => {
+  let Atlas, GeoTIFFSource, ImageLayer, WebMercatorProjection;
+  let map;
+
+  before(() => {
+    ({ Atlas, GeoTIFFSource, ImageLayer, WebMercatorProjection } = require('../Atlas.js'));
+  });
+
+  afterEach(() => {
+    if (map) {
+      map.destroy();
+      map = null;
+    }
+  });
+
+  const readAll = async (source, level = 0) => {
+    const info = await source.getInfo();
+    const { width, height } = info.levels[level];
+    return source.readWindow(level, { left: 0, top: 0, right: width, bottom: height });
+  };
+
+  describe('GeoTIFFSource', () => {
+    const pattern = (col, row, band) => (col * 7 + row * 13 + band * 101) % 65536;
+
+    it('should decode striped and tiled images with each compression', async () => {
+      const layouts = [
+        { rowsPerStrip: 5 },
+        { tile: 8 },
+        { tile: 8, compression: 5, predictor: 2 },
+        { rowsPerStrip: 3, compression: 8, predictor: 2 },
+        { tile: 16, compression: 8 }
+      ];
+      for (const layout of layouts) {
+        const buffer = writeGeoTIFF([{ width: 20, height: 12, bits: 16, value: pattern, geo: tenDegrees(20, 12), ...layout }]);
+        const raster = await readAll(new GeoTIFFSource(buffer));
+        assert.ok(raster.data instanceof Uint16Array);
+        for (const [col, row] of [[0, 0], [19, 0], [5, 7], [19, 11]]) {
+          assert.strictEqual(raster.data[row * 20 + col], pattern(col, row, 0), `${JSON.stringify(layout)} at ${col}, ${row}`);
+        }
+      }
+    });
+
+    it('should decode big-endian images in separate planes', async () => {
+      const buffer = writeGeoTIFF([{
+        width: 9, height: 6, bands: 3, planar: 2, tile: 4, compression: 5, value: (c, r, b) => pattern(c, r, b) % 256, geo: tenDegrees(9, 6)
+      }], { little: false });
+      const raster = await readAll(new GeoTIFFSource(buffer));
+      assert.strictEqual(raster.bands, 3);
+      assert.deepStrictEqual(Array.from(raster.data.slice((5 * 9 + 8) * 3, (5 * 9 + 8) * 3 + 3)), [0, 1, 2].map(b => pattern(8, 5, b) % 256));
+
+      const part = await new GeoTIFFSource(buffer).readWindow(0, { left: 3, top: 2, right: 6, bottom: 5 });
+      assert.strictEqual(part.width, 3);
+      assert.strictEqual(part.data[(1 * 3 + 2) * 3 + 1], pattern(5, 3, 1) % 256);
+    });
+
+    it('should decode floating point samples with the floating point predictor', async () => {
+      const elevation = (col, row) => (col === 3 && row === 2 ? -9999 : 1000.5 + col * 0.25 - row * 3);
+      const buffer = writeGeoTIFF([{
+        width: 6, height: 4, bits: 32, format: 3, compression: 8, predictor: 3, value: elevation, noData: -9999, geo: tenDegrees(6, 4)
+      }]);
+      const source = new GeoTIFFSource(buffer);
+      const raster = await readAll(source);
+      assert.ok(raster.data instanceof Float32Array);
+      assert.strictEqual(raster.data[1 * 6 + 5], 1000.5 + 5 * 0.25 - 3);
+      assert.strictEqual(raster.data[2 * 6 + 3], -9999);
+      assert.strictEqual((await source.getInfo()).noData, -9999);
+    });
+
+    it('should read the georeferencing and the CRS', async () => {
+      let info = await new GeoTIFFSource(writeGeoTIFF([{ width: 4, height: 4, value: () => 0, geo: tenDegrees(4, 4) }])).getInfo();
+      assert.strictEqual(info.crs.code, 'EPSG:4326');
+      assert.deepStrictEqual([info.bounds.south, info.bounds.west, info.bounds.north, info.bounds.east], [0, 0, 10, 10]);
+
+      // A UTM zone, and pixel-is-point coordinates, which are those of the pixel centers.
+      const utm = { tiepoint: [0, 0, 0, 500000, 1000, 0], scale: [10, 10, 0], keys: [[1024, 1], [1025, 2], [3072, 32631]] };
+      info = await new GeoTIFFSource(writeGeoTIFF([{ width: 100, height: 100, value: () => 0, geo: utm }])).getInfo();
+      assert.strictEqual(info.crs.code, 'EPSG:32631');
+      assert.ok(Math.abs(info.bounds.west - (3 - 5 / 111320)) < 1e-6, `${info.bounds.west}`);
+      assert.ok(Math.abs(info.bounds.north - 1005 / 110574) < 1e-4, `${info.bounds.north}`);
+
+      const rotated = { transformation: [0.1, 0.05, 0, 2, 0.05, -0.1, 0, 8, 0, 0, 0, 0, 0, 0, 0, 1], keys: WGS84 };
+      info = await new GeoTIFFSource(writeGeoTIFF([{ width: 10, height: 10, value: () => 0, geo: rotated }])).getInfo();
+      assert.deepStrictEqual([info.bounds.west, info.bounds.north], [2, 8.5]);
+    });
+
+    it('should explain files it cannot place on the map', async () => {
+      const custom = writeGeoTIFF([{ width: 2, height: 2, value: () => 0, geo: { ...tenDegrees(2, 2), keys: [[1024, 1], [3072, 32767]] } }]);
+      await assert.rejects(new GeoTIFFSource(custom).getInfo(), /give it as the crs option/);
+      const info = await new GeoTIFFSource(custom, { crs: 'EPSG:4326' }).getInfo();
+      assert.strictEqual(info.width, 2);
+
+      const plain = writeGeoTIFF([{ width: 2, height: 2, value: () => 0 }]);
+      await assert.rejects(new GeoTIFFSource(plain).getInfo(), /not georeferenced/);
+      await assert.rejects(new GeoTIFFSource(new Uint8Array(16)).getInfo(), /Not a TIFF file/);
+      const jpeg = new Uint8Array(writeGeoTIFF([{ width: 2, height: 2, value: () => 0, compression: 5, geo: tenDegrees(2, 2) }]));
+      // Compression is the fourth entry of the IFD.
+      new DataView(jpeg.buffer).setUint16(8 + 2 + 3 * 12 + 8, 7, true);
+      await assert.rejects(new GeoTIFFSource(jpeg).getInfo(), /compression 7 is not supported/);
+    });
+
+    it('should read a COG with range requests', async () => {
+      const buffer = writeGeoTIFF([
+        { width: 300, height: 300, tile: 16, value: (col, row) => (col + row) % 256, geo: tenDegrees(300, 300) },
+        { width: 75, height: 75, tile: 16, overview: true, value: () => 9 }
+      ]);
+      const ranges = [];
+      const server = http.createServer((req, res) => {
+        const [, start, end] = /bytes=(\d+)-(\d+)/.exec(req.headers.range);
+        ranges.push([Number(start), Number(end)]);
+        res.writeHead(206, { 'Content-Range': `bytes ${start}-${end}/${buffer.byteLength}` });
+        res.end(Buffer.from(buffer.slice(Number(start), Number(end) + 1)));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      try {
+        const source = new GeoTIFFSource(`http://127.0.0.1:${server.address().port}/image.tif`);
+        const info = await source.getInfo();
+        assert.deepStrictEqual(info.levels, [{ width: 300, height: 300 }, { width: 75, height: 75 }]);
+        assert.strictEqual(ranges.length, 1, 'the IFDs are in the first request');
+        const raster = await source.readWindow(0, { left: 280, top: 290, right: 300, bottom: 300 });
+        assert.strictEqual(raster.data[9 * 20 + 19], (299 + 299) % 256);
+        // Two tiles, past the first request.
+        assert.strictEqual(ranges.length, 3);
+        assert.ok(ranges.slice(1).every(([start, end]) => end - start + 1 === 256));
+        await source.readWindow(0, { left: 288, top: 288, right: 290, bottom: 290 });
+        assert.strictEqual(ranges.length, 3, 'decoded tiles are kept');
+      } finally {
+        server.close();
+      }
+    });
+  });
+
+  describe('ImageLayer', () => {
+    const projection = () => new WebMercatorProjection();
+    // The pixel of a 256 pixel tile at a coordinate.
+    const pixelAt = (pixels, latlng, { x, y, z }) => {
+      const t = projection().latLngToTile(latlng, z);
+      const px = Math.floor((t.x - x) * 256), py = Math.floor((t.y - y) * 256);
+      return Array.from(pixels.data.slice((py * 256 + px) * 4, (py * 256 + px) * 4 + 4));
+    };
+
+    it('should reproject the image onto the tiles of the map', async () => {
+      // Red is the column, green the row, of a 100 by 100 image of 10 degrees.
+      const layer = new ImageLayer(writeGeoTIFF([{
+        width: 100, height: 100, bands: 3, tile: 32, compression: 8, value: (col, row, band) => [col, row, 7][band], geo: tenDegrees(100, 100)
+      }]));
+      const info = await layer.ready;
+      // A pixel of 0.1 degrees is a little more than the pixels of zoom level 4.
+      assert.strictEqual(layer.options.maxNativeZoom, 4);
+      assert.strictEqual(layer.getBounds().north, 10);
+
+      const coords = { x: 4, y: 3, z: 3 };
+      const pixels = await layer._renderTile(info, coords);
+      // The pixel of the tile around 0.55 degrees east has its center at 0.62 degrees.
+      assert.deepStrictEqual(pixelAt(pixels, { lat: 9.55, lon: 0.55 }, coords), [6, 4, 7, 255]);
+      assert.deepStrictEqual(pixelAt(pixels, { lat: 2.05, lon: 7.15 }, coords), [71, 79, 7, 255]);
+      // Outside the image.
+      assert.deepStrictEqual(pixelAt(pixels, { lat: 12, lon: 5 }, coords), [0, 0, 0, 0]);
+      assert.deepStrictEqual(pixelAt(pixels, { lat: 5, lon: -1 }, coords), [0, 0, 0, 0]);
+
+      assert.ok(layer._isTileInRange(4, 3, 3));
+      assert.ok(!layer._isTileInRange(3, 3, 3));
+      assert.ok(!layer._isTileInRange(4, 2, 3));
+    });
+
+    it('should read the overview that suits the zoom', async () => {
+      const layer = new ImageLayer(writeGeoTIFF([
+        { width: 256, height: 256, tile: 64, value: () => 100, geo: tenDegrees(256, 256) },
+        { width: 64, height: 64, tile: 64, overview: true, value: () => 200 },
+        { width: 16, height: 16, overview: true, value: () => 250 }
+      ]));
+      const info = await layer.ready;
+      const levels = [];
+      const readWindow = layer.source.readWindow.bind(layer.source);
+      layer.source.readWindow = (level, region) => {
+        levels.push(level);
+        return readWindow(level, region);
+      };
+      const center = { lat: 5, lon: 5 };
+      const tileAt = (z) => {
+        const t = projection().latLngToTile(center, z);
+        return { x: Math.floor(t.x), y: Math.floor(t.y), z };
+      };
+      for (const z of [1, 3, 8]) {
+        pixelAt(await layer._renderTile(info, tileAt(z)), center, tileAt(z));
+      }
+      assert.deepStrictEqual(levels, [2, 1, 0]);
+      assert.deepStrictEqual(pixelAt(await layer._renderTile(info, tileAt(3)), center, tileAt(3)).slice(0, 3), [200, 200, 200]);
+    });
+
+    it('should colour a band with a ramp, and leave no-data pixels out', async () => {
+      const elevation = (col, row) => (col === 0 ? -9999 : col * 100);
+      const layer = new ImageLayer(writeGeoTIFF([{
+        width: 10, height: 10, bits: 32, format: 3, value: elevation, noData: -9999, geo: tenDegrees(10, 10)
+      }]));
+      const info = await layer.ready;
+      assert.deepStrictEqual(layer.options.range, [100, 900]);
+      const coords = { x: 4, y: 3, z: 3 };
+      const grey = await layer._renderTile(info, coords);
+      assert.deepStrictEqual(pixelAt(grey, { lat: 5, lon: 0.5 }, coords), [0, 0, 0, 0]);
+      assert.deepStrictEqual(pixelAt(grey, { lat: 5, lon: 5.5 }, coords), [128, 128, 128, 255]);
+
+      layer.setColorRamp([[100, '#0000ff'], [900, '#ff0000']]);
+      const ramp = await layer._renderTile(info, coords);
+      assert.deepStrictEqual(pixelAt(ramp, { lat: 5, lon: 5.5 }, coords), [128, 0, 128, 255]);
+      assert.deepStrictEqual(pixelAt(ramp, { lat: 5, lon: 9.5 }, coords), [255, 0, 0, 255]);
+    });
+
+    it('should pick bands, and show palettes', async () => {
+      const layer = new ImageLayer(writeGeoTIFF([{
+        width: 10, height: 10, bands: 4, extraSamples: [2], value: (col, row, band) => [10, 20, 30, col < 5 ? 0 : 255][band], geo: tenDegrees(10, 10)
+      }]));
+      const info = await layer.ready;
+      const coords = { x: 4, y: 3, z: 3 };
+      let pixels = await layer._renderTile(info, coords);
+      assert.deepStrictEqual(pixelAt(pixels, { lat: 5, lon: 7 }, coords), [10, 20, 30, 255]);
+      assert.strictEqual(pixelAt(pixels, { lat: 5, lon: 2 }, coords)[3], 0);
+
+      layer.setBands([3, 2, 1]);
+      pixels = await layer._renderTile(info, coords);
+      assert.deepStrictEqual(pixelAt(pixels, { lat: 5, lon: 2 }, coords), [30, 20, 10, 255]);
+      assert.throws(() => layer.setBands([5]), /1, 3 or 4 band numbers from 1 to 4/);
+
+      const colorMap = new Array(3 * 256).fill(0);
+      colorMap[1] = 65535;
+      colorMap[256 + 2] = 65535;
+      const palette = new ImageLayer(writeGeoTIFF([{
+        width: 10, height: 10, photometric: 3, colorMap, value: col => (col < 5 ? 1 : 2), geo: tenDegrees(10, 10)
+      }]));
+      pixels = await palette._renderTile(await palette.ready, coords);
+      assert.deepStrictEqual(pixelAt(pixels, { lat: 5, lon: 2 }, coords), [255, 0, 0, 255]);
+      assert.deepStrictEqual(pixelAt(pixels, { lat: 5, lon: 7 }, coords), [0, 255, 0, 255]);
+    });
+
+    it('should load tiles and fit the map to the image', async () => {
+      map = new Atlas('map', { defaultCenter: [0, 0], defaultZoom: 2 });
+      map.canvas.width = 800;
+      map.canvas.height = 600;
+      map.dpr = 1;
+      const layer = new ImageLayer(writeGeoTIFF([{ width: 10, height: 10, value: () => 1, geo: tenDegrees(10, 10) }]));
+      layer.render = () => {};
+      map.addLayer(layer);
+      assert.strictEqual(map.getBaseLayer(), null, 'images go over the base layer');
+      await layer.ready;
+      map.fitBounds(layer);
+      assert.ok(Math.abs(map.getCenter().lon - 5) < 1e-6);
+      const tile = await layer._loadTile('3/4/3', 'unused');
+      assert.ok(tile.loaded && !tile.error);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const assert = require('assert');
+const { recordingContext } = require('./helpers');
+
+// Where the arguments of ctx.transform() put a point.
+const apply = ([a, b, c, d, e, f], x, y) => ({ x: a * x + c * y + e, y: b * x + d * y + f });
+const assertNear = (actual, expected) => {
+  assert.ok(Math.hypot(actual.x - expected.x, actual.y - expected.y) < 1e-6, `${JSON.stringify(actual)} is not ${JSON.stringify(expected)}`);
+};
+
+describe('Image overlays', () => {
+  let Atlas, ImageOverlay, VideoOverlay, CanvasOverlay, GeoJSONLayer;
+  let map, recording;
+
+  before(() => {
+    ({ Atlas, ImageOverlay, VideoOverlay, CanvasOverlay, GeoJSONLayer } = require('../Atlas.js'));
+  });
+
+  beforeEach(() => {
+    map = new Atlas('map', { defaultCenter: [0, 0], defaultZoom: 3 });
+    map.canvas.width = 800;
+    map.canvas.height = 600;
+    map.dpr = 1;
+  });
+
+  afterEach(() => {
+    map.destroy();
+  });
+
+  const record = () => {
+    recording = recordingContext();
+    map.ctx = recording.ctx;
+  };
+  const calls = name => recording.calls.filter(call => call.name === name);
+  // A decoded image of 200 by 100 pixels.
+  const plan = () => ({ name: 'plan', width: 200, height: 100 });
+
+  describe('ImageOverlay', () => {
+    it('should place the image at its bounds, turning with the map', () => {
+      const overlay = new ImageOverlay(plan(), [[-10, -20], [10, 20]], { opacity: 0.5 }).addTo(map);
+      for (const bearing of [0, 0.6]) {
+        map.bearing = bearing;
+        record();
+        overlay.render();
+        const [draw] = calls('drawImage');
+        assert.strictEqual(draw.args[0].name, 'plan');
+        assert.strictEqual(draw.alpha, 0.5);
+        const [transform] = calls('transform');
+        assertNear(apply(transform.args, 0, 0), map.latLngToContainerPoint([10, -20]));
+        assertNear(apply(transform.args, 200, 0), map.latLngToContainerPoint([10, 20]));
+        assertNear(apply(transform.args, 200, 100), map.latLngToContainerPoint([-10, 20]));
+      }
+      assert.deepStrictEqual(overlay.getBounds().toBBoxString(), '-20,-10,20,10');
+    });
+
+    it('should stretch each half of the image to four corners', () => {
+      const corners = [[12, -20], [10, 22], [-10, 20], [-8, -25]];
+      const overlay = new ImageOverlay(plan(), corners).addTo(map);
+      record();
+      overlay.render();
+      assert.strictEqual(calls('clip').length, 2);
+      assert.strictEqual(calls('drawImage').length, 2);
+      const [upper, lower] = calls('transform').map(call => call.args);
+      const at = corners.map(corner => map.latLngToContainerPoint(corner));
+      assertNear(apply(upper, 0, 0), at[0]);
+      assertNear(apply(upper, 200, 0), at[1]);
+      assertNear(apply(upper, 200, 100), at[2]);
+      assertNear(apply(lower, 200, 100), at[2]);
+      assertNear(apply(lower, 0, 100), at[3]);
+
+      overlay.setBounds([[-1, -1], [1, 1]]);
+      assert.strictEqual(overlay.getCorners()[0].lat, 1);
+      assert.throws(() => overlay.setBounds({ north: 1 }), /Invalid LatLngBounds/);
+    });
+
+    it('should wait for the image to load', () => {
+      const overlay = new ImageOverlay('https://example.org/plan.png', [[-10, -20], [10, 20]]).addTo(map);
+      assert.strictEqual(overlay.getElement().tagName, 'IMG');
+      assert.strictEqual(overlay.getElement().crossOrigin, 'anonymous');
+      record();
+      overlay.render();
+      assert.strictEqual(calls('drawImage').length, 0);
+    });
+
+    it('should be drawn in the order of the layers, with its opacity', () => {
+      const order = [];
+      const overlay = new ImageOverlay(plan(), [[-10, -20], [10, 20]], { zIndex: 1 });
+      const roads = new GeoJSONLayer({ type: 'FeatureCollection', features: [] });
+      const render = overlay.render.bind(overlay);
+      overlay.render = () => {
+        order.push('image');
+        render();
+      };
+      roads.render = () => order.push('roads');
+      map.addLayer(overlay).addLayer(roads);
+      record();
+      map._draw();
+      assert.deepStrictEqual(order, ['roads', 'image']);
+
+      overlay.setZIndex(-1).setOpacity(3);
+      assert.strictEqual(overlay.getOpacity(), 1);
+      order.length = 0;
+      record();
+      map._draw();
+      assert.deepStrictEqual(order, ['image', 'roads']);
+      assert.strictEqual(calls('drawImage')[0].alpha, 1);
+    });
+  });
+
+  describe('VideoOverlay', () => {
+    // A video with a frame to draw.
+    const fakeVideo = () => ({
+      tagName: 'VIDEO', readyState: 4, videoWidth: 320, videoHeight: 180, paused: true, ended: false,
+      play() {
+        this.paused = false;
+        return Promise.resolve();
+      },
+      pause() {
+        this.paused = true;
+      }
+    });
+
+    it('should play while on the map, redrawing it', () => {
+      const video = fakeVideo();
+      const overlay = new VideoOverlay(video, [[-10, -20], [10, 20]]);
+      let scheduled = 0;
+      map.scheduleRender = () => scheduled++;
+      map.addLayer(overlay);
+      assert.strictEqual(video.paused, false);
+      scheduled = 0;
+      record();
+      overlay.render();
+      assert.strictEqual(calls('drawImage')[0].args[0], video);
+      assert.strictEqual(scheduled, 1);
+
+      map.removeLayer(overlay);
+      assert.strictEqual(video.paused, true);
+      const paused = new VideoOverlay(fakeVideo(), [[-10, -20], [10, 20]], { autoplay: false });
+      map.addLayer(paused);
+      assert.strictEqual(paused.getElement().paused, true);
+    });
+
+    it('should create a muted, looping video from URLs', () => {
+      const overlay = new VideoOverlay(['flood.webm', 'flood.mp4'], [[-10, -20], [10, 20]]);
+      const video = overlay.getElement();
+      assert.strictEqual(video.tagName, 'VIDEO');
+      assert.ok(video.muted && video.loop);
+      assert.deepStrictEqual(Array.from(video.querySelectorAll('source'), source => source.getAttribute('src')), ['flood.webm', 'flood.mp4']);
+    });
+  });
+
+  describe('CanvasOverlay', () => {
+    it('should convert coordinates to the pixels of its canvas', () => {
+      const overlay = new CanvasOverlay([[-10, -20], [10, 20]], { width: 400, height: 300 }).addTo(map);
+      assert.strictEqual(overlay.getElement().width, 400);
+      assertNear(overlay.latLngToCanvasPoint([10, -20]), { x: 0, y: 0 });
+      assertNear(overlay.latLngToCanvasPoint([-10, 20]), { x: 400, y: 300 });
+      assertNear(overlay.latLngToCanvasPoint([0, 0]), { x: 200, y: 150 });
+      const lower = overlay.latLngToCanvasPoint([-9, -19]);
+      assert.ok(lower.x < 20 && lower.y > 280);
+
+      record();
+      overlay.redraw();
+      overlay.render();
+      assert.strictEqual(calls('drawImage')[0].args[0], overlay.getElement());
+    });
+  });
+});
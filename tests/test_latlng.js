@@ -0,0 +1,85 @@
+const assert = require('assert');
+require('./helpers');
+
+describe('LatLng and LatLngBounds', () => {
+  let Atlas, AtlasMarker, GeoJSONLayer, LatLng, LatLngBounds;
+
+  before(() => {
+    ({ Atlas, AtlasMarker, GeoJSONLayer, LatLng, LatLngBounds } = require('../Atlas.js'));
+  });
+
+  describe('LatLng', () => {
+    it('should accept arrays and lon/lng objects', () => {
+      for (const value of [[34.02, -6.84], { lat: 34.02, lon: -6.84 }, { lat: 34.02, lng: -6.84 }, new LatLng(34.02, -6.84)]) {
+        const latlng = LatLng.from(value);
+        assert.ok(latlng instanceof LatLng);
+        assert.strictEqual(latlng.lat, 34.02);
+        assert.strictEqual(latlng.lon, -6.84);
+        assert.strictEqual(latlng.lng, -6.84);
+      }
+    });
+
+    it('should throw a clear error for invalid input', () => {
+      assert.throws(() => LatLng.from({ lat: 34.02, long: -6.84 }), /Invalid LatLng: expected \[lat, lon\]/);
+      assert.throws(() => LatLng.from(['34.02', '-6.84']), /must be finite numbers/);
+      assert.throws(() => new LatLng(NaN, 0), /must be finite numbers/);
+    });
+
+    it('should compare and measure coordinates', () => {
+      const paris = new LatLng(48.8566, 2.3522);
+      assert.ok(paris.equals([48.8566, 2.3522]));
+      assert.ok(!paris.equals([48.8567, 2.3522]));
+      const km = paris.distanceTo({ lat: 51.5074, lng: -0.1278 }) / 1000;
+      assert.ok(Math.abs(km - 343.9) < 1, `got ${km} km`);
+    });
+  });
+
+  describe('LatLngBounds', () => {
+    it('should extend and contain coordinates', () => {
+      const bounds = new LatLngBounds();
+      assert.ok(!bounds.isValid());
+      bounds.extend([33.95, -6.90]).extend({ lat: 34.05, lng: -6.78 });
+      assert.ok(bounds.contains([34, -6.84]));
+      assert.ok(!bounds.contains([34, -6.70]));
+      assert.ok(bounds.contains([[33.96, -6.89], [34.04, -6.79]]));
+      assert.ok(bounds.getCenter().equals([34, -6.84]));
+    });
+
+    it('should test intersections, pad and format bounds', () => {
+      const bounds = LatLngBounds.from({ south: 0, west: 0, north: 10, east: 20 });
+      assert.ok(bounds.intersects([[5, 15], [15, 25]]));
+      assert.ok(!bounds.intersects([[11, 0], [12, 20]]));
+      assert.ok(bounds.pad(0.5).equals([[-5, -10], [15, 30]]));
+      assert.strictEqual(bounds.toBBoxString(), '0,0,20,10');
+    });
+
+    it('should throw a clear error for invalid input', () => {
+      assert.throws(() => LatLngBounds.from([33.95, -6.90]), /Invalid LatLngBounds/);
+      assert.throws(() => LatLngBounds.from([[33.95, -6.90], { lat: 34 }]), /Invalid LatLng/);
+    });
+  });
+
+  describe('in the API', () => {
+    it('should accept any coordinate form for centers and markers', () => {
+      const map = new Atlas('map', { defaultCenter: [34.02, -6.84] });
+      assert.ok(map.getCenter() instanceof LatLng);
+      assert.ok(map.getCenter().equals([34.02, -6.84]));
+
+      map.setView({ lat: 33.59, lng: -7.62 }, 8);
+      assert.ok(map.getCenter().equals([33.59, -7.62]));
+
+      const marker = new AtlasMarker({ lat: 34.02, lng: -6.84 }).addTo(map);
+      assert.ok(marker.getLatLng().equals([34.02, -6.84]));
+      assert.throws(() => marker.setLatLng({ latitude: 1, longitude: 2 }), /Invalid LatLng/);
+      map.destroy();
+    });
+
+    it('should reject invalid GeoJSON positions', () => {
+      assert.throws(
+        () => new GeoJSONLayer({ type: 'LineString', coordinates: [[-6.84, 34.02], { lat: 34, lng: -6 }] }),
+        /feature 0 has an invalid position/
+      );
+      assert.throws(() => new GeoJSONLayer({ type: 'Circle', coordinates: [0, 0] }), /unknown geometry type "Circle"/);
+    });
+  });
+});
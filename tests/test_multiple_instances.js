@@ -0,0 +1,77 @@
+const assert = require('assert');
+require('./helpers');
+
+describe('Multiple Atlas instances', () => {
+  let Atlas;
+
+  before(() => {
+    document.body.insertAdjacentHTML('beforeend', `
+      <div id="main-map"></div>
+      <div id="compare-map"></div>
+    `);
+    ({ Atlas } = require('../Atlas.js'));
+  });
+
+  after(() => {
+    document.getElementById('main-map').remove();
+    document.getElementById('compare-map').remove();
+  });
+
+  it('should accept an element or an id and create its own canvas and chrome', () => {
+    const byId = new Atlas('main-map');
+    const byElement = new Atlas(document.getElementById('compare-map'));
+
+    for (const map of [byId, byElement]) {
+      assert.strictEqual(map.canvas.tagName, 'CANVAS');
+      assert.strictEqual(map.canvas.parentNode, map.container);
+      assert.ok(map.container.contains(map.zoomOverlay));
+      assert.ok(map.container.contains(map.loadingEl));
+      assert.ok(map.container.contains(map.coordsEl));
+    }
+    assert.notStrictEqual(byId.canvas, byElement.canvas);
+    assert.notStrictEqual(byId.coordsEl, byElement.coordsEl);
+
+    byId.destroy();
+    byElement.destroy();
+  });
+
+  it('should keep options per instance', () => {
+    const main = new Atlas('main-map', { defaultCenter: { lon: -12.9, lat: 27.9 }, defaultZoom: 12 });
+    const compare = new Atlas('compare-map', { defaultZoom: 5 });
+
+    assert.strictEqual(main.getZoom(), 12);
+    assert.strictEqual(compare.getZoom(), 5);
+    assert.ok(compare.getCenter().equals({ lat: 0, lon: 0 }));
+    assert.strictEqual(main.options.defaultZoom, 12);
+
+    main.destroy();
+    compare.destroy();
+  });
+
+  it('should give each map its own preset tile layers', () => {
+    const main = new Atlas('main-map');
+    const compare = new Atlas('compare-map');
+
+    main.setBaseLayer(main.getPresetLayer('OSM'));
+    compare.setBaseLayer(compare.getPresetLayer('OSM'));
+
+    assert.notStrictEqual(main.getBaseLayer(), compare.getBaseLayer());
+    assert.strictEqual(main.getBaseLayer()._map, main);
+    assert.strictEqual(compare.getBaseLayer()._map, compare);
+
+    main.destroy();
+    compare.destroy();
+  });
+
+  it('should throw for a missing element', () => {
+    assert.throws(() => new Atlas('does-not-exist'), /was not found/);
+  });
+
+  it('should remove the elements it created on destroy', () => {
+    const container = document.getElementById('main-map');
+    const map = new Atlas(container);
+    map.destroy();
+    assert.strictEqual(container.querySelector('canvas'), null);
+    assert.strictEqual(container.querySelector('.atlas-coords'), null);
+  });
+});
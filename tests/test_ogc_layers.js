@@ -0,0 +1,190 @@
+const assert = require('assert');
+const http = require('http');
+require('./helpers');
+
+// A trimmed GetCapabilities document with a Web Mercator set, an EPSG:4326 set and a
+// layer without a REST template.
+const matrices = (prefix, scale0, topLeft, width, levels) => Array.from({ length: levels }, (_, z) => `
+      <TileMatrix>
+        <ows:Identifier>${prefix}${z}</ows:Identifier>
+        <ScaleDenominator>${scale0 / 2 ** z}</ScaleDenominator>
+        <TopLeftCorner>${topLeft}</TopLeftCorner>
+        <TileWidth>256</TileWidth>
+        <TileHeight>256</TileHeight>
+        <MatrixWidth>${width * 2 ** z}</MatrixWidth>
+        <MatrixHeight>${2 ** z}</MatrixHeight>
+      </TileMatrix>`).join('');
+
+const CAPABILITIES = `<?xml version="1.0" encoding="UTF-8"?>
+<Capabilities xmlns="http://www.opengis.net/wmts/1.0" xmlns:ows="http://www.opengis.net/ows/1.1"
+    xmlns:xlink="http://www.w3.org/1999/xlink" version="1.0.0">
+  <ows:OperationsMetadata>
+    <ows:Operation name="GetTile">
+      <ows:DCP><ows:HTTP><ows:Get xlink:href="https://tiles.example.org/wmts?"/></ows:HTTP></ows:DCP>
+    </ows:Operation>
+  </ows:OperationsMetadata>
+  <Contents>
+    <Layer>
+      <ows:Title>Orthophotos</ows:Title>
+      <ows:Identifier>ortho</ows:Identifier>
+      <Style><ows:Identifier>light</ows:Identifier></Style>
+      <Style isDefault="true"><ows:Identifier>normal</ows:Identifier></Style>
+      <Format>image/jpeg</Format>
+      <TileMatrixSetLink><TileMatrixSet>WorldCRS84Quad</TileMatrixSet></TileMatrixSetLink>
+      <TileMatrixSetLink><TileMatrixSet>GoogleMapsCompatible</TileMatrixSet></TileMatrixSetLink>
+      <ResourceURL format="image/jpeg" resourceType="tile"
+        template="https://tiles.example.org/{Time}/ortho/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.jpg"/>
+    </Layer>
+    <Layer>
+      <ows:Identifier>roads</ows:Identifier>
+      <Format>image/png</Format>
+      <TileMatrixSetLink><TileMatrixSet>GoogleMapsCompatible</TileMatrixSet></TileMatrixSetLink>
+    </Layer>
+    <TileMatrixSet>
+      <ows:Identifier>GoogleMapsCompatible</ows:Identifier>
+      <ows:SupportedCRS>urn:ogc:def:crs:EPSG:6.18.3:3857</ows:SupportedCRS>${matrices('', 559082264.0287178, '-20037508.3427892 20037508.3427892', 1, 6)}
+    </TileMatrixSet>
+    <TileMatrixSet>
+      <ows:Identifier>WorldCRS84Quad</ows:Identifier>
+      <ows:SupportedCRS>urn:ogc:def:crs:EPSG::4326</ows:SupportedCRS>${matrices('EPSG:4326:', 279541132.0143589, '90 -180', 2, 4)}
+    </TileMatrixSet>
+  </Contents>
+</Capabilities>`;
+
+describe('WMS and WMTS tile layers', () => {
+  let Atlas, TileLayer, WMSTileLayer, WMTSTileLayer;
+
+  before(() => {
+    ({ Atlas, TileLayer, WMSTileLayer, WMTSTileLayer } = require('../Atlas.js'));
+  });
+
+  const query = url => Object.fromEntries(new URL(url).searchParams);
+  const bbox = url => query(url).BBOX.split(',').map(Number);
+  const near = (a, b, eps = 1e-6) => a.every((value, i) => Math.abs(value - b[i]) < eps);
+  const HALF_WORLD = 20037508.342789244;
+
+  describe('TileLayer.WMS', () => {
+    it('should build GetMap requests from the tile bounds', () => {
+      assert.strictEqual(TileLayer.WMS, WMSTileLayer);
+      const layer = new TileLayer.WMS('https://gis.example.org/wms?map=communes', {
+        layers: 'communes,bureaux',
+        transparent: true,
+        params: { TIME: '2026-09-08', cql_filter: "region='Souss'" }
+      });
+      const url = layer.getTileUrl({ x: 0, y: 0, z: 1 });
+      assert.ok(url.startsWith('https://gis.example.org/wms?map=communes&SERVICE=WMS&REQUEST=GetMap'));
+      assert.deepStrictEqual(query(url), {
+        map: 'communes', SERVICE: 'WMS', REQUEST: 'GetMap', VERSION: '1.3.0', LAYERS: 'communes,bureaux', STYLES: '',
+        FORMAT: 'image/png', TRANSPARENT: 'TRUE', WIDTH: '256', HEIGHT: '256', CRS: 'EPSG:3857',
+        TIME: '2026-09-08', cql_filter: "region='Souss'", BBOX: query(url).BBOX
+      });
+      assert.ok(near(bbox(url), [-HALF_WORLD, 0, 0, HALF_WORLD]));
+    });
+
+    it('should follow the axis order and parameter names of the version', () => {
+      const map = new Atlas('map', { crs: 'EPSG:4326', defaultZoom: 0 });
+      const modern = new WMSTileLayer('https://gis.example.org/wms', { layers: 'relief' });
+      const legacy = new WMSTileLayer('https://gis.example.org/wms', { layers: 'relief', version: '1.1.1' });
+      map.addLayer(modern);
+      map.addLayer(legacy);
+
+      const modernUrl = modern.getTileUrl({ x: 1, y: 0, z: 0 });
+      assert.strictEqual(query(modernUrl).CRS, 'EPSG:4326');
+      assert.deepStrictEqual(bbox(modernUrl), [-90, 0, 90, 180]);
+      const legacyUrl = legacy.getTileUrl({ x: 1, y: 0, z: 0 });
+      assert.strictEqual(query(legacyUrl).SRS, 'EPSG:4326');
+      assert.deepStrictEqual(bbox(legacyUrl), [0, -90, 180, 90]);
+      map.destroy();
+    });
+
+    it('should load tiles through the tile cache and reload them on setParams', () => {
+      const map = new Atlas('map', { defaultCenter: [30, -9], defaultZoom: 5 });
+      const layer = new WMSTileLayer('https://gis.example.org/wms', { layers: 'communes' });
+      const urls = [];
+      layer._loadTile = (key, url) => {
+        urls.push(url);
+        layer.tileCache.set(key, { img: null, lastUsed: 0 });
+      };
+      layer._preloadAdjacentZoomTiles = () => {};
+      map.setBaseLayer(layer);
+      layer.render();
+      assert.ok(urls.length > 0 && urls.every(url => query(url).REQUEST === 'GetMap'));
+
+      layer.setParams({ TIME: '2026-09-09' });
+      assert.strictEqual(layer.tileCache.size, 0);
+      urls.length = 0;
+      layer.render();
+      assert.ok(urls.length > 0 && urls.every(url => query(url).TIME === '2026-09-09'));
+      map.destroy();
+    });
+
+    it('should require the layers option', () => {
+      assert.throws(() => new WMSTileLayer('https://gis.example.org/wms'), /needs the layers option/);
+    });
+  });
+
+  describe('TileLayer.WMTS', () => {
+    it('should pick the TileMatrixSet in the map CRS', () => {
+      assert.strictEqual(TileLayer.WMTS, WMTSTileLayer);
+      const layer = new TileLayer.WMTS(CAPABILITIES, { layer: 'ortho', dimensions: { Time: 2026 } });
+      assert.strictEqual(layer.tileMatrixSet, 'GoogleMapsCompatible');
+      assert.strictEqual(layer.crs, 'EPSG:3857');
+      assert.strictEqual(layer.options.minZoom, 0);
+      assert.strictEqual(layer.options.maxZoom, 5);
+      assert.strictEqual(
+        layer.getTileUrl({ x: 3, y: 5, z: 4 }),
+        'https://tiles.example.org/2026/ortho/normal/GoogleMapsCompatible/4/5/3.jpg'
+      );
+      assert.ok(!layer._isTileInRange(0, 0, 6), 'no TileMatrix for zoom 6');
+    });
+
+    it('should map EPSG:4326 matrices with latitude-first corners', () => {
+      const map = new Atlas('map', { crs: 'EPSG:4326', defaultZoom: 0 });
+      const layer = new WMTSTileLayer(CAPABILITIES, { layer: 'ortho', crs: 'EPSG:4326', style: 'light', dimensions: { Time: 2026 } });
+      map.addLayer(layer);
+      assert.strictEqual(layer.tileMatrixSet, 'WorldCRS84Quad');
+      assert.deepStrictEqual(layer.tileMatrices[0].topLeft, { x: -180, y: 90 });
+      assert.strictEqual(
+        layer.getTileUrl({ x: 1, y: 0, z: 0 }),
+        'https://tiles.example.org/2026/ortho/light/WorldCRS84Quad/EPSG%3A4326%3A0/0/1.jpg'
+      );
+      map.destroy();
+    });
+
+    it('should fall back to KVP GetTile requests', () => {
+      const layer = new WMTSTileLayer(CAPABILITIES, { layer: 'roads' });
+      assert.deepStrictEqual(query(layer.getTileUrl({ x: 1, y: 2, z: 2 })), {
+        SERVICE: 'WMTS', REQUEST: 'GetTile', VERSION: '1.0.0', LAYER: 'roads', STYLE: 'default',
+        TILEMATRIXSET: 'GoogleMapsCompatible', TILEMATRIX: '2', TILEROW: '2', TILECOL: '1', FORMAT: 'image/png'
+      });
+    });
+
+    it('should throw clear errors for layers and sets it cannot use', () => {
+      assert.throws(() => new WMTSTileLayer(CAPABILITIES, { layer: 'cadastre' }), /no layer "cadastre". Available: ortho, roads/);
+      assert.throws(() => new WMTSTileLayer(CAPABILITIES, { layer: 'roads', crs: 'EPSG:4326' }), /no TileMatrixSet in EPSG:4326/);
+      const layer = new WMTSTileLayer(CAPABILITIES, { layer: 'ortho' });
+      assert.throws(() => layer.getTileUrl({ x: 0, y: 0, z: 1 }), /No value for \{Time\}/);
+    });
+
+    it('should fetch capabilities from a server', async () => {
+      const server = http.createServer((req, res) => {
+        if (req.url === '/wmts/1.0.0/WMTSCapabilities.xml') {
+          res.writeHead(200, { 'Content-Type': 'application/xml' });
+          res.end(CAPABILITIES);
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const base = `http://127.0.0.1:${server.address().port}`;
+      try {
+        const layer = await WMTSTileLayer.fromCapabilities(`${base}/wmts/1.0.0/WMTSCapabilities.xml`, { layer: 'roads' });
+        assert.strictEqual(layer.tileMatrixSet, 'GoogleMapsCompatible');
+        await assert.rejects(WMTSTileLayer.fromCapabilities(`${base}/missing.xml`, { layer: 'roads' }), /HTTP 404/);
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const assert = require('assert');
+require('./helpers');
+
+// Reference values computed with proj4js.
+const RABAT = { lat: 34.02, lon: -6.84 };
+const RABAT_MERCHICH = { x: 366891.4313, y: 381040.1598 };
+const TARFAYA = { lat: 27.94, lon: -12.92 };
+const TARFAYA_SUD_MAROC = { x: -239784.6697, y: 129302.3362 };
+
+describe('Proj', () => {
+  let AtlasMarker, GeoJSONLayer, Proj;
+
+  before(() => {
+    ({ AtlasMarker, GeoJSONLayer, Proj } = require('../Atlas.js'));
+  });
+
+  const nearPoint = (p, q, eps = 1e-3) => Math.abs(p.x - q.x) < eps && Math.abs(p.y - q.y) < eps;
+  const nearLatLng = (p, q, eps = 1e-8) => Math.abs(p.lat - q.lat) < eps && Math.abs(p.lon - q.lon) < eps;
+
+  it('should convert to and from Merchich Lambert zones', () => {
+    const nord = Proj.get('EPSG:26191');
+    assert.ok(nearPoint(nord.project(RABAT), RABAT_MERCHICH));
+    assert.ok(nearLatLng(nord.unproject(RABAT_MERCHICH), RABAT, 1e-7));
+
+    const sud = Proj.get('urn:ogc:def:crs:EPSG::26192');
+    assert.strictEqual(sud, Proj.get('EPSG:26192'));
+    assert.ok(nearPoint(sud.project(TARFAYA), TARFAYA_SUD_MAROC));
+  });
+
+  it('should convert UTM and two-parallel Lambert definitions', () => {
+    const utm = Proj.get('EPSG:32629');
+    assert.ok(nearPoint(utm.project(RABAT), { x: 699442.3672, y: 3766477.4563 }));
+    assert.ok(nearLatLng(utm.unproject(utm.project(RABAT)), RABAT));
+
+    Proj.define('EPSG:2154', '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs');
+    const paris = Proj.transform('EPSG:4326', 'EPSG:2154', [2.35, 48.85]);
+    assert.ok(nearPoint(paris, { x: 652301.5648, y: 6861302.7259 }));
+  });
+
+  it('should apply seven-parameter datum shifts', () => {
+    const osgb = new Proj('+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy ' +
+      '+towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs');
+    assert.ok(nearPoint(osgb.project({ lat: 51.5, lon: -0.12 }), { x: 530591.1664, y: 179571.0646 }, 0.01));
+  });
+
+  it('should throw clear errors for unsupported definitions', () => {
+    assert.throws(() => Proj.get('EPSG:9999'), /Unknown CRS "EPSG:9999"/);
+    assert.throws(() => new Proj('+proj=robin +lon_0=0'), /Unsupported projection "\+proj=robin"/);
+    assert.throws(() => new Proj('+proj=utm +zone=61'), /needs a \+zone from 1 to 60/);
+    assert.throws(() => new Proj('+proj=longlat +towgs84=1,2'), /needs 3 or 7 numbers/);
+  });
+
+  it('should show GeoJSON in a source CRS in WGS84', () => {
+    const layer = new GeoJSONLayer({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: [[RABAT_MERCHICH.x, RABAT_MERCHICH.y], [500000, 300000]] },
+      properties: { name: 'Rabat' }
+    }, { sourceCrs: 'EPSG:26191' });
+    const [start] = layer.getData().features[0].geometry.coordinates;
+    assert.ok(nearLatLng({ lat: start[1], lon: start[0] }, RABAT, 1e-7));
+    assert.strictEqual(layer.getData().features[0].properties.name, 'Rabat');
+    assert.ok(layer.getBounds().contains([34, -6.8]));
+
+    assert.throws(
+      () => new GeoJSONLayer({ type: 'Point', coordinates: ['x', 'y'] }, { sourceCrs: 'EPSG:26191' }),
+      /positions are \[x, y\] arrays/
+    );
+  });
+
+  it('should read the legacy crs member of GeoJSON', () => {
+    const layer = new GeoJSONLayer({
+      type: 'FeatureCollection',
+      crs: { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::26192' } },
+      features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [TARFAYA_SUD_MAROC.x, TARFAYA_SUD_MAROC.y] }, properties: {} }]
+    });
+    const [lon, lat] = layer.getData().features[0].geometry.coordinates;
+    assert.ok(nearLatLng({ lat, lon }, TARFAYA, 1e-7));
+    assert.strictEqual(layer.getData().crs, undefined);
+  });
+
+  it('should place markers from projected positions', () => {
+    const marker = new AtlasMarker([RABAT_MERCHICH.x, RABAT_MERCHICH.y], { sourceCrs: 'EPSG:26191' });
+    assert.ok(nearLatLng(marker.getLatLng(), RABAT, 1e-7));
+    marker.setLatLng({ x: 500000, y: 300000 });
+    assert.ok(Math.abs(marker.getLatLng().lat - 33.3) < 0.01);
+    assert.throws(() => marker.setLatLng({ lat: 34, lon: -6 }), /expected \[x, y\] or \{ x, y \}/);
+  });
+});
@@ -0,0 +1,89 @@
+const assert = require('assert');
+require('./helpers');
+
+describe('Projections', () => {
+  let Atlas, TileLayer, GISUtils, WebMercatorProjection, EquirectangularProjection, CRS;
+
+  before(() => {
+    ({ Atlas, TileLayer, GISUtils, WebMercatorProjection, EquirectangularProjection, CRS } = require('../Atlas.js'));
+  });
+
+  const near = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+  // A flat grid in kilometers around (0, 0), enough to check the tile math.
+  const flat = {
+    project: ({ lat, lon }) => ({ x: lon * 1000, y: lat * 1000 }),
+    unproject: ({ x, y }) => ({ lat: y / 1000, lon: x / 1000 })
+  };
+  const localCrs = () => new CRS('LOCAL:1', flat, {
+    origin: [-10000, 10000],
+    resolutions: [64, 32, 16, 8],
+    bounds: [[0, 0], [8192, 4096]]
+  });
+
+  // Renders the layer once and returns the keys of the tiles it requested.
+  const requestedTiles = (map, layer) => {
+    const keys = [];
+    layer._loadTile = (key) => { keys.push(key); };
+    layer._preloadAdjacentZoomTiles = () => {};
+    map.setBaseLayer(layer);
+    layer.render();
+    return keys.map(key => key.split('/').map(Number));
+  };
+
+  it('should keep the Web Mercator tile grid', () => {
+    const mercator = new WebMercatorProjection();
+    const tile = mercator.latLngToTile({ lat: 0, lon: 0 }, 1);
+    assert.ok(near(tile.x, 1) && near(tile.y, 1));
+    const ll = mercator.tileToLatLng(0, 0, 3);
+    assert.ok(near(ll.lon, -180) && near(ll.lat, 85.0511287798, 1e-6));
+    assert.deepStrictEqual(mercator.getTileRange(2), { minX: 0, minY: 0, maxX: 4, maxY: 4 });
+    assert.ok(near(GISUtils.getResolution(0, 0), 156543.03392804097, 1e-6));
+  });
+
+  it('should lay two tiles side by side at zoom 0 in EPSG:4326', () => {
+    const plate = new EquirectangularProjection();
+    assert.deepStrictEqual(plate.getTileRange(0), { minX: 0, minY: 0, maxX: 2, maxY: 1 });
+    const tile = plate.latLngToTile({ lat: 90, lon: -180 }, 0);
+    assert.ok(near(tile.x, 0) && near(tile.y, 0));
+    const ll = plate.tileToLatLng(2, 1, 0);
+    assert.ok(near(ll.lon, 180) && near(ll.lat, -90));
+  });
+
+  it('should only request EPSG:4326 tiles inside the grid', () => {
+    const map = new Atlas('map', { crs: 'EPSG:4326', defaultZoom: 0 });
+    assert.strictEqual(map.projection.code, 'EPSG:4326');
+    const tiles = requestedTiles(map, new TileLayer('https://wms.example.com/{z}/{x}/{y}.png'));
+    assert.ok(tiles.length > 0);
+    assert.ok(tiles.every(([z, x, y]) => z === 0 && y === 0));
+    map.destroy();
+  });
+
+  it('should define a grid from an origin, resolutions and bounds', () => {
+    const crs = localCrs();
+    assert.ok(near(crs.scale(2), 1 / 16));
+    assert.ok(near(crs.scale(2.5), Math.SQRT2 / 16));
+    assert.ok(near(crs.zoom(1 / 16), 2));
+    assert.ok(near(crs.zoom(1), 6), 'past the last resolution, zoom levels keep doubling the scale');
+    // The bounds start 10 km right of and 5.904 km below the origin; zoom 3 tiles are 2.048 km wide.
+    assert.deepStrictEqual(crs.getTileRange(0), { minX: 0, minY: 0, maxX: 2, maxY: 1 });
+    assert.deepStrictEqual(crs.getTileRange(3), { minX: 4, minY: 2, maxX: 9, maxY: 5 });
+    assert.ok(near(GISUtils.getResolution(0, 3, crs), 8));
+  });
+
+  it('should show a custom CRS without wrapping tiles', () => {
+    const map = new Atlas('map', { crs: localCrs(), defaultCenter: { lat: 2, lon: 4 }, defaultZoom: 3 });
+    const point = map.latLngToContainerPoint({ lat: 2.008, lon: 4.016 });
+    // 16 m and 8 m at 8 m per pixel.
+    assert.ok(near(point.x, 2, 1e-6) && near(point.y, -1, 1e-6));
+
+    const tiles = requestedTiles(map, new TileLayer('https://grid.example.com/{z}/{x}/{y}.png'));
+    assert.ok(tiles.length > 0);
+    assert.ok(tiles.every(([z, x, y]) => z === 3 && x >= 4 && x < 9 && y >= 2 && y < 5));
+    map.destroy();
+  });
+
+  it('should reject unknown CRS codes', () => {
+    assert.throws(() => new Atlas('map', { crs: 'EPSG:2154' }), /Unknown CRS "EPSG:2154"/);
+  });
+});
@@ -0,0 +1,210 @@
+const assert = require('assert');
+const { recordingContext } = require('./helpers');
+
+// Encodes elevations, a function of the column and row, as the pixels of a Terrain-RGB
+// or Terrarium tile.
+const encodeTile = (elevation, size = 4, encoding = 'terrain-rgb') => {
+  const data = new Uint8ClampedArray(size * size * 4);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const e = elevation(col, row);
+      const p = (row * size + col) * 4;
+      if (encoding === 'terrain-rgb') {
+        const v = Math.round((e + 10000) * 10);
+        data.set([v >> 16, (v >> 8) & 255, v & 255, 255], p);
+      } else {
+        const v = e + 32768;
+        data.set([Math.floor(v / 256), Math.floor(v) % 256, Math.round((v % 1) * 256), 255], p);
+      }
+    }
+  }
+  return { width: size, height: size, data };
+};
+
+describe('TerrainLayer', () => {
+  let Atlas, TerrainLayer, WebMercatorProjection;
+  let map;
+
+  before(() => {
+    ({ Atlas, TerrainLayer, WebMercatorProjection } = require('../Atlas.js'));
+  });
+
+  afterEach(() => {
+    if (map) {
+      map.destroy();
+      map = null;
+    }
+  });
+
+  // A layer whose tiles are a plane rising 2000 m a pixel to the east, from 1000 m.
+  const createLayer = (options = {}) => new TerrainLayer('', {
+    tileLoader: () => Promise.resolve(encodeTile((col) => 1000 + 2000 * col)),
+    ...options
+  });
+  // Records the colours of each tile the layer shades.
+  const spyShade = (layer) => {
+    const shaded = [];
+    const shade = layer._shade.bind(layer);
+    layer._shade = (tile, grid, pixels, azimuth) => {
+      shade(tile, grid, pixels, azimuth);
+      shaded.push({ azimuth, pixels });
+    };
+    return shaded;
+  };
+  const rgb = (pixels, col, row, size = 4) => Array.from(pixels.slice((row * size + col) * 4, (row * size + col) * 4 + 3));
+
+  describe('decoding', () => {
+    it('should decode Terrain-RGB and Terrarium tiles', () => {
+      const elevation = (col, row) => [-420.5, 0, 8848.5, 1234][col] + row;
+      for (const encoding of ['terrain-rgb', 'terrarium']) {
+        const grid = TerrainLayer.decodeElevation(encodeTile(elevation, 4, encoding), encoding);
+        assert.strictEqual(grid.width, 4);
+        assert.deepStrictEqual(Array.from(grid.data.slice(0, 4)), [-420.5, 0, 8848.5, 1234]);
+        assert.strictEqual(grid.data[15], 1237);
+      }
+    });
+
+    it('should reject unknown encodings and modes', () => {
+      assert.throws(() => new TerrainLayer('', { encoding: 'lerc' }), /Unknown terrain encoding "lerc"/);
+      assert.throws(() => new TerrainLayer('', { mode: ['hillshade', 'contours'] }), /Unknown terrain mode "contours"/);
+      assert.throws(() => new TerrainLayer('').setColorRamp('slope', [[0, 'red']]), /hex colours/);
+      assert.throws(() => new TerrainLayer('').setColorRamp('hillshade', [[0, '#fff']]), /Only the slope and hypsometric/);
+    });
+  });
+
+  describe('elevations', () => {
+    it('should interpolate the elevation of the loaded tiles', async () => {
+      map = new Atlas('map', { defaultCenter: [0, 0], defaultZoom: 10 });
+      const layer = createLayer({ overlay: true });
+      layer.render = () => {};
+      map.addLayer(layer);
+      assert.strictEqual(map.queryElevation([-0.1, 0.1]), null);
+
+      await layer._loadTile('10/512/512', 'unused');
+      const projection = new WebMercatorProjection();
+      // The center of the tile is between the second and third columns.
+      const center = projection.tileToLatLng(512.5, 512.5, 10);
+      assert.ok(Math.abs(layer.getElevation(center) - 4000) < 0.1);
+      // At the center of the first pixel, and past it at the edge of the tile.
+      const first = projection.tileToLatLng(512 + 1 / 8, 512 + 1 / 8, 10);
+      assert.ok(Math.abs(map.queryElevation(first) - 1000) < 0.1);
+      assert.ok(Math.abs(map.queryElevation(projection.tileToLatLng(512.001, 512.5, 10)) - 1000) < 0.1);
+      assert.strictEqual(layer.tileCache.get('10/512/512').img, null, 'the pixels are not kept');
+    });
+
+    it('should fall back to tiles of lower zoom levels', async () => {
+      const layer = createLayer();
+      await layer._loadTile('9/256/256', 'unused');
+      const center = new WebMercatorProjection().tileToLatLng(256.5, 256.5, 9);
+      assert.ok(Math.abs(layer.getElevation(center) - 4000) < 0.1);
+      assert.strictEqual(layer.getElevation([10, 10]), null);
+    });
+  });
+
+  describe('shading', () => {
+    const shadeTile = async (layer) => {
+      const shaded = spyShade(layer);
+      const tile = await layer._loadTile('10/512/512', 'unused');
+      layer._drawTile(recordingContext().ctx, tile, 0, 0, 256);
+      return shaded.pop().pixels;
+    };
+
+    it('should light slopes facing the sun', async () => {
+      const flat = new TerrainLayer('', { tileLoader: () => Promise.resolve(encodeTile(() => 500)) });
+      // The sine of the sun's altitude.
+      assert.deepStrictEqual(rgb(await shadeTile(flat), 1, 1), [180, 180, 180]);
+
+      const west = await shadeTile(createLayer({ sunAzimuth: 270 }));
+      const east = await shadeTile(createLayer({ sunAzimuth: 90 }));
+      assert.ok(rgb(west, 1, 1)[0] > 180);
+      assert.ok(rgb(east, 1, 1)[0] < 180);
+      // Past the edges of the tile, the slope is that of the edge.
+      assert.deepStrictEqual(rgb(east, 0, 0), rgb(east, 1, 1));
+      const steep = await shadeTile(createLayer({ sunAzimuth: 90, exaggeration: 3 }));
+      assert.ok(rgb(steep, 1, 1)[0] < rgb(east, 1, 1)[0]);
+    });
+
+    it('should measure slopes on the ground in each direction in EPSG:4326', async () => {
+      map = new Atlas('map', { crs: 'EPSG:4326', defaultCenter: [60, 0], defaultZoom: 10 });
+      const shade = async (elevation, sunAzimuth) => {
+        const layer = new TerrainLayer('', { overlay: true, sunAzimuth, tileLoader: () => Promise.resolve(encodeTile(elevation)) });
+        layer.render = () => {};
+        map.addLayer(layer);
+        const shaded = spyShade(layer);
+        // Around 60°N, where its pixels are half as wide on the ground as they are high.
+        const tile = await layer._loadTile('10/1024/170', 'unused');
+        layer._drawTile(recordingContext().ctx, tile, 0, 0, 256);
+        return shaded.pop().pixels;
+      };
+      // The same slope, away from the sun, rising 1000 m a pixel to the east and 2000 m a pixel to the north.
+      const [east] = rgb(await shade(col => 1000 + 1000 * col, 90), 1, 1);
+      const [north] = rgb(await shade((col, row) => 9000 - 2000 * row, 0), 1, 1);
+      assert.ok(east < 180 && Math.abs(east - north) <= 1, `${east} and ${north}`);
+    });
+
+    it('should keep the sun in its place on the screen as the map rotates', async () => {
+      map = new Atlas('map', { defaultCenter: [0, 0], defaultZoom: 10 });
+      const layer = createLayer({ overlay: true, sunAzimuth: 270 });
+      layer.render = () => {};
+      map.addLayer(layer);
+      const lit = await shadeTile(layer);
+      map.bearing = Math.PI;
+      layer.tileCache.get('10/512/512').shadedKey = null;
+      const turned = await shadeTile(layer);
+      const east = await shadeTile(createLayer({ sunAzimuth: 90 }));
+      assert.deepStrictEqual(rgb(turned, 1, 1), rgb(east, 1, 1));
+      assert.notDeepStrictEqual(rgb(turned, 1, 1), rgb(lit, 1, 1));
+    });
+
+    it('should tint by elevation and slope', async () => {
+      const tint = await shadeTile(createLayer({
+        mode: 'hypsometric',
+        colorRamps: { hypsometric: [[0, '#000000'], [8000, '#ffffff']] }
+      }));
+      // 1000 m and 7000 m.
+      assert.deepStrictEqual(rgb(tint, 0, 0), [32, 32, 32]);
+      assert.deepStrictEqual(rgb(tint, 3, 0), [223, 223, 223]);
+
+      const slope = await shadeTile(createLayer({ mode: 'slope', colorRamps: { slope: [[0, '#fff'], [90, '#f00']] } }));
+      const [r, g, b] = rgb(slope, 1, 1);
+      assert.ok(r === 255 && g === b && g < 255 && g > 200, `${[r, g, b]}`);
+
+      // Modes multiply.
+      const both = await shadeTile(createLayer({ mode: ['hypsometric', 'hillshade'], colorRamps: { hypsometric: [[0, '#808080']] } }));
+      const shade = await shadeTile(createLayer());
+      assert.ok(Math.abs(rgb(both, 1, 1)[0] - rgb(shade, 1, 1)[0] * 128 / 255) <= 1);
+    });
+
+    it('should shade each tile once until the style or the sun changes', async () => {
+      map = new Atlas('map', { defaultCenter: [0, 0], defaultZoom: 10 });
+      map.canvas.width = 800;
+      map.canvas.height = 600;
+      map.dpr = 1;
+      const layer = createLayer({ fadeDuration: 0 });
+      layer._preloadAdjacentZoomTiles = () => {};
+      const shaded = spyShade(layer);
+      map.setBaseLayer(layer);
+      layer.render();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const recording = recordingContext();
+      map.ctx = recording.ctx;
+      layer.render();
+      const drawn = recording.calls.filter(call => call.name === 'drawImage');
+      assert.ok(drawn.length > 4);
+      assert.ok(drawn.every(call => call.args[0].tagName === 'CANVAS'));
+      assert.strictEqual(shaded.length, drawn.length);
+
+      layer.render();
+      assert.strictEqual(shaded.length, drawn.length);
+      map.bearing = 0.5;
+      layer.render();
+      assert.ok(shaded.length > drawn.length);
+      const count = shaded.length;
+      layer.setSun(200, 30);
+      layer.render();
+      assert.ok(shaded.length > count);
+      assert.ok(shaded.slice(count).every(entry => entry.azimuth === Math.round(200 - 0.5 * 180 / Math.PI)));
+    });
+  });
+});
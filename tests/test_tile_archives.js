@@ -0,0 +1,264 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+require('./helpers');
+
+// The MBTiles fixtures were written with Python's sqlite3 module, with 1 KiB pages so that
+// the tables span several b-tree pages:
+// - tiles.mbtiles: a tiles table with zoom levels 0 to 3, each tile holding "tile z/x/tmsRow",
+//   except 3/4/4, which holds bytes 0 to 255 twenty times and spills onto overflow pages.
+// - map-images.mbtiles: map and images tables for zoom levels 1 and 2, all tiles "sea"
+//   except 2/1/2, which holds the same large tile.
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+const BIG_TILE = Buffer.concat(Array.from({ length: 20 }, () => Buffer.from(Array.from({ length: 256 }, (_, i) => i))));
+
+const varints = values => {
+  const bytes = [];
+  for (let value of values) {
+    while (value >= 128) {
+      bytes.push((value % 128) | 128);
+      value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+  }
+  return Buffer.from(bytes);
+};
+
+const directory = entries => zlib.gzipSync(varints([
+  entries.length,
+  ...entries.map((e, i) => e.tileId - (i > 0 ? entries[i - 1].tileId : 0)),
+  ...entries.map(e => e.runLength),
+  ...entries.map(e => e.length),
+  ...entries.map(e => e.offset + 1)
+]));
+
+// Writes a PMTiles v3 archive of PNG tiles for zoom levels 0 to 2, whose entries are split
+// over two gzipped leaf directories. Tiles 5 to 8, the first four of zoom 2, share one
+// entry with a run length of 4.
+const writePMTiles = () => {
+  const entries = [];
+  const chunks = [];
+  let offset = 0;
+  const add = (tileId, runLength, data) => {
+    entries.push({ tileId, runLength, offset, length: data.length });
+    chunks.push(data);
+    offset += data.length;
+  };
+  for (let id = 0; id <= 4; id++) add(id, 1, Buffer.from(`tile ${id}`));
+  add(5, 4, Buffer.from('tiles 5-8'));
+  add(9, 1, BIG_TILE);
+  const tileData = Buffer.concat(chunks);
+
+  const leaves = [directory(entries.slice(0, 3)), directory(entries.slice(3))];
+  const root = directory([
+    { tileId: 0, runLength: 0, offset: 0, length: leaves[0].length },
+    { tileId: entries[3].tileId, runLength: 0, offset: leaves[0].length, length: leaves[1].length }
+  ]);
+  const metadata = zlib.gzipSync(JSON.stringify({ name: 'Fixture', attribution: '© Fixture' }));
+
+  const header = Buffer.alloc(127);
+  header.write('PMTiles', 0);
+  header[7] = 3;
+  const sections = [root, metadata, Buffer.concat(leaves), tileData];
+  let position = 127;
+  sections.forEach((section, i) => {
+    header.writeBigUInt64LE(BigInt(position), 8 + i * 16);
+    header.writeBigUInt64LE(BigInt(section.length), 16 + i * 16);
+    position += section.length;
+  });
+  header[97] = 2; // gzip directories
+  header[98] = 1; // plain tiles
+  header[99] = 2; // PNG
+  header[100] = 0;
+  header[101] = 2;
+  header.writeInt32LE(-180e7, 102);
+  header.writeInt32LE(-85e7, 106);
+  header.writeInt32LE(180e7, 110);
+  header.writeInt32LE(85e7, 114);
+  header[118] = 1;
+  header.writeInt32LE(-6.84e7, 119);
+  header.writeInt32LE(34.02e7, 123);
+  return Buffer.concat([header, ...sections]);
+};
+
+describe('Tile archives', () => {
+  let ArchiveTileLayer, PMTilesSource, MBTilesSource;
+
+  before(() => {
+    ({ ArchiveTileLayer, PMTilesSource, MBTilesSource } = require('../Atlas.js'));
+  });
+
+  const text = bytes => Buffer.from(bytes).toString();
+
+  describe('PMTilesSource', () => {
+    it('should number tiles along Hilbert curves', () => {
+      assert.strictEqual(PMTilesSource.zxyToTileId(0, 0, 0), 0);
+      assert.deepStrictEqual([[0, 0], [0, 1], [1, 1], [1, 0]].map(([x, y]) => PMTilesSource.zxyToTileId(1, x, y)), [1, 2, 3, 4]);
+      assert.strictEqual(PMTilesSource.zxyToTileId(2, 0, 0), 5);
+      assert.strictEqual(PMTilesSource.zxyToTileId(2, 3, 0), 20);
+      assert.strictEqual(PMTilesSource.zxyToTileId(12, 3423, 1763), 19078479);
+    });
+
+    it('should read tiles through leaf directories and runs', async () => {
+      const source = new PMTilesSource(writePMTiles());
+      const header = await source.getHeader();
+      assert.strictEqual(header.maxZoom, 2);
+      assert.ok(header.center.equals([34.02, -6.84]));
+
+      assert.strictEqual(text(await source.getTile(0, 0, 0)), 'tile 0');
+      assert.strictEqual(text(await source.getTile(1, 1, 0)), 'tile 4');
+      // Tiles 5 to 8 are (0, 0), (1, 0), (1, 1) and (0, 1) at zoom 2.
+      assert.strictEqual(text(await source.getTile(2, 0, 1)), 'tiles 5-8');
+      assert.ok(Buffer.from(await source.getTile(2, 0, 2)).equals(BIG_TILE));
+      assert.strictEqual(await source.getTile(2, 3, 3), null);
+      assert.strictEqual(await source.getTile(3, 0, 0), null);
+
+      const info = await source.getInfo();
+      assert.strictEqual(info.type, 'image/png');
+      assert.strictEqual(info.attribution, '© Fixture');
+      assert.ok(info.bounds.contains([34.02, -6.84]));
+    });
+
+    it('should reject other files and versions', async () => {
+      await assert.rejects(new PMTilesSource(Buffer.alloc(200)).getHeader(), /Not a PMTiles archive/);
+      const v2 = writePMTiles();
+      v2[7] = 2;
+      await assert.rejects(new PMTilesSource(v2).getHeader(), /version 2 is not supported/);
+    });
+
+    describe('over HTTP', () => {
+      let server, base, requests;
+      const archive = writePMTiles();
+
+      before(async () => {
+        requests = [];
+        server = http.createServer((req, res) => {
+          requests.push(req.headers.range || 'all');
+          const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+          if (range && req.url === '/basemap.pmtiles') {
+            const body = archive.subarray(Number(range[1]), Number(range[2]) + 1);
+            res.writeHead(206, { 'Content-Range': `bytes ${range[1]}-${Number(range[1]) + body.length - 1}/${archive.length}` });
+            res.end(body);
+          } else if (req.url === '/plain.pmtiles') {
+            res.writeHead(200);
+            res.end(archive);
+          } else {
+            res.writeHead(404);
+            res.end();
+          }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+      });
+
+      after(() => {
+        server.close();
+      });
+
+      beforeEach(() => {
+        requests.length = 0;
+      });
+
+      it('should read ranges and keep leaf directories', async () => {
+        const source = new PMTilesSource(`${base}/basemap.pmtiles`);
+        assert.ok(Buffer.from(await source.getTile(2, 0, 2)).equals(BIG_TILE));
+        // The header and root, one leaf and the tile.
+        assert.strictEqual(requests.length, 3);
+        assert.strictEqual(requests[0], 'bytes=0-16383');
+        assert.strictEqual(text(await source.getTile(2, 1, 1)), 'tiles 5-8');
+        assert.strictEqual(requests.length, 4);
+      });
+
+      it('should read servers that ignore ranges, and report errors', async () => {
+        assert.strictEqual(text(await new PMTilesSource(`${base}/plain.pmtiles`).getTile(1, 0, 1)), 'tile 2');
+        await assert.rejects(new PMTilesSource(`${base}/missing.pmtiles`).getHeader(), /HTTP 404/);
+      });
+    });
+  });
+
+  describe('MBTilesSource', () => {
+    it('should read the tiles table, with rows from the bottom', async () => {
+      const source = new MBTilesSource(fixture('tiles.mbtiles'));
+      assert.strictEqual(text(await source.getTile(0, 0, 0)), 'tile 0/0/0');
+      assert.strictEqual(text(await source.getTile(2, 1, 0)), 'tile 2/1/3');
+      assert.strictEqual(text(await source.getTile(3, 7, 7)), 'tile 3/7/0');
+      assert.ok(Buffer.from(await source.getTile(3, 4, 3)).equals(BIG_TILE));
+      assert.strictEqual(await source.getTile(4, 0, 0), null);
+
+      const info = await source.getInfo();
+      assert.deepStrictEqual([info.minZoom, info.maxZoom, info.type], [0, 3, 'image/png']);
+      assert.ok(info.center.equals([34.02, -6.84]));
+      assert.strictEqual(info.attribution, '© Fixture');
+    });
+
+    it('should read the map and images tables', async () => {
+      const source = new MBTilesSource(fixture('map-images.mbtiles'));
+      assert.strictEqual(text(await source.getTile(1, 0, 0)), 'sea');
+      assert.ok(Buffer.from(await source.getTile(2, 1, 1)).equals(BIG_TILE));
+      assert.strictEqual(await source.getTile(0, 0, 0), null);
+      const info = await source.getInfo();
+      assert.deepStrictEqual([info.minZoom, info.maxZoom, info.type, info.bounds], [1, 2, 'image/jpeg', null]);
+    });
+
+    it('should reject files that are not MBTiles', () => {
+      assert.throws(() => new MBTilesSource(Buffer.alloc(100)), /Not an SQLite database/);
+    });
+  });
+
+  describe('ArchiveTileLayer', () => {
+    it('should take its zoom range and attribution from the archive', async () => {
+      const layer = new ArchiveTileLayer(fixture('tiles.mbtiles'), { maxZoom: 2 });
+      assert.ok(layer.source instanceof MBTilesSource);
+      await layer.ready;
+      assert.strictEqual(layer.getMinZoom(), 0);
+      assert.strictEqual(layer.getMaxZoom(), 2);
+      assert.strictEqual(layer.getAttribution(), '© Fixture');
+
+      // Past the last level of the archive, its tiles are scaled up.
+      const deeper = new ArchiveTileLayer(fixture('tiles.mbtiles'), { maxZoom: 6 });
+      await deeper.ready;
+      assert.strictEqual(deeper.getMaxZoom(), 6);
+      assert.strictEqual(deeper.options.maxNativeZoom, 3);
+    });
+
+    it('should load tiles from the archive into the tile pipeline', async () => {
+      const layer = new ArchiveTileLayer(writePMTiles());
+      assert.ok(layer.source instanceof PMTilesSource);
+      const url = layer._getTileUrl(0, 1, 1);
+      assert.strictEqual(url, 'archive/1/0/1');
+      const { blob, storedAt } = await layer._loadTileBlob(url, undefined, { x: 0, y: 1, z: 1 });
+      assert.strictEqual(blob.type, 'image/png');
+      assert.strictEqual(await blob.text(), 'tile 2');
+      assert.strictEqual(storedAt, null);
+      await assert.rejects(layer._fetchTile('archive/2/3/3', undefined, { x: 3, y: 3, z: 2 }), /no tile 2\/3\/3/);
+    });
+
+    it('should read tiles by their coordinates rather than their URL', async () => {
+      const layer = new ArchiveTileLayer(writePMTiles(), { supportsRetina: true });
+      layer._shouldRequestRetina = () => true;
+      const url = layer._getTileUrl(0, 1, 1);
+      assert.strictEqual(url, 'archive/1/0/1@2x');
+      window.createImageBitmap = blob => blob.text();
+      try {
+        const { img } = await layer._loadTileContent(url, new AbortController().signal, '1/0/1');
+        assert.strictEqual(img, 'tile 2');
+      } finally {
+        delete window.createImageBitmap;
+      }
+    });
+
+    it('should store the tiles of in-memory archives only under a namespace given to them', () => {
+      const store = {};
+      assert.throws(() => new ArchiveTileLayer(writePMTiles(), { store }), /set it to use a store/);
+      assert.strictEqual(new ArchiveTileLayer(writePMTiles(), { store, storeNamespace: 'roads' })._getStoreNamespace(), 'roads');
+      const remote = new ArchiveTileLayer({ url: 'https://data.example.org/basemap.pmtiles', getInfo: () => new Promise(() => {}) });
+      assert.strictEqual(remote._getStoreNamespace(), 'https://data.example.org/basemap.pmtiles/{z}/{x}/{y}');
+    });
+
+    it('should refuse unknown files', () => {
+      assert.throws(() => new ArchiveTileLayer(Buffer.from('not an archive')), /Unknown archive format/);
+    });
+  });
+});
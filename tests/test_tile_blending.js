@@ -0,0 +1,170 @@
+const assert = require('assert');
+const { recordingContext } = require('./helpers');
+
+describe('Tile layer opacity, fading and order', () => {
+  let Atlas, TileLayer;
+  let map, recording;
+
+  before(() => {
+    ({ Atlas, TileLayer } = require('../Atlas.js'));
+  });
+
+  beforeEach(() => {
+    map = new Atlas('map', { defaultCenter: [0, 0], defaultZoom: 2 });
+    map.canvas.width = 800;
+    map.canvas.height = 600;
+    map.dpr = 1;
+  });
+
+  afterEach(() => {
+    map.destroy();
+  });
+
+  // A layer whose tiles never arrive unless the test puts them in the cache.
+  const createLayer = (options = {}) => {
+    const layer = new TileLayer('https://tiles.example.org/{z}/{x}/{y}.png', options);
+    layer._loadTile = () => {};
+    layer._preloadAdjacentZoomTiles = () => {};
+    return layer;
+  };
+  const record = () => {
+    recording = recordingContext();
+    map.ctx = recording.ctx;
+  };
+  const drawn = name => recording.calls.filter(call => call.name === 'drawImage' && call.args[0].name === name);
+
+  describe('opacity and blend modes', () => {
+    it('should draw tiles with the layer opacity and blend mode', () => {
+      const layer = createLayer({ opacity: 0.5, blendMode: 'multiply' });
+      map.addLayer(layer);
+      layer.tileCache.set('2/1/1', { img: { name: 'tile' }, loaded: true, loadedAt: 0, lastUsed: 0 });
+      record();
+      layer.render();
+      assert.deepStrictEqual(drawn('tile').map(call => [call.alpha, call.blend]), [[0.5, 'multiply']]);
+
+      layer.setOpacity(2).setBlendMode('screen');
+      assert.strictEqual(layer.getOpacity(), 1);
+      record();
+      layer.render();
+      assert.deepStrictEqual(drawn('tile').map(call => [call.alpha, call.blend]), [[1, 'screen']]);
+    });
+
+    it('should reject unknown blend modes', () => {
+      assert.throws(() => createLayer({ blendMode: 'burn' }), /Unknown blend mode "burn"/);
+      assert.throws(() => createLayer().setBlendMode('add'), /Unknown blend mode "add"/);
+    });
+  });
+
+  describe('fading', () => {
+    it('should fade new tiles in over their placeholder', () => {
+      const layer = createLayer({ opacity: 0.8, fadeDuration: 200 });
+      map.addLayer(layer);
+      let scheduled = 0;
+      map.scheduleRender = () => scheduled++;
+      const tile = { img: { name: 'tile' }, loaded: true, loadedAt: Date.now() - 100, lastUsed: 0 };
+      layer.tileCache.set('1/0/0', { img: { name: 'parent' }, loaded: true, loadedAt: 0, lastUsed: 0 });
+      layer.tileCache.set('2/1/1', tile);
+      record();
+      layer.render();
+
+      const [fading] = drawn('tile');
+      assert.ok(fading.alpha > 0.3 && fading.alpha < 0.5, `alpha ${fading.alpha}`);
+      const parent = drawn('parent');
+      assert.ok(parent.every(call => call.alpha === 0.8));
+      const before = recording.calls.slice(0, recording.calls.indexOf(fading)).filter(call => call.name === 'drawImage');
+      assert.strictEqual(before.pop().args[0].name, 'parent');
+      assert.strictEqual(scheduled, 1, 'renders again until the fade ends');
+
+      tile.loadedAt = Date.now() - 300;
+      record();
+      layer.render();
+      assert.strictEqual(drawn('tile')[0].alpha, 0.8);
+      assert.ok(tile.faded);
+      assert.strictEqual(scheduled, 1);
+
+      // A reloaded tile replaces the old one at once.
+      tile.loadedAt = Date.now();
+      record();
+      layer.render();
+      assert.strictEqual(drawn('tile')[0].alpha, 0.8);
+    });
+
+    it('should show tiles at once without a fade duration', () => {
+      const layer = createLayer({ fadeDuration: 0 });
+      map.addLayer(layer);
+      layer.tileCache.set('2/1/1', { img: { name: 'tile' }, loaded: true, loadedAt: Date.now(), lastUsed: 0 });
+      record();
+      layer.render();
+      assert.strictEqual(drawn('tile')[0].alpha, 1);
+    });
+  });
+
+  describe('ordering', () => {
+    const spyRender = (layer, order) => {
+      layer.render = () => order.push(layer);
+      return layer;
+    };
+
+    it('should draw and hit-test layers by zIndex', () => {
+      const order = [];
+      const labels = spyRender(createLayer({ overlay: true, zIndex: 2 }), order);
+      const base = spyRender(createLayer(), order);
+      const hillshade = spyRender(createLayer({ overlay: true }), order);
+      map.addLayer(labels).addLayer(base).addLayer(hillshade);
+      map._draw();
+      assert.deepStrictEqual(order, [base, hillshade, labels]);
+
+      labels.setZIndex(-1);
+      order.length = 0;
+      map._draw();
+      assert.deepStrictEqual(order, [labels, base, hillshade]);
+
+      const tested = [];
+      for (const layer of [labels, base, hillshade]) {
+        layer.hitTest = () => {
+          tested.push(layer);
+          return null;
+        };
+      }
+      map._hitTestLayers({ x: 10, y: 10 });
+      assert.deepStrictEqual(tested, [hillshade, base, labels]);
+    });
+
+    it('should keep overlays over a new base layer', () => {
+      const labels = createLayer({ overlay: true });
+      map.addLayer(labels);
+      assert.strictEqual(map.getBaseLayer(), null);
+      map.removeLayer(labels);
+
+      const streets = createLayer();
+      const hillshade = createLayer({ overlay: true, opacity: 0.6 });
+      const satellite = createLayer({ background: '#000000' });
+      map.addLayer(streets).addLayer(hillshade);
+      assert.strictEqual(map.getBaseLayer(), streets);
+      map.setBaseLayer(satellite);
+      assert.strictEqual(map.getBaseLayer(), satellite);
+      assert.strictEqual(map.container.style.background, 'rgb(0, 0, 0)');
+      assert.deepStrictEqual(map._getOrderedLayers(), [satellite, hillshade]);
+
+      const terrain = createLayer();
+      map.addLayer(terrain);
+      map.setBaseLayer(streets);
+      assert.deepStrictEqual(map._getOrderedLayers(), [streets, hillshade, terrain]);
+
+      map.removeLayer(streets);
+      assert.strictEqual(map.getBaseLayer(), terrain);
+      map.removeLayer(terrain);
+      assert.strictEqual(map.getBaseLayer(), null);
+    });
+
+    it('should count the tiles loading in every tile layer', () => {
+      const base = createLayer();
+      const overlay = createLayer({ overlay: true });
+      map.addLayer(base).addLayer(overlay);
+      base.loadingTiles.add('2/0/0');
+      overlay.loadingTiles.add('2/0/0').add('2/1/0');
+      map._draw();
+      assert.strictEqual(map.loadingCountEl.textContent, '3');
+    });
+  });
+});
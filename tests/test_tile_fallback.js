@@ -0,0 +1,87 @@
+const assert = require('assert');
+const { recordingContext } = require('./helpers');
+
+describe('Tile fallback', () => {
+  let Atlas, TileLayer;
+  let map, recording, requested;
+
+  before(() => {
+    ({ Atlas, TileLayer } = require('../Atlas.js'));
+  });
+
+  // A layer on an 800x600 map around [0, 0], whose tiles never arrive unless the test
+  // puts them in the cache.
+  const setUp = (zoom, options = {}) => {
+    map = new Atlas('map', { defaultCenter: [0, 0], defaultZoom: zoom });
+    map.canvas.width = 800;
+    map.canvas.height = 600;
+    map.dpr = 1;
+    const layer = new TileLayer('https://tiles.example.org/{z}/{x}/{y}.png', { maxZoom: 8, ...options });
+    requested = [];
+    layer._loadTile = key => requested.push(key);
+    layer._preloadAdjacentZoomTiles = () => {};
+    map.setBaseLayer(layer);
+    recording = recordingContext();
+    map.ctx = recording.ctx;
+    return layer;
+  };
+
+  afterEach(() => {
+    map.destroy();
+  });
+
+  const loaded = name => ({ img: { name }, loaded: true, loadedAt: 0, lastUsed: 0 });
+  const drawn = name => recording.calls.filter(call => call.name === 'drawImage' && call.args[0].name === name).map(call => call.args.slice(1).map(Math.round));
+
+  it('should scale the parent tile into tiles that are loading', () => {
+    const layer = setUp(2);
+    layer.tileCache.set('1/0/0', loaded('parent'));
+    layer.render();
+    assert.ok(requested.includes('2/1/1'));
+    // Tiles 2/0/0 to 2/1/1 each show their quarter of 1/0/0, clipped to their square.
+    assert.deepStrictEqual(drawn('parent'), Array(4).fill([-512, -512, 512, 512]));
+    assert.ok(layer.tileCache.get('1/0/0').lastUsed > 0);
+  });
+
+  it('should look further up for an ancestor', () => {
+    const layer = setUp(3);
+    layer.tileCache.set('0/0/0', loaded('world'));
+    layer.render();
+    assert.ok(drawn('world').length > 0);
+    assert.ok(drawn('world').every(args => args[2] === 2048));
+  });
+
+  it('should shrink loaded child tiles into their parent', () => {
+    const layer = setUp(1);
+    layer.tileCache.set('2/1/1', loaded('child'));
+    layer.tileCache.set('2/2/2', loaded('other'));
+    layer.render();
+    assert.deepStrictEqual(drawn('child'), [[-128, -128, 128, 128]]);
+    assert.deepStrictEqual(drawn('other'), [[0, 0, 128, 128]]);
+
+    // Once the tile itself has loaded, its children are no longer drawn.
+    layer.tileCache.set('1/0/0', loaded('exact'));
+    recording.calls.length = 0;
+    layer.render();
+    assert.deepStrictEqual(drawn('exact'), [[-256, -256, 256, 256]]);
+    assert.deepStrictEqual(drawn('child'), []);
+  });
+
+  it('should scale up the tiles of maxNativeZoom past it', () => {
+    const layer = setUp(6.5, { maxNativeZoom: 4 });
+    layer.render();
+    assert.ok(requested.length > 0);
+    assert.ok(requested.every(key => key.startsWith('4/')));
+    const scale = recording.calls.find(call => call.name === 'scale');
+    assert.ok(Math.abs(scale.args[0] - Math.pow(2, 2.5)) < 1e-9);
+    // The map can still zoom to the layer's maxZoom.
+    assert.strictEqual(map.getMaxZoom(), 8);
+  });
+
+  it('should scale down the tiles of minNativeZoom below it', () => {
+    const layer = setUp(1, { minNativeZoom: 2 });
+    layer.render();
+    assert.ok(requested.length > 0 && requested.every(key => key.startsWith('2/')));
+    assert.deepStrictEqual(recording.calls.find(call => call.name === 'scale').args, [0.5, 0.5]);
+  });
+});
@@ -0,0 +1,138 @@
+const assert = require('assert');
+const http = require('http');
+require('./helpers');
+
+describe('Tile loading', () => {
+  let TileLayer;
+  let server, baseUrl, requests;
+
+  before(async () => {
+    ({ TileLayer } = require('../Atlas.js'));
+
+    server = http.createServer((req, res) => {
+      requests.push(req);
+      res.writeHead(req.url.includes('missing') ? 404 : 200, { 'Content-Type': 'image/png' });
+      res.end(Buffer.from(req.url));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    requests = [];
+    // A stand-in that "decodes" a blob or pixels into something drawImage() takes.
+    window.createImageBitmap = async (source) => ({
+      bitmap: source instanceof Blob ? await source.text() : source.data.length,
+      closed: false,
+      close() {
+        this.closed = true;
+      }
+    });
+  });
+
+  afterEach(() => {
+    delete window.createImageBitmap;
+  });
+
+  describe('tileLoader', () => {
+    it('should load tiles through the tileLoader with their coordinates', async () => {
+      const calls = [];
+      const layer = new TileLayer('https://tiles.example.org/{z}/{x}/{y}.png', {
+        tileLoader: (coords, signal) => {
+          calls.push({ coords, signal });
+          return Promise.resolve({ name: `${coords.z}-${coords.x}-${coords.y}` });
+        }
+      });
+      const tile = await layer._loadTile('2/5/1', 'unused');
+      // X wraps around the world, as in tile URLs.
+      assert.deepStrictEqual(calls[0].coords, { x: 1, y: 1, z: 2 });
+      assert.ok(calls[0].signal instanceof AbortSignal);
+      assert.ok(tile.loaded);
+      assert.strictEqual(tile.img.name, '2-1-1');
+    });
+
+    it('should turn ImageData into an image', async () => {
+      const layer = new TileLayer('', {
+        tileLoader: () => Promise.resolve({ width: 2, height: 2, data: new Uint8ClampedArray(16) })
+      });
+      const tile = await layer._loadTile('1/0/0', 'unused');
+      assert.strictEqual(tile.img.bitmap, 16);
+    });
+
+    it('should cancel the tileLoader with the tile', async () => {
+      let signal;
+      const layer = new TileLayer('', {
+        retries: 0,
+        tileLoader: (coords, s) => new Promise((resolve, reject) => {
+          signal = s;
+          s.addEventListener('abort', () => reject(new Error('aborted')));
+        })
+      });
+      const loading = layer._loadTile('1/0/0', 'unused');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      layer._abortTile('1/0/0');
+      assert.ok(signal.aborted);
+      assert.strictEqual((await loading).loaded, false);
+    });
+
+    it('should fail tiles for which the tileLoader returns nothing', async () => {
+      const layer = new TileLayer('', { retries: 0, tileLoader: () => Promise.resolve(null) });
+      const errors = [];
+      layer.on('tileerror', e => errors.push(e.error.message));
+      await layer._loadTile('1/0/0', 'unused');
+      assert.deepStrictEqual(errors, ['[Atlas] The tileLoader returned no image for tile 1/0/0.']);
+    });
+  });
+
+  describe('fetch', () => {
+    it('should fetch tiles with the headers and decode them with createImageBitmap', async () => {
+      const layer = new TileLayer(`${baseUrl}/{z}/{x}/{y}.png`, {
+        headers: { Authorization: 'Bearer secret' },
+        credentials: 'include'
+      });
+      const url = layer._getTileUrl(0, 0, 0);
+      const tile = await layer._loadTile('0/0/0', url);
+      assert.ok(tile.loaded);
+      assert.strictEqual(tile.img.bitmap, '/0/0/0.png');
+      assert.strictEqual(requests[0].headers.authorization, 'Bearer secret');
+    });
+
+    it('should report HTTP errors', async () => {
+      const layer = new TileLayer(`${baseUrl}/missing/{z}/{x}/{y}.png`, { retries: 0, headers: { 'X-Key': 'k' } });
+      const errors = [];
+      layer.on('tileerror', e => errors.push(e.error.message));
+      await layer._loadTile('0/0/0', layer._getTileUrl(0, 0, 0));
+      assert.strictEqual(errors.length, 1);
+      assert.match(errors[0], /HTTP 404/);
+      assert.strictEqual(requests[0].headers['x-key'], 'k');
+    });
+
+    it('should keep loading plain tiles as images', async () => {
+      const layer = new TileLayer(`${baseUrl}/{z}/{x}/{y}.png`);
+      const loaded = [];
+      layer._loadImage = async src => {
+        loaded.push(src);
+        return { src };
+      };
+      await layer._loadTile('0/0/0', layer._getTileUrl(0, 0, 0));
+      assert.deepStrictEqual(loaded, [`${baseUrl}/0/0/0.png`]);
+      assert.strictEqual(requests.length, 0);
+    });
+  });
+
+  it('should close the bitmaps of tiles the cache lets go of', async () => {
+    const layer = new TileLayer('', { maxCacheSize: 1, tileLoader: () => window.createImageBitmap(new Blob(['tile'])) });
+    const first = await layer._loadTile('1/0/0', 'unused');
+    const second = await layer._loadTile('1/1/0', 'unused');
+    second.lastUsed = first.lastUsed + 1;
+    layer._performEviction();
+    assert.ok(first.img.closed);
+    assert.ok(!second.img.closed);
+    layer._clearTiles();
+    assert.ok(second.img.closed);
+  });
+});
@@ -0,0 +1,163 @@
+const assert = require('assert');
+require('./helpers');
+
+describe('Tile requests', () => {
+  let Atlas, TileLayer;
+  let map;
+
+  before(() => {
+    ({ Atlas, TileLayer } = require('../Atlas.js'));
+  });
+
+  afterEach(() => {
+    if (map) {
+      map.destroy();
+      map = null;
+    }
+  });
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  // A layer whose tile requests wait until the test settles them. Each request is
+  // recorded as { url, signal, resolve, reject }.
+  const createLayer = (options = {}) => {
+    const layer = new TileLayer('https://tiles.example.org/{z}/{x}/{y}.png', options);
+    layer.requests = [];
+    layer._loadTileContent = (url, signal) => new Promise((resolve, reject) => {
+      layer.requests.push({ url, signal, resolve: () => resolve({ img: { url }, storedAt: null }), reject });
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    return layer;
+  };
+  const urls = layer => layer.requests.map(request => request.url);
+
+  describe('scheduling', () => {
+    it('should run a few requests at a time, lowest priority first, across layers', async () => {
+      map = new Atlas('map', { maxConcurrentLoads: 2 });
+      const base = createLayer();
+      const overlay = createLayer({ overlay: true });
+      // Only the requests below, not those of the view.
+      base.render = overlay.render = () => {};
+      map.addLayer(base).addLayer(overlay);
+
+      base._loadTile('a', 'a', 5);
+      overlay._loadTile('b', 'b', 4);
+      base._loadTile('c', 'c', 0);
+      overlay._loadTile('d', 'd', 3);
+      await flush();
+      assert.deepStrictEqual([...urls(base), ...urls(overlay)], ['a', 'b']);
+
+      base.requests[0].resolve();
+      await flush();
+      assert.deepStrictEqual(urls(base), ['a', 'c']);
+      base.requests[1].resolve();
+      await flush();
+      assert.deepStrictEqual(urls(overlay), ['b', 'd']);
+      assert.strictEqual(map.tileScheduler.running, 2);
+    });
+
+    it('should load the center of the view first and cancel tiles that leave it', async () => {
+      map = new Atlas('map', { defaultCenter: [0, 0], defaultZoom: 3, maxConcurrentLoads: 1 });
+      map.canvas.width = 800;
+      map.canvas.height = 600;
+      map.dpr = 1;
+      const layer = createLayer();
+      layer._preloadAdjacentZoomTiles = () => {};
+      map.setBaseLayer(layer);
+      layer.render();
+      await flush();
+      // The center of the view is the corner of tiles 3/3/3, 3/4/3, 3/3/4 and 3/4/4.
+      assert.ok(['3/3/3', '3/4/3', '3/3/4', '3/4/4'].some(key => layer.requests[0].url.endsWith(`${key}.png`)));
+      const loading = layer.loadingTiles.size;
+      assert.ok(loading > 4);
+
+      map.center = { lat: 60, lon: 120 };
+      map.zoom = 5;
+      layer.render();
+      await flush();
+      assert.ok(layer.requests[0].signal.aborted);
+      assert.ok(!layer.tileCache.has('3/3/3'));
+      assert.ok([...layer.loadingTiles].every(key => key.startsWith('5/')));
+      // The queued tiles of zoom 3 never started; the first one of zoom 5 took the free slot.
+      assert.strictEqual(layer.requests.length, 2);
+      assert.ok(layer.requests[1].url.includes('/5/'));
+    });
+  });
+
+  describe('failures', () => {
+    it('should retry failed tiles with exponential backoff', async () => {
+      const layer = createLayer({ retries: 2, retryDelay: 20 });
+      const events = [];
+      layer.on('tileload', e => events.push(e.type));
+      layer.on('tileerror', e => events.push(e.type));
+      const times = [];
+      const content = layer._loadTileContent;
+      layer._loadTileContent = (url, signal) => {
+        times.push(Date.now());
+        if (times.length < 3) return Promise.reject(new Error('HTTP 503'));
+        return content(url, signal);
+      };
+
+      const loaded = layer._loadTile('1/0/0', 'tile');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.strictEqual(times.length, 3);
+      assert.ok(times[1] - times[0] >= 18, `first delay ${times[1] - times[0]}`);
+      assert.ok(times[2] - times[1] >= 38, `second delay ${times[2] - times[1]}`);
+      layer.requests[0].resolve();
+      const tile = await loaded;
+      assert.ok(tile.loaded && !tile.error);
+      assert.deepStrictEqual(events, ['tileload']);
+    });
+
+    it('should show errorTileUrl for tiles that failed for good', async () => {
+      const layer = createLayer({ retries: 1, retryDelay: 1, errorTileUrl: 'https://tiles.example.org/error.png' });
+      layer._loadTileContent = () => Promise.reject(new Error('HTTP 404'));
+      layer._loadImage = async src => ({ src });
+      const errors = [];
+      layer.on('tileerror', e => errors.push(e.error.message));
+      const tile = await layer._loadTile('1/0/0', 'tile');
+      assert.deepStrictEqual(errors, ['HTTP 404']);
+      assert.ok(tile.loaded);
+      assert.strictEqual(tile.img.src, 'https://tiles.example.org/error.png');
+      assert.strictEqual(tile.error.message, 'HTTP 404');
+
+      const plain = createLayer({ retries: 0 });
+      plain._loadTileContent = () => Promise.reject(new Error('HTTP 404'));
+      const failed = await plain._loadTile('1/0/0', 'tile');
+      assert.ok(!failed.loaded && failed.error);
+      assert.ok(plain.tileCache.has('1/0/0'), 'failed tiles are not requested again on every render');
+    });
+  });
+
+  describe('events', () => {
+    it('should fire loading and load around a batch of tiles', async () => {
+      const layer = createLayer();
+      const events = [];
+      layer.on('loading', e => events.push(e.type));
+      layer.on('load', e => events.push(e.type));
+      const first = layer._loadTile('1/0/0', 'a');
+      const second = layer._loadTile('1/1/0', 'b');
+      await flush();
+      assert.deepStrictEqual(events, ['loading']);
+      layer.requests[0].resolve();
+      await first;
+      assert.deepStrictEqual(events, ['loading']);
+      layer.requests[1].resolve();
+      await second;
+      assert.deepStrictEqual(events, ['loading', 'load']);
+      assert.strictEqual(layer.loadingTiles.size, 0);
+    });
+
+    it('should fire load when the last loading tile is cancelled', async () => {
+      const layer = createLayer();
+      let loads = 0;
+      layer.on('load', () => loads++);
+      const loading = layer._loadTile('1/0/0', 'a');
+      await flush();
+      layer._abortTile('1/0/0');
+      assert.strictEqual(loads, 1);
+      assert.ok(!layer.tileCache.has('1/0/0'));
+      assert.strictEqual((await loading).loaded, false);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const assert = require('assert');
+const http = require('http');
+require('./helpers');
+
+// An in-memory stand-in for the browser's Cache Storage.
+const createCaches = () => {
+  const caches = new Map();
+  return {
+    async open(name) {
+      if (!caches.has(name)) caches.set(name, new Map());
+      const entries = caches.get(name);
+      const url = request => (typeof request === 'string' ? request : request.url);
+      return {
+        async keys() { return Array.from(entries.keys(), key => new Request(key)); },
+        async match(request) {
+          const response = entries.get(url(request));
+          return response ? response.clone() : undefined;
+        },
+        async put(request, response) { entries.set(url(request), response); },
+        async delete(request) { return entries.delete(url(request)); }
+      };
+    }
+  };
+};
+
+describe('TileStore', () => {
+  let Atlas, TileLayer, TileStore;
+  let server, base, requests;
+
+  before(async () => {
+    ({ Atlas, TileLayer, TileStore } = require('../Atlas.js'));
+
+    // A tile server answering /z/x/y.png with the tile's path, and 404 for zoom 9.
+    requests = [];
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      if (req.url.startsWith('/9/')) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(`tile ${req.url}`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    window.caches = createCaches();
+    requests.length = 0;
+  });
+
+  const blob = (size, type = 'image/png') => new Blob([new Uint8Array(size)], { type });
+
+  it('should store tiles per namespace', async () => {
+    const store = new TileStore({ backend: 'cache' });
+    await store.put('base', 'a', blob(10));
+    await store.put('labels', 'a', blob(20));
+    assert.strictEqual((await store.get('base', 'a')).blob.size, 10);
+    assert.strictEqual((await store.get('labels', 'a')).blob.size, 20);
+    assert.deepStrictEqual(await store.usage(), { bytes: 30, tiles: 2 });
+
+    await store.clear('labels');
+    assert.strictEqual(await store.get('labels', 'a'), null);
+    assert.deepStrictEqual(await store.usage('base'), { bytes: 10, tiles: 1 });
+  });
+
+  it('should keep tiles across instances', async () => {
+    await new TileStore({ backend: 'cache', name: 'offline' }).put('base', 'a', blob(10));
+    const reopened = new TileStore({ backend: 'cache', name: 'offline' });
+    assert.ok(await reopened.has('base', 'a'));
+    assert.deepStrictEqual(await reopened.usage(), { bytes: 10, tiles: 1 });
+  });
+
+  it('should evict the least recently used tiles past the quota', async () => {
+    const store = new TileStore({ backend: 'cache', quota: 25 });
+    await store.put('base', 'a', blob(10));
+    await store.put('base', 'b', blob(10));
+    // Make a used after b.
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.get('base', 'a');
+    await store.put('base', 'c', blob(10));
+    assert.ok(await store.has('base', 'a'));
+    assert.ok(!(await store.has('base', 'b')));
+    assert.ok(await store.has('base', 'c'));
+  });
+
+  it('should mark tiles older than the ttl as stale', async () => {
+    const store = new TileStore({ backend: 'cache', ttl: 1 });
+    await store.put('base', 'a', blob(10));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.ok(!(await store.has('base', 'a')));
+    const stored = await store.get('base', 'a');
+    assert.ok(stored.stale && stored.blob.size === 10);
+  });
+
+  it('should reject backends the browser does not have', async () => {
+    const store = new TileStore({ backend: 'indexeddb' });
+    await assert.rejects(store.get('base', 'a'), /backend "indexeddb" is not available/);
+  });
+
+  describe('with a tile layer', () => {
+    it('should read tiles through the store', async () => {
+      const store = new TileStore({ backend: 'cache' });
+      const layer = new TileLayer(`${base}/{z}/{x}/{y}.png`, { store, storeNamespace: 'base' });
+      const url = `${base}/3/4/2.png`;
+      const first = await layer._readThroughStore(url);
+      assert.strictEqual(await first.blob.text(), 'tile /3/4/2.png');
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      const second = await layer._readThroughStore(url);
+      assert.ok(second.storedAt > 0);
+      assert.strictEqual(await second.blob.text(), 'tile /3/4/2.png');
+      assert.deepStrictEqual(requests, ['/3/4/2.png']);
+    });
+
+    it('should revalidate stored tiles older than the store ttl', () => {
+      const store = new TileStore({ backend: 'cache', ttl: 60000 });
+      const map = new Atlas('map', { defaultCenter: [30, -9], defaultZoom: 4 });
+      const layer = new TileLayer(`${base}/{z}/{x}/{y}.png`, { store });
+      const reloaded = [];
+      layer._loadTile = (key) => {
+        layer.tileCache.set(key, { img: {}, loaded: true, loadedAt: Date.now() - 120000, lastUsed: 0 });
+      };
+      layer._reloadTile = (key) => reloaded.push(key);
+      layer._preloadAdjacentZoomTiles = () => {};
+      map.setBaseLayer(layer);
+      layer.render();
+      assert.strictEqual(reloaded.length, 0);
+      layer.render();
+      assert.ok(reloaded.length > 0);
+      map.destroy();
+    });
+
+    it('should seed an area over a zoom range with progress events', async () => {
+      const store = new TileStore({ backend: 'cache' });
+      const layer = new TileLayer(`${base}/{z}/{x}/{y}.png`, { store, storeNamespace: 'base' });
+      const events = [];
+      layer.on('seedprogress', e => events.push(e));
+      let end = null;
+      layer.on('seedend', e => { end = e; });
+
+      // Agadir, at zoom 7 and 8: one tile, then two side by side.
+      const bounds = [[30.3, -10.5], [30.5, -9.3]];
+      const result = await layer.seed(bounds, { minZoom: 7, maxZoom: 8, concurrency: 2 });
+      assert.deepStrictEqual(result, { loaded: 3, failed: 0, skipped: 0, total: 3 });
+      assert.strictEqual(events.length, 3);
+      assert.strictEqual(events[2].loaded, 3);
+      assert.strictEqual(end.loaded, 3);
+      assert.strictEqual(end.aborted, false);
+      assert.deepStrictEqual(requests.sort(), ['/7/60/52.png', '/8/120/105.png', '/8/121/105.png']);
+      assert.ok(await store.has('base', `${base}/8/121/105.png`));
+
+      const again = await layer.seed(bounds, { minZoom: 7, maxZoom: 9 });
+      assert.deepStrictEqual(again, { loaded: 0, failed: 2, skipped: 3, total: 5 });
+    });
+
+    it('should refuse to seed too many tiles, without a zoom range or without a store', async () => {
+      const layer = new TileLayer(`${base}/{z}/{x}/{y}.png`, { store: new TileStore({ backend: 'cache' }) });
+      await assert.rejects(layer.seed([[-60, -180], [60, 180]], { minZoom: 0, maxZoom: 10 }), /more than 10000 tiles/);
+      await assert.rejects(layer.seed([[0, 0], [1, 1]]), /needs the minZoom and maxZoom options/);
+      await assert.rejects(layer.seed([[0, 0], [1, 1]], { minZoom: 3 }), /needs the minZoom and maxZoom options/);
+      await assert.rejects(new TileLayer(`${base}/{z}/{x}/{y}.png`).seed([[0, 0], [1, 1]], { minZoom: 0, maxZoom: 1 }), /needs a TileStore/);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const assert = require('assert');
+require('./helpers');
+
+describe('Tile URL templates', () => {
+  let Atlas, TileLayer;
+
+  before(() => {
+    ({ Atlas, TileLayer } = require('../Atlas.js'));
+  });
+
+  it('should replace every placeholder, wrapping x around the world', () => {
+    const layer = new TileLayer('https://tiles.example.com/{z}/{x}/{y}.png?z={z}');
+    assert.strictEqual(layer._getTileUrl(5, 1, 2), 'https://tiles.example.com/2/1/1.png?z=2');
+  });
+
+  it('should rotate subdomains per tile', () => {
+    const layer = new TileLayer('https://{s}.tiles.example.com/{z}/{x}/{y}.png');
+    const hosts = [0, 1, 2, 3].map(x => new URL(layer._getTileUrl(x, 0, 2)).hostname.split('.')[0]);
+    assert.deepStrictEqual(hosts, ['a', 'b', 'c', 'a']);
+    assert.strictEqual(layer._getTileUrl(1, 0, 2), layer._getTileUrl(1, 0, 2), 'a tile always uses the same server');
+
+    const custom = new TileLayer('https://{s}.example.com/{z}/{x}/{y}', { subdomains: ['t1', 't2'] });
+    assert.strictEqual(custom._getTileUrl(1, 0, 1), 'https://t2.example.com/1/1/0');
+  });
+
+  it('should fill {-y} and {q}', () => {
+    const tms = new TileLayer('https://tms.example.com/{z}/{x}/{-y}.png');
+    assert.strictEqual(tms._getTileUrl(1, 0, 3), 'https://tms.example.com/3/1/7.png');
+    const bing = new TileLayer('https://ecn.t0.tiles.virtualearth.net/tiles/a{q}.jpeg');
+    assert.strictEqual(bing._getTileUrl(3, 5, 3), 'https://ecn.t0.tiles.virtualearth.net/tiles/a213.jpeg');
+  });
+
+  it('should fill {r} only when retina tiles are wanted', () => {
+    const url = 'https://tiles.example.com/{z}/{x}/{y}{r}.png';
+    assert.strictEqual(new TileLayer(url)._getTileUrl(0, 0, 0), 'https://tiles.example.com/0/0/0.png');
+
+    const map = new Atlas('map', { retina: true });
+    const layer = new TileLayer(url).addTo(map);
+    assert.strictEqual(layer._getTileUrl(0, 0, 0), 'https://tiles.example.com/0/0/0@2x.png');
+    const legacy = new TileLayer('https://tiles.example.com/{z}/{x}/{y}', { supportsRetina: true }).addTo(map);
+    assert.strictEqual(legacy._getTileUrl(0, 0, 0), 'https://tiles.example.com/0/0/0@2x');
+    map.destroy();
+  });
+
+  it('should fill custom placeholders from options', () => {
+    const layer = new TileLayer('https://tiles.example.com/{style}/{z}/{x}/{y}.png?key={apiKey}&v={version}', {
+      style: 'dark',
+      apiKey: 'secret',
+      version: coords => coords.z > 10 ? 2 : 1
+    });
+    assert.strictEqual(layer._getTileUrl(0, 0, 0), 'https://tiles.example.com/dark/0/0/0.png?key=secret&v=1');
+  });
+
+  it('should check the placeholders when the layer is added, unless it builds no URLs from them', () => {
+    const map = new Atlas('map');
+    const base = new TileLayer('https://tiles.example.com/{z}/{x}/{y}.png');
+    map.setBaseLayer(base);
+    const template = 'https://tiles.example.com/{z}/{x}/{y}.png?key={apiKey}';
+    // When the layer is added, rather than on every frame it renders.
+    assert.throws(() => map.addLayer(new TileLayer(template, { overlay: true })), /No value for \{apiKey\}/);
+    assert.throws(() => map.setBaseLayer(new TileLayer(template)), /No value for \{apiKey\}/);
+    assert.strictEqual(map.getBaseLayer(), base);
+    assert.deepStrictEqual(map._layers, [base]);
+
+    const signed = new TileLayer(template);
+    signed.getTileUrl = ({ x, y, z }) => `https://tiles.example.com/${z}/${x}/${y}.png?key=signed`;
+    map.setBaseLayer(signed);
+    assert.strictEqual(signed._getTileUrl(0, 0, 0), 'https://tiles.example.com/0/0/0.png?key=signed');
+    const loaded = new TileLayer(template, { overlay: true, tileLoader: () => new Promise(() => {}) });
+    map.addLayer(loaded);
+    assert.strictEqual(loaded._getTileUrl(0, 0, 0), 'https://tiles.example.com/0/0/0.png?key={apiKey}');
+    map.destroy();
+  });
+
+  it('should let getTileUrl be overridden', () => {
+    class QueryTiles extends TileLayer {
+      getTileUrl({ x, y, z }) {
+        return `https://tiles.example.com/tile?level=${z}&col=${x}&row=${y}`;
+      }
+    }
+    assert.strictEqual(new QueryTiles('')._getTileUrl(-1, 0, 1), 'https://tiles.example.com/tile?level=1&col=1&row=0');
+  });
+
+  it('should spread the presets over their tile servers', () => {
+    const map = new Atlas('map');
+    const osm = map.getPresetLayer('OSM');
+    const servers = new Set([0, 1, 2].map(x => new URL(osm._getTileUrl(x, 0, 2)).hostname));
+    assert.deepStrictEqual([...servers], ['a.tile.openstreetmap.org', 'b.tile.openstreetmap.org', 'c.tile.openstreetmap.org']);
+    assert.strictEqual(map.getPresetLayer('ESRI')._getTileUrl(1, 2, 3),
+      'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/3/2/1');
+    map.destroy();
+  });
+});
@@ -0,0 +1,295 @@
+const assert = require('assert');
+const zlib = require('zlib');
+const { recordingContext } = require('./helpers');
+
+// A small writer for the protocol buffers of the Mapbox Vector Tile format.
+const varint = (value) => {
+  const bytes = [];
+  while (value >= 128) {
+    bytes.push((value % 128) | 128);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return bytes;
+};
+const zigzag = n => (n < 0 ? -n * 2 - 1 : n * 2);
+const key = (field, type) => varint(field * 8 + type);
+const message = (field, bytes) => [...key(field, 2), ...varint(bytes.length), ...bytes];
+const text = (field, value) => message(field, [...Buffer.from(value)]);
+const uint = (field, value) => [...key(field, 0), ...varint(value)];
+const packed = (field, values) => message(field, values.flatMap(varint));
+
+const encodeValue = (value) => {
+  if (typeof value === 'string') return text(1, value);
+  if (typeof value === 'boolean') return uint(7, value ? 1 : 0);
+  if (Number.isInteger(value)) return value < 0 ? uint(6, zigzag(value)) : uint(5, value);
+  const double = Buffer.alloc(8);
+  double.writeDoubleLE(value);
+  return [...key(3, 1), ...double];
+};
+
+// Encodes lists of points as MoveTo and LineTo commands, closing them for polygons.
+const encodeGeometry = (type, parts) => {
+  const commands = [];
+  let x = 0, y = 0;
+  const moveTo = (points) => {
+    for (const p of points) {
+      commands.push(zigzag(p[0] - x), zigzag(p[1] - y));
+      [x, y] = p;
+    }
+  };
+  if (type === 1) {
+    commands.push(1 + 8 * parts.length);
+    moveTo(parts);
+    return commands;
+  }
+  for (const line of parts) {
+    commands.push(1 + 8);
+    moveTo(line.slice(0, 1));
+    commands.push(2 + 8 * (line.length - 1));
+    moveTo(line.slice(1));
+    if (type === 3) commands.push(7 + 8);
+  }
+  return commands;
+};
+
+const encodeLayer = (name, features) => {
+  const keys = [], values = [];
+  const index = (list, item) => {
+    if (!list.includes(item)) list.push(item);
+    return list.indexOf(item);
+  };
+  const body = [...uint(15, 2), ...text(1, name)];
+  for (const feature of features) {
+    const tags = Object.entries(feature.properties || {}).flatMap(([k, v]) => [index(keys, k), index(values, v)]);
+    body.push(...message(2, [
+      ...(feature.id !== undefined ? uint(1, feature.id) : []),
+      ...packed(2, tags),
+      ...uint(3, feature.type),
+      ...packed(4, encodeGeometry(feature.type, feature.geometry))
+    ]));
+  }
+  // Keys and values after the features, which the format allows.
+  keys.forEach(k => body.push(...text(3, k)));
+  values.forEach(v => body.push(...message(4, encodeValue(v))));
+  body.push(...uint(5, 4096));
+  return body;
+};
+
+const encodeTile = layers => Buffer.from(Object.entries(layers).flatMap(([name, features]) => message(3, encodeLayer(name, features))));
+
+const square = (min, max) => [[min, min], [max, min], [max, max], [min, max]];
+const TILE = encodeTile({
+  water: [
+    // A lake with an island, and a pond: one feature of two polygons.
+    { id: 7, type: 3, properties: { kind: 'lake' }, geometry: [square(0, 2048), square(512, 1024).reverse(), square(2560, 2816)] }
+  ],
+  roads: [
+    { id: 8, type: 2, properties: { class: 'primary', lanes: 4 }, geometry: [[[0, 4000], [4096, 4000]], [[100, 100], [200, 200], [300, 100]]] }
+  ],
+  places: [
+    { id: 9, type: 1, properties: { name: 'Agadir', population: 421844, capital: false, elevation: -1, area: 84.5 }, geometry: [[3072, 3072]] },
+    // In the buffer of a neighbouring tile, where that tile labels it.
+    { type: 1, properties: { name: 'Outside' }, geometry: [[-20, 3072]] }
+  ]
+});
+
+const STYLE = [
+  { id: 'water', type: 'fill', 'source-layer': 'water', paint: { 'fill-color': '#a0c8f0' } },
+  { id: 'roads', type: 'line', 'source-layer': 'roads', filter: ['in', 'class', 'primary', 'secondary'], paint: { 'line-width': 2 } },
+  { id: 'towns', type: 'circle', 'source-layer': 'places', filter: ['has', 'population'], paint: { 'circle-radius': 4 } },
+  { id: 'labels', type: 'symbol', 'source-layer': 'places', layout: { 'text-field': '{name}', 'text-size': 12 } }
+];
+
+describe('VectorTileLayer', () => {
+  let Atlas, VectorTileLayer;
+
+  before(() => {
+    ({ Atlas, VectorTileLayer } = require('../Atlas.js'));
+  });
+
+  const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+  describe('decoding', () => {
+    it('should decode layers, properties and geometries', () => {
+      const layers = VectorTileLayer.decode(TILE);
+      assert.deepStrictEqual(Object.keys(layers), ['water', 'roads', 'places']);
+      assert.strictEqual(layers.water.extent, 4096);
+
+      const lake = layers.water.features[0];
+      assert.strictEqual(lake.id, 7);
+      assert.strictEqual(lake.type, 'Polygon');
+      assert.deepStrictEqual(lake.geometry.map(polygon => polygon.length), [2, 1]);
+      assert.deepStrictEqual(lake.geometry[0][1][0], { x: 512, y: 1024 });
+      assert.deepStrictEqual(lake.geometry[1][0].at(-1), { x: 2560, y: 2560 });
+
+      const road = layers.roads.features[0];
+      assert.strictEqual(road.type, 'LineString');
+      assert.deepStrictEqual(road.geometry[1], [{ x: 100, y: 100 }, { x: 200, y: 200 }, { x: 300, y: 100 }]);
+
+      const [town, outside] = layers.places.features;
+      assert.deepStrictEqual(town.properties, { name: 'Agadir', population: 421844, capital: false, elevation: -1, area: 84.5 });
+      assert.deepStrictEqual(town.geometry, [{ x: 3072, y: 3072 }]);
+      assert.strictEqual(outside.id, undefined);
+    });
+
+    it('should decode gzipped tiles', async () => {
+      const layer = new VectorTileLayer('https://tiles.example.org/{z}/{x}/{y}.pbf');
+      const layers = await layer._decodeBlob(new Blob([zlib.gzipSync(TILE)]));
+      assert.strictEqual(layers.places.features[0].properties.name, 'Agadir');
+    });
+
+    it('should reject truncated tiles', () => {
+      assert.throws(() => VectorTileLayer.decode(TILE.subarray(0, 20)), /Truncated vector tile/);
+    });
+  });
+
+  describe('styles', () => {
+    const feature = { type: 'LineString', id: 1, properties: { class: 'primary', lanes: 4 } };
+
+    it('should evaluate filters', () => {
+      const layer = new VectorTileLayer('https://tiles.example.org/{z}/{x}/{y}.pbf');
+      assert.ok(layer._matches(['all', ['==', '$type', 'LineString'], ['>=', 'lanes', 2], ['!has', 'oneway']], feature));
+      assert.ok(layer._matches(['any', ['in', 'class', 'motorway'], ['!=', 'class', 'secondary']], feature));
+      assert.ok(!layer._matches(['none', ['<', 'lanes', 5]], feature));
+      assert.ok(!layer._matches(['!in', 'class', 'primary', 'secondary'], feature));
+      assert.throws(() => layer._matches(['within', 'x'], feature), /Unknown vector style filter operator "within"/);
+    });
+
+    it('should evaluate zoom functions and functions of the feature', () => {
+      const layer = new VectorTileLayer('https://tiles.example.org/{z}/{x}/{y}.pbf');
+      const width = { stops: [[10, 1], [14, 9]] };
+      assert.strictEqual(layer._evaluate(width, 8), 1);
+      assert.strictEqual(layer._evaluate(width, 12), 5);
+      assert.strictEqual(layer._evaluate(width, 16), 9);
+      assert.ok(near(layer._evaluate({ base: 2, stops: [[0, 0], [2, 3]] }, 1), 1));
+      assert.strictEqual(layer._evaluate({ stops: [[5, '#ff0000'], [10, '#0000ff']] }, 7), '#ff0000');
+      assert.strictEqual(layer._evaluate((zoom, f) => zoom * f.properties.lanes, 3, feature), 12);
+    });
+
+    it('should refuse unknown style layer types', () => {
+      assert.throws(() => new VectorTileLayer('https://tiles.example.org/{z}/{x}/{y}.pbf', {
+        style: { layers: [{ id: 'hills', type: 'hillshade' }] }
+      }), /Unknown type "hillshade" in vector style layer "hills"/);
+      assert.throws(() => new VectorTileLayer('x/{z}/{x}/{y}', { style: {} }), /needs a layers array/);
+    });
+  });
+
+  describe('sources', () => {
+    it('should read tiles by their coordinates rather than their URL', async () => {
+      const requested = [];
+      const source = { getTile: async (z, x, y) => { requested.push(`${z}/${x}/${y}`); return TILE; } };
+      const layer = new VectorTileLayer(null, { style: STYLE, source, supportsRetina: true });
+      layer._shouldRequestRetina = () => true;
+      // x wraps around the world.
+      const tile = await layer._loadTile('1/3/1', layer._getTileUrl(3, 1, 1));
+      assert.ok(tile.loaded);
+      assert.deepStrictEqual(requested, ['1/1/1']);
+    });
+
+    it('should store the tiles of in-memory sources only under a namespace given to them', () => {
+      const source = { getTile: async () => TILE };
+      const store = {};
+      assert.throws(() => new VectorTileLayer(null, { style: STYLE, source, store }), /set it to use a store/);
+      const layer = new VectorTileLayer(null, { style: STYLE, source, store, storeNamespace: 'streets' });
+      assert.strictEqual(layer._getStoreNamespace(), 'streets');
+    });
+  });
+
+  describe('on a map', () => {
+    let map, layer, recording;
+
+    // At zoom 1 around [0, 0], on an 800x600 canvas, tile 1/0/0 spans x 144-400 and y 44-300.
+    beforeEach(async () => {
+      map = new Atlas('map', { defaultCenter: [0, 0], defaultZoom: 1 });
+      map.canvas.width = 800;
+      map.canvas.height = 600;
+      map.dpr = 1;
+      recording = recordingContext();
+      map.ctx = recording.ctx;
+      const requested = [];
+      layer = new VectorTileLayer(null, {
+        style: STYLE,
+        source: { getTile: async (z, x, y) => { requested.push(`${z}/${x}/${y}`); return TILE; } }
+      });
+      layer._preloadAdjacentZoomTiles = () => {};
+      map.addLayer(layer);
+      for (const [x, y] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+        await layer._loadTile(`1/${x}/${y}`, layer._getTileUrl(x, y, 1));
+      }
+      assert.deepStrictEqual(requested, ['1/0/0', '1/1/0', '1/0/1', '1/1/1']);
+    });
+
+    afterEach(() => {
+      map.destroy();
+    });
+
+    const labels = () => recording.calls.filter(call => call.name === 'fillText');
+
+    it('should draw the style layers and label each feature once', () => {
+      layer.options.fadeDuration = 0;
+      recording.calls.length = 0;
+      layer.render();
+      const names = recording.calls.map(call => call.name);
+      // Each loaded tile clips to its own square, drawn around the view center; the wrapped
+      // copies, which are not loaded, clip other squares for their placeholders.
+      const clipped = recording.calls.flatMap((call, i) =>
+        call.name === 'clip' && recording.calls[i - 1].name === 'rect' ? [recording.calls[i - 1].args.map(Math.round).join()] : []);
+      const squares = ['-256,-256', '0,-256', '-256,0', '0,0'].map(corner => `${corner},256,256`);
+      assert.strictEqual(clipped.filter(square => squares.includes(square)).length, 4);
+      assert.strictEqual(names.filter(name => name === 'arc').length, 4);
+      assert.ok(names.includes('fill') && names.includes('stroke'));
+      assert.strictEqual(labels().length, 4);
+      assert.ok(labels().every(call => call.args[0] === 'Agadir'));
+      assert.ok(labels().some(call => near(call.args[1], 336) && near(call.args[2], 236)));
+    });
+
+    it('should keep labels upright at their rotated positions', () => {
+      map.bearing = Math.PI / 2;
+      recording.calls.length = 0;
+      layer.render();
+      assert.ok(labels().some(call => near(call.args[1], 464) && near(call.args[2], 236)));
+      assert.strictEqual(recording.ctx.textAlign, 'center');
+      const feature = layer.hitTest({ x: 464, y: 236 });
+      assert.strictEqual(feature && feature.properties.name, 'Agadir');
+    });
+
+    it('should skip style layers outside their zoom range', () => {
+      layer.setStyle(STYLE.map(style => ({ ...style, minzoom: 2 })));
+      recording.calls.length = 0;
+      layer.render();
+      assert.ok(!recording.calls.some(call => ['fill', 'arc', 'fillText'].includes(call.name)));
+    });
+
+    it('should hit-test features as GeoJSON', () => {
+      const lake = layer.hitTest({ x: 170, y: 60 });
+      assert.strictEqual(lake.type, 'Feature');
+      assert.strictEqual(lake.id, 7);
+      assert.strictEqual(lake.sourceLayer, 'water');
+      assert.strictEqual(lake.geometry.type, 'MultiPolygon');
+      const corner = lake.geometry.coordinates[0][0][0];
+      assert.ok(near(corner[0], -180) && near(corner[1], 85.0511287798));
+      assert.strictEqual(layer.hitTest({ x: 170, y: 60 }), lake);
+
+      // The island in the lake.
+      assert.strictEqual(layer.hitTest({ x: 192, y: 92 }), null);
+
+      const town = layer.hitTest({ x: 338, y: 237 });
+      assert.deepStrictEqual(town.geometry, { type: 'Point', coordinates: town.geometry.coordinates });
+      assert.ok(near(town.geometry.coordinates[0], -45));
+
+      const road = layer.hitTest({ x: 250, y: 294 });
+      assert.strictEqual(road.properties.class, 'primary');
+      assert.strictEqual(road.geometry.type, 'MultiLineString');
+      assert.strictEqual(layer.hitTest({ x: 300, y: 200 }), null);
+    });
+
+    it('should fire pointer events through the map', () => {
+      const hit = map._hitTestLayers({ x: 170, y: 60 });
+      assert.strictEqual(hit.layer, layer);
+      assert.strictEqual(hit.feature.properties.kind, 'lake');
+      layer.options.interactive = false;
+      assert.strictEqual(map._hitTestLayers({ x: 170, y: 60 }), null);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+require('./helpers');
+
+// Roughly the commune of Rabat.
+const COMMUNE = [[33.95, -6.90], [34.05, -6.78]];
+
+describe('View constraints', () => {
+  let Atlas;
+  let TileLayer;
+  let map;
+
+  before(() => {
+    ({ Atlas, TileLayer } = require('../Atlas.js'));
+  });
+
+  afterEach(() => {
+    map.destroy();
+  });
+
+  const isInside = ({ lat, lon }) => lat >= 33.95 - 1e-9 && lat <= 34.05 + 1e-9 && lon >= -6.90 - 1e-9 && lon <= -6.78 + 1e-9;
+  const nextEvent = (type) => new Promise(resolve => map.once(type, resolve));
+
+  it('should keep the initial view inside maxBounds', () => {
+    map = new Atlas('map', { maxBounds: COMMUNE, defaultZoom: 12 });
+    assert.ok(isInside(map.getCenter()));
+  });
+
+  it('should refuse maxBounds across the antimeridian', () => {
+    map = new Atlas('map', { maxBounds: COMMUNE, defaultZoom: 12 });
+    // Fiji, from 177°E to 178°W.
+    assert.throws(() => map.setMaxBounds([[-19, 177], [-16, -178]]), /cannot cross the antimeridian/);
+    assert.throws(() => map.setMaxBounds({ south: -19, west: 177, north: -16, east: -178 }), /cannot cross the antimeridian/);
+    assert.ok(map.getMaxBounds().equals(COMMUNE));
+    // Corners given the other way round enclose the same box.
+    map.setMaxBounds([[34.05, -6.78], [33.95, -6.90]]);
+    assert.ok(map.getMaxBounds().equals(COMMUNE));
+  });
+
+  it('should keep keyboard panning inside maxBounds', () => {
+    map = new Atlas('map', { maxBounds: COMMUNE, defaultCenter: { lat: 34, lon: -6.84 }, defaultZoom: 12 });
+    for (let i = 0; i < 20; i++) {
+      map.container.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowLeft' }));
+    }
+    assert.ok(isInside(map.getCenter()));
+    assert.ok(Math.abs(map.getCenter().lon - -6.78) < 1e-6);
+  });
+
+  it('should end flyTo inside maxBounds', async () => {
+    map = new Atlas('map', { maxBounds: COMMUNE, defaultCenter: { lat: 34, lon: -6.84 }, defaultZoom: 12 });
+    const ended = nextEvent('moveend');
+    map.flyTo({ center: { lat: 48.85, lon: 2.35 }, duration: 10 });
+    await ended;
+    assert.ok(isInside(map.getCenter()));
+  });
+
+  it('should snap back inside maxBounds after an elastic drag', async () => {
+    map = new Atlas('map', { maxBounds: COMMUNE, maxBoundsViscosity: 0, defaultCenter: { lat: 34, lon: -6.84 }, defaultZoom: 12 });
+    const ended = nextEvent('moveend');
+    map.canvas.dispatchEvent(new window.MouseEvent('mousedown', { button: 0, clientX: 0, clientY: 0 }));
+    document.dispatchEvent(new window.MouseEvent('mousemove', { clientX: 2000, clientY: 0 }));
+    assert.ok(!isInside(map.getCenter()));
+    document.dispatchEvent(new window.MouseEvent('mouseup', {}));
+    await ended;
+    assert.ok(isInside(map.getCenter()));
+  });
+
+  it('should apply map-level zoom limits over the base layer ones', () => {
+    map = new Atlas('map', { minZoom: 10, maxZoom: 14, defaultZoom: 3 });
+    map.setBaseLayer(new TileLayer('https://tile.example.com/{z}/{x}/{y}.png', { minZoom: 0, maxZoom: 19 }));
+    assert.strictEqual(map.getZoom(), 10);
+    map.setZoom(18);
+    assert.strictEqual(map.getZoom(), 14);
+
+    map.setMaxZoom(null);
+    map.setZoom(18);
+    assert.strictEqual(map.getZoom(), 18);
+  });
+
+  it('should keep the bearing at 0 when rotation is disabled', () => {
+    map = new Atlas('map', { rotationEnabled: false });
+    let rotated = false;
+    map.on('rotate', () => { rotated = true; });
+    map.setBearing(1);
+    assert.strictEqual(map.getBearing(), 0);
+    assert.strictEqual(rotated, false);
+  });
+
+  it('should clamp the bearing to minBearing and maxBearing', () => {
+    map = new Atlas('map', { minBearing: -0.5, maxBearing: 0.5 });
+    map.setBearing(1);
+    assert.strictEqual(map.getBearing(), 0.5);
+    map.setBearing(-2);
+    assert.strictEqual(map.getBearing(), -0.5);
+  });
+
+  it('should reject malformed bounds', () => {
+    map = new Atlas('map');
+    assert.throws(() => map.setMaxBounds([33.95, -6.90]), /Invalid LatLngBounds/);
+  });
+});
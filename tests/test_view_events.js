@@ -0,0 +1,80 @@
+const assert = require('assert');
+require('./helpers');
+
+const VIEW_EVENTS = ['movestart', 'move', 'moveend', 'zoomstart', 'zoom', 'zoomend', 'rotatestart', 'rotate', 'rotateend'];
+
+describe('View change events', () => {
+  let Atlas;
+  let map;
+  let log;
+
+  before(() => {
+    ({ Atlas } = require('../Atlas.js'));
+  });
+
+  beforeEach(() => {
+    map = new Atlas('map', { defaultZoom: 5 });
+    log = [];
+    for (const type of VIEW_EVENTS) {
+      map.on(type, () => log.push(type));
+    }
+  });
+
+  afterEach(() => {
+    map.destroy();
+  });
+
+  const collapse = (events) => events.filter((type, i) => type !== events[i - 1]);
+  const nextEvent = (type) => new Promise(resolve => map.once(type, resolve));
+
+  it('should fire the whole zoom sequence for setZoom', () => {
+    map.setZoom(7);
+    assert.deepStrictEqual(log, ['movestart', 'zoomstart', 'move', 'zoom', 'zoomend', 'moveend']);
+  });
+
+  it('should fire the rotate sequence for setBearing', () => {
+    map.setBearing(0.5);
+    assert.deepStrictEqual(log, ['movestart', 'rotatestart', 'move', 'rotate', 'rotateend', 'moveend']);
+  });
+
+  it('should not fire moveend on render', async () => {
+    const rendered = nextEvent('render');
+    map.render();
+    await rendered;
+    assert.deepStrictEqual(log, []);
+  });
+
+  it('should fire movestart and moveend once for a drag with inertia', async () => {
+    const ended = nextEvent('moveend');
+    map.canvas.dispatchEvent(new window.MouseEvent('mousedown', { button: 0, clientX: 0, clientY: 0 }));
+    for (let x = 5; x <= 40; x += 5) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      document.dispatchEvent(new window.MouseEvent('mousemove', { clientX: x, clientY: 0 }));
+    }
+    document.dispatchEvent(new window.MouseEvent('mouseup', {}));
+    await ended;
+
+    assert.deepStrictEqual(collapse(log), ['movestart', 'move', 'moveend']);
+  });
+
+  it('should fire one sequence for an animated zoom', async () => {
+    const ended = nextEvent('moveend');
+    map.animateZoomRotateAbout(0, 0, 6, 0, 10);
+    await ended;
+
+    assert.deepStrictEqual(collapse(log).slice(0, 2), ['movestart', 'zoomstart']);
+    assert.deepStrictEqual(collapse(log).slice(-2), ['zoomend', 'moveend']);
+    assert.strictEqual(log.filter(t => t === 'moveend').length, 1);
+  });
+
+  it('should fire one sequence for flyTo', async () => {
+    const ended = nextEvent('moveend');
+    map.flyTo({ center: { lat: 10, lon: 10 }, zoom: 6, duration: 10 });
+    await ended;
+
+    assert.strictEqual(log[0], 'movestart');
+    assert.strictEqual(log[log.length - 1], 'moveend');
+    assert.strictEqual(log.filter(t => t === 'movestart').length, 1);
+    assert.strictEqual(log.filter(t => t === 'zoomend').length, 1);
+  });
+});
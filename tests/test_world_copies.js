@@ -0,0 +1,81 @@
+const assert = require('assert');
+require('./helpers');
+
+// A square across the antimeridian, as GeoJSON usually has it: with a jump in longitude.
+const PACIFIC = {
+  type: 'Polygon',
+  coordinates: [[[170, -10], [-170, -10], [-170, 10], [170, 10], [170, -10]]]
+};
+
+describe('World copies', () => {
+  let Atlas, AtlasMarker, GeoJSONLayer, CRS;
+  let map;
+
+  before(() => {
+    ({ Atlas, AtlasMarker, GeoJSONLayer, CRS } = require('../Atlas.js'));
+  });
+
+  const createMap = (options) => {
+    map = new Atlas('map', options);
+    // jsdom does not lay out the page, so give the map a size by hand.
+    map.canvas.width = 800;
+    map.canvas.height = 600;
+    map.dpr = 1;
+    return map;
+  };
+
+  afterEach(() => {
+    map.destroy();
+  });
+
+  it('should place markers on the world copy nearest the center', () => {
+    createMap({ wrapFeatures: true, defaultCenter: [0, -179], defaultZoom: 3 });
+    const marker = new AtlasMarker([0, 179]).addTo(map);
+    const point = map.latLngToContainerPoint(marker.getLatLng());
+    // 2° west of the center, at 2048 pixels for 360°.
+    assert.ok(Math.abs(point.x - (400 - 2048 * 2 / 360)) < 1e-6);
+
+    map.options.wrapFeatures = false;
+    assert.ok(map.latLngToContainerPoint(marker.getLatLng()).x > 2000);
+  });
+
+  it('should accept worldCopyJump as an alias, only for repeating projections', () => {
+    createMap({ worldCopyJump: true });
+    assert.strictEqual(map._wrapsFeatures(), true);
+    map.destroy();
+    const grid = { project: ({ lat, lon }) => ({ x: lon, y: lat }), unproject: ({ x, y }) => ({ lat: y, lon: x }) };
+    createMap({ worldCopyJump: true, crs: new CRS('LOCAL:1', grid, { origin: [0, 0], resolutions: [1] }) });
+    assert.strictEqual(map._wrapsFeatures(), false);
+  });
+
+  it('should split polygons at the antimeridian without stroking the cut', () => {
+    const layer = new GeoJSONLayer(PACIFIC);
+    const [west, east] = layer._splitPolygon(PACIFIC.coordinates);
+    assert.ok(west[0].every(p => p[0] >= 170 && p[0] <= 180));
+    assert.ok(east[0].every(p => p[0] >= -180 && p[0] <= -170));
+    assert.deepStrictEqual(west[0].filter(p => p.cut).map(p => p[1]).sort((a, b) => a - b), [-10, 10]);
+    assert.deepStrictEqual(east[0].filter(p => p.cut).map(p => p[0]), [-180, -180]);
+  });
+
+  it('should hit polygons across the antimeridian from either side', () => {
+    createMap({ wrapFeatures: true, defaultCenter: [0, 180], defaultZoom: 3 });
+    const layer = new GeoJSONLayer(PACIFIC).addTo(map);
+    for (const lon of [175, -175, 185]) {
+      assert.ok(layer.hitTest(map.latLngToContainerPoint([0, lon])), `no hit at ${lon}`);
+    }
+
+    map.setView([0, 0], 1);
+    assert.strictEqual(layer.hitTest(map.latLngToContainerPoint([0, 0])), null);
+    for (const lon of [175, -175]) {
+      assert.ok(layer.hitTest(map.latLngToContainerPoint([0, lon])), `no hit at ${lon}`);
+    }
+  });
+
+  it('should draw lines on the nearest copy after panning across the antimeridian', () => {
+    createMap({ wrapFeatures: true, defaultCenter: [0, 179], defaultZoom: 4 });
+    const layer = new GeoJSONLayer({ type: 'LineString', coordinates: [[178, -5], [178, 5]] }).addTo(map);
+    assert.ok(layer.hitTest({ x: 400 - 4096 / 360, y: 300 }));
+    map.setView([0, -179], 4);
+    assert.ok(layer.hitTest({ x: 400 - 3 * 4096 / 360, y: 300 }));
+  });
+});